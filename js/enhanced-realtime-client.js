@@ -280,12 +280,13 @@ class EnhancedRealtimeClient {
         return this.sendMessage('upload_document', { document: documentData });
     }
     
-    getDocumentStats() {
+    requestDocumentStats() {
         return this.sendMessage('get_document_stats');
     }
     
-    clearDocuments() {
-        return this.sendMessage('clear_documents');
+    // Uploads without a workspace go to 'default', so that is the one cleared by default
+    clearDocuments(workspaceId = 'default') {
+        return this.sendMessage('clear_documents', { workspaceId });
     }
     
     // Analysis requests
@@ -313,9 +314,6 @@ class EnhancedRealtimeClient {
             case 'claude_response':
                 this.onClaudeResponseCallbacks.add(callback);
                 break;
-            case 'claude_complete':
-                this.onClaudeResponseCallbacks.add(callback);
-                break;
             case 'document_update':
                 this.onDocumentUpdateCallbacks.add(callback);
                 break;
@@ -335,6 +333,7 @@ class EnhancedRealtimeClient {
             case 'connected':
             case 'disconnected':
             case 'analysis_started':
+            case 'claude_complete':
                 if (!this.onMessageCallbacks.has(event)) {
                     this.onMessageCallbacks.set(event, new Set());
                 }
@@ -362,6 +361,7 @@ class EnhancedRealtimeClient {
             case 'connected':
             case 'disconnected':
             case 'analysis_started':
+            case 'claude_complete':
             case 'document_upload_success':
             case 'document_upload_error':
             case 'template_update_success':
@@ -408,7 +408,7 @@ class EnhancedRealtimeClient {
         return this.documentStats;
     }
     
-    isProcessing() {
+    isAnalysisRunning() {
         return this.isProcessing;
     }
     
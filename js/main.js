@@ -4,6 +4,7 @@
 // Import DocumentProcessor for localStorage persistence
 import { DocumentProcessor } from './modules/documentProcessor.js';
 import { AnomalyDetectionService } from './modules/AnomalyDetectionService.js';
+import { APIHandler } from './modules/apiHandler.js';
 
 class SimpleAI {
     constructor() {
@@ -11,6 +12,14 @@ class SimpleAI {
         this.documentProcessor = new DocumentProcessor();
         this.documents = this.documentProcessor.getDocuments(); // Get documents from processor
         
+        // Documents are stored once in the server repository and referenced by ID
+        this.api = new APIHandler();
+        this.workspaceId = localStorage.getItem('earningsGenAI_workspaceId') || 'default';
+        
+        // Floating chat continues the same server-side conversation across page loads
+        this.conversationId = localStorage.getItem('earningsGenAI_conversationId');
+        this.chatInFlight = false;
+        
         // Initialize Anomaly Detection Service
         this.anomalyDetection = new AnomalyDetectionService();
         
@@ -29,9 +38,11 @@ class SimpleAI {
         
         // Initialize context analysis
         this.initContextAnalysis();
+        this.initMetricPlaceholders();
         
         // Initialize floating chat
         this.initFloatingChat();
+        this.restoreConversation();
         
         // Load any existing documents from localStorage
         this.loadExistingDocuments();
@@ -96,6 +107,7 @@ class SimpleAI {
         if (this.documents.length > 0) {
             console.log(`📂 Loaded ${this.documents.length} documents from localStorage`);
             this.updateFileList();
+            this.syncDocumentsWithServer();
         } else {
             console.log('📂 No existing documents found in localStorage');
         }
@@ -166,6 +178,20 @@ class SimpleAI {
             console.error('❌ Available elements with IDs:', Array.from(document.querySelectorAll('[id]')).map(el => el.id));
         }
         
+        const generateScriptBtn = document.getElementById('generateScriptBtn');
+        if (generateScriptBtn) {
+            generateScriptBtn.addEventListener('click', () => {
+                this.generateScript();
+            });
+        }
+        
+        const checkComplianceBtn = document.getElementById('checkComplianceBtn');
+        if (checkComplianceBtn) {
+            checkComplianceBtn.addEventListener('click', () => {
+                this.checkCompliance();
+            });
+        }
+        
         // Initialize sidebar toggle functionality
         this.initSidebarToggle();
         
@@ -349,6 +375,38 @@ class SimpleAI {
                                     <option value="both">Both</option>
                                 </select>
                             </div>
+                            
+                            <div>
+                                <label class="block text-sm font-medium text-blue-700 mb-2">Fiscal Year End</label>
+                                <select id="fiscalYearEndMonth" class="w-full px-4 py-3 border border-blue-300 rounded-lg focus:border-blue-500 focus:outline-none">
+                                    <option value="1">January</option>
+                                    <option value="2">February</option>
+                                    <option value="3">March</option>
+                                    <option value="4">April</option>
+                                    <option value="5">May</option>
+                                    <option value="6">June</option>
+                                    <option value="7">July</option>
+                                    <option value="8">August</option>
+                                    <option value="9">September</option>
+                                    <option value="10">October</option>
+                                    <option value="11">November</option>
+                                    <option value="12">December</option>
+                                </select>
+                            </div>
+                            
+                            <div>
+                                <label class="block text-sm font-medium text-blue-700 mb-2">Fiscal Year Length</label>
+                                <select id="fiscalWeekRule" class="w-full px-4 py-3 border border-blue-300 rounded-lg focus:border-blue-500 focus:outline-none">
+                                    <option value="">Ends on the last day of the month</option>
+                                    <option value="last">52/53 weeks - last weekday of the month</option>
+                                    <option value="nearest">52/53 weeks - weekday nearest month end</option>
+                                </select>
+                                <select id="fiscalWeekday" class="w-full mt-2 px-4 py-3 border border-blue-300 rounded-lg focus:border-blue-500 focus:outline-none">
+                                    <option value="6">Saturday</option>
+                                    <option value="0">Sunday</option>
+                                    <option value="5">Friday</option>
+                                </select>
+                            </div>
                         </div>
                     </div>
 
@@ -576,6 +634,7 @@ Answer:</textarea>
         const reportingPeriod = localStorage.getItem('earningsGenAI_reportingPeriod');
         const anomalySensitivity = localStorage.getItem('earningsGenAI_anomalySensitivity');
         const anomalyAutoFlag = localStorage.getItem('earningsGenAI_anomalyAutoFlag');
+        const fiscalCalendar = this.documentProcessor.fiscalCalendar;
         
         if (contextPrompt) {
             const contextTextarea = document.getElementById('contextPrompt');
@@ -616,6 +675,13 @@ Answer:</textarea>
             const autoFlagSelect = document.getElementById('anomalyAutoFlag');
             if (autoFlagSelect) autoFlagSelect.value = anomalyAutoFlag;
         }
+        
+        const yearEndSelect = document.getElementById('fiscalYearEndMonth');
+        if (yearEndSelect) yearEndSelect.value = String(fiscalCalendar.yearEndMonth);
+        const weekRuleSelect = document.getElementById('fiscalWeekRule');
+        if (weekRuleSelect) weekRuleSelect.value = fiscalCalendar.weekRule || '';
+        const weekdaySelect = document.getElementById('fiscalWeekday');
+        if (weekdaySelect) weekdaySelect.value = String(fiscalCalendar.weekday);
     }
 
     async saveSettings() {
@@ -627,6 +693,11 @@ Answer:</textarea>
         const reportingPeriod = document.getElementById('reportingPeriod')?.value;
         const anomalySensitivity = document.getElementById('anomalySensitivity')?.value;
         const anomalyAutoFlag = document.getElementById('anomalyAutoFlag')?.value;
+        const fiscalCalendar = {
+            yearEndMonth: Number(document.getElementById('fiscalYearEndMonth')?.value) || 12,
+            weekRule: document.getElementById('fiscalWeekRule')?.value || null,
+            weekday: Number(document.getElementById('fiscalWeekday')?.value ?? 6)
+        };
         
         try {
             // Save to localStorage
@@ -662,6 +733,19 @@ Answer:</textarea>
                 localStorage.setItem('earningsGenAI_anomalyAutoFlag', anomalyAutoFlag);
             }
             
+            localStorage.setItem('earningsGenAI_fiscalCalendar', JSON.stringify(fiscalCalendar));
+            this.documentProcessor.setFiscalCalendar(fiscalCalendar);
+            
+            // Uploads read the company's periods on its calendar; a failure here only affects the server side
+            const company = this.getCompany();
+            if (company) {
+                try {
+                    await this.api.saveFiscalCalendar(company, fiscalCalendar);
+                } catch (error) {
+                    console.warn('⚠️ Fiscal calendar not saved on server:', error.message);
+                }
+            }
+            
             // Send updated prompts to server
             const response = await fetch('/api/prompts/update', {
                 method: 'POST',
@@ -675,6 +759,15 @@ Answer:</textarea>
             });
             
             if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                if (errorData.issues) {
+                    // Template rejected - keep the modal open so the prompt can be fixed
+                    const issues = Object.entries(errorData.issues)
+                        .map(([kind, kindIssues]) => `${kind}: ${kindIssues.join(', ')}`)
+                        .join('; ');
+                    this.showToast(`Prompt not saved on server - ${issues}`, 'error');
+                    return;
+                }
                 throw new Error(`Server error: ${response.status}`);
             }
             
@@ -1072,6 +1165,285 @@ Answer:</textarea>
         window.location.href = 'folders.html';
     }
     
+    // The server writes the script section by section from the documents and the company
+    // settings; each section lands in the editor under its speaker, with its sources
+    async generateScript() {
+        if (this.scriptInFlight) return;
+        if (!this.documents || this.documents.length === 0) {
+            this.showToast('Upload documents before generating a script');
+            return;
+        }
+        
+        const editor = document.getElementById('articleEditor');
+        if (editor && editor.textContent.trim() && !confirm('Replace the editor content with a generated call script?')) {
+            return;
+        }
+        
+        const button = document.getElementById('generateScriptBtn');
+        this.scriptInFlight = true;
+        if (button) button.classList.add('animate-pulse');
+        
+        try {
+            const period = this.getScriptPeriod();
+            const result = await this.api.generateScript(this.documents, {
+                company: localStorage.getItem('earningsGenAI_companyTicker') || null,
+                companyName: localStorage.getItem('earningsGenAI_companyName') || null,
+                industryFocus: localStorage.getItem('earningsGenAI_industryFocus') || 'auto',
+                reportingPeriod: localStorage.getItem('earningsGenAI_reportingPeriod') || 'quarterly',
+                period
+            }, (progress) => {
+                this.showToast(`Writing ${progress.section} (${progress.completed + 1} of ${progress.total})...`);
+            });
+            
+            this.renderScript(editor, result.script, result.numericCheck);
+            const titleInput = document.getElementById('articleTitle');
+            if (titleInput) {
+                titleInput.value = [result.script.company || result.script.companyName, period, 'Earnings Call Script'].filter(Boolean).join(' ');
+            }
+            
+            const failed = result.script.failedSections || [];
+            this.showToast(failed.length > 0
+                ? `Script generated without ${failed.map(section => section.title).join(', ')}`
+                : 'Call script generated', failed.length > 0 ? 'info' : 'success');
+        } catch (error) {
+            console.error('❌ Script generation error:', error);
+            this.showToast(`Script generation failed: ${error.message}`);
+        } finally {
+            this.scriptInFlight = false;
+            if (button) button.classList.remove('animate-pulse');
+        }
+    }
+    
+    // The period of the most recent document with a fiscal period, e.g. "Q2 2025"
+    getScriptPeriod() {
+        const dated = this.documents
+            .filter(doc => doc.analysis && doc.analysis.period_range)
+            .sort((a, b) => b.analysis.period_range.end.localeCompare(a.analysis.period_range.end));
+        return dated.length > 0 ? dated[0].analysis.period : null;
+    }
+    
+    // One heading, speaker line and paragraphs per section, then its numbered sources.
+    // Text goes in as text nodes; figures the server could not verify are highlighted.
+    renderScript(editor, script, numericCheck) {
+        if (!editor) return;
+        editor.innerHTML = '';
+        
+        script.sections.forEach(section => {
+            const heading = document.createElement('h3');
+            heading.className = 'text-xl font-semibold text-slate-900 mt-6 mb-2';
+            heading.textContent = section.title;
+            editor.appendChild(heading);
+            
+            const speaker = document.createElement('p');
+            speaker.className = 'text-sm font-semibold text-blue-700 mb-2';
+            speaker.textContent = [section.speaker.name, section.speaker.title].filter(Boolean).join(', ');
+            editor.appendChild(speaker);
+            
+            section.text.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).forEach(paragraph => {
+                const element = document.createElement('p');
+                element.textContent = paragraph.trim();
+                if (window.NumericFlags && numericCheck) {
+                    element.innerHTML = window.NumericFlags.highlightHtml(element.innerHTML, numericCheck);
+                }
+                editor.appendChild(element);
+            });
+            
+            if (section.citations.length > 0) {
+                const sources = document.createElement('p');
+                sources.className = 'text-xs text-slate-500 mt-1';
+                sources.textContent = `Sources: ${section.citations
+                    .map(citation => `[${citation.number}] ${[citation.document, citation.location].filter(Boolean).join(', ')}`)
+                    .join(' · ')}`;
+                editor.appendChild(sources);
+            }
+        });
+        
+        if (window.NumericFlags && numericCheck) {
+            editor.insertAdjacentHTML('beforeend', window.NumericFlags.summaryHtml(numericCheck));
+        }
+    }
+    
+    // ============================================================================
+    // COMPLIANCE CHECK
+    // ============================================================================
+    
+    // Safe-harbor, forward-looking-statement and non-GAAP (Regulation G) rules over the whole
+    // editor; uploaded documents are searched for reconciliation tables. Findings are marked
+    // in place and listed section by section (h1-h4 headings) in the context panel.
+    checkCompliance() {
+        const editor = document.getElementById('articleEditor');
+        if (!editor || !window.ComplianceChecker) return;
+        
+        editor.querySelectorAll('mark[data-compliance]').forEach(mark => mark.replaceWith(document.createTextNode(mark.textContent)));
+        editor.normalize();
+        
+        const { text, nodes } = this.readDraftText(editor);
+        if (!text.trim()) {
+            this.showToast('Write or load a draft before checking compliance');
+            return;
+        }
+        
+        const sections = Array.from(editor.querySelectorAll('h1, h2, h3, h4'))
+            .map(heading => {
+                const entry = nodes.find(candidate => heading.contains(candidate.node));
+                return entry ? { title: heading.textContent.trim(), index: entry.start } : null;
+            })
+            .filter(Boolean);
+        const report = window.ComplianceChecker.check(text, { sections: sections.length > 0 ? sections : null });
+        const nonGaap = window.NonGaapChecker
+            ? window.NonGaapChecker.check(text, { sections: sections.length > 0 ? sections : null, documents: this.documents })
+            : null;
+        
+        // Worst finding first where two cover the same sentence, then placed last to first
+        const severities = ['high', 'medium', 'low'];
+        const placed = [];
+        [...report.findings, ...(nonGaap ? nonGaap.findings : [])]
+            .filter(finding => finding.end > finding.index)
+            .sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity))
+            .forEach(finding => {
+                if (!placed.some(other => finding.index < other.end && other.index < finding.end)) placed.push(finding);
+            });
+        const markClasses = {
+            high: 'bg-red-100 text-red-800 border-b-2 border-dotted border-red-500 rounded px-0.5',
+            medium: 'bg-amber-100 text-amber-900 border-b-2 border-dotted border-amber-500 rounded px-0.5',
+            low: 'bg-blue-50 text-blue-900 border-b border-dotted border-blue-400 rounded px-0.5'
+        };
+        let unplaced = 0;
+        placed.sort((a, b) => b.index - a.index).forEach(finding => {
+            const entry = nodes.find(candidate => finding.index >= candidate.start && finding.end <= candidate.start + candidate.node.nodeValue.length);
+            if (!entry) {
+                unplaced++;
+                return;
+            }
+            const range = document.createRange();
+            range.setStart(entry.node, finding.index - entry.start);
+            range.setEnd(entry.node, finding.end - entry.start);
+            const mark = document.createElement('mark');
+            mark.dataset.compliance = finding.rule;
+            mark.className = markClasses[finding.severity];
+            mark.title = `${finding.message}${finding.suggestion ? ` - suggested: ${finding.suggestion}` : ''}`;
+            range.surroundContents(mark);
+        });
+        if (unplaced > 0) {
+            console.warn(`⚠️ ${unplaced} compliance findings span formatting and were not marked`);
+        }
+        
+        this.nonGaapReport = nonGaap;
+        this.displayComplianceReport(report, nonGaap);
+        
+        const counts = ['high', 'medium', 'low'].map(severity => report.summary[severity] + (nonGaap ? nonGaap.summary[severity] : 0));
+        const status = [report.status, nonGaap ? nonGaap.status : 'pass'].includes('fail') ? 'fail'
+            : [report.status, nonGaap ? nonGaap.status : 'pass'].includes('review') ? 'review' : 'pass';
+        this.showToast(status === 'pass'
+            ? `Compliance check passed: ${report.summary.forwardLooking} forward-looking statements covered`
+            : `Compliance check: ${counts[0]} high, ${counts[1]} medium, ${counts[2]} low`, status === 'pass' ? 'success' : status === 'fail' ? 'error' : 'info');
+    }
+    
+    // The last non-GAAP check as a markdown report with a sign-off block for the legal reviewer
+    downloadNonGaapReport() {
+        if (!this.nonGaapReport || !window.NonGaapChecker) return;
+        const titleInput = document.getElementById('articleTitle');
+        const title = titleInput && titleInput.value.trim() ? titleInput.value.trim() : 'Untitled draft';
+        const report = window.NonGaapChecker.formatReport(this.nonGaapReport, { title, generatedAt: new Date().toLocaleString() });
+        
+        const blob = new Blob([report], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `non-gaap-review-${new Date().toISOString().split('T')[0]}.md`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    displayComplianceReport(report, nonGaap = null) {
+        const contextContent = document.getElementById('contextContent');
+        if (!contextContent) return;
+        
+        const escape = value => {
+            const element = document.createElement('span');
+            element.textContent = value;
+            return element.innerHTML;
+        };
+        const badges = {
+            high: 'bg-red-100 text-red-800',
+            medium: 'bg-amber-100 text-amber-800',
+            low: 'bg-blue-100 text-blue-800',
+            pass: 'bg-green-100 text-green-800'
+        };
+        const statusLabels = { fail: 'Fails', review: 'Needs review', pass: 'Passes' };
+        const badge = (severity, label) => `<span class="px-2 py-0.5 rounded text-xs font-medium ${badges[severity]}">${label}</span>`;
+        
+        const safeHarbor = report.safeHarbor
+            ? `Safe-harbor statement in ${escape(report.safeHarbor.section)}${report.safeHarbor.missing.length > 0 ? ', incomplete' : ''}`
+            : 'No safe-harbor statement';
+        // Both checks split the draft into the same sections; draft-wide non-GAAP findings are listed under the measures
+        const severities = ['high', 'medium', 'low'];
+        const sections = report.sections.map((section, position) => {
+            const findings = [...section.findings, ...(nonGaap ? nonGaap.sections[position].findings.filter(finding => finding.measure !== null) : [])]
+                .sort((a, b) => a.index - b.index);
+            const severity = severities.find(candidate => findings.some(finding => finding.severity === candidate));
+            return `
+            <div class="border-b border-slate-200 pb-3">
+                <div class="flex items-center justify-between mb-2">
+                    <h4 class="font-semibold text-slate-800">${escape(section.title)}</h4>
+                    ${severity ? badge(severity, severity.toUpperCase()) : badge('pass', 'OK')}
+                </div>
+                <p class="text-xs text-slate-500 mb-2">${section.forwardLooking} forward-looking${section.hasSafeHarbor ? ' · contains the safe-harbor statement' : ''}</p>
+                ${findings.map(finding => `
+                    <div class="p-2 mb-2 rounded-lg border border-slate-200 bg-slate-50">
+                        <div class="flex items-center gap-2 mb-1">${badge(finding.severity, finding.severity.toUpperCase())}<span class="text-sm text-slate-800">${escape(finding.message)}</span></div>
+                        ${finding.text ? `<p class="text-xs text-slate-600 italic">"${escape(finding.text.length > 160 ? `${finding.text.slice(0, 160)}...` : finding.text)}"</p>` : ''}
+                        ${finding.suggestion ? `<p class="text-xs text-green-700 mt-1">Suggested: ${escape(finding.suggestion)}</p>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        }).join('');
+        
+        const nonGaapSection = nonGaap && nonGaap.measures.length > 0 ? `
+            <div class="border-b border-slate-200 pb-3">
+                <div class="flex items-center justify-between mb-2">
+                    <h4 class="font-semibold text-slate-800">Non-GAAP Measures</h4>
+                    ${badge(nonGaap.status === 'pass' ? 'pass' : nonGaap.status === 'fail' ? 'high' : 'medium', statusLabels[nonGaap.status])}
+                </div>
+                ${nonGaap.measures.map(measure => `
+                    <div class="text-xs text-slate-700 mb-1">
+                        <span class="font-medium">${escape(measure.label)}</span>: ${escape(measure.gaapLabel)} in ${measure.mentions.filter(mention => mention.counterpart).length} of ${measure.mentions.length} mentions ·
+                        ${measure.reconciliation
+                            ? `reconciled in ${escape(measure.reconciliation.document || 'an upload')}${measure.reconciliation.page ? `, page ${measure.reconciliation.page}` : ''}`
+                            : nonGaap.documentsChecked > 0 ? 'no reconciliation found' : 'reconciliation not checked'}
+                    </div>
+                `).join('')}
+                ${nonGaap.findings.filter(finding => finding.measure === null).map(finding => `
+                    <div class="p-2 mt-2 rounded-lg border border-slate-200 bg-slate-50">
+                        <div class="flex items-center gap-2 mb-1">${badge(finding.severity, finding.severity.toUpperCase())}<span class="text-sm text-slate-800">${escape(finding.message)}</span></div>
+                        ${finding.suggestion ? `<p class="text-xs text-green-700 mt-1">Suggested: ${escape(finding.suggestion)}</p>` : ''}
+                    </div>
+                `).join('')}
+                <button onclick="window.simpleAI.downloadNonGaapReport()" class="mt-2 px-3 py-2 text-xs bg-slate-800 hover:bg-slate-900 text-white rounded-lg transition-colors">
+                    <i class="fas fa-file-signature mr-1"></i>Download sign-off report
+                </button>
+            </div>
+        ` : '';
+        
+        contextContent.innerHTML = `
+            <div class="space-y-4">
+                <div class="border-b border-slate-200 pb-4">
+                    <div class="flex items-center justify-between">
+                        <h3 class="text-sm font-semibold text-slate-800">Compliance Check</h3>
+                        ${badge(report.status === 'pass' ? 'pass' : report.status === 'fail' ? 'high' : 'medium', statusLabels[report.status])}
+                    </div>
+                    <p class="text-sm text-slate-600 mt-1">${safeHarbor} · ${report.summary.forwardLooking} forward-looking statements</p>
+                </div>
+                ${nonGaapSection}
+                ${sections}
+            </div>
+        `;
+        this.switchRightTab('context');
+    }
+    
     saveDocument() {
         console.log('💾💾💾 SAVE DOCUMENT FUNCTION CALLED! 💾💾💾');
         console.log('💾 This context:', this);
@@ -1243,6 +1615,9 @@ Answer:</textarea>
                             <span class="flex-1 text-slate-800 truncate">${displayTitle}</span>
                             <span class="text-xs text-slate-500 ml-2 whitespace-nowrap">${modifiedDate}</span>
                             <span class="text-xs text-slate-400 ml-2 w-12 text-right">${wordCount}w</span>
+                            <button class="ml-2 text-slate-400 hover:text-blue-600" title="Roll forward to next quarter" onclick="event.stopPropagation(); window.simpleAI.rollForwardDraft('${doc.id}')">
+                                <i class="fas fa-forward"></i>
+                            </button>
                         </div>
                     `;
                 });
@@ -1400,29 +1775,65 @@ Answer:</textarea>
         }
     }
     
+    // Metric history is kept per company: the ticker from Settings, else the company name
+    getCompany() {
+        return localStorage.getItem('earningsGenAI_companyTicker') || localStorage.getItem('earningsGenAI_companyName') || null;
+    }
+    
+    // The server parses each file (PDF pages, workbook sheets, DOCX headings, CSV/JSON records)
+    // and stores it for retrieval. Metric records from spreadsheets go into the company's metric history. Plain text can still be read locally when the server is down.
     async handleFileUpload(files) {
         for (const file of files) {
             try {
-                const text = await this.readFileAsText(file);
-                // Add document to DocumentProcessor (which saves to localStorage)
-                this.documentProcessor.addDocument({
+                const doc = {
                     name: file.name,
-                    text: text,
                     size: file.size,
                     type: file.type,
                     lastModified: file.lastModified
-                });
+                };
+                
+                let parsed = null;
+                try {
+                    parsed = await this.api.uploadFile(file, this.workspaceId, { company: this.getCompany() });
+                } catch (error) {
+                    // A parse error is final; a network error falls back for text files
+                    if (error.status || !/\.(txt|md)$/i.test(file.name)) throw error;
+                    console.warn(`⚠️ Server unavailable, reading ${file.name} locally:`, error.message);
+                }
+                
+                if (parsed) {
+                    doc.text = parsed.text;
+                    doc.format = parsed.format;
+                    doc.tableCount = parsed.tables.length;
+                    doc.metricCount = parsed.metrics.length;
+                    console.log(`📄 Parsed ${file.name} on server: ${parsed.format}, ${parsed.text.length} chars, ${parsed.tables.length} tables, ${parsed.metrics.length} metrics`);
+                } else {
+                    doc.text = await this.readFileAsText(file);
+                }
+                
+                // Add document to DocumentProcessor (which saves to localStorage)
+                this.documentProcessor.addDocument(doc);
+                if (parsed && parsed.document) {
+                    this.documentProcessor.setServerId(doc.name, parsed.document.id);
+                }
                 
                 // Refresh documents array from processor
                 this.documents = this.documentProcessor.getDocuments();
                 
                 console.log(`✅ File uploaded: ${file.name}`);
                 this.updateFileList();
+                
+                if (!parsed) {
+                    await this.uploadDocumentToServer(doc);
+                }
             } catch (error) {
                 console.error(`❌ Error reading file ${file.name}:`, error);
-                alert(`Error reading file ${file.name}. Please try again.`);
+                alert(`Error reading file ${file.name}: ${error.message}`);
             }
         }
+        
+        // A re-uploaded filing can change figures that drafts are bound to
+        this.refreshPlaceholders();
     }
     
     readFileAsText(file) {
@@ -1465,14 +1876,63 @@ Answer:</textarea>
         if (confirm('Are you sure you want to delete this document?')) {
             const docToDelete = this.documents[index];
             if (docToDelete) {
+                // Its metrics leave the history with it, so drafts are bound again afterwards
+                if (docToDelete.serverId) {
+                    this.api.deleteDocument(docToDelete.serverId)
+                        .then(() => this.refreshPlaceholders())
+                        .catch(error => console.error('❌ Error deleting document on server:', error));
+                }
                 this.documentProcessor.removeDocument(docToDelete.name);
                 this.documents = this.documentProcessor.getDocuments(); // Refresh documents array
                 this.updateFileList();
+                if (!docToDelete.serverId) {
+                    this.refreshPlaceholders();
+                }
                 console.log('🗑️ Document deleted:', docToDelete.name);
             }
         }
     }
     
+    // ============================================================================
+    // SERVER DOCUMENT REPOSITORY
+    // ============================================================================
+    
+    // Upload once; analysis and chat requests then send only the document's server ID
+    async uploadDocumentToServer(doc) {
+        try {
+            const stored = await this.api.uploadDocument(doc, this.workspaceId);
+            this.documentProcessor.setServerId(doc.name, stored.id);
+            console.log(`☁️ Document stored on server: ${doc.name} → ${stored.id}`);
+        } catch (error) {
+            // The document is sent inline with requests until the next sync succeeds
+            console.error(`❌ Error uploading ${doc.name} to server:`, error);
+        }
+    }
+    
+    // Upload documents the server doesn't have yet (older uploads, a fresh server store),
+    // and fetch the text of documents that were too large to keep in localStorage
+    async syncDocumentsWithServer() {
+        try {
+            const serverDocuments = await this.api.listDocuments(this.workspaceId);
+            const serverIds = new Set(serverDocuments.map(doc => doc.id));
+            
+            for (const doc of this.documents) {
+                if (doc.textOnServer) {
+                    // Too large for localStorage - the server copy is the only one
+                    if (serverIds.has(doc.serverId)) {
+                        doc.text = await this.api.getDocumentText(doc.serverId);
+                    } else {
+                        console.warn(`⚠️ ${doc.name} is no longer on the server and its text was not kept locally - upload it again`);
+                    }
+                } else if (!doc.serverId || !serverIds.has(doc.serverId)) {
+                    await this.uploadDocumentToServer(doc);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error syncing documents with server:', error);
+        }
+    }
+    
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -1571,24 +2031,25 @@ Answer:</textarea>
         this.showLoadingStatus(text);
         
         try {
-            // Use the actual RAG backend to get real context
-            const response = await fetch('/api/analyze-context', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    prompt: text,
-                    documents: this.documents // Include uploaded documents for context
-                })
+            // Use the actual RAG backend to get real context, rendering text as it streams in
+            let streamStarted = false;
+            const analysis = await window.StreamingClient.postStream('/api/analyze-context', {
+                prompt: text,
+                company: this.getCompany(), // Reported history of metrics named in the selection
+                ...APIHandler.buildDocumentScope(this.documents) // Stored documents go by ID
+            }, {
+                onText: (delta, fullText) => {
+                    if (!streamStarted) {
+                        streamStarted = true;
+                        this.hideLoadingStatus();
+                    }
+                    this.renderStreamingContextAnalysis(fullText, text);
+                }
             });
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (!streamStarted) {
+                this.hideLoadingStatus();
             }
-            
-            const analysis = await response.json();
-            this.hideLoadingStatus();
             this.displayRAGContextAnalysis(analysis, text);
             console.log('✅ RAG context analysis completed successfully');
             
@@ -1634,7 +2095,7 @@ Answer:</textarea>
                 
                 <div class="border-b border-slate-200 pb-3">
                     <h4 class="font-semibold text-slate-800 mb-2">Context:</h4>
-                    <div class="text-sm text-slate-700 leading-relaxed">${this.formatBulletPoints(analysis.content && analysis.content[0] ? analysis.content[0].text : 'No analysis available')}</div>
+                    <div id="contextAnalysisText" class="text-sm text-slate-700 leading-relaxed">${this.formatFlaggedAnalysis(analysis)}</div>
                 </div>
                 
                 ${analysis.context ? `
@@ -1646,6 +2107,13 @@ Answer:</textarea>
                     </div>
                 ` : ''}
                 
+                ${analysis.metricHistory && analysis.metricHistory.length > 0 ? `
+                    <div class="border-b border-slate-200 pb-3">
+                        <h4 class="font-semibold text-slate-800 mb-2">Reported History:</h4>
+                        ${analysis.metricHistory.map(series => this.renderMetricHistory(series)).join('')}
+                    </div>
+                ` : ''}
+                
                 ${analysis.sources && analysis.sources.length > 0 ? `
                     <div>
                         <h4 class="font-semibold text-slate-800 mb-2">Sources:</h4>
@@ -1671,6 +2139,17 @@ Answer:</textarea>
         `;
     }
     
+    // Update the context panel with partial text while Claude is still streaming
+    renderStreamingContextAnalysis(partialText, selectedText) {
+        const textContainer = document.getElementById('contextAnalysisText');
+        if (!textContainer) {
+            this.displayRAGContextAnalysis({ content: [{ text: partialText }] }, selectedText);
+            return;
+        }
+        
+        textContainer.innerHTML = this.formatBulletPoints(partialText);
+    }
+    
     displayContextAnalysis(analysis) {
         const contextContent = document.getElementById('contextContent');
         if (!contextContent) return;
@@ -1768,7 +2247,7 @@ Answer:</textarea>
                 },
                 body: JSON.stringify({
                     message: question,
-                    documents: this.documents
+                    ...APIHandler.buildDocumentScope(this.documents)
                 })
             });
 
@@ -1854,6 +2333,15 @@ Answer:</textarea>
             });
         }
         
+        const newChatBtn = document.getElementById('newChatBtn');
+        if (newChatBtn) {
+            newChatBtn.addEventListener('click', () => {
+                this.startNewConversation().catch(error => {
+                    console.error('❌ Error starting conversation:', error);
+                });
+            });
+        }
+        
         if (chatPromptForm) {
             chatPromptForm.addEventListener('click', () => {
                 this.sendChatMessage();
@@ -1913,53 +2401,122 @@ Answer:</textarea>
         const chatPromptInput = document.getElementById('chatPromptInput');
         const chatHistory = document.getElementById('chatHistory');
         
-        if (!chatPromptInput || !chatHistory) return;
+        if (!chatPromptInput || !chatHistory || this.chatInFlight) return;
         
         const message = chatPromptInput.value.trim();
         if (!message) return;
         
-        // Add user message
-        const userMessage = document.createElement('div');
-        userMessage.className = 'chat-message ml-auto bg-blue-500 text-white';
-        userMessage.textContent = message;
-        chatHistory.appendChild(userMessage);
+        this.chatInFlight = true;
+        this.appendChatMessage('user', message);
         
-        // Clear input and show placeholder again
+        // Clear input
         chatPromptInput.value = '';
-        this.showChatPlaceholder();
-        
-        // Scroll to bottom
-        chatHistory.scrollTop = chatHistory.scrollHeight;
+        this.hideChatPlaceholder();
         
-        // Show typing indicator
-        const typingIndicator = document.createElement('div');
-        typingIndicator.className = 'chat-message bg-slate-100 text-slate-700';
-        typingIndicator.innerHTML = '<i class="fas fa-circle animate-pulse"></i> <i class="fas fa-circle animate-pulse"></i> <i class="fas fa-circle animate-pulse"></i>';
-        chatHistory.appendChild(typingIndicator);
+        // Show typing indicator until the first streamed text arrives
+        const aiMessage = this.appendChatMessage('assistant', '');
+        aiMessage.innerHTML = '<i class="fas fa-circle animate-pulse"></i> <i class="fas fa-circle animate-pulse"></i> <i class="fas fa-circle animate-pulse"></i>';
         
-        // Simulate AI response
-        setTimeout(() => {
-            typingIndicator.remove();
+        try {
+            if (!this.conversationId) {
+                await this.startNewConversation({ clearHistory: false });
+            }
             
-            const aiMessage = document.createElement('div');
-            aiMessage.className = 'chat-message bg-slate-100 text-slate-700';
-            aiMessage.innerHTML = this.generateAIResponse(message);
-            chatHistory.appendChild(aiMessage);
+            const onText = (delta, fullText) => {
+                aiMessage.textContent = fullText;
+                chatHistory.scrollTop = chatHistory.scrollHeight;
+            };
+            
+            // Large prompts are analyzed in parts before the answer starts streaming
+            const onProgress = (progress) => {
+                aiMessage.textContent = progress.stage === 'map'
+                    ? `Analyzing part ${progress.chunk} of ${progress.total}...`
+                    : `Combining findings from ${progress.completed} parts...`;
+            };
+            
+            let result;
+            try {
+                result = await this.api.chatTurn(this.conversationId, message, this.documents, onText, onProgress);
+            } catch (error) {
+                // The server lost the conversation (e.g. its store was cleared) - start over once
+                if (error.status !== 404) throw error;
+                await this.startNewConversation({ clearHistory: false });
+                result = await this.api.chatTurn(this.conversationId, message, this.documents, onText, onProgress);
+            }
             
+            const answer = window.StreamingClient ? window.StreamingClient.getText(result) : result.content[0].text;
+            if (window.NumericFlags && result.numericCheck) {
+                window.NumericFlags.renderText(aiMessage, answer, result.numericCheck);
+                aiMessage.insertAdjacentHTML('beforeend', window.NumericFlags.summaryHtml(result.numericCheck));
+            } else {
+                aiMessage.textContent = answer;
+            }
+            if (result.historyTruncated) {
+                console.log(`✂️ Earlier turns were left out to fit the history budget (${result.historyTurns} sent)`);
+            }
+            if (result.synthesis && result.synthesis.droppedChunks.length > 0) {
+                const note = document.createElement('p');
+                note.className = 'mt-2 text-xs text-amber-700';
+                note.textContent = `⚠️ ${result.synthesis.droppedChunks.length} of ${result.synthesis.totalChunks} document parts could not be analyzed, so this answer may be incomplete.`;
+                aiMessage.appendChild(note);
+            }
+        } catch (error) {
+            console.error('❌ Chat error:', error);
+            aiMessage.textContent = 'Sorry, I could not get an answer. Please try again.';
+            aiMessage.classList.add('text-red-600');
+        } finally {
+            this.chatInFlight = false;
             chatHistory.scrollTop = chatHistory.scrollHeight;
-        }, 1500);
+        }
     }
     
-    generateAIResponse(message) {
-        const responses = [
-            "I can help you analyze that financial data. What specific aspects would you like me to focus on?",
-            "That's an interesting question about earnings. Let me break down the key metrics for you.",
-            "I can see you're looking at revenue trends. Would you like me to compare this with previous quarters?",
-            "Great question! Let me analyze the EBITDA growth and provide some insights.",
-            "I can help you understand the market performance. What specific data points are you most interested in?"
-        ];
+    // role is 'user' or 'assistant'; text is rendered as plain text
+    appendChatMessage(role, text) {
+        const chatHistory = document.getElementById('chatHistory');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = role === 'user'
+            ? 'chat-message ml-auto mb-3 p-3 rounded-xl text-sm bg-blue-500 text-white whitespace-pre-wrap'
+            : 'chat-message mb-3 p-3 rounded-xl text-sm bg-slate-100 text-slate-700 whitespace-pre-wrap';
+        messageDiv.textContent = text;
+        chatHistory.appendChild(messageDiv);
+        chatHistory.scrollTop = chatHistory.scrollHeight;
+        return messageDiv;
+    }
+    
+    async startNewConversation({ clearHistory = true } = {}) {
+        const conversation = await this.api.createConversation(this.workspaceId);
+        this.conversationId = conversation.id;
+        localStorage.setItem('earningsGenAI_conversationId', conversation.id);
+        console.log('💬 Started conversation:', conversation.id);
+        
+        if (clearHistory) {
+            const chatHistory = document.getElementById('chatHistory');
+            if (chatHistory) {
+                chatHistory.querySelectorAll('.chat-message').forEach(el => el.remove());
+            }
+            this.showChatPlaceholder();
+        }
+    }
+    
+    // Re-render the stored conversation so follow-ups keep their context after a reload
+    async restoreConversation() {
+        if (!this.conversationId) return;
         
-        return responses[Math.floor(Math.random() * responses.length)];
+        try {
+            const conversation = await this.api.getConversation(this.conversationId);
+            if (!conversation) {
+                this.conversationId = null;
+                localStorage.removeItem('earningsGenAI_conversationId');
+                return;
+            }
+            
+            if (conversation.messages.length > 0) {
+                this.hideChatPlaceholder();
+                conversation.messages.forEach(msg => this.appendChatMessage(msg.role, msg.content));
+            }
+        } catch (error) {
+            console.error('❌ Error restoring conversation:', error);
+        }
     }
 
     // Hide chat placeholder when user starts typing
@@ -2007,6 +2564,14 @@ Answer:</textarea>
     }
 
     // Format bullet points to ensure consistent spacing
+    // Bullet formatting plus highlights for figures the server could not verify
+    formatFlaggedAnalysis(analysis) {
+        const html = this.formatBulletPoints(analysis.content && analysis.content[0] ? analysis.content[0].text : 'No analysis available');
+        if (!window.NumericFlags || !analysis.numericCheck) return html;
+        
+        return window.NumericFlags.highlightHtml(html, analysis.numericCheck) + window.NumericFlags.summaryHtml(analysis.numericCheck);
+    }
+    
     formatBulletPoints(text) {
         if (!text) return 'No analysis available';
         
@@ -2053,8 +2618,17 @@ Answer:</textarea>
             const suggestedIndustry = this.anomalyDetection.suggestIndustry(text);
             console.log(`🏭 Suggested industry: ${suggestedIndustry}`);
             
+            // Trends compare against the company's reported history; without the server they
+            // fall back to imported baselines
+            let history = null;
+            try {
+                history = await this.api.getMetricHistory(this.getCompany());
+            } catch (error) {
+                console.warn('⚠️ Metric history unavailable:', error.message);
+            }
+            
             // Process text for anomalies
-            const analysis = await this.anomalyDetection.processText(text, suggestedIndustry);
+            const analysis = await this.anomalyDetection.processText(text, suggestedIndustry, history);
             
             // Display anomaly analysis results
             this.displayAnomalyAnalysis(analysis, text);
@@ -2108,6 +2682,7 @@ Answer:</textarea>
                         ${metric.trend.hasBaseline ? `
                             <div class="text-xs text-slate-600 mt-1">${metric.trend.message}</div>
                         ` : ''}
+                        ${metric.trend.history ? this.renderMetricHistory(metric.trend.history) : ''}
                     </div>
                 `;
             });
@@ -2201,6 +2776,37 @@ Answer:</textarea>
         contextContent.innerHTML = html;
     }
 
+    // One reported series: recent periods, the latest QoQ / YoY change and the sequential run.
+    // Takes a series from /api/metrics or a trend's history summary.
+    renderMetricHistory(series) {
+        const formatValue = (value, unit) => unit === 'percent'
+            ? `${value}%`
+            : `${unit && unit.startsWith('USD') ? '$' : ''}${FinancialQuantity.compact(value)}`;
+        const formatChange = (name, change) => {
+            if (!change) return null;
+            const sign = change.change > 0 ? '+' : '';
+            return series.unit === 'percent' || change.changePercent === null
+                ? `${name} ${sign}${Number(change.change.toFixed(2))}${series.unit === 'percent' ? ' pts' : ''}`
+                : `${name} ${change.changePercent > 0 ? '+' : ''}${change.changePercent}%`;
+        };
+        const arrows = { up: '↑', down: '↓', flat: '→' };
+        
+        const points = series.points.map(point =>
+            `${point.period}${point.estimate ? 'E' : ''} ${formatValue(point.value, series.unit)}`).join(' · ');
+        const changes = [
+            series.latest && formatChange('QoQ', series.latest.qoq),
+            series.latest && formatChange('YoY', series.latest.yoy),
+            series.trend && `${arrows[series.trend.direction]} ${series.trend.periods} period${series.trend.periods === 1 ? '' : 's'} since ${series.trend.from}`
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <div class="text-xs text-slate-600 mt-1">
+                <span class="font-medium text-slate-700">${series.label}:</span> ${points}
+                ${changes ? `<div class="text-slate-500">${changes}</div>` : ''}
+            </div>
+        `;
+    }
+    
     // Get CSS classes based on severity
     getSeverityClass(severity) {
         switch (severity) {
@@ -2281,6 +2887,11 @@ Answer:</textarea>
                 const titleToLoad = doc.originalTitle || doc.title;
                 titleInput.value = titleToLoad;
                 editorContent.innerHTML = doc.html || doc.text || '';
+                this.renderEditorPlaceholders().then(result => {
+                    if (result && result.updated > 0) {
+                        this.showToast(`${result.updated} figure${result.updated === 1 ? '' : 's'} changed since this draft was saved - highlighted in amber`, 'info');
+                    }
+                });
                 
                 console.log('✅ Draft loaded successfully:', titleToLoad);
             } else {
@@ -2292,6 +2903,236 @@ Answer:</textarea>
             alert('Error loading draft: ' + error.message);
         }
     }
+    
+    // Copy a saved draft to the next quarter. The server moves every period reference and
+    // re-reads each figure from the company's metric history; the copy highlights what
+    // changed (green) and what still needs a hand (red), with the reason in the tooltip.
+    async rollForwardDraft(docId) {
+        const savedDocuments = JSON.parse(localStorage.getItem('earningsGenAI_savedDocuments') || '[]');
+        const draft = savedDocuments.find(doc => doc.id === docId);
+        if (!draft) {
+            this.showToast('Draft not found', 'error');
+            return;
+        }
+        
+        const container = document.createElement('div');
+        if (draft.html) {
+            container.innerHTML = draft.html;
+        } else {
+            container.textContent = draft.text || '';
+        }
+        const { text, nodes } = this.readDraftText(container, { maskPlaceholders: true });
+        const originalTitle = draft.originalTitle || draft.title;
+        
+        try {
+            this.showToast('Rolling draft forward...');
+            const result = await this.api.rollForwardDraft(text, { title: originalTitle, company: this.getCompany() });
+            
+            const marks = [
+                ...result.changes.map(change => ({
+                    ...change,
+                    className: 'bg-green-100 text-green-900 rounded px-0.5',
+                    title: change.kind === 'figure'
+                        ? `Was ${change.text} (${change.metric.label}, ${change.period.from})${change.checked ? '' : ' - old value not in history'}${change.source && change.source.documentName ? ` · ${change.source.documentName}` : ''}`
+                        : `Was ${change.text}`
+                })),
+                ...result.review.map(item => ({
+                    ...item,
+                    replacement: item.text,
+                    className: 'bg-red-100 text-red-800 border-b-2 border-dotted border-red-500 rounded px-0.5',
+                    title: `Check: ${item.reason}${item.suggestion ? ` (suggested: ${item.suggestion})` : ''}`
+                }))
+            ].sort((a, b) => b.index - a.index);
+            
+            // Last to first, so the offsets of earlier marks still point into unchanged text
+            let unplaced = 0;
+            marks.forEach(mark => {
+                const entry = nodes.find(candidate => mark.index >= candidate.start && mark.end <= candidate.start + candidate.node.nodeValue.length);
+                if (!entry) {
+                    unplaced++;
+                    return;
+                }
+                const range = document.createRange();
+                range.setStart(entry.node, mark.index - entry.start);
+                range.setEnd(entry.node, mark.end - entry.start);
+                const element = document.createElement('mark');
+                element.className = mark.className;
+                element.title = mark.title;
+                element.textContent = mark.replacement;
+                range.deleteContents();
+                range.insertNode(element);
+            });
+            if (unplaced > 0) {
+                console.warn(`⚠️ ${unplaced} roll-forward edits span formatting and were not applied`);
+            }
+            
+            // Placeholders move to the new period and are bound again as new figures
+            const placeholders = container.querySelectorAll('[data-metric-placeholder]');
+            if (placeholders.length > 0 && window.MetricPlaceholders) {
+                placeholders.forEach(span => {
+                    span.dataset.metricPlaceholder = window.MetricPlaceholders.shiftKey(span.dataset.metricPlaceholder, result.fromPeriod, result.toPeriod);
+                    delete span.dataset.value;
+                    delete span.dataset.previous;
+                });
+                window.MetricPlaceholders.render(container, await this.getPlaceholderContext());
+            }
+            
+            const now = new Date();
+            const prefix = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_` +
+                `${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}`;
+            const rolledTitle = result.title && result.title !== originalTitle ? result.title : `${originalTitle} (${result.toPeriod})`;
+            const rolledText = this.readDraftText(container).text;
+            const rolled = {
+                id: Date.now().toString(),
+                title: `${prefix}_${rolledTitle}`,
+                originalTitle: rolledTitle,
+                text: rolledText,
+                html: container.innerHTML,
+                wordCount: rolledText.split(/\s+/).filter(word => word.length > 0).length,
+                created: now.toISOString(),
+                modified: now.toISOString(),
+                folderId: draft.folderId || 'drafts-default',
+                type: 'draft',
+                rolledFrom: { id: draft.id, fromPeriod: result.fromPeriod, toPeriod: result.toPeriod }
+            };
+            savedDocuments.push(rolled);
+            localStorage.setItem('earningsGenAI_savedDocuments', JSON.stringify(savedDocuments));
+            
+            this.updateDraftsTab();
+            this.loadDraftDirectly(rolled.id);
+            
+            const { periods, figures, review } = result.summary;
+            this.showToast(`Rolled ${result.fromPeriod} to ${result.toPeriod}: ${figures} figures and ${periods} periods updated` +
+                (review + unplaced > 0 ? `, ${review + unplaced} to check` : ''), review + unplaced > 0 ? 'info' : 'success');
+        } catch (error) {
+            console.error('❌ Roll-forward failed:', error);
+            const issues = error.issues && error.issues.length > 0 ? ` - ${error.issues.join('; ')}` : '';
+            this.showToast(`Roll-forward failed: ${error.message}${issues}`, 'error');
+        }
+    }
+    
+    // Plain text of saved draft html, with a line break between blocks so sentences stay
+    // apart, and where each text node starts in it. maskPlaceholders blanks bound figures
+    // (keeping their length) for readers that should leave them alone.
+    readDraftText(container, { maskPlaceholders = false } = {}) {
+        const nodes = [];
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        let text = '';
+        let block = null;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const nodeBlock = node.parentElement.closest('p, div, li, h1, h2, h3, h4, h5, h6, blockquote, td, th') || container;
+            if (block && nodeBlock !== block) text += '\n';
+            block = nodeBlock;
+            nodes.push({ node, start: text.length });
+            const masked = maskPlaceholders && node.parentElement.closest('[data-metric-placeholder]');
+            text += masked ? ' '.repeat(node.nodeValue.length) : node.nodeValue;
+        }
+        return { text, nodes };
+    }
+    
+    // ============================================================================
+    // METRIC PLACEHOLDERS
+    // ============================================================================
+    
+    // {{revenue.Q3_2025}} typed in the editor becomes the reported figure once its closing
+    // braces are typed. Clicking a figure flagged as changed accepts the new value.
+    initMetricPlaceholders() {
+        const articleEditor = document.getElementById('articleEditor');
+        if (!articleEditor || !window.MetricPlaceholders) return;
+        
+        articleEditor.addEventListener('input', (e) => {
+            if (e.data && e.data.includes('}') && articleEditor.textContent.includes('{{')) {
+                this.renderEditorPlaceholders({ placeCaret: true });
+            }
+        });
+        articleEditor.addEventListener('click', (e) => {
+            const flagged = e.target.closest('[data-metric-placeholder][data-previous]');
+            if (flagged) window.MetricPlaceholders.accept(flagged);
+        });
+    }
+    
+    // The company's metric history and the figures extractFinancialData reads in each uploaded
+    // document. Kept until an upload or deletion changes them.
+    async getPlaceholderContext() {
+        if (!this.placeholderContext) {
+            const series = await this.api.getMetricHistory(this.getCompany()).catch(error => {
+                console.warn('⚠️ Metric history unavailable for placeholders:', error.message);
+                return [];
+            });
+            const documents = this.documents.filter(doc => doc.text).map(doc => this.readDocumentFigures(doc));
+            this.placeholderContext = { series, documents };
+        }
+        return this.placeholderContext;
+    }
+    
+    // { name, period, figures } for one document; each figure keeps the page of its first mention
+    readDocumentFigures(doc) {
+        const financialData = (doc.analysis && doc.analysis.financial_data) || this.documentProcessor.extractFinancialData(doc.text);
+        const period = this.documentProcessor.fiscalCalendar.findPeriod(doc.text);
+        const figures = {};
+        Object.entries(financialData)
+            .filter(([key]) => key !== 'quarter' && key !== 'year')
+            .forEach(([key, matches]) => {
+                figures[key] = matches.map(match => {
+                    const quantity = window.FinancialQuantity.extract(match)[0];
+                    if (!quantity) return null;
+                    const pages = doc.text.slice(0, Math.max(doc.text.indexOf(match), 0)).match(/\[Page (\d+)\]/g);
+                    return { text: quantity.text, value: quantity.value, page: pages ? Number(pages[pages.length - 1].match(/\d+/)[0]) : null };
+                }).filter(Boolean);
+            });
+        return { name: doc.name, period: period ? period.label : null, figures };
+    }
+    
+    // Returns the render counts, or null when the editor has no placeholders
+    async renderEditorPlaceholders({ placeCaret = false } = {}) {
+        const editor = document.getElementById('articleEditor');
+        if (!editor || !window.MetricPlaceholders) return null;
+        if (!editor.querySelector('[data-metric-placeholder]') && !editor.textContent.includes('{{')) return null;
+        
+        const result = window.MetricPlaceholders.render(editor, await this.getPlaceholderContext());
+        if (placeCaret && result.created.length > 0) {
+            const range = document.createRange();
+            range.setStartAfter(result.created[result.created.length - 1]);
+            range.collapse(true);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        return result;
+    }
+    
+    // After an upload or deletion, the editor and every saved draft with placeholders are
+    // bound again. Changed figures show their new value, flagged until accepted in the editor.
+    async refreshPlaceholders() {
+        if (!window.MetricPlaceholders) return;
+        this.placeholderContext = null;
+        const context = await this.getPlaceholderContext();
+        const editorResult = await this.renderEditorPlaceholders();
+        
+        const savedDocuments = JSON.parse(localStorage.getItem('earningsGenAI_savedDocuments') || '[]');
+        let changedDrafts = 0;
+        savedDocuments.forEach(doc => {
+            if (!doc.html || !doc.html.includes('data-metric-placeholder')) return;
+            const container = document.createElement('div');
+            container.innerHTML = doc.html;
+            const result = window.MetricPlaceholders.render(container, context);
+            if (container.innerHTML === doc.html) return;
+            
+            doc.html = container.innerHTML;
+            doc.text = this.readDraftText(container).text;
+            doc.modified = new Date().toISOString();
+            if (result.updated + result.unresolved > 0) changedDrafts++;
+        });
+        if (changedDrafts > 0) {
+            localStorage.setItem('earningsGenAI_savedDocuments', JSON.stringify(savedDocuments));
+            this.updateDraftsTab();
+        }
+        
+        const editorChanged = editorResult ? editorResult.updated + editorResult.unresolved : 0;
+        if (changedDrafts > 0 || editorChanged > 0) {
+            this.showToast(`Figures changed in ${changedDrafts > 0 ? `${changedDrafts} saved draft${changedDrafts === 1 ? '' : 's'}` : 'the editor'} - highlighted for review`, 'info');
+        }
+    }
 }
 
 // Initialize when DOM is loaded
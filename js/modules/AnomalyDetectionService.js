@@ -61,7 +61,8 @@ export class AnomalyDetectionService {
             }
         };
 
-        // Historical baseline storage
+        // Baselines imported from a file (importHistoricalData); trends use them only when the
+        // server's metric history is unavailable
         this.historicalBaselines = this.loadHistoricalBaselines();
         
         // Change magnitude thresholds
@@ -94,31 +95,28 @@ export class AnomalyDetectionService {
     }
 
     // Extract and validate financial metrics from text
-    extractAndValidateMetrics(text, industry = 'general') {
+    // history: metric series from GET /api/metrics (see processText)
+    extractAndValidateMetrics(text, industry = 'general', history = null) {
         const metrics = [];
-        const patterns = [
-            // Percentage patterns
-            { regex: /(\d+\.?\d*)%/g, type: 'percentage' },
-            // Ratio patterns
-            { regex: /(\d+\.?\d*)\s*(ratio|ratio\s+of|ratio\s+to)/gi, type: 'ratio' },
-            // Currency patterns
-            { regex: /\$(\d+(?:,\d{3})*(?:\.\d{2})?)\s*(billion|million|thousand)?/gi, type: 'currency' },
-            // Growth patterns
-            { regex: /(\d+\.?\d*)%\s*(growth|increase|decrease|change)/gi, type: 'growth' }
-        ];
-
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.regex.exec(text)) !== null) {
-                const value = parseFloat(match[1].replace(/,/g, ''));
-                const context = this.extractContext(text, match.index, 100);
-                
-                if (!isNaN(value)) {
-                    const metric = this.createMetricObject(value, pattern.type, context, industry);
-                    if (metric) {
-                        metrics.push(metric);
-                    }
-                }
+
+        // Amounts keep their scale ("$1.2 billion" is 1,200,000,000); a percentage followed by
+        // a change word is growth; a bare number or multiple followed by "ratio" is a ratio
+        window.FinancialQuantity.extract(text, { includeBare: true }).forEach(quantity => {
+            const following = text.substring(quantity.end, quantity.end + 30);
+            let type = null;
+            if (quantity.type === 'percent') {
+                type = /^\s*(growth|increase|decrease|change)/i.test(following) ? 'growth' : 'percentage';
+            } else if (quantity.type === 'amount' || quantity.type === 'per_share') {
+                type = 'currency';
+            } else if ((quantity.type === 'number' || quantity.type === 'multiple') && /^\s*ratio/i.test(following)) {
+                type = 'ratio';
+            }
+            if (!type) return;
+
+            const context = this.extractContext(text, quantity.index, 100);
+            const metric = this.createMetricObject(quantity.value, type, context, industry, history);
+            if (metric) {
+                metrics.push(metric);
             }
         });
 
@@ -126,14 +124,14 @@ export class AnomalyDetectionService {
     }
 
     // Create a metric object with validation
-    createMetricObject(value, type, context, industry) {
+    createMetricObject(value, type, context, industry, history = null) {
         // Try to identify the specific metric type
         const metricType = this.identifyMetricType(context, value, industry);
         
         if (!metricType) return null;
 
         const validation = this.validateMetric(value, metricType, industry);
-        const trend = this.analyzeTrend(value, metricType, industry);
+        const trend = this.analyzeTrend(value, metricType, industry, this.findHistorySeries(history, metricType, industry), context);
         
         return {
             value: value,
@@ -224,9 +222,10 @@ export class AnomalyDetectionService {
         };
     }
 
-    // Analyze trends and changes
-    analyzeTrend(value, metricType, industry) {
-        const baseline = this.getHistoricalBaseline(metricType, industry);
+    // Analyze trends and changes against the metric's reported series, or an imported baseline
+    // when there is no series
+    analyzeTrend(value, metricType, industry, series = null, context = '') {
+        const baseline = series ? this.baselineFromSeries(series, context) : this.getHistoricalBaseline(metricType, industry);
         
         if (!baseline) {
             return {
@@ -241,13 +240,14 @@ export class AnomalyDetectionService {
         const changePercent = (change / baseline.value) * 100;
         const magnitude = this.categorizeChangeMagnitude(Math.abs(changePercent));
 
+        const from = baseline.period ? `${baseline.period} (${baseline.source})` : 'baseline';
         let message = '';
         if (change > 0) {
-            message = `📈 ${metricType} increased by ${changePercent.toFixed(1)}% from baseline of ${baseline.value}`;
+            message = `📈 ${metricType} increased by ${changePercent.toFixed(1)}% from ${from} of ${baseline.value}`;
         } else if (change < 0) {
-            message = `📉 ${metricType} decreased by ${Math.abs(changePercent).toFixed(1)}% from baseline of ${baseline.value}`;
+            message = `📉 ${metricType} decreased by ${Math.abs(changePercent).toFixed(1)}% from ${from} of ${baseline.value}`;
         } else {
-            message = `➡️ ${metricType} unchanged from baseline of ${baseline.value}`;
+            message = `➡️ ${metricType} unchanged from ${from} of ${baseline.value}`;
         }
 
         // Add anomaly detection for dramatic changes
@@ -264,10 +264,51 @@ export class AnomalyDetectionService {
             changePercent: changePercent,
             magnitude: magnitude,
             message: message,
+            history: series ? this.summarizeHistory(series) : null,
             requiresVerification: magnitude === 'dramatic' || magnitude === 'significant'
         };
     }
 
+    // The company's series for a metric type: a percentage series whose label names it,
+    // preferring the one reported most recently
+    findHistorySeries(history, metricType, industry) {
+        const candidates = (history || []).filter(series =>
+            series.unit === 'percent' && series.latest &&
+            this.identifyMetricType(series.label, series.latest.value, industry) === metricType);
+        return candidates.sort((a, b) => b.latest.periodOrder - a.latest.periodOrder)[0] || null;
+    }
+
+    // The reported period before the quarter the text mentions ("MLR of 85.2% in Q3 2025"
+    // compares with Q2 2025), else the latest reported one. Estimates are never a baseline.
+    baselineFromSeries(series, context = '') {
+        const mentioned = (context || '').match(/\bQ([1-4])\s?(?:FY\s?)?(\d{4})\b/i);
+        const before = mentioned ? Number(mentioned[2]) * 10 + Number(mentioned[1]) : Infinity;
+        const reported = (series.points || [series.latest])
+            .filter(point => point && !point.estimate && point.periodOrder < before &&
+                (!mentioned || point.periodType === 'quarter'));
+        const point = reported[reported.length - 1];
+        if (!point) return null;
+
+        return {
+            value: point.value,
+            metricType: series.label,
+            period: point.period,
+            source: point.source.documentName || 'reported',
+            timestamp: point.recordedAt
+        };
+    }
+
+    // Recent points, the latest reported point with its QoQ / YoY changes, and the sequential run
+    summarizeHistory(series) {
+        return {
+            label: series.label,
+            unit: series.unit,
+            points: (series.points || [series.latest]).slice(-5),
+            latest: series.latest,
+            trend: series.trend
+        };
+    }
+
     // Categorize change magnitude
     categorizeChangeMagnitude(changePercent) {
         if (changePercent >= this.changeThresholds.dramatic) return 'dramatic';
@@ -283,20 +324,6 @@ export class AnomalyDetectionService {
         return this.historicalBaselines[key] || null;
     }
 
-    // Update historical baseline
-    updateHistoricalBaseline(metricType, industry, value, context) {
-        const key = `${industry}_${metricType}`;
-        this.historicalBaselines[key] = {
-            value: value,
-            metricType: metricType,
-            industry: industry,
-            context: context,
-            timestamp: new Date().toISOString(),
-            updateCount: (this.historicalBaselines[key]?.updateCount || 0) + 1
-        };
-        this.saveHistoricalBaselines();
-    }
-
     // Extract context around a match
     extractContext(text, index, contextLength) {
         const start = Math.max(0, index - contextLength);
@@ -382,25 +409,19 @@ export class AnomalyDetectionService {
         return summary;
     }
 
-    // Process text and return comprehensive analysis
-    async processText(text, industry = 'general') {
+    // Process text and return comprehensive analysis. history is the company's metric series
+    // (GET /api/metrics?includePoints=true); highlighted text is never written back to it.
+    async processText(text, industry = 'general', history = null) {
         try {
             console.log('🔍 Starting anomaly detection analysis...');
             
             // Extract and validate metrics
-            const metrics = this.extractAndValidateMetrics(text, industry);
+            const metrics = this.extractAndValidateMetrics(text, industry, history);
             console.log(`📊 Found ${metrics.length} metrics for analysis`);
             
             // Generate anomaly report
             const report = this.generateAnomalyReport(metrics);
             
-            // Update baselines for future trend analysis
-            metrics.forEach(metric => {
-                if (metric.metricType) {
-                    this.updateHistoricalBaseline(metric.metricType, industry, metric.value, metric.context);
-                }
-            });
-            
             console.log('✅ Anomaly detection analysis completed');
             
             return {
@@ -0,0 +1,327 @@
+// Compliance Checker - Safe-harbor and forward-looking-statement rules for a whole draft
+// Deterministic: the same draft always gets the same report. Shared by the browser (the
+// editor's compliance check, selection classification) and the server (/api/compliance/check,
+// generated call scripts). Forward-looking statements must come after a complete safe-harbor
+// statement; promissory language ("we guarantee", "certainly will") is never allowed.
+
+const COMPLIANCE_SEVERITIES = ['high', 'medium', 'low'];
+
+// Words that make a sentence forward-looking. "will" skips the call's own choreography
+// ("we will now take questions", "I will turn the call over").
+const FORWARD_LOOKING_CUES = [
+    { cue: 'guidance', pattern: /\b(?:guidance|outlook)\b/i },
+    { cue: 'expect', pattern: /\b(?:expects?|expecting|expected to)\b/i },
+    { cue: 'anticipate', pattern: /\banticipat(?:e|es|ing)\b/i },
+    { cue: 'target', pattern: /\b(?:targets? (?:of|to|for)|targeting|long[- ]term (?:targets?|goals?)|goal of|aims? to|aiming to)\b/i },
+    { cue: 'forecast', pattern: /\b(?:forecasts?|forecasting|projections?|project(?:s|ed)? (?:to|that))\b/i },
+    { cue: 'plan', pattern: /\b(?:plans? to|planning to|intends? to|intending to)\b/i },
+    { cue: 'will', pattern: /\b(?:will|shall)\s+(?!now\b|turn\b|take\b|hand\b|begin\b|open\b|refer\b|then\b|be (?:happy|glad|pleased) to\b)[a-z]+/i },
+    { cue: 'future period', pattern: /\b(?:next (?:year|quarter)|going forward|in the coming (?:months|quarters|year)|(?:remainder|balance|rest) of the year)\b/i }
+];
+
+// Words that already present a future result as an expectation rather than a fact
+const HEDGE_PATTERN = /\b(?:expect|anticipat|believe|plan|intend|may|might|could|should|target|aim|estimate|project|forecast|outlook|guidance|subject to|hope|likely|potential)/i;
+
+// Each phrase with the wording to use instead. rewrite(match, before) returns the replacement;
+// before is the sentence text ahead of the match, so "we will certainly" can become "we expect to".
+const PROMISSORY_PHRASES = [
+    // Only the company promising a result: "we cannot guarantee", "guaranteed senior notes" and
+    // "we guarantee the notes" are not promises
+    {
+        pattern: /\b(?:we|i|the company|management)(?: (?:can|will|do|fully|absolutely))? guarantees?\b(?!\s+(?:the |our |its |their )?(?:senior |subordinated |secured |unsecured )?(?:notes|debt|loans?|bonds|obligations|borrowings|indebtedness|credit facility|leases?)\b)/i,
+        rewrite: match => match.replace(/(?: (?:can|will|do|fully|absolutely))? guarantee(s?)$/i, (words, s) => ` expect${s}`)
+    },
+    { pattern: /\b(?:is|are|will be) guaranteed to\b/i, rewrite: (match, before) => `${ComplianceChecker.verbFor(before)} expected to` },
+    { pattern: /\b(?:will (?:certainly|definitely|undoubtedly|surely)|(?:certainly|definitely|undoubtedly|surely) will)\b/i, rewrite: (match, before) => /\b(?:we|i|they)\s*$/i.test(before) ? 'expect to' : `${ComplianceChecker.verbFor(before)} expected to` },
+    { pattern: /\b(?:we )?(?:can )?assure you(?: that)?\b/i, rewrite: () => 'we believe' },
+    { pattern: /\bpromis(?:e|es|ed)\b/i, rewrite: match => /d$/i.test(match) ? 'intended' : /s$/i.test(match) ? 'intends' : 'intend' },
+    { pattern: /\b(?:no doubt|without (?:a |any )?doubt|without question)\b/i, rewrite: () => 'we believe' },
+    { pattern: /\b(?:100% certain|absolutely certain|fully certain)\b/i, rewrite: () => 'confident' },
+    { pattern: /\b(?:cannot|can't|will not|won't) (?:fail|miss)\b/i, rewrite: () => 'is well positioned to succeed' },
+    { pattern: /\brisk[- ]free\b/i, rewrite: () => 'lower-risk' },
+    // "Growth is locked in", "we have locked in our targets"; not "we locked in a fixed rate"
+    { pattern: /\b(?:is|are|will be) (?:already |essentially )?locked in(?=\s*(?:[.,;:!]|$))/i, rewrite: (match, before) => `${ComplianceChecker.verbFor(before)} expected` },
+    { pattern: /\bwe(?: have|'ve)? (?:already )?locked in(?= (?:our |the |this |next year's )?(?:growth|results|guidance|targets?|outlook|returns|performance)\b)/i, rewrite: () => 'we expect' }
+];
+
+// What a complete safe-harbor statement says, with wording to add for anything missing
+const SAFE_HARBOR_ELEMENTS = {
+    identifies: {
+        pattern: /\bforward[- ]looking statements?\b/i,
+        label: 'identify the statements as forward-looking',
+        wording: 'Today\'s remarks include forward-looking statements, including statements about our outlook and guidance.'
+    },
+    cautions: {
+        pattern: /\bdiffer materially\b|\bactual results (?:may|could|might)\b|\brisks? and uncertaint/i,
+        label: 'warn that actual results may differ materially',
+        wording: 'These statements are subject to risks and uncertainties that could cause actual results to differ materially.'
+    },
+    riskFactors: {
+        pattern: /\brisk factors\b|\bform 10-[kq]\b|\bfilings? with the (?:sec|securities and exchange commission)\b|\bsec filings?\b/i,
+        label: 'point to the risk factors in the company\'s SEC filings',
+        wording: 'A discussion of these risks is included in the Risk Factors section of our most recent Form 10-K and subsequent Form 10-Q filings.'
+    },
+    noUpdate: {
+        pattern: /\b(?:undertakes?|assumes?) no (?:obligation|duty)\b|\bno obligation to (?:update|revise)\b|\bnot (?:obligated|undertake) to update\b|\bdisclaims? any (?:obligation|intention)\b/i,
+        label: 'say the company has no obligation to update them',
+        wording: 'We undertake no obligation to update these statements except as required by law.'
+    }
+};
+const SAFE_HARBOR_ANCHOR = /\bsafe harbor\b|\bprivate securities litigation reform act\b|\bforward[- ]looking statements?\b/i;
+const SAFE_HARBOR_REFERENCE = /\bforward[- ]looking statements?\b|\bsafe harbor\b|\bcautionary (?:statement|language)\b|\brisk factors\b/i;
+
+const COMPLIANCE_PATTERNS = {
+    sentenceEnd: /[.!?]+["”')\]]*(?=\s|$)|\n+/g,
+    markdownHeading: /^#{1,6}\s+(.+)$/,
+    speakerHeading: /^([A-Z][^.!?:\n]{0,78}):$/,
+    titleLine: /^[A-Z][^.!?:;,\n]{0,58}$/,
+    figure: /\d/,
+    question: /\?["”')\]]*$/
+};
+
+class ComplianceChecker {
+    // text: the whole draft. sections: optional [{ title, index }] where each section starts;
+    // headings in the text are used when they are missing.
+    // Returns { status, safeHarbor, forwardLooking, findings, sections, summary }. status is
+    // 'fail' with any high-severity finding, 'review' with any other finding, else 'pass'.
+    // Findings are { rule, severity, index, end, text, section, message, suggestion }.
+    static check(text, { sections = null } = {}) {
+        const source = String(text || '');
+        const sectionList = ComplianceChecker.resolveSections(source, sections);
+        const sectionAt = index => {
+            const found = sectionList.filter(section => section.index <= index).pop();
+            return found ? found.title : sectionList[0].title;
+        };
+
+        const safeHarbor = ComplianceChecker.findSafeHarbor(source);
+        // Questions (an analyst's "Will margins improve?") are not the company's statements
+        const sentences = ComplianceChecker.sentences(source)
+            .filter(sentence => !safeHarbor || sentence.end <= safeHarbor.index || sentence.index >= safeHarbor.end)
+            .filter(sentence => !COMPLIANCE_PATTERNS.question.test(sentence.text));
+
+        const findings = [];
+        const add = (rule, severity, span, message, suggestion) => findings.push({
+            rule, severity, index: span.index, end: span.end, text: span.text, section: sectionAt(span.index), message, suggestion
+        });
+
+        const forwardLooking = [];
+        sentences.forEach(sentence => {
+            const cues = ComplianceChecker.forwardLookingCues(sentence.text);
+            const promissory = ComplianceChecker.findPromissory(sentence.text);
+
+            promissory.forEach(phrase => {
+                add('promissory_language', 'high',
+                    { index: sentence.index + phrase.index, end: sentence.index + phrase.end, text: phrase.text },
+                    `"${phrase.text}" promises a result; forward-looking statements may only express expectations`,
+                    ComplianceChecker.rewriteSentence(sentence.text, promissory));
+            });
+
+            if (cues.length === 0) return;
+            const beforeSafeHarbor = !!safeHarbor && sentence.index < safeHarbor.index;
+            forwardLooking.push({ ...sentence, section: sectionAt(sentence.index), cues, beforeSafeHarbor });
+
+            if (beforeSafeHarbor) {
+                add('before_safe_harbor', 'high', sentence,
+                    'Forward-looking statement made before the safe-harbor statement',
+                    'Move the safe-harbor statement to the opening remarks, ahead of any outlook or expectations');
+            }
+            if (promissory.length === 0 && cues.includes('will') && !HEDGE_PATTERN.test(sentence.text)) {
+                add('unhedged_forward_looking', 'medium', sentence,
+                    'States a future result as fact',
+                    ComplianceChecker.hedgeSentence(sentence.text));
+            }
+        });
+
+        if (forwardLooking.length > 0 && !safeHarbor) {
+            add('missing_safe_harbor', 'high', { index: 0, end: 0, text: '' },
+                `${forwardLooking.length} forward-looking statement${forwardLooking.length === 1 ? '' : 's'} but no safe-harbor statement`,
+                ComplianceChecker.safeHarborWording());
+        }
+        if (safeHarbor && safeHarbor.missing.length > 0) {
+            add('incomplete_safe_harbor', 'medium', safeHarbor,
+                `The safe-harbor statement does not ${safeHarbor.missing.map(key => SAFE_HARBOR_ELEMENTS[key].label).join(', or ')}`,
+                safeHarbor.missing.map(key => SAFE_HARBOR_ELEMENTS[key].wording).join(' '));
+        }
+
+        // Guidance with figures, in a section that never points back to the cautionary language
+        sectionList.forEach(section => {
+            const sectionText = source.slice(section.index, section.end);
+            const inSection = forwardLooking.filter(statement => statement.index >= section.index && statement.index < section.end);
+            const guidance = inSection.find(statement => statement.cues.includes('guidance') && COMPLIANCE_PATTERNS.figure.test(statement.text));
+            const coveredHere = safeHarbor && safeHarbor.index >= section.index && safeHarbor.index < section.end;
+            if (guidance && !coveredHere && !SAFE_HARBOR_REFERENCE.test(sectionText)) {
+                add('guidance_without_reference', 'low', guidance,
+                    'Guidance figures are given without a reminder of the forward-looking statements disclaimer',
+                    `As a reminder, this outlook is forward-looking and subject to the risks described at the start of the call. ${guidance.text}`);
+            }
+        });
+
+        findings.sort((a, b) => a.index - b.index || COMPLIANCE_SEVERITIES.indexOf(a.severity) - COMPLIANCE_SEVERITIES.indexOf(b.severity));
+        const summary = {
+            high: findings.filter(finding => finding.severity === 'high').length,
+            medium: findings.filter(finding => finding.severity === 'medium').length,
+            low: findings.filter(finding => finding.severity === 'low').length,
+            forwardLooking: forwardLooking.length
+        };
+
+        return {
+            status: summary.high > 0 ? 'fail' : findings.length > 0 ? 'review' : 'pass',
+            safeHarbor: safeHarbor ? { ...safeHarbor, section: sectionAt(safeHarbor.index) } : null,
+            forwardLooking,
+            findings,
+            sections: sectionList.map((section, position) => {
+                const inSection = index => index >= section.index && (index < section.end || (position === 0 && index === 0));
+                const sectionFindings = findings.filter(finding => inSection(finding.index));
+                return {
+                    title: section.title,
+                    index: section.index,
+                    end: section.end,
+                    severity: COMPLIANCE_SEVERITIES.find(severity => sectionFindings.some(finding => finding.severity === severity)) || null,
+                    forwardLooking: forwardLooking.filter(statement => inSection(statement.index)).length,
+                    hasSafeHarbor: !!safeHarbor && inSection(safeHarbor.index),
+                    findings: sectionFindings
+                };
+            }),
+            summary
+        };
+    }
+
+    // The forward-looking cues a sentence uses ('expect', 'guidance', 'will', ...)
+    static forwardLookingCues(text) {
+        return FORWARD_LOOKING_CUES.filter(({ pattern }) => pattern.test(text)).map(({ cue }) => cue);
+    }
+
+    // [{ text, index, end, rewrite }] for each promissory phrase, offsets within text
+    static findPromissory(text) {
+        const found = [];
+        PROMISSORY_PHRASES.forEach(phrase => {
+            const pattern = new RegExp(phrase.pattern.source, 'gi');
+            for (const match of text.matchAll(pattern)) {
+                const end = match.index + match[0].length;
+                if (found.some(other => match.index < other.end && end > other.index)) continue;
+                found.push({ text: match[0], index: match.index, end, rewrite: phrase.rewrite(match[0], text.slice(0, match.index)) });
+            }
+        });
+        return found.sort((a, b) => a.index - b.index);
+    }
+
+    static rewriteSentence(text, phrases) {
+        return [...phrases]
+            .sort((a, b) => b.index - a.index)
+            .reduce((rewritten, phrase) => {
+                const replacement = /^[A-Z]/.test(phrase.text) ? phrase.rewrite.charAt(0).toUpperCase() + phrase.rewrite.slice(1) : phrase.rewrite;
+                return rewritten.slice(0, phrase.index) + replacement + rewritten.slice(phrase.end);
+            }, text);
+    }
+
+    // "We will grow" -> "We expect to grow"; "Margins will improve" -> "Margins are expected to improve"
+    static hedgeSentence(text) {
+        return text.replace(/\b(?:(we|i|they)\s+)?(will|shall)\b/i, (match, pronoun, modal, offset) => {
+            if (pronoun) return `${pronoun} expect to`;
+            const verb = ComplianceChecker.verbFor(text.slice(0, offset));
+            return `${/^[A-Z]/.test(modal) ? verb.charAt(0).toUpperCase() + verb.slice(1) : verb} expected to`;
+        });
+    }
+
+    // "are" after a plural subject ("Margins", "our costs"), else "is"
+    static verbFor(before) {
+        const subject = before.trim().split(/\s+/).pop() || '';
+        return /[^s']s$/i.test(subject) ? 'are' : 'is';
+    }
+
+    // { index, end, text, elements, missing }: the first paragraph that reads as a safe-harbor
+    // statement, together with the paragraphs right after it that continue it
+    static findSafeHarbor(text) {
+        const paragraphs = ComplianceChecker.paragraphs(text);
+        const elementsIn = paragraphText => Object.keys(SAFE_HARBOR_ELEMENTS)
+            .filter(key => SAFE_HARBOR_ELEMENTS[key].pattern.test(paragraphText));
+
+        const start = paragraphs.findIndex(paragraph => SAFE_HARBOR_ANCHOR.test(paragraph.text) &&
+            elementsIn(paragraph.text).includes('identifies') && elementsIn(paragraph.text).length >= 2);
+        if (start < 0) return null;
+
+        let last = start;
+        while (last + 1 < paragraphs.length && elementsIn(paragraphs[last + 1].text).length > 0) {
+            last++;
+        }
+        const index = paragraphs[start].index;
+        const end = paragraphs[last].end;
+        const blockText = text.slice(index, end);
+        const elements = Object.fromEntries(Object.keys(SAFE_HARBOR_ELEMENTS)
+            .map(key => [key, SAFE_HARBOR_ELEMENTS[key].pattern.test(blockText)]));
+        return { index, end, text: blockText, elements, missing: Object.keys(elements).filter(key => !elements[key]) };
+    }
+
+    static safeHarborWording() {
+        return Object.values(SAFE_HARBOR_ELEMENTS).map(element => element.wording).join(' ');
+    }
+
+    // [{ text, index, end }], trimmed and non-empty
+    static paragraphs(text) {
+        const found = [];
+        for (const match of text.matchAll(/[^\n]+/g)) {
+            const trimmed = match[0].trim();
+            if (!trimmed) continue;
+            const index = match.index + match[0].indexOf(trimmed);
+            found.push({ text: trimmed, index, end: index + trimmed.length });
+        }
+        return found;
+    }
+
+    // [{ text, index, end }]; decimals ("1.5%") never end a sentence
+    static sentences(text) {
+        const found = [];
+        let start = 0;
+        const push = end => {
+            const raw = text.slice(start, end);
+            const trimmed = raw.trim();
+            if (trimmed) {
+                const index = start + raw.indexOf(trimmed);
+                found.push({ text: trimmed, index, end: index + trimmed.length });
+            }
+        };
+        for (const match of text.matchAll(COMPLIANCE_PATTERNS.sentenceEnd)) {
+            push(match.index + match[0].length);
+            start = match.index + match[0].length;
+        }
+        push(text.length);
+        return found;
+    }
+
+    // Given sections, or headings read from the text: markdown headings, speaker lines
+    // ("Jane Doe, Chief Financial Officer:") and short title lines. Text before the first
+    // heading is its own "Opening" section; a draft without headings is one section.
+    static resolveSections(text, sections) {
+        let starts = Array.isArray(sections) && sections.length > 0
+            ? sections.map(section => ({ title: String(section.title || 'Untitled'), index: Math.max(0, Number(section.index) || 0) }))
+            : ComplianceChecker.paragraphs(text)
+                .map(paragraph => {
+                    const heading = paragraph.text.match(COMPLIANCE_PATTERNS.markdownHeading) || paragraph.text.match(COMPLIANCE_PATTERNS.speakerHeading);
+                    if (heading) return { title: heading[1].trim(), index: paragraph.index };
+                    return COMPLIANCE_PATTERNS.titleLine.test(paragraph.text) && paragraph.text.split(/\s+/).length <= 8
+                        ? { title: paragraph.text, index: paragraph.index }
+                        : null;
+                })
+                .filter(Boolean);
+
+        starts = starts.sort((a, b) => a.index - b.index);
+        if (starts.length === 0) {
+            starts = [{ title: 'Draft', index: 0 }];
+        } else if (text.slice(0, starts[0].index).trim()) {
+            starts.unshift({ title: 'Opening', index: 0 });
+        } else {
+            starts[0].index = 0;
+        }
+        return starts.map((section, position) => ({
+            ...section,
+            end: position + 1 < starts.length ? starts[position + 1].index : text.length
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComplianceChecker;
+} else {
+    window.ComplianceChecker = ComplianceChecker;
+}
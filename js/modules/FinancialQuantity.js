@@ -0,0 +1,242 @@
+// Financial Quantity - The one parser for money, percentages, basis points and per-share figures
+// Shared by the browser (document extraction, anomaly detection) and the server (figure
+// verification, spreadsheet metrics, PDF tables, retrieval scoring and tokenizing).
+// "$1.2 billion", "1,200 million", "(45.3)", "-35 bps", "$2.10 per diluted share" and
+// "$6.10 to $6.30" or "$6.10 - $6.30" all come back as quantities carrying their currency, scale and sign.
+// "$(12.0) million" is negative; "increased from $11.5 billion to $12.4 billion" is two
+// figures, not a range.
+
+const QUANTITY_SCALES = {
+    thousand: 1e3, thousands: 1e3, k: 1e3,
+    million: 1e6, millions: 1e6, mm: 1e6, mn: 1e6, m: 1e6,
+    billion: 1e9, billions: 1e9, bn: 1e9, b: 1e9,
+    trillion: 1e12, trillions: 1e12, tn: 1e12
+};
+const QUANTITY_CURRENCIES = { '$': 'USD', 'us$': 'USD', usd: 'USD', '€': 'EUR', eur: 'EUR', '£': 'GBP', gbp: 'GBP' };
+
+const QUANTITY_PATTERNS = {
+    number: /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+/g,
+    // Read backwards from the number: "($", "-$", "USD ", "$-", "$("
+    prefix: /(\(\s*)?([-−]\s*)?(?:(US\$|\$|€|£|\b(?:USD|EUR|GBP)\s?)\s*)?(\(\s*)?([-−]\s*)?$/i,
+    // Words scale any number; single letters only follow a currency ("$450M", not "5 m")
+    scaleWord: /^\s?(trillions?|billions?|millions?|thousands?)\b/i,
+    scaleAbbreviation: /^\s?(tn|bn|mn|mm|[kmb])(?![a-z])/i,
+    unit: /^\s?(%|percent\b|per\s?cent\b|bps\b|bp\b|basis\s+points?\b|x(?![a-z]))/i,
+    perShareAfter: /^\s*(?:per\s+(?:diluted\s+|basic\s+)?share|\/\s?share|a\s+share)\b/i,
+    perShareBefore: /(?:EPS|earnings per (?:diluted |basic )?share)\s*(?:of|was|were|:|at)?\s*$/i,
+    rangeJoiner: /^\s*(?:to|through|-|–|—)\s*$/i,
+    // The end of a figure before a spaced hyphen: "$6.10 - $6.30", "12% - 14%", "$5.0 billion - "
+    figureBefore: /(?:\d|%|\d\s?(?:trillions?|billions?|millions?|thousands?|tn|bn|mn|mm|[kmb]|bps|bp|x))\s+$/i,
+    // "increased from $11.5 billion to $12.4 billion" is a change between two figures
+    changeFrom: /\bfrom\s*$/i,
+    // A bare year ending a period ("in Q1 2025 to $12.4 billion") never starts a range
+    year: /^(?:19|20)\d{2}$/,
+    dash: /^[-−–—]+$/
+};
+
+class FinancialQuantity {
+    // Every quantity in the text, in order. Bare numbers without a currency, scale or unit
+    // (years, counts, footnotes) are left out unless includeBare is set.
+    // Each result: { text, index, end, type, value, number, sign, currency, scale, decimals, tolerance }
+    // where type is 'amount', 'per_share', 'percent', 'basis_points', 'multiple' or 'number'.
+    // Ranges add { isRange: true, low, high, parts } and take the midpoint as value.
+    static extract(text, { includeBare = false } = {}) {
+        if (!text) return [];
+        const source = String(text);
+        const quantities = [];
+
+        QUANTITY_PATTERNS.number.lastIndex = 0;
+        let match;
+        while ((match = QUANTITY_PATTERNS.number.exec(source)) !== null) {
+            // Digits inside a word or code ("Q3", "FY2025", "10-K") are not quantities
+            const before = source[match.index - 1];
+            if (before && /[A-Za-z0-9_.]/.test(before)) continue;
+
+            const quantity = FinancialQuantity.readAt(source, match.index, match[0]);
+            if (quantity) {
+                quantities.push(quantity);
+                QUANTITY_PATTERNS.number.lastIndex = quantity.end;
+            }
+        }
+
+        return FinancialQuantity.joinRanges(source, quantities)
+            .filter(quantity => includeBare || quantity.type !== 'number');
+    }
+
+    // A single quantity that makes up the whole text, e.g. a table cell: "(45.3)", "$1.2bn",
+    // "85.2%". Dashes, blanks and anything with other words in it return null.
+    static parse(text) {
+        if (text === null || text === undefined) return null;
+        const trimmed = String(text).trim();
+        if (!trimmed || QUANTITY_PATTERNS.dash.test(trimmed)) return null;
+
+        const quantities = FinancialQuantity.extract(trimmed, { includeBare: true });
+        return quantities.length === 1 && quantities[0].index === 0 && quantities[0].end === trimmed.length
+            ? quantities[0]
+            : null;
+    }
+
+    // ============================================================================
+    // READING ONE QUANTITY
+    // ============================================================================
+
+    static readAt(source, numberIndex, digits) {
+        const prefix = source.substring(Math.max(0, numberIndex - 8), numberIndex).match(QUANTITY_PATTERNS.prefix);
+        const [prefixText, openParen = '', leadingMinus = '', currencySymbol, innerParen = '', innerMinus] = prefix;
+        const prefixStart = numberIndex - prefixText.length;
+
+        // A hyphen right after a figure joins a range ("6.10-6.30"), and so does one spaced on
+        // both sides after a figure ("$6.10 - $6.30"); neither is a minus sign
+        const minusStart = prefixStart + openParen.length;
+        const charBeforeMinus = source[minusStart - 1];
+        const spacedJoiner = /\s$/.test(leadingMinus) &&
+            QUANTITY_PATTERNS.figureBefore.test(source.substring(Math.max(0, minusStart - 20), minusStart));
+        const leadingIsSign = !!leadingMinus && (!!openParen ||
+            !(spacedJoiner || (charBeforeMinus && /[\d%A-Za-z]/.test(charBeforeMinus))));
+        const currency = currencySymbol ? QUANTITY_CURRENCIES[currencySymbol.trim().toLowerCase()] : null;
+
+        let end = numberIndex + digits.length;
+        const rest = () => source.substring(end, end + 40);
+
+        // "$(12.0) million": the parenthesis closes before the scale
+        const innerClose = innerParen ? rest().match(/^\s*\)/) : null;
+        if (innerClose) end += innerClose[0].length;
+
+        let scale = 1;
+        const scaleMatch = rest().match(QUANTITY_PATTERNS.scaleWord) || (currency ? rest().match(QUANTITY_PATTERNS.scaleAbbreviation) : null);
+        if (scaleMatch) {
+            scale = QUANTITY_SCALES[scaleMatch[1].toLowerCase()];
+            end += scaleMatch[0].length;
+        }
+
+        // "(45.3)" and "($45.3 million)" are negative; an unclosed "(" is just punctuation
+        let negative = leadingIsSign || !!innerMinus || !!innerClose;
+        let start = minusStart + (leadingIsSign ? 0 : leadingMinus.length);
+        const close = openParen ? rest().match(/^\s*\)/) : null;
+        if (close) {
+            negative = true;
+            start = prefixStart;
+            end += close[0].length;
+        }
+        while (/\s/.test(source[start])) start++;
+
+        let type = 'number';
+        const unitMatch = scale === 1 ? rest().match(QUANTITY_PATTERNS.unit) : null;
+        if (unitMatch) {
+            const unit = unitMatch[1].toLowerCase();
+            type = unit === 'x' ? 'multiple' : /^(?:%|per)/.test(unit) ? 'percent' : 'basis_points';
+            end += unitMatch[0].length;
+        } else if (currency) {
+            const perShare = scale === 1 && (
+                QUANTITY_PATTERNS.perShareAfter.test(rest()) ||
+                QUANTITY_PATTERNS.perShareBefore.test(source.substring(Math.max(0, start - 30), start))
+            );
+            type = perShare ? 'per_share' : 'amount';
+        } else if (scale !== 1) {
+            type = 'amount';
+        }
+
+        const plain = digits.replace(/,/g, '');
+        const decimals = plain.includes('.') ? plain.split('.')[1].length : 0;
+        const sign = negative ? -1 : 1;
+        return {
+            text: source.substring(start, end),
+            index: start,
+            end,
+            type,
+            value: FinancialQuantity.round(Number(plain) * scale * sign),
+            number: Number(plain) * sign,
+            sign,
+            currency,
+            scale,
+            decimals,
+            // Half a unit in the last digit written: "$1.2 billion" covers $1,150-1,250 million
+            tolerance: 0.5 * Math.pow(10, -decimals) * scale
+        };
+    }
+
+    // "$6.10 to $6.30", "12-14%", "$5.0 to $5.2 billion": the first figure takes the
+    // second's unit, scale and currency when it has none of its own
+    static joinRanges(source, quantities) {
+        const joined = [];
+        for (let i = 0; i < quantities.length; i++) {
+            const low = quantities[i];
+            const high = quantities[i + 1];
+            const between = high ? source.substring(low.end, high.index) : null;
+            const isJoiner = between !== null && (QUANTITY_PATTERNS.rangeJoiner.test(between) ||
+                (/^\s*and\s*$/i.test(between) && /between\s*\(?\s*$/i.test(source.substring(Math.max(0, low.index - 10), low.index))));
+
+            // "$6.10 to $6.30 per share" only marks the second figure as per-share, "EPS of
+            // $6.10 to $6.30" only the first
+            const perShareLow = !!high && low.type === 'per_share' && high.type === 'amount' && high.scale === 1;
+            const compatible = !!high && (low.type === 'number' || low.type === high.type || perShareLow ||
+                (low.type === 'amount' && high.type === 'per_share'));
+            const isYear = low.type === 'number' && QUANTITY_PATTERNS.year.test(low.text);
+            if (!isJoiner || high.type === 'number' || !compatible || isYear) {
+                joined.push(low);
+                continue;
+            }
+
+            // "from 11.5 to $12.4 billion": two figures, the first still reading as the second does
+            if (QUANTITY_PATTERNS.changeFrom.test(source.substring(Math.max(0, low.index - 10), low.index))) {
+                joined.push(low.type !== high.type || (low.scale === 1 && high.scale !== 1) ? FinancialQuantity.inherit(low, high) : low);
+                continue;
+            }
+
+            const first = !perShareLow && (low.type !== high.type || (low.scale === 1 && high.scale !== 1))
+                ? FinancialQuantity.inherit(low, high)
+                : low;
+            joined.push({
+                ...high,
+                type: perShareLow ? 'per_share' : high.type,
+                text: source.substring(first.index, high.end),
+                index: first.index,
+                value: FinancialQuantity.round((first.value + high.value) / 2),
+                number: null,
+                decimals: Math.max(first.decimals, high.decimals),
+                tolerance: Math.max(first.tolerance, high.tolerance),
+                isRange: true,
+                low: Math.min(first.value, high.value),
+                high: Math.max(first.value, high.value),
+                parts: [first, high]
+            });
+            i++;
+        }
+        return joined;
+    }
+
+    static inherit(quantity, from) {
+        const scale = quantity.scale !== 1 ? quantity.scale : from.scale;
+        return {
+            ...quantity,
+            type: from.type,
+            currency: quantity.currency || from.currency,
+            scale,
+            value: FinancialQuantity.round(quantity.number * scale),
+            tolerance: 0.5 * Math.pow(10, -quantity.decimals) * scale
+        };
+    }
+
+    // Strip floating-point noise from scaled values (1.2 * 1e9)
+    static round(value) {
+        return Number(value.toPrecision(15));
+    }
+
+    // ============================================================================
+    // FORMATTING
+    // ============================================================================
+
+    // Shortest scaled form: 1200000000 -> "1.2b", 450000000 -> "450m", 1234 -> "1.234k"
+    static compact(value) {
+        const abs = Math.abs(value);
+        const [suffix, scale] = [['t', 1e12], ['b', 1e9], ['m', 1e6], ['k', 1e3]].find(([, size]) => abs >= size) || ['', 1];
+        return `${value < 0 ? '-' : ''}${FinancialQuantity.round(abs / scale)}${suffix}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FinancialQuantity;
+} else {
+    window.FinancialQuantity = FinancialQuantity;
+}
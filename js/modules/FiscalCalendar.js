@@ -0,0 +1,316 @@
+// Fiscal Calendar - Maps reporting periods to the dates they cover for one company's fiscal year
+// Shared by the browser (document period detection) and the server (spreadsheet period columns,
+// metric history). A fiscal year ends on a fixed date ("June 30") or, for 52/53-week years, on
+// a weekday at the end of a month ("last Saturday of September"), and is named by the calendar
+// year it ends in. "Q1 FY25", "first quarter of fiscal 2025" and "three months ended
+// September 28, 2024" all resolve to the same period and date range.
+
+const FISCAL_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+const FISCAL_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const FISCAL_WEEK_RULES = ['last', 'nearest']; // Last weekday of the month, or weekday nearest its last day
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+const SPAN_WORDS = {
+    three: 3, six: 6, nine: 9, twelve: 12,
+    thirteen: 13, fourteen: 14, 'twenty-six': 26, 'twenty six': 26, 'thirty-nine': 39, 'thirty nine': 39,
+    'fifty-two': 52, 'fifty two': 52, 'fifty-three': 53, 'fifty three': 53
+};
+const WEEKS_TO_MONTHS = { 13: 3, 14: 3, 26: 6, 27: 6, 39: 9, 40: 9, 52: 12, 53: 12 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const END_TOLERANCE_DAYS = 6; // "Three months ended June 30" still names a quarter that ended June 28
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const FISCAL_YEAR = "(?:(?:fiscal(?:\\s+year)?|FY)\\s*'?(\\d{4}|\\d{2})|'(\\d{2})|(\\d{4}))";
+const ORDINAL = '(first|second|third|fourth|1st|2nd|3rd|4th)';
+const SPAN = `(\\d{1,2}|${Object.keys(SPAN_WORDS).join('|')})`;
+
+// Free-text patterns, most specific first. Each build returns { type, year, quarter?, half? }
+// or, for "... ended <date>", { span, date } to be placed on the calendar.
+const FISCAL_PATTERNS = [
+    { regex: new RegExp(`\\b${SPAN}[\\s-]+(months?|weeks?)\\s+(?:period\\s+)?ended\\s+${MONTH_NAME}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'gi'),
+        build: m => ({ span: FiscalCalendar.spanMonths(m[1], m[2]), date: [m[5], m[3], m[4]] }) },
+    { regex: new RegExp(`\\b(?:fiscal\\s+)?(quarter|year)\\s+ended\\s+${MONTH_NAME}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'gi'),
+        build: m => ({ span: m[1].toLowerCase() === 'quarter' ? 3 : 12, date: [m[4], m[2], m[3]] }) },
+    { regex: new RegExp(`\\b(?:fiscal\\s+)?${ORDINAL}\\s+(?:fiscal\\s+)?quarter(?:\\s+of)?(?:\\s+the)?\\s+${FISCAL_YEAR}\\b`, 'gi'),
+        build: m => ({ type: 'quarter', quarter: ORDINALS[m[1].toLowerCase()], year: m[2] || m[3] || m[4] }) },
+    { regex: new RegExp(`\\b(?:fiscal(?:\\s+year)?|FY)\\s*'?(\\d{4}|\\d{2})\\s+${ORDINAL}\\s+quarter\\b`, 'gi'),
+        build: m => ({ type: 'quarter', quarter: ORDINALS[m[2].toLowerCase()], year: m[1] }) },
+    { regex: new RegExp(`\\bQ([1-4])\\s*${FISCAL_YEAR}\\b`, 'gi'),
+        build: m => ({ type: 'quarter', quarter: m[1], year: m[2] || m[3] || m[4] }) },
+    { regex: new RegExp(`\\b([1-4])Q\\s*${FISCAL_YEAR}\\b`, 'gi'),
+        build: m => ({ type: 'quarter', quarter: m[1], year: m[2] || m[3] || m[4] }) },
+    { regex: new RegExp(`\\b(first|second)\\s+half(?:\\s+of)?(?:\\s+the)?\\s+${FISCAL_YEAR}\\b`, 'gi'),
+        build: m => ({ type: 'half', half: m[1].toLowerCase() === 'first' ? 1 : 2, year: m[2] || m[3] || m[4] }) },
+    { regex: new RegExp(`\\b(?:H([12])|([12])H)\\s*${FISCAL_YEAR}\\b`, 'gi'),
+        build: m => ({ type: 'half', half: m[1] || m[2], year: m[3] || m[4] || m[5] }) },
+    { regex: /\b(?:fiscal(?:\s+year)?|FY)\s*'?(\d{4}|\d{2})\b/gi,
+        build: m => ({ type: 'year', year: m[1] }) }
+];
+const TYPE_RANK = { quarter: 0, half: 1, year: 2 };
+
+class FiscalCalendar {
+    // settings: { yearEndMonth: 1-12 (default 12), yearEndDay: 1-31 (default the month's last day),
+    // weekRule: null | 'last' | 'nearest' for 52/53-week years, weekday: 0-6 (default 6, Saturday) }
+    constructor(settings = {}) {
+        const normalized = FiscalCalendar.normalize(settings);
+        this.yearEndMonth = normalized.yearEndMonth;
+        this.yearEndDay = normalized.yearEndDay;
+        this.weekRule = normalized.weekRule;
+        this.weekday = normalized.weekday;
+    }
+
+    static normalize(settings = {}) {
+        const weekRule = settings.weekRule ? String(settings.weekRule).toLowerCase() : null;
+        return {
+            yearEndMonth: Number(settings.yearEndMonth) || 12,
+            yearEndDay: weekRule || !settings.yearEndDay ? null : Number(settings.yearEndDay),
+            weekRule,
+            weekday: settings.weekday === undefined || settings.weekday === null || settings.weekday === ''
+                ? 6
+                : Number(settings.weekday)
+        };
+    }
+
+    // Problems with a settings object, as an array of messages (empty when valid)
+    static validate(settings = {}) {
+        const issues = [];
+        const { yearEndMonth, yearEndDay, weekRule, weekday } = FiscalCalendar.normalize(settings);
+        if (!Number.isInteger(yearEndMonth) || yearEndMonth < 1 || yearEndMonth > 12) {
+            issues.push('yearEndMonth must be a month number from 1 to 12');
+        }
+        if (yearEndDay !== null && (!Number.isInteger(yearEndDay) || yearEndDay < 1 || yearEndDay > 31)) {
+            issues.push('yearEndDay must be a day from 1 to 31');
+        }
+        if (weekRule !== null && !FISCAL_WEEK_RULES.includes(weekRule)) {
+            issues.push(`weekRule must be one of: ${FISCAL_WEEK_RULES.join(', ')}`);
+        }
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            issues.push('weekday must be from 0 (Sunday) to 6 (Saturday)');
+        }
+        return issues;
+    }
+
+    toJSON() {
+        return { yearEndMonth: this.yearEndMonth, yearEndDay: this.yearEndDay, weekRule: this.weekRule, weekday: this.weekday };
+    }
+
+    // "Fiscal year ends June 30", "52/53-week year ending on the last Saturday of September"
+    describe() {
+        const month = FiscalCalendar.capitalize(FISCAL_MONTHS[this.yearEndMonth - 1]);
+        if (this.weekRule) {
+            const weekday = FiscalCalendar.capitalize(FISCAL_WEEKDAYS[this.weekday]);
+            return this.weekRule === 'last'
+                ? `52/53-week year ending on the last ${weekday} of ${month}`
+                : `52/53-week year ending on the ${weekday} nearest the end of ${month}`;
+        }
+        const lastDay = FiscalCalendar.daysInMonth(2001, this.yearEndMonth);
+        return `Fiscal year ends ${month} ${Math.min(this.yearEndDay || lastDay, lastDay)}`;
+    }
+
+    // ============================================================================
+    // PERIOD RANGES
+    // ============================================================================
+
+    // Last day of a fiscal year, as a UTC Date
+    yearEnd(fiscalYear) {
+        const month = this.yearEndMonth - 1;
+        const lastDay = FiscalCalendar.daysInMonth(fiscalYear, this.yearEndMonth);
+        if (!this.weekRule) {
+            return new Date(Date.UTC(fiscalYear, month, Math.min(this.yearEndDay || lastDay, lastDay)));
+        }
+
+        const monthEnd = new Date(Date.UTC(fiscalYear, month, lastDay));
+        const back = (monthEnd.getUTCDay() - this.weekday + 7) % 7;
+        if (this.weekRule === 'last' || back <= 3) {
+            return FiscalCalendar.addDays(monthEnd, -back);
+        }
+        return FiscalCalendar.addDays(monthEnd, 7 - back);
+    }
+
+    yearStart(fiscalYear) {
+        return FiscalCalendar.addDays(this.yearEnd(fiscalYear - 1), 1);
+    }
+
+    // Quarters end three, six and nine months into the year; in 52/53-week years they run
+    // 13 weeks each and the fourth takes the extra week
+    quarterEnd(fiscalYear, quarter) {
+        if (quarter === 4) return this.yearEnd(fiscalYear);
+        if (this.weekRule) return FiscalCalendar.addDays(this.yearStart(fiscalYear), quarter * 13 * 7 - 1);
+
+        const monthIndex = this.yearEndMonth - 1 - (4 - quarter) * 3; // May be negative: the year before
+        const year = fiscalYear + Math.floor(monthIndex / 12);
+        const month = ((monthIndex % 12) + 12) % 12 + 1;
+        const lastDay = FiscalCalendar.daysInMonth(year, month);
+        const yearEndLastDay = FiscalCalendar.daysInMonth(fiscalYear, this.yearEndMonth);
+        // A year ending on a month's last day has quarters ending on month ends too
+        const day = !this.yearEndDay || this.yearEndDay >= yearEndLastDay ? lastDay : Math.min(this.yearEndDay, lastDay);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    // { startDate, endDate } as "YYYY-MM-DD", plus weeks for 52/53-week calendars.
+    // period: { type: 'quarter' | 'half' | 'year', year, quarter?, half? }
+    range(period) {
+        const year = Number(period.year);
+        let start;
+        let end;
+        if (period.type === 'quarter') {
+            const quarter = Number(period.quarter);
+            start = quarter === 1 ? this.yearStart(year) : FiscalCalendar.addDays(this.quarterEnd(year, quarter - 1), 1);
+            end = this.quarterEnd(year, quarter);
+        } else if (period.type === 'half') {
+            const half = Number(period.half);
+            start = half === 1 ? this.yearStart(year) : FiscalCalendar.addDays(this.quarterEnd(year, 2), 1);
+            end = half === 1 ? this.quarterEnd(year, 2) : this.yearEnd(year);
+        } else {
+            start = this.yearStart(year);
+            end = this.yearEnd(year);
+        }
+
+        return {
+            startDate: FiscalCalendar.isoDate(start),
+            endDate: FiscalCalendar.isoDate(end),
+            ...(this.weekRule && { weeks: Math.round((end - start) / DAY_MS + 1) / 7 })
+        };
+    }
+
+    // The quarter, half or year of the given length in months that ends on (or within a few
+    // days of) the date. Nine-month and other year-to-date spans are not periods: null.
+    periodEndingOn(date, months) {
+        const target = date instanceof Date ? date : new Date(`${date}T00:00:00Z`);
+        if (Number.isNaN(target.getTime())) return null;
+
+        const candidates = {
+            3: year => [1, 2, 3, 4].map(quarter => ({ type: 'quarter', year, quarter, end: this.quarterEnd(year, quarter) })),
+            6: year => [1, 2].map(half => ({ type: 'half', year, half, end: half === 1 ? this.quarterEnd(year, 2) : this.yearEnd(year) })),
+            12: year => [{ type: 'year', year, end: this.yearEnd(year) }]
+        }[months];
+        if (!candidates) return null;
+
+        const calendarYear = target.getUTCFullYear();
+        for (const year of [calendarYear, calendarYear + 1, calendarYear - 1]) {
+            const match = candidates(year).find(candidate => Math.abs(candidate.end - target) <= END_TOLERANCE_DAYS * DAY_MS);
+            if (match) {
+                const { end, ...period } = match;
+                return period;
+            }
+        }
+        return null;
+    }
+
+    // Fiscal quarters Q1-Q4 and the year itself, with their date ranges
+    yearPeriods(fiscalYear) {
+        const periods = [1, 2, 3, 4].map(quarter => ({ type: 'quarter', year: fiscalYear, quarter }));
+        periods.push({ type: 'year', year: fiscalYear });
+        return periods.map(period => ({ label: FiscalCalendar.label(period), ...this.range(period) }));
+    }
+
+    // ============================================================================
+    // READING PERIODS FROM TEXT
+    // ============================================================================
+
+    // The reporting period a passage is about: the first quarter it mentions, else the first
+    // half, else the first fiscal year. Quarter numbers are fiscal quarters, so "Q1 2025" and
+    // "first quarter of fiscal 2025" are the same period; "three months ended <date>" is placed
+    // on this calendar. Returns { label, type, year, quarter, half, startDate, endDate, text, index } or null.
+    findPeriod(text) {
+        const found = this.matchPeriods(text);
+        if (found.length === 0) return null;
+
+        found.sort((a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type] || a.index - b.index);
+        return found[0];
+    }
+
+    // Every period the text mentions, in text order, each with its { text, index, end }.
+    // Where references overlap the longer one wins, so "first quarter of fiscal 2025" is one
+    // quarter and not also fiscal 2025.
+    findPeriods(text) {
+        const found = this.matchPeriods(text).sort((a, b) => a.index - b.index || b.end - a.end);
+        let lastEnd = -1;
+        return found.filter(period => {
+            if (period.index < lastEnd) return false;
+            lastEnd = period.end;
+            return true;
+        });
+    }
+
+    matchPeriods(text) {
+        if (!text) return [];
+        const source = String(text);
+
+        const found = [];
+        FISCAL_PATTERNS.forEach(pattern => {
+            for (const match of source.matchAll(pattern.regex)) {
+                const period = this.resolve(pattern.build(match));
+                if (period) found.push({ ...period, text: match[0], index: match.index, end: match.index + match[0].length });
+            }
+        });
+        return found;
+    }
+
+    // A pattern's parts as a period on this calendar, with its label and dates
+    resolve(parts) {
+        let period = parts;
+        if (parts.date) {
+            const [year, month, day] = parts.date;
+            const monthNumber = FISCAL_MONTHS.findIndex(name => name.startsWith(month.toLowerCase().slice(0, 3))) + 1;
+            const date = new Date(Date.UTC(Number(year), monthNumber - 1, Number(day)));
+            period = monthNumber > 0 ? this.periodEndingOn(date, parts.span) : null;
+        }
+        if (!period || !period.year) return null;
+
+        const resolved = {
+            type: period.type,
+            year: FiscalCalendar.fullYear(period.year),
+            quarter: period.quarter ? Number(period.quarter) : null,
+            half: period.half ? Number(period.half) : null
+        };
+        return { label: FiscalCalendar.label(resolved), ...resolved, ...this.range(resolved) };
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    // The canonical label shared with the metric store: "Q1 2025", "H1 2025", "FY 2025"
+    static label({ type, year, quarter, half }) {
+        if (type === 'quarter') return `Q${quarter} ${year}`;
+        if (type === 'half') return `H${half} ${year}`;
+        return `FY ${year}`;
+    }
+
+    static fullYear(year) {
+        return Number(String(year).length === 2 ? `20${year}` : year);
+    }
+
+    // "three months", "13 weeks" -> 3; unknown spans -> null
+    static spanMonths(count, unit) {
+        const number = Number(count) || SPAN_WORDS[count.toLowerCase().replace(/\s+/g, ' ')];
+        if (!number) return null;
+        return /^week/i.test(unit) ? WEEKS_TO_MONTHS[number] || null : number;
+    }
+
+    static daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    static addDays(date, days) {
+        return new Date(date.getTime() + days * DAY_MS);
+    }
+
+    static isoDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    static capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+}
+
+FiscalCalendar.CALENDAR_YEAR = new FiscalCalendar();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FiscalCalendar;
+} else {
+    window.FiscalCalendar = FiscalCalendar;
+}
@@ -0,0 +1,266 @@
+// Metric Placeholders - {{revenue.Q3_2025}} tokens in drafts bound to reported figures
+// A placeholder names a metric, then optionally a period and a field: {{revenue}} is the
+// latest reported value, {{revenue.Q3_2025}} one quarter's, {{MLR.yoy_change}} the latest
+// year-over-year change. Values come from the company's metric history (GET /api/metrics),
+// then from the figures extractFinancialData reads in the uploaded documents. A rendered
+// placeholder keeps its token and value, so drafts can be rendered again after new uploads
+// and any figure that changed is flagged.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w&%-]*)((?:\.[A-Za-z0-9_]+){0,2})\s*\}\}/g;
+const PLACEHOLDER_PERIOD = /^(Q[1-4]|H[12]|FY)_?(\d{4}|\d{2})$/i;
+const PLACEHOLDER_FIELDS = ['value', 'yoy_change', 'qoq_change'];
+const PLACEHOLDER_STYLES = {
+    bound: 'bg-blue-50 text-blue-900 border-b border-dotted border-blue-400 rounded px-0.5',
+    updated: 'bg-amber-50 text-amber-800 border-b-2 border-dotted border-amber-500 rounded px-0.5',
+    unresolved: 'bg-red-100 text-red-800 border-b-2 border-dotted border-red-500 rounded px-0.5'
+};
+const PLACEHOLDER_SCALES = { 1000: 'thousand', 1000000: 'million', 1000000000: 'billion', 1000000000000: 'trillion' };
+const PLACEHOLDER_CURRENCIES = { USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+
+class MetricPlaceholders {
+    // Each token in text: { token, key, metric, period, field, index, end }, where key is the
+    // text between the braces ("revenue.Q3_2025"). A token that does not parse has metric null.
+    static find(text) {
+        const found = [];
+        for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+            const key = `${match[1]}${match[2]}`;
+            const parsed = MetricPlaceholders.parse(key) || { key, metric: null, period: null, field: null };
+            found.push({ token: match[0], ...parsed, index: match.index, end: match.index + match[0].length });
+        }
+        return found;
+    }
+
+    // "revenue.Q3_2025.yoy_change" -> { key, metric: 'revenue', period: 'Q3 2025', field: 'yoy_change' };
+    // null when a segment is neither a period nor a field
+    static parse(key) {
+        const [metric, ...segments] = String(key).split('.');
+        let period = null;
+        let field = 'value';
+        for (const segment of segments) {
+            const periodMatch = segment.match(PLACEHOLDER_PERIOD);
+            if (periodMatch && !period) {
+                const year = Number(periodMatch[2]);
+                period = `${periodMatch[1].toUpperCase()} ${year < 100 ? 2000 + year : year}`;
+            } else if (segment.toLowerCase() === 'latest' && !period) {
+                continue;
+            } else if (PLACEHOLDER_FIELDS.includes(segment.toLowerCase())) {
+                field = segment.toLowerCase();
+            } else {
+                return null;
+            }
+        }
+        return { key: String(key), metric, period, field };
+    }
+
+    // context: { series: the company's metric history with points, documents: [{ name,
+    // period, figures: { revenue: [{ text, value, page }] } }] with the latest document last }.
+    // Returns { text, value, label, period, field, source } or { error }.
+    static resolve(placeholder, context = {}) {
+        const series = MetricPlaceholders.findSeries(placeholder.metric, context.series || []);
+        if (series) {
+            const points = (series.points || [series.latest]).filter(Boolean);
+            const point = placeholder.period
+                ? points.find(candidate => candidate.period === placeholder.period)
+                : series.latest;
+            if (!point) {
+                return { error: `No ${placeholder.period || 'reported'} value for ${series.label}` };
+            }
+
+            const base = { label: series.label, period: point.period, field: placeholder.field, source: point.source || null };
+            if (placeholder.field === 'value') {
+                return { ...base, text: MetricPlaceholders.formatValue(point, series.unit), value: point.value };
+            }
+            const change = point[placeholder.field === 'yoy_change' ? 'yoy' : 'qoq'];
+            if (!change) {
+                return { error: `No ${placeholder.field === 'yoy_change' ? 'year-ago' : 'prior'} period to compare ${series.label} ${point.period} with` };
+            }
+            const value = series.unit === 'percent' || change.changePercent === null ? change.change : change.changePercent;
+            return { ...base, text: MetricPlaceholders.formatChange(change, series.unit), value };
+        }
+
+        // Figures read from the documents themselves have no history, so only values resolve
+        const key = placeholder.metric.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+        const document = placeholder.field === 'value'
+            ? [...(context.documents || [])].reverse().find(doc =>
+                doc.figures && doc.figures[key] && doc.figures[key].length > 0 &&
+                (!placeholder.period || doc.period === placeholder.period))
+            : null;
+        if (document) {
+            const figure = document.figures[key][0];
+            return {
+                text: figure.text,
+                value: figure.value,
+                label: key.replace(/_/g, ' '),
+                period: document.period,
+                field: 'value',
+                source: { documentName: document.name, page: figure.page || null }
+            };
+        }
+        return { error: `${placeholder.metric} is not in the metric history or the uploaded documents` };
+    }
+
+    // By metric key ("gross_margin"), label ("Gross margin") or the label's initials ("MLR")
+    static findSeries(name, seriesList) {
+        const wanted = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+        const initials = series => series.label.split(/[^A-Za-z0-9]+/).filter(Boolean).map(word => word[0]).join('').toLowerCase();
+        return seriesList.find(series => series.metric.replace(/_/g, '') === wanted) ||
+            seriesList.find(series => series.label.toLowerCase().replace(/[^a-z0-9]+/g, '') === wanted) ||
+            seriesList.find(series => wanted.length > 1 && initials(series) === wanted) ||
+            null;
+    }
+
+    // A point as written in prose: "$1,240 million", "42.6%", "$0.97", "1.8x"
+    static formatValue(point, unit) {
+        const sign = point.number < 0 ? '-' : '';
+        const digits = Math.abs(point.number).toLocaleString('en-US', { maximumFractionDigits: 10 });
+        if (unit === 'percent') return `${sign}${digits}%`;
+        if (unit === 'multiple') return `${sign}${digits}x`;
+        if (unit === 'basis_points') return `${sign}${digits} bps`;
+
+        const currency = unit ? unit.split('/')[0] : null;
+        const symbol = currency ? PLACEHOLDER_CURRENCIES[currency] || `${currency} ` : '';
+        const scale = PLACEHOLDER_SCALES[point.scale] ? ` ${PLACEHOLDER_SCALES[point.scale]}` : '';
+        return `${sign}${symbol}${digits}${scale}`;
+    }
+
+    // Percentages change in points, everything else by percent: "+1.3 pts", "-4.2%"
+    static formatChange(change, unit) {
+        if (unit === 'percent' || change.changePercent === null) {
+            const amount = Number(change.change.toFixed(2));
+            return `${amount > 0 ? '+' : ''}${amount.toLocaleString('en-US')}${unit === 'percent' ? ' pts' : ''}`;
+        }
+        return `${change.changePercent > 0 ? '+' : ''}${change.changePercent}%`;
+    }
+
+    // "acme-10q.pdf, p. 14, Table 3" or "model.xlsx, Sheet1!H3"
+    static describeSource(source) {
+        if (!source) return 'source not recorded';
+        const location = source.page
+            ? [`p. ${source.page}`, source.sheet].filter(Boolean).join(', ')
+            : [source.sheet, source.cell].filter(Boolean).join('!');
+        return [source.documentName, location].filter(Boolean).join(', ') || 'source not recorded';
+    }
+
+    // The token with its period moved from one quarter label to another ("Q2 2025" -> "Q3 2025").
+    // Halves and years move only by whole halves and years; tokens without a period stay.
+    static shiftKey(key, fromPeriod, toPeriod) {
+        const quarterIndex = label => {
+            const match = String(label).match(/^Q([1-4]) (\d{4})$/);
+            return match ? Number(match[2]) * 4 + Number(match[1]) - 1 : null;
+        };
+        const from = quarterIndex(fromPeriod);
+        const to = quarterIndex(toPeriod);
+        if (from === null || to === null) return key;
+        const delta = to - from;
+
+        return String(key).split('.').map(segment => {
+            const match = segment.match(PLACEHOLDER_PERIOD);
+            if (!match) return segment;
+            const kind = match[1].toUpperCase();
+            const year = Number(match[2]) < 100 ? 2000 + Number(match[2]) : Number(match[2]);
+            const separator = segment.includes('_') ? '_' : '';
+            if (kind.startsWith('Q')) {
+                const index = year * 4 + Number(kind[1]) - 1 + delta;
+                return `Q${index % 4 + 1}${separator}${Math.floor(index / 4)}`;
+            }
+            if (kind.startsWith('H') && delta % 2 === 0) {
+                const index = year * 2 + Number(kind[1]) - 1 + delta / 2;
+                return `H${index % 2 + 1}${separator}${Math.floor(index / 2)}`;
+            }
+            if (kind === 'FY' && delta % 4 === 0) {
+                return `FY${separator}${year + delta / 4}`;
+            }
+            return segment;
+        }).join('.');
+    }
+
+    // Replace tokens typed in root with bound spans and check every span already bound
+    // against the context. A span whose value changed shows the new value and is flagged
+    // until clicked; one that no longer resolves keeps its last value and is flagged.
+    // Returns { bound, updated, unresolved, created } where created lists the new spans.
+    static render(root, context = {}) {
+        const result = { bound: 0, updated: 0, unresolved: 0, created: [] };
+
+        root.querySelectorAll('[data-metric-placeholder]').forEach(span => {
+            const outcome = MetricPlaceholders.bind(span, context);
+            result[outcome]++;
+        });
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeValue.includes('{{') && !node.parentElement.closest('[data-metric-placeholder]')) {
+                nodes.push(node);
+            }
+        }
+        nodes.forEach(node => {
+            const tokens = MetricPlaceholders.find(node.nodeValue);
+            const text = node.nodeValue;
+            let position = 0;
+            const fragment = document.createDocumentFragment();
+            tokens.forEach(token => {
+                fragment.appendChild(document.createTextNode(text.substring(position, token.index)));
+                const span = document.createElement('span');
+                span.dataset.metricPlaceholder = token.key;
+                span.contentEditable = 'false';
+                span.textContent = token.token;
+                result[MetricPlaceholders.bind(span, context)]++;
+                result.created.push(span);
+                fragment.appendChild(span);
+                position = token.end;
+            });
+            if (tokens.length === 0) return;
+            fragment.appendChild(document.createTextNode(text.substring(position)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+
+        return result;
+    }
+
+    // Resolves one span and updates its text, style and tooltip; returns the count it falls under
+    static bind(span, context) {
+        const key = span.dataset.metricPlaceholder;
+        const placeholder = MetricPlaceholders.parse(key);
+        const resolved = placeholder
+            ? MetricPlaceholders.resolve(placeholder, context)
+            : { error: 'Unknown placeholder; write {{metric}}, {{metric.Q3_2025}} or {{metric.yoy_change}}' };
+
+        if (resolved.error) {
+            span.className = PLACEHOLDER_STYLES.unresolved;
+            span.title = `{{${key}}} - ${resolved.error}${span.dataset.value ? '; showing the last value' : ''}`;
+            return 'unresolved';
+        }
+
+        const described = `{{${key}}} = ${resolved.label}${resolved.field === 'value' ? '' : ` ${resolved.field.replace('_', ' ')}`}` +
+            `${resolved.period ? `, ${resolved.period}` : ''} · ${MetricPlaceholders.describeSource(resolved.source)}`;
+        const changed = span.dataset.value !== undefined && span.dataset.value !== '' && Number(span.dataset.value) !== resolved.value;
+        if (changed) {
+            span.dataset.previous = span.textContent;
+        }
+        span.dataset.value = String(resolved.value);
+        span.textContent = resolved.text;
+
+        if (span.dataset.previous) {
+            span.className = PLACEHOLDER_STYLES.updated;
+            span.title = `${described}\nUpdated from ${span.dataset.previous} - click to accept`;
+            return changed ? 'updated' : 'bound';
+        }
+        span.className = PLACEHOLDER_STYLES.bound;
+        span.title = described;
+        return 'bound';
+    }
+
+    // Clears the changed flag once the writer has seen the new value
+    static accept(span) {
+        delete span.dataset.previous;
+        span.className = PLACEHOLDER_STYLES.bound;
+        span.title = span.title.split('\n')[0];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetricPlaceholders;
+} else {
+    window.MetricPlaceholders = MetricPlaceholders;
+}
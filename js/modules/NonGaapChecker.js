@@ -0,0 +1,294 @@
+// Non-GAAP Checker - Regulation G rules for the non-GAAP measures a draft uses
+// Each non-GAAP measure ("adjusted EPS", "adjusted EBITDA", "free cash flow") must come with
+// its most directly comparable GAAP measure, given first or with equal prominence, in the
+// same section, and be reconciled to it in a table in the press release. Deterministic, like
+// the safe-harbor check: the browser runs it on the editor, the server on any draft
+// (/api/compliance/non-gaap) and on generated call scripts.
+
+// Sections are split the same way as the safe-harbor check
+const SectionReader = typeof module !== 'undefined' && module.exports ? require('./ComplianceChecker') : window.ComplianceChecker;
+
+const NON_GAAP_SEVERITIES = ['high', 'medium', 'low'];
+
+// The GAAP measures non-GAAP measures are reconciled to
+const GAAP_MEASURES = {
+    netIncome: { label: 'net income', pattern: /\bnet (?:income|earnings|loss)\b/gi },
+    netMargin: { label: 'net income margin', pattern: /\bnet (?:income |profit )?margins?\b/gi },
+    // "net income was $120 million, or $1.10 per diluted share" states GAAP EPS too
+    dilutedEps: { label: 'diluted EPS', pattern: /\b(?:GAAP (?:diluted )?EPS|(?:diluted )?(?:EPS|earnings per (?:diluted )?share|net income per (?:diluted )?share))\b|(?:\$[\d.]+\s+)?\bper diluted share\b/gi },
+    operatingIncome: { label: 'operating income', pattern: /\boperating (?:income|profit)\b|\bincome from operations\b/gi },
+    operatingMargin: { label: 'operating margin', pattern: /\boperating margins?\b/gi },
+    grossMargin: { label: 'gross margin', pattern: /\bgross margins?\b/gi },
+    operatingCashFlow: { label: 'cash from operating activities', pattern: /\b(?:net )?cash (?:provided by|from|generated (?:by|from)) operati(?:ons|ng activities)\b|\boperating cash flows?\b/gi },
+    revenue: { label: 'reported revenue', pattern: /\b(?:total |reported |net )?(?:revenues?|sales)\b/gi }
+};
+
+// Most specific first: a mention already claimed by an earlier measure is not counted again,
+// so "adjusted EBITDA margin" is not also "adjusted EBITDA" or "EBITDA"
+const NON_GAAP_MEASURES = [
+    { key: 'adjusted_ebitda_margin', name: 'adjusted EBITDA margin', label: 'Adjusted EBITDA margin', pattern: /\badjusted EBITDA margins?\b/gi, gaap: 'netMargin' },
+    { key: 'adjusted_ebitda', name: 'adjusted EBITDA', label: 'Adjusted EBITDA', pattern: /\badjusted EBITDA\b/gi, gaap: 'netIncome' },
+    { key: 'ebitda', name: 'EBITDA', label: 'EBITDA', pattern: /\bEBITDA\b/g, gaap: 'netIncome' },
+    { key: 'adjusted_eps', name: 'adjusted EPS', label: 'Adjusted EPS', pattern: /\b(?:adjusted|non-GAAP) (?:diluted )?(?:EPS|earnings per (?:diluted )?share)\b/gi, gaap: 'dilutedEps' },
+    { key: 'adjusted_net_income', name: 'adjusted net income', label: 'Adjusted net income', pattern: /\b(?:adjusted|non-GAAP) net (?:income|earnings)\b/gi, gaap: 'netIncome' },
+    { key: 'adjusted_operating_margin', name: 'adjusted operating margin', label: 'Adjusted operating margin', pattern: /\b(?:adjusted|non-GAAP) operating margins?\b/gi, gaap: 'operatingMargin' },
+    { key: 'adjusted_operating_income', name: 'adjusted operating income', label: 'Adjusted operating income', pattern: /\b(?:adjusted|non-GAAP) (?:operating (?:income|profit)|EBIT)\b/gi, gaap: 'operatingIncome' },
+    { key: 'adjusted_gross_margin', name: 'adjusted gross margin', label: 'Adjusted gross margin', pattern: /\b(?:adjusted|non-GAAP) gross margins?\b/gi, gaap: 'grossMargin' },
+    { key: 'free_cash_flow', name: 'free cash flow', label: 'Free cash flow', pattern: /\b(?:adjusted )?free cash flows?\b/gi, gaap: 'operatingCashFlow' },
+    { key: 'organic_revenue', name: 'organic revenue growth', label: 'Organic revenue growth', pattern: /\b(?:organic|constant[- ]currency) (?:revenue|sales|growth)(?: growth)?\b/gi, gaap: 'revenue' }
+];
+
+const NON_GAAP_PATTERNS = {
+    // Where the draft tells listeners the reconciliation is ("reconciled in the press release")
+    reconciliationReference: /\breconcil(?:iations?|ed|es?|ing)\b/i,
+    // A heading or note that opens a reconciliation in a press release
+    reconciliationAnchor: /\breconcil(?:iations?|ed|es?|ing)\b|\bGAAP to non-GAAP\b/i,
+    figure: /\d/,
+    number: /\(?-?\$?\d[\d,]*(?:\.\d+)?\)?%?/g,
+    page: /^\[Page (\d+)\]$/gm
+};
+
+const RECONCILIATION_WINDOW = 80; // lines after a reconciliation heading that can hold its table
+
+class NonGaapChecker {
+    // text: the whole draft. sections: optional [{ title, index }], as for ComplianceChecker.
+    // documents: [{ id, name, text }] searched for reconciliation tables, usually the press release.
+    // Returns { status, measures, findings, sections, documentsChecked, summary }. status is
+    // 'fail' with any high-severity finding, 'review' with any other finding, else 'pass'.
+    // Findings are { rule, severity, measure, index, end, text, section, message, suggestion }.
+    static check(text, { sections = null, documents = [] } = {}) {
+        const source = String(text || '');
+        const sectionList = SectionReader.resolveSections(source, sections);
+        const sectionOf = index => sectionList.filter(section => section.index <= index).pop() || sectionList[0];
+        const sentences = SectionReader.sentences(source);
+        const sentenceAt = index => sentences.find(sentence => index >= sentence.index && index < sentence.end) || null;
+        const sources = (documents || []).filter(doc => doc && doc.text);
+
+        const mentions = NonGaapChecker.findMeasures(source);
+        const claimed = mentions.map(mention => [mention.index, mention.end]);
+
+        const findings = [];
+        const add = (rule, severity, measure, span, message, suggestion) => findings.push({
+            rule, severity, measure: measure ? measure.key : null, index: span.index, end: span.end, text: span.text,
+            section: sectionOf(span.index).title, message, suggestion
+        });
+
+        const measures = NON_GAAP_MEASURES
+            .filter(measure => mentions.some(mention => mention.key === measure.key))
+            .map(measure => {
+                const gaap = GAAP_MEASURES[measure.gaap];
+                const counterparts = NonGaapChecker.findCounterparts(source, gaap, claimed);
+                const measureMentions = mentions.filter(mention => mention.key === measure.key).map(mention => {
+                    const section = sectionOf(mention.index);
+                    const nearest = counterparts
+                        .filter(counterpart => counterpart.index >= section.index && counterpart.index < section.end)
+                        .sort((a, b) => Math.abs(a.index - mention.index) - Math.abs(b.index - mention.index))[0];
+                    return {
+                        index: mention.index,
+                        end: mention.end,
+                        text: mention.text,
+                        section: section.title,
+                        counterpart: nearest ? { index: nearest.index, end: nearest.end, text: nearest.text } : null
+                    };
+                });
+
+                // Equal prominence is judged once per section, from its first mention
+                sectionList.forEach(section => {
+                    const inSection = measureMentions.filter(mention => mention.index >= section.index && mention.index < section.end);
+                    if (inSection.length === 0) return;
+                    const first = inSection[0];
+                    const gaapInSection = counterparts.filter(counterpart => counterpart.index >= section.index && counterpart.index < section.end);
+                    if (gaapInSection.length === 0) {
+                        add('missing_gaap_counterpart', 'high', measure, first,
+                            `${measure.label} without ${gaap.label} in this section`,
+                            `State ${gaap.label} first, then ${measure.name}`);
+                        return;
+                    }
+                    if (gaapInSection[0].index > first.index) {
+                        add('non_gaap_first', 'medium', measure, first,
+                            `${measure.label} is given before ${gaap.label}`,
+                            `Lead with ${gaap.label}, then give ${measure.name}`);
+                    }
+                    const withFigure = span => {
+                        const sentence = sentenceAt(span.index);
+                        return !!sentence && NON_GAAP_PATTERNS.figure.test(sentence.text);
+                    };
+                    if (inSection.some(withFigure) && !gaapInSection.some(withFigure)) {
+                        add('gaap_without_figure', 'medium', measure, first,
+                            `${measure.label} is given with a figure and ${gaap.label} without one`,
+                            `Give the ${gaap.label} figure too, with the same prominence`);
+                    }
+                });
+
+                const reconciliation = sources.length > 0 ? NonGaapChecker.findReconciliation(sources, measure) : null;
+                if (sources.length > 0 && !reconciliation) {
+                    add('missing_reconciliation_table', 'high', measure, measureMentions[0],
+                        `No reconciliation of ${measure.name} to ${gaap.label} in ${sources.length === 1 ? sources[0].name || 'the document' : `the ${sources.length} documents`}`,
+                        `Add a table reconciling ${measure.name} to ${gaap.label} to the press release`);
+                }
+
+                return { key: measure.key, label: measure.label, gaapLabel: gaap.label, mentions: measureMentions, reconciliation };
+            });
+
+        if (measures.length > 0) {
+            const first = mentions[0];
+            if (sources.length === 0) {
+                add('reconciliation_not_checked', 'medium', null, first,
+                    'No press release to check for reconciliation tables',
+                    'Upload the earnings press release and run the check again');
+            }
+            if (!NON_GAAP_PATTERNS.reconciliationReference.test(source)) {
+                add('missing_reconciliation_reference', 'medium', null, first,
+                    'The draft never says where the non-GAAP measures are reconciled',
+                    'Reconciliations of these non-GAAP measures to the most directly comparable GAAP measures are included in our earnings press release, available on our investor relations website.');
+            }
+        }
+
+        findings.sort((a, b) => a.index - b.index || NON_GAAP_SEVERITIES.indexOf(a.severity) - NON_GAAP_SEVERITIES.indexOf(b.severity));
+        const summary = {
+            high: findings.filter(finding => finding.severity === 'high').length,
+            medium: findings.filter(finding => finding.severity === 'medium').length,
+            low: findings.filter(finding => finding.severity === 'low').length,
+            measures: measures.length
+        };
+
+        return {
+            status: summary.high > 0 ? 'fail' : findings.length > 0 ? 'review' : 'pass',
+            measures,
+            findings,
+            sections: sectionList.map(section => {
+                const inSection = index => index >= section.index && index < section.end;
+                const sectionFindings = findings.filter(finding => inSection(finding.index));
+                return {
+                    title: section.title,
+                    index: section.index,
+                    end: section.end,
+                    severity: NON_GAAP_SEVERITIES.find(severity => sectionFindings.some(finding => finding.severity === severity)) || null,
+                    measures: measures.filter(measure => measure.mentions.some(mention => inSection(mention.index))).map(measure => measure.key),
+                    findings: sectionFindings
+                };
+            }),
+            documentsChecked: sources.length,
+            summary
+        };
+    }
+
+    // [{ key, index, end, text }] in text order; each span belongs to the most specific measure
+    static findMeasures(text) {
+        const found = [];
+        NON_GAAP_MEASURES.forEach(measure => {
+            for (const match of String(text).matchAll(measure.pattern)) {
+                const end = match.index + match[0].length;
+                if (found.some(other => match.index < other.end && other.index < end)) continue;
+                found.push({ key: measure.key, index: match.index, end, text: match[0] });
+            }
+        });
+        return found.sort((a, b) => a.index - b.index);
+    }
+
+    // GAAP mentions outside the non-GAAP spans, so the "EPS" of "adjusted EPS" is not its own counterpart
+    static findCounterparts(text, gaap, claimed = []) {
+        return Array.from(String(text).matchAll(gaap.pattern), match => ({ index: match.index, end: match.index + match[0].length, text: match[0] }))
+            .filter(span => !claimed.some(([start, end]) => span.index < end && start < span.end));
+    }
+
+    // The first reconciliation in the documents with a row for the measure and a row for its
+    // GAAP counterpart: { documentId, document, page, index, title, excerpt }, or null.
+    // A reconciliation runs from its heading to the next one, at most RECONCILIATION_WINDOW lines.
+    static findReconciliation(documents, measure) {
+        const gaap = GAAP_MEASURES[measure.gaap];
+        for (const doc of documents) {
+            const lines = [];
+            for (const match of doc.text.matchAll(/[^\n]*/g)) {
+                if (match[0].trim()) lines.push({ text: match[0].trim(), index: match.index });
+            }
+
+            for (let start = 0; start < lines.length; start++) {
+                if (!NON_GAAP_PATTERNS.reconciliationAnchor.test(lines[start].text)) continue;
+                const rows = [];
+                for (let position = start + 1; position < Math.min(lines.length, start + 1 + RECONCILIATION_WINDOW); position++) {
+                    if (NON_GAAP_PATTERNS.reconciliationAnchor.test(lines[position].text)) break;
+                    rows.push(lines[position]);
+                }
+
+                // Table rows are short lines carrying figures; a paragraph that mentions both is not a table
+                const tableRows = rows.filter(row => row.text.length <= 200 && (row.text.match(NON_GAAP_PATTERNS.number) || []).length > 0);
+                const measureRow = tableRows.find(row => NonGaapChecker.findMeasures(row.text).some(mention => mention.key === measure.key));
+                const gaapRow = tableRows.find(row => NonGaapChecker.findCounterparts(row.text, gaap, NonGaapChecker.findMeasures(row.text).map(mention => [mention.index, mention.end])).length > 0);
+                if (measureRow && gaapRow) {
+                    const pages = Array.from(doc.text.slice(0, lines[start].index).matchAll(NON_GAAP_PATTERNS.page));
+                    return {
+                        documentId: doc.id || null,
+                        document: doc.name || null,
+                        page: pages.length > 0 ? Number(pages[pages.length - 1][1]) : null,
+                        index: lines[start].index,
+                        title: lines[start].text,
+                        excerpt: [gaapRow, measureRow].sort((a, b) => a.index - b.index).map(row => row.text).join('\n')
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    // A markdown report of a check for the legal reviewer, ending in a sign-off block.
+    // generatedAt is passed in so the same check always prints the same report.
+    static formatReport(report, { title = null, generatedAt = null } = {}) {
+        const statusLabels = { fail: 'FAIL', review: 'NEEDS REVIEW', pass: 'PASS' };
+        const { high, medium, low } = report.summary;
+        const lines = [
+            '# Non-GAAP Measures Review (Regulation G)',
+            '',
+            ...(title ? [`Draft: ${title}`] : []),
+            ...(generatedAt ? [`Checked: ${generatedAt}`] : []),
+            `Status: ${statusLabels[report.status]} (${high} high, ${medium} medium, ${low} low)`,
+            `Documents searched for reconciliations: ${report.documentsChecked}`,
+            ''
+        ];
+
+        if (report.measures.length === 0) {
+            lines.push('The draft uses no non-GAAP measures.', '');
+        } else {
+            lines.push('| Measure | Sections | GAAP counterpart | Reconciliation |', '|---|---|---|---|');
+            report.measures.forEach(measure => {
+                const sectionTitles = Array.from(new Set(measure.mentions.map(mention => mention.section)));
+                const paired = measure.mentions.filter(mention => mention.counterpart).length;
+                const reconciliation = measure.reconciliation
+                    ? [measure.reconciliation.document, measure.reconciliation.page ? `page ${measure.reconciliation.page}` : null].filter(Boolean).join(', ') || 'found'
+                    : report.documentsChecked > 0 ? 'not found' : 'not checked';
+                lines.push(`| ${measure.label} | ${sectionTitles.join(', ')} | ${measure.gaapLabel}: ${paired} of ${measure.mentions.length} mentions | ${reconciliation} |`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Findings', '');
+        if (report.findings.length === 0) {
+            lines.push('None.', '');
+        } else {
+            report.findings.forEach((finding, position) => {
+                lines.push(`${position + 1}. [${finding.severity.toUpperCase()}] ${finding.section}: ${finding.message}`);
+                if (finding.text) lines.push(`   "${finding.text}"`);
+                if (finding.suggestion) lines.push(`   Suggested: ${finding.suggestion}`);
+            });
+            lines.push('');
+        }
+
+        lines.push(
+            '## Sign-off',
+            '',
+            'Reviewed by: ______________________',
+            'Title: ______________________',
+            'Date: ______________________',
+            'Decision: [ ] Approved   [ ] Approved with changes   [ ] Not approved',
+            ''
+        );
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NonGaapChecker;
+} else {
+    window.NonGaapChecker = NonGaapChecker;
+}
@@ -0,0 +1,81 @@
+// Numeric Flags - Marks figures in AI answers that could not be verified against the documents
+// Reads the numericCheck object returned by /api/analyze-context and /api/chat
+
+const NUMERIC_FLAG_STYLES = {
+    unverified: 'bg-red-100 text-red-800 border-b-2 border-dotted border-red-500 rounded px-0.5',
+    derived: 'bg-amber-50 text-amber-800 border-b border-dotted border-amber-500 rounded px-0.5'
+};
+
+class NumericFlags {
+    static describe(figure) {
+        return figure.status === 'derived'
+            ? `Derived: ${figure.derivation}`
+            : 'Not found in your documents - check this figure before using it';
+    }
+
+    // Render plain text into an element with flagged figures wrapped in spans.
+    // Figure positions come from the server, so text must be exactly the checked answer.
+    static renderText(element, text, numericCheck) {
+        element.textContent = '';
+        const flagged = NumericFlags.getFlagged(numericCheck)
+            .filter(figure => text.substr(figure.index, figure.text.length) === figure.text);
+
+        let position = 0;
+        flagged.forEach(figure => {
+            element.appendChild(document.createTextNode(text.substring(position, figure.index)));
+            element.appendChild(NumericFlags.createFlag(figure));
+            position = figure.index + figure.text.length;
+        });
+        element.appendChild(document.createTextNode(text.substring(position)));
+    }
+
+    // Wrap flagged figures in already-built HTML, for panels that format the text first
+    static highlightHtml(html, numericCheck) {
+        const byText = new Map();
+        NumericFlags.getFlagged(numericCheck).forEach(figure => {
+            // An unverified occurrence outranks a derived one with the same text
+            if (!byText.has(figure.text) || figure.status === 'unverified') {
+                byText.set(figure.text, figure);
+            }
+        });
+        if (!html || byText.size === 0) return html;
+
+        const pattern = new RegExp(Array.from(byText.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|'), 'g');
+        return html.replace(pattern, match => NumericFlags.createFlag(byText.get(match)).outerHTML);
+    }
+
+    // One-line summary, e.g. "🔢 6 figures checked: 4 verified, 1 derived, 1 unverified"
+    static summaryHtml(numericCheck) {
+        if (!numericCheck || numericCheck.summary.total === 0) return '';
+
+        const { total, verified, derived, unverified } = numericCheck.summary;
+        const color = unverified > 0 ? 'text-red-700' : 'text-slate-500';
+        return `<p class="text-xs ${color} mt-2">🔢 ${total} figure${total === 1 ? '' : 's'} checked: ${verified} verified, ${derived} derived, ${unverified} unverified${unverified > 0 ? ' - highlighted in red' : ''}</p>`;
+    }
+
+    static getFlagged(numericCheck) {
+        if (!numericCheck || !Array.isArray(numericCheck.figures)) return [];
+        return numericCheck.figures
+            .filter(figure => figure.status === 'unverified' || figure.status === 'derived')
+            .sort((a, b) => a.index - b.index);
+    }
+
+    static createFlag(figure) {
+        const span = document.createElement('span');
+        span.className = NUMERIC_FLAG_STYLES[figure.status];
+        span.title = NumericFlags.describe(figure);
+        span.dataset.figureStatus = figure.status;
+        span.textContent = figure.text;
+        return span;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NumericFlags;
+} else {
+    window.NumericFlags = NumericFlags;
+}
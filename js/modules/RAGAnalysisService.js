@@ -2,14 +2,17 @@
 // Based on the provided framework for sophisticated financial analysis
 
 class RAGAnalysisService {
-    constructor() {
+    // company: whose reported metric history the server attaches for metrics the selection names
+    constructor({ company = null } = {}) {
+        this.company = company;
         this.analysisTypes = {
             'quick': { maxTokens: 1000, temperature: 0.3 },
             'detailed': { maxTokens: 2000, temperature: 0.3 }
         };
     }
 
-    async analyzeSelection(selectedText, context, documents, analysisType = 'quick') {
+    // onText(delta, fullText) is optional - when given, Claude's answer streams in as it is generated
+    async analyzeSelection(selectedText, context, documents, analysisType = 'quick', onText = null) {
         try {
             console.log('🔍 RAG: Starting advanced analysis');
             
@@ -18,18 +21,18 @@ class RAGAnalysisService {
             console.log('🔍 RAG: Selection classified as:', selectionType);
             
             // 2. Find relevant historical context
-            const searchResults = this.findRelevantContext(selectedText, documents, selectionType);
+            const searchResults = await this.findRelevantContext(selectedText, documents, selectionType, analysisType);
             console.log('🔍 RAG: Found', searchResults.length, 'relevant passages');
             
             // 3. Build context-aware prompt
             const prompt = this.buildAnalysisPrompt(selectedText, searchResults, selectionType, analysisType);
             console.log('🔍 RAG: Built sophisticated prompt');
             
-            // 4. Get analysis from Claude via server
-            const response = await this.callClaudeAPI(prompt, analysisType);
+            // 4. Get schema-validated analysis from Claude via server
+            const response = await this.callClaudeAPI(prompt, analysisType, onText, this.getSourceIds(searchResults), selectedText);
             console.log('🔍 RAG: Claude analysis completed');
             
-            // 5. Parse and structure the response
+            // 5. Attach the passages the analysis cites
             return this.parseAnalysisResponse(response, searchResults, selectionType);
             
         } catch (error) {
@@ -41,13 +44,16 @@ class RAGAnalysisService {
     classifySelectionType(text) {
         const lowerText = text.toLowerCase();
         
-        // Financial metrics
-        if (/\d+\.?\d*%|\d+\.?\d*\s*(billion|million|thousand)|revenue|ebitda|margin|ratio|growth/.test(lowerText)) {
+        // Financial metrics: any amount, percentage, basis points or per-share figure
+        if (FinancialQuantity.extract(text).length > 0 || /revenue|ebitda|margin|ratio|growth/.test(lowerText)) {
             return 'financial_metric';
         }
         
-        // Forward-looking statements
-        if (/will|expect|anticipate|project|forecast|outlook|guidance|future|next|upcoming/.test(lowerText)) {
+        // Forward-looking statements: the compliance checker's cues where it is loaded
+        const forwardLooking = typeof ComplianceChecker !== 'undefined'
+            ? ComplianceChecker.forwardLookingCues(text).length > 0
+            : /will|expect|anticipate|project|forecast|outlook|guidance|future|next|upcoming/.test(lowerText);
+        if (forwardLooking) {
             return 'forward_looking';
         }
         
@@ -64,11 +70,53 @@ class RAGAnalysisService {
         return 'general_statement';
     }
 
-    findRelevantContext(selectedText, documents, selectionType) {
+    // Hybrid lexical + vector retrieval on the server, reranked for diverse facts and sources.
+    // Falls back to local keyword matching when the server can't be reached.
+    async findRelevantContext(selectedText, documents, selectionType, analysisType = 'quick') {
         if (!documents || documents.length === 0) {
             return [];
         }
 
+        const limit = analysisType === 'detailed' ? 8 : 5;
+
+        try {
+            // Documents already stored on the server go by ID, the rest inline
+            const response = await fetch('/api/retrieve', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    query: selectedText,
+                    documentIds: documents.filter(doc => doc.serverId).map(doc => doc.serverId),
+                    documents: documents.filter(doc => !doc.serverId),
+                    limit
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Retrieval failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.passages.map(passage => ({
+                document: passage.document,
+                text: passage.text,
+                // Server relevance is 0-1; the prompt formatting expects 0-10
+                score: Math.min(passage.score * 10, 10),
+                metadata: {
+                    chunkType: this.classifySelectionType(passage.text),
+                    documentName: passage.document,
+                    location: passage.location || ''
+                }
+            }));
+        } catch (error) {
+            console.warn('⚠️ RAG: Server retrieval unavailable, using local keyword search:', error.message);
+            return this.findRelevantContextLocally(selectedText, documents, selectionType, limit);
+        }
+    }
+
+    findRelevantContextLocally(selectedText, documents, selectionType, limit) {
         const searchTerms = this.extractSearchTerms(selectedText);
         const relevantPassages = [];
 
@@ -81,7 +129,7 @@ class RAGAnalysisService {
 
             // Calculate relevance based on search terms
             searchTerms.forEach(term => {
-                const regex = new RegExp(term, 'gi');
+                const regex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
                 const matches = content.match(regex);
                 if (matches) {
                     relevanceScore += matches.length * 0.1;
@@ -116,7 +164,7 @@ class RAGAnalysisService {
         // Sort by relevance and limit results
         return relevantPassages
             .sort((a, b) => b.score - a.score)
-            .slice(0, analysisType === 'detailed' ? 8 : 5);
+            .slice(0, limit);
     }
 
     extractSearchTerms(text) {
@@ -187,6 +235,11 @@ ${specificExpertise[selectionType] || specificExpertise['general_statement']}
 Your analysis should be ${analysisType === 'detailed' ? 'comprehensive and nuanced' : 'concise and actionable'}.`;
     }
 
+    // Stable IDs Claude cites instead of free-form document names
+    getSourceIds(searchResults) {
+        return searchResults.map((result, index) => `S${index + 1}`);
+    }
+
     formatHistoricalContext(searchResults) {
         if (searchResults.length === 0) {
             return `HISTORICAL CONTEXT:
@@ -198,8 +251,8 @@ No directly relevant historical content found. Analysis will focus on general be
                                      result.score > 6 ? '📊 RELEVANT' : 
                                      '📝 CONTEXTUAL';
             
-            return `[SOURCE ${index + 1}] ${relevanceIndicator}
-Document: ${result.document}
+            return `[S${index + 1}] ${relevanceIndicator}
+Document: ${result.document}${result.metadata.location ? `, ${result.metadata.location}` : ''}
 Content Type: ${result.metadata.chunkType || 'general'}
 Relevance: ${(result.score).toFixed(1)}/10
 
@@ -261,55 +314,65 @@ ${analysisType === 'detailed' ? `
 6. COMPETITIVE POSITIONING: Alignment with historical competitive messaging` : ''}`
         };
         
-        const outputFormat = analysisType === 'detailed' ? `
-OUTPUT FORMAT:
-Provide your analysis in this structure:
-**CONSISTENCY SCORE**: [1-10 with brief rationale]
-**KEY INSIGHTS**: [2-3 main observations]
-**RECOMMENDATIONS**: [Specific actionable suggestions]
-**HISTORICAL COMPARISON**: [How this compares to past communications]
-**POTENTIAL CONCERNS**: [What investors/stakeholders might question]
-**CONFIDENCE LEVEL**: [High/Medium/Low with reasoning]` : `
-OUTPUT FORMAT:
-**CONSISTENCY SCORE**: [1-10 with brief rationale]
-**KEY INSIGHT**: [Main observation in 1-2 sentences]
-**RECOMMENDATION**: [One specific actionable suggestion]
-**TONE**: [Conservative/Optimistic/Neutral/Cautious with brief reasoning]`;
+        // The server supplies the JSON schema; only the depth of the answer is set here
+        const outputGuidance = analysisType === 'detailed'
+            ? `Give 2-3 insights, specific recommendations and the concerns investors or stakeholders might raise. Cite the [S#] IDs of the sources you rely on.`
+            : `Give one main insight and one specific recommendation. Cite the [S#] IDs of the sources you rely on.`;
         
         return `${baseInstructions}
 
 ${detailedInstructions[selectionType] || detailedInstructions['general_statement']}
 
-${outputFormat}
+${outputGuidance}
 
 Keep your analysis professional, specific, and actionable. Focus on helping improve the effectiveness of earnings communications.`;
     }
 
-    async callClaudeAPI(prompt, analysisType) {
+    // Resolves with { structured, numericCheck, metricHistory } - the server-validated analysis,
+    // its figure check and the reported history of metrics named in metricQuery
+    async callClaudeAPI(prompt, analysisType, onText = null, sourceIds = [], metricQuery = null) {
+        const body = {
+            prompt: prompt,
+            documents: [], // We're sending the prompt directly
+            analysisType: analysisType,
+            responseFormat: 'structured',
+            sourceIds,
+            company: this.company,
+            metricQuery
+        };
+        
         try {
             console.log('🤖 AI: Calling Claude API via server');
             
+            if (onText && typeof StreamingClient !== 'undefined') {
+                const data = await StreamingClient.postStream('/api/analyze-context', body, { onText });
+                console.log('🤖 AI: Claude analysis streamed via server');
+                
+                if (!data || !data.structured) {
+                    throw new Error('Invalid response format from server');
+                }
+                return { structured: data.structured, numericCheck: data.numericCheck || null, metricHistory: data.metricHistory || [] };
+            }
+            
             const response = await fetch('/api/analyze-context', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    prompt: prompt,
-                    documents: [], // We're sending the prompt directly
-                    analysisType: analysisType
-                })
+                body: JSON.stringify(body)
             });
             
             if (!response.ok) {
-                throw new Error(`Server error: ${response.status} ${response.statusText}`);
+                const errorData = await response.json().catch(() => ({}));
+                const issues = errorData.issues ? ` (${errorData.issues.join('; ')})` : '';
+                throw new Error(`Server error: ${response.status} ${errorData.error || response.statusText}${issues}`);
             }
             
             const data = await response.json();
             console.log('🤖 AI: Claude analysis completed via server');
             
-            if (data.content && data.content[0] && data.content[0].text) {
-                return data.content[0].text;
+            if (data.structured) {
+                return { structured: data.structured, numericCheck: data.numericCheck || null, metricHistory: data.metricHistory || [] };
             } else {
                 throw new Error('Invalid response format from server');
             }
@@ -320,51 +383,37 @@ Keep your analysis professional, specific, and actionable. Focus on helping impr
         }
     }
 
-    parseAnalysisResponse(responseText, searchResults, selectionType) {
-        // Extract structured information from Claude's response
-        const consistencyScore = this.extractConsistencyScore(responseText);
-        const tone = this.extractTone(responseText);
-        const recommendations = this.extractRecommendations(responseText);
+    parseAnalysisResponse({ structured, numericCheck, metricHistory = [] }, searchResults, selectionType) {
+        const sourceIds = this.getSourceIds(searchResults);
+        const citedSourceIds = structured.citedSourceIds || [];
         
-        // Build source references
+        // Build source references, flagging the ones the analysis relies on
         const sources = searchResults.map((result, index) => ({
+            id: sourceIds[index],
             documentId: result.document,
             documentName: result.document,
+            location: result.metadata.location || '',
             excerpt: result.text.slice(0, 200) + (result.text.length > 200 ? '...' : ''),
             relevanceScore: result.score,
-            sectionTitle: result.metadata.chunkType
+            sectionTitle: result.metadata.chunkType,
+            cited: citedSourceIds.includes(sourceIds[index])
         }));
         
         return {
-            analysis: responseText,
-            confidence: consistencyScore / 10, // Convert to 0-1 scale
+            analysis: structured.summary,
+            structured,
+            confidence: structured.score / 10, // Convert to 0-1 scale
             sources,
-            suggestions: recommendations,
-            tone,
-            consistencyScore
+            suggestions: structured.recommendations,
+            insights: structured.insights,
+            concerns: structured.concerns,
+            citedSourceIds,
+            numericCheck,
+            metricHistory,
+            tone: structured.tone,
+            consistencyScore: structured.score
         };
     }
-
-    extractConsistencyScore(text) {
-        const scoreMatch = text.match(/\*\*CONSISTENCY SCORE\*\*:\s*(\d+)/i);
-        return scoreMatch ? parseInt(scoreMatch[1]) : 7; // Default to 7 if not found
-    }
-
-    extractTone(text) {
-        const toneMatch = text.match(/\*\*TONE\*\*:\s*(conservative|optimistic|neutral|cautious)/i);
-        return (toneMatch?.[1]?.toLowerCase()) || 'neutral';
-    }
-
-    extractRecommendations(text) {
-        const recommendationMatch = text.match(/\*\*RECOMMENDATIONS?\*\*:\s*([^*]+)/i);
-        if (!recommendationMatch) return [];
-        
-        return recommendationMatch[1]
-            .split(/\n|\.\s+/)
-            .map(rec => rec.trim())
-            .filter(rec => rec.length > 10)
-            .slice(0, 3); // Limit to 3 recommendations
-    }
 }
 
 // Export for use in other modules
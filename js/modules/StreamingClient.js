@@ -0,0 +1,118 @@
+// Streaming Client - Reads Server-Sent Events from /api/analyze-context and /api/chat
+// Falls back to the plain JSON contract when the server does not stream
+
+class StreamingClient {
+    // POST a JSON body with stream: true and feed partial text to onText.
+    // onProgress receives 'progress' events (e.g. { stage: 'map', completed, total }) from long chat requests.
+    // Resolves with the final payload (same shape as the non-streaming JSON response).
+    static async postStream(url, body, { onText = null, onProgress = null, headers = {} } = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                ...headers
+            },
+            body: JSON.stringify({ ...body, stream: true })
+        });
+
+        if (!response.ok) {
+            let errorData = {};
+            try {
+                errorData = await response.json();
+            } catch (error) {
+                // Body was not JSON - keep the status only
+            }
+            const error = new Error(errorData.error || `API request failed: ${response.status}`);
+            error.status = response.status;
+            error.data = errorData;
+            throw error;
+        }
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('text/event-stream') || !response.body) {
+            // Older server - render the full text in one go
+            const data = await response.json();
+            const text = StreamingClient.getText(data);
+            if (onText && text) onText(text, text);
+            return data;
+        }
+
+        return StreamingClient.readEventStream(response.body, onText, onProgress);
+    }
+
+    static async readEventStream(stream, onText, onProgress = null) {
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+        let finalPayload = null;
+
+        const handleEvent = (rawEvent) => {
+            let eventName = 'message';
+            const dataLines = [];
+
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventName = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).trimStart());
+                }
+            });
+
+            if (dataLines.length === 0) return;
+            const data = JSON.parse(dataLines.join('\n'));
+
+            if (eventName === 'chunk') {
+                fullText += data.text;
+                if (onText) onText(data.text, fullText);
+            } else if (eventName === 'progress') {
+                if (onProgress) onProgress(data);
+            } else if (eventName === 'done') {
+                finalPayload = data;
+            } else if (eventName === 'error') {
+                throw new Error(data.error || 'Streaming request failed');
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                handleEvent(rawEvent);
+                boundary = buffer.indexOf('\n\n');
+            }
+        }
+
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+
+        // Connection dropped before the final event - return what we have
+        return finalPayload || {
+            success: fullText.length > 0,
+            content: [{ text: fullText }],
+            incomplete: true
+        };
+    }
+
+    static getText(data) {
+        if (data && data.content && data.content[0] && data.content[0].text) {
+            return data.content[0].text;
+        }
+        return data && data.response ? data.response : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreamingClient;
+} else {
+    window.StreamingClient = StreamingClient;
+}
@@ -4,7 +4,232 @@ export class APIHandler {
         this.baseUrl = '/api';
     }
 
-    async analyzeContext(userInput, documents) {
+    // Documents already stored on the server are sent by ID; the rest still go inline
+    static buildDocumentScope(documents) {
+        const stored = documents.filter(doc => doc.serverId);
+        return {
+            documentIds: stored.map(doc => doc.serverId),
+            documents: documents.filter(doc => !doc.serverId)
+        };
+    }
+
+    // Store a document in the server repository; resolves with its metadata (including id)
+    async uploadDocument(doc, workspaceId = 'default') {
+        const response = await fetch(`${this.baseUrl}/documents`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                name: doc.name,
+                text: doc.text,
+                type: doc.type,
+                workspaceId
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Document upload failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.document;
+    }
+
+    // Send a file (PDF, XLSX, CSV, DOCX, JSON, text) to be parsed on the server.
+    // Resolves with { document, format, text, tables, records, metadata }; document is
+    // the stored metadata, or null when store is false and only the extraction is wanted.
+    // Spreadsheet metrics in a stored file are recorded in the company's metric history.
+    async uploadFile(file, workspaceId = 'default', { store = true, company = null } = {}) {
+        const formData = new FormData();
+        formData.append('files', file);
+        formData.append('workspaceId', workspaceId);
+        formData.append('store', String(store));
+        if (company) {
+            formData.append('company', company);
+        }
+
+        const response = await fetch(`${this.baseUrl}/documents/upload`, {
+            method: 'POST',
+            body: formData
+        });
+
+        // An upload the server refuses outright (413 too large, 400 too many files) has only { error, code }
+        const data = await response.json();
+        if (!response.ok || !data.documents || data.documents.length === 0) {
+            const error = new Error(data.errors && data.errors[0] ? data.errors[0].error : data.error || `File upload failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data.documents[0];
+    }
+
+    // Metadata and full text of one stored document
+    async getDocumentText(documentId) {
+        const response = await fetch(`${this.baseUrl}/documents/${encodeURIComponent(documentId)}?includeText=true`);
+        if (!response.ok) {
+            throw new Error(`Document fetch failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.document.text;
+    }
+
+    // Every reported metric series for a company, each with its points, QoQ/YoY changes and trend
+    async getMetricHistory(company = null) {
+        const query = new URLSearchParams({ includePoints: 'true', ...(company && { company }) });
+        const response = await fetch(`${this.baseUrl}/metrics?${query}`);
+        if (!response.ok) {
+            throw new Error(`Metric history failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.series;
+    }
+
+    // settings: { yearEndMonth, yearEndDay, weekRule, weekday }; later uploads for the company use it
+    async saveFiscalCalendar(company, settings) {
+        const response = await fetch(`${this.baseUrl}/fiscal-calendars/${encodeURIComponent(company)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Fiscal calendar save failed: ${response.status}`);
+            error.issues = data.issues;
+            throw error;
+        }
+        return data.calendar;
+    }
+
+    // Call script written section by section from the documents. options: { company, companyName,
+    // industryFocus, reportingPeriod, period, speakers, sections }. onProgress gets
+    // { stage: 'section', completed, total, section } as each section starts.
+    // Resolves with { script, numericCheck }
+    async generateScript(documents, options = {}, onProgress = null) {
+        const body = { ...options, ...APIHandler.buildDocumentScope(documents) };
+
+        if (onProgress && window.StreamingClient) {
+            return window.StreamingClient.postStream(`${this.baseUrl}/scripts/generate`, body, { onProgress });
+        }
+
+        const response = await fetch(`${this.baseUrl}/scripts/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Script generation failed: ${response.status}`);
+            error.issues = data.issues;
+            throw error;
+        }
+        return data;
+    }
+
+    // Roll a saved draft's text to a later quarter. Resolves with { fromPeriod, toPeriod,
+    // changes, review, summary, title }; offsets in changes and review index into text.
+    async rollForwardDraft(text, { title = null, company = null, fromPeriod = null, toPeriod = null } = {}) {
+        const response = await fetch(`${this.baseUrl}/drafts/roll-forward`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text, title, company, fromPeriod, toPeriod })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Roll-forward failed: ${response.status}`);
+            error.issues = data.issues;
+            throw error;
+        }
+        return data;
+    }
+
+    async listDocuments(workspaceId = 'default') {
+        const response = await fetch(`${this.baseUrl}/documents?workspaceId=${encodeURIComponent(workspaceId)}`);
+        if (!response.ok) {
+            throw new Error(`Document list failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.documents;
+    }
+
+    async deleteDocument(documentId) {
+        const response = await fetch(`${this.baseUrl}/documents/${encodeURIComponent(documentId)}`, {
+            method: 'DELETE'
+        });
+        // 404 means the server already forgot it - nothing left to delete
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Document delete failed: ${response.status}`);
+        }
+    }
+
+    // Start a server-side conversation; pass its id to chatTurn() for follow-ups
+    async createConversation(workspaceId = 'default') {
+        const response = await fetch(`${this.baseUrl}/conversations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ workspaceId })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Conversation create failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.conversation;
+    }
+
+    // Resolves with null when the server no longer has the conversation
+    async getConversation(conversationId) {
+        const response = await fetch(`${this.baseUrl}/conversations/${encodeURIComponent(conversationId)}`);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Conversation fetch failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.conversation;
+    }
+
+    // One turn of a conversation. Unlike chat(), documents are optional and errors are thrown
+    // so the caller can tell a failed turn from an answer. Resolves with the final payload.
+    // onProgress reports the map-reduce stages of prompts too large for one call.
+    async chatTurn(conversationId, message, documents = [], onText = null, onProgress = null) {
+        const body = {
+            message,
+            conversationId,
+            ...APIHandler.buildDocumentScope(documents)
+        };
+
+        if (onText && window.StreamingClient) {
+            return window.StreamingClient.postStream(`${this.baseUrl}/chat`, body, { onText, onProgress });
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || `API request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // Pass onText(delta, fullText) to render Claude's answer as it streams in
+    async analyzeContext(userInput, documents, onText = null) {
         if (!documents || documents.length === 0) {
             return "No documents available for analysis.";
         }
@@ -17,6 +242,15 @@ export class APIHandler {
             console.log('🚀 Sending focused prompt to Claude:', prompt.substring(0, 200) + '...');
             console.log('🔍 Full prompt being sent:', prompt);
 
+            if (onText && window.StreamingClient) {
+                const data = await window.StreamingClient.postStream(`${this.baseUrl}/analyze-context`, {
+                    prompt,
+                    ...APIHandler.buildDocumentScope(documents)
+                }, { onText });
+                console.log('✅ Claude streamed response completed');
+                return window.StreamingClient.getText(data);
+            }
+
             const response = await fetch(`${this.baseUrl}/analyze-context`, {
                 method: 'POST',
                 headers: {
@@ -24,7 +258,7 @@ export class APIHandler {
                 },
                 body: JSON.stringify({ 
                     prompt,
-                    documents: documents // Include documents for context
+                    ...APIHandler.buildDocumentScope(documents) // Stored documents go by ID
                 })
             });
 
@@ -43,7 +277,8 @@ export class APIHandler {
         }
     }
 
-    async chat(userInput, documents) {
+    // Pass onText(delta, fullText) to render Claude's answer as it streams in
+    async chat(userInput, documents, onText = null) {
         if (!documents || documents.length === 0) {
             return "No documents available for analysis.";
         }
@@ -52,6 +287,15 @@ export class APIHandler {
             console.log('🚀 Sending chat request to Claude:', userInput.substring(0, 200) + '...');
             console.log('📚 Including', documents.length, 'documents for context');
 
+            if (onText && window.StreamingClient) {
+                const data = await window.StreamingClient.postStream(`${this.baseUrl}/chat`, {
+                    message: userInput,
+                    ...APIHandler.buildDocumentScope(documents)
+                }, { onText });
+                console.log('✅ Claude streamed chat response completed');
+                return window.StreamingClient.getText(data);
+            }
+
             const response = await fetch(`${this.baseUrl}/chat`, {
                 method: 'POST',
                 headers: {
@@ -59,7 +303,7 @@ export class APIHandler {
                 },
                 body: JSON.stringify({ 
                     message: userInput,
-                    documents: documents // Include documents for context
+                    ...APIHandler.buildDocumentScope(documents) // Stored documents go by ID
                 })
             });
 
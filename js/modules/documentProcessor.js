@@ -2,6 +2,7 @@
 export class DocumentProcessor {
     constructor() {
         this.processedDocuments = [];
+        this.fiscalCalendar = this.loadFiscalCalendar();
         // No sample documents - only use actually uploaded documents
         this.loadDocumentsFromStorage();
     }
@@ -43,19 +44,12 @@ export class DocumentProcessor {
     }
 
     async extractTextFromFile(file) {
-        return new Promise((resolve, reject) => {
-            const fileName = file.name.toLowerCase();
-            console.log(`📁 Processing file: ${fileName} (${file.type}, ${file.size} bytes)`);
-            
-            if (fileName.endsWith('.pdf')) {
-                console.log(`📄 Detected PDF file, using PDF.js extraction...`);
-                // Use PDF.js for proper PDF text extraction
-                this.extractTextFromPDF(file)
-                    .then(resolve)
-                    .catch(reject);
-            } else if (fileName.endsWith('.txt')) {
-                console.log(`📝 Detected text file, using FileReader...`);
-                // Plain text files
+        const fileName = file.name.toLowerCase();
+        console.log(`📁 Processing file: ${fileName} (${file.type}, ${file.size} bytes)`);
+        
+        if (fileName.endsWith('.txt') || fileName.endsWith('.md')) {
+            console.log(`📝 Detected text file, using FileReader...`);
+            return new Promise((resolve, reject) => {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     console.log(`✅ Text file read successfully. Content length: ${e.target.result.length} characters`);
@@ -66,35 +60,41 @@ export class DocumentProcessor {
                     reject(new Error(`Failed to read text file ${file.name}: ${error.message || 'Unknown error'}`));
                 };
                 reader.readAsText(file);
-            } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-                console.log(`📊 Detected Excel file, using limited text extraction...`);
-                // Excel files - for now, we'll treat them as text
-                // In production, you'd use a library like SheetJS
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    console.log(`✅ Excel file processed (limited analysis)`);
-                    resolve('Excel file content (analysis may be limited)');
-                };
-                reader.onerror = (error) => {
-                    console.error(`❌ Error reading Excel file:`, error);
-                    reject(new Error(`Failed to read Excel file ${file.name}: ${error.message || 'Unknown error'}`));
-                };
-                reader.readAsText(file);
-            } else {
-                console.log(`📎 Detected other file type, attempting text extraction...`);
-                // Other file types
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    console.log(`✅ Other file type processed (limited analysis)`);
-                    resolve('File content extracted (analysis may be limited)');
-                };
-                reader.onerror = (error) => {
-                    console.error(`❌ Error reading file:`, error);
-                    reject(new Error(`Failed to read file ${file.name}: ${error.message || 'Unknown error'}`));
-                };
-                reader.readAsText(file);
+            });
+        }
+        
+        // PDF, XLSX, CSV, DOCX and JSON are parsed on the server
+        try {
+            return await this.extractTextOnServer(file);
+        } catch (error) {
+            // PDF.js in the browser still works without the server
+            if (fileName.endsWith('.pdf') && !error.status) {
+                console.warn(`⚠️ Server extraction unavailable, using PDF.js:`, error.message);
+                return this.extractTextFromPDF(file);
             }
-        });
+            throw error;
+        }
+    }
+    
+    // Extraction only - the server returns the parsed text without storing the document
+    async extractTextOnServer(file) {
+        console.log(`📤 Sending ${file.name} to the server for extraction...`);
+        const formData = new FormData();
+        formData.append('files', file);
+        formData.append('store', 'false');
+        
+        const response = await fetch('/api/documents/upload', { method: 'POST', body: formData });
+        // A refused upload (file too large, too many files) comes back as { error, code } only
+        const data = await response.json();
+        if (!response.ok || !data.documents || data.documents.length === 0) {
+            const error = new Error(data.errors && data.errors[0] ? data.errors[0].error : data.error || `Failed to extract ${file.name}: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        const parsed = data.documents[0];
+        console.log(`✅ Server extracted ${parsed.text.length} characters (${parsed.format}, ${parsed.tables.length} tables)`);
+        return parsed.text;
     }
 
     async extractTextFromPDF(file) {
@@ -116,22 +116,19 @@ export class DocumentProcessor {
             const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
             console.log(`✅ PDF loaded successfully. Pages: ${pdf.numPages}`);
             
-            let fullText = '';
+            const pages = [];
             
-            // Extract text from each page
+            // Extract text from each page, marked the way the server marks it
             for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
                 console.log(`📄 Processing page ${pageNum}/${pdf.numPages}...`);
                 const page = await pdf.getPage(pageNum);
                 const textContent = await page.getTextContent();
                 
-                // Combine text items from the page
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ');
-                
-                fullText += pageText + '\n';
+                const pageText = this.buildPageLines(textContent.items);
+                pages.push(`[Page ${pageNum}]\n${pageText}`);
                 console.log(`✅ Page ${pageNum} processed. Text length: ${pageText.length} characters`);
             }
+            const fullText = pages.join('\n\n');
             
             // Clean up the extracted text
             console.log(`🧹 Cleaning extracted text...`);
@@ -160,44 +157,57 @@ export class DocumentProcessor {
         }
     }
 
-    cleanExtractedText(text) {
-        // Increase text length limit to preserve more content
-        const maxLength = 100000; // Increased from 50KB to 100KB
+    // Rebuild lines from item positions: items on the same baseline form a line, and a gap
+    // wider than a word space separates columns with " | ", as in the server's tables
+    buildPageLines(items) {
+        const lines = [];
+        items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                right: item.transform[4] + (item.width || 0),
+                size: Math.hypot(item.transform[2], item.transform[3]) || 10
+            }))
+            .sort((a, b) => b.y - a.y || a.x - b.x)
+            .forEach(fragment => {
+                const line = lines[lines.length - 1];
+                if (line && Math.abs(line.y - fragment.y) <= fragment.size / 2) {
+                    line.fragments.push(fragment);
+                } else {
+                    lines.push({ y: fragment.y, fragments: [fragment] });
+                }
+            });
         
-        // First, clean up common PDF artifacts that can cause truncation
-        let cleanedText = text
+        return lines.map(line => {
+            let text = '';
+            let right = null;
+            line.fragments.sort((a, b) => a.x - b.x).forEach(fragment => {
+                if (right !== null) {
+                    const gap = fragment.x - right;
+                    text += gap > fragment.size * 1.2 ? ' | ' : gap > fragment.size * 0.15 ? ' ' : '';
+                }
+                text += fragment.text;
+                right = Math.max(right === null ? fragment.right : right, fragment.right);
+            });
+            return text.replace(/\s+/g, ' ').trim();
+        }).join('\n');
+    }
+
+    // Line breaks, page markers and every figure are kept; the full text is stored on the
+    // server, so nothing is truncated here
+    cleanExtractedText(text) {
+        return text
             // Remove PDF-specific artifacts that can break text flow
             .replace(/endstream\s+endobj/g, '')
             .replace(/stream\s+BT\s+ET\s+endstream/g, '')
             .replace(/BT\s+ET/g, '')
-            // Remove coordinate patterns that can interfere with text
-            .replace(/\b\d{1,2}\s+\d{1,2}\s+\d{1,2}\s+\d{1,2}\b/g, '')
-            // Remove single character artifacts more carefully
-            .replace(/\b(?<![A-Z])\b[a-zA-Z]\b(?![A-Z])\b/g, '')
-            // Clean up excessive whitespace while preserving line breaks
-            .replace(/\s+/g, ' ')
+            // Collapse spaces inside lines and runs of blank lines
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
             .trim();
-
-        // Check if we need to truncate after cleaning
-        if (cleanedText.length > maxLength) {
-            console.warn(`PDF text still too long after cleaning (${cleanedText.length} chars), truncating to ${maxLength} chars`);
-            
-            // Try to truncate at a sentence boundary to avoid cutting mid-sentence
-            const truncated = cleanedText.substring(0, maxLength);
-            const lastSentenceEnd = Math.max(
-                truncated.lastIndexOf('.'),
-                truncated.lastIndexOf('!'),
-                truncated.lastIndexOf('?')
-            );
-            
-            if (lastSentenceEnd > maxLength * 0.8) { // If we can find a sentence end in the last 20%
-                cleanedText = truncated.substring(0, lastSentenceEnd + 1) + '... [truncated]';
-            } else {
-                cleanedText = truncated + '... [truncated]';
-            }
-        }
-        
-        return cleanedText;
     }
 
     async analyzeDocument(text, filename) {
@@ -205,6 +215,7 @@ export class DocumentProcessor {
         const businessInsights = this.extractBusinessInsights(text);
         const compliancePatterns = this.extractCompliancePatterns(text);
         const period = this.extractDocumentPeriod(text);
+        const fiscalPeriod = this.fiscalCalendar.findPeriod(text);
 
         return {
             document_type: this.getFileType(filename),
@@ -212,59 +223,93 @@ export class DocumentProcessor {
             financial_data: financialData,
             key_points: businessInsights,
             risk_factors: compliancePatterns,
-            period
+            period,
+            period_range: fiscalPeriod ? { start: fiscalPeriod.startDate, end: fiscalPeriod.endDate } : null
         };
     }
 
+    // Fiscal calendar from settings ({ yearEndMonth, weekRule, weekday }); the calendar year when unset
+    loadFiscalCalendar() {
+        try {
+            const stored = localStorage.getItem('earningsGenAI_fiscalCalendar');
+            return new window.FiscalCalendar(stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable fiscal calendar setting:', error.message);
+            return window.FiscalCalendar.CALENDAR_YEAR;
+        }
+    }
+
+    setFiscalCalendar(settings) {
+        this.fiscalCalendar = new window.FiscalCalendar(settings || {});
+    }
+
+    // Figures named by the words right after them ("$1.2 billion in revenue", "12% growth").
+    // Quantities come from the shared FinancialQuantity parser, so scaled amounts, negatives
+    // in parentheses and ranges are read the same way as on the server.
     extractFinancialData(text) {
+        const money = ['amount', 'per_share'];
+        const percent = ['percent'];
         const patterns = {
             // Revenue patterns
-            revenue: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:revenue|sales|income)/gi,
-            revenue_growth: /(\d+(?:\.\d+)?%)\s*(?:revenue\s+)?(?:growth|increase|decrease|decline)/gi,
+            revenue: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:revenue|sales|income)/i },
+            revenue_growth: { types: percent, follows: /^\s*(?:revenue\s+)?(?:growth|increase|decrease|decline)/i },
             
             // Profitability patterns
-            ebitda: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:EBITDA|ebitda)/gi,
-            net_income: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:net\s+income|net\s+earnings|profit)/gi,
-            operating_income: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:operating\s+income|operating\s+earnings)/gi,
+            ebitda: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:adjusted\s+)?EBITDA/i },
+            net_income: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:net\s+income|net\s+earnings|profit)/i },
+            operating_income: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:operating\s+income|operating\s+earnings)/i },
             
             // Margin patterns
-            margin: /(\d+(?:\.\d+)?%)\s*(?:gross|operating|net|profit)\s*margin/gi,
-            margin_absolute: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*margin/gi,
+            margin: { types: percent, follows: /^\s*(?:gross|operating|net|profit)\s*margin/i },
+            margin_absolute: { types: money, follows: /^\s*(?:in\s+|of\s+)?margin/i },
             
             // EPS patterns
-            eps: /(\$[\d,]+(?:\.\d+)?)\s*(?:EPS|earnings\s+per\s+share)/gi,
-            eps_growth: /(\d+(?:\.\d+)?%)\s*(?:EPS\s+)?(?:growth|increase|decrease)/gi,
+            eps: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:(?:diluted\s+)?EPS|earnings\s+per\s+share)/i },
+            eps_growth: { types: percent, follows: /^\s*(?:EPS\s+)?(?:growth|increase|decrease)/i },
             
             // Growth patterns
-            growth: /(\d+(?:\.\d+)?%)\s*(?:growth|increase|decrease|decline|up|down|YoY|year-over-year|quarter-over-quarter)/gi,
+            growth: { types: [...percent, 'basis_points'], follows: /^\s*(?:growth|increase|decrease|decline|up|down|YoY|year-over-year|quarter-over-quarter)/i },
             
             // Cash flow patterns
-            cash_flow: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:cash\s+flow|operating\s+cash|free\s+cash)/gi,
+            cash_flow: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:cash\s+flow|operating\s+cash|free\s+cash)/i },
             
             // Balance sheet patterns
-            assets: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:total\s+)?assets/gi,
-            liabilities: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:total\s+)?liabilities/gi,
-            equity: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:shareholders\s+)?equity/gi,
+            assets: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:total\s+)?assets/i },
+            liabilities: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:total\s+)?liabilities/i },
+            equity: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:shareholders'?\s+)?equity/i },
             
             // Debt patterns
-            debt: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:debt|long-term\s+debt|total\s+debt)/gi,
+            debt: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:long-term\s+|total\s+)?debt/i },
             
             // Dividend patterns
-            dividend: /(\$[\d,]+(?:\.\d+)?)\s*(?:dividend|dividend\s+per\s+share)/gi,
+            dividend: { types: money, follows: /^\s*(?:quarterly\s+|annual\s+)?dividend/i },
             
             // Market cap patterns
-            market_cap: /(\$[\d,]+(?:\.\d+)?[MBK]?)\s*(?:market\s+cap|market\s+capitalization)/gi,
-            
+            market_cap: { types: money, follows: /^\s*(?:in\s+|of\s+)?(?:market\s+cap|market\s+capitalization)/i }
+        };
+        const periodPatterns = {
             // Quarter/Year patterns
             quarter: /Q[1-4]\s*(\d{4})/gi,
             year: /(\d{4})\s*(?:fiscal\s+)?year/gi
         };
 
         const data = {};
+        const quantities = window.FinancialQuantity.extract(text);
         Object.entries(patterns).forEach(([key, pattern]) => {
+            const matches = quantities
+                .map(quantity => {
+                    const words = text.substring(quantity.end, quantity.end + 40).match(pattern.follows);
+                    return pattern.types.includes(quantity.type) && words ? `${quantity.text}${words[0]}` : null;
+                })
+                .filter(Boolean);
+            if (matches.length > 0) {
+                data[key] = matches.slice(0, 5); // Keep up to 5 matches per pattern
+            }
+        });
+        Object.entries(periodPatterns).forEach(([key, pattern]) => {
             const matches = text.match(pattern);
             if (matches) {
-                data[key] = matches.slice(0, 5); // Keep up to 5 matches per pattern
+                data[key] = matches.slice(0, 5);
             }
         });
 
@@ -294,30 +339,12 @@ export class DocumentProcessor {
         const textLower = text.toLowerCase();
         console.log('🔍 Extracting period from text:', text.substring(0, 200) + '...');
         
-        // Quarter patterns - more comprehensive
-        const quarterPatterns = [
-            /Q[1-4]\s*\d{4}/gi,  // Q1 2024, Q2 2025
-            /(?:first|second|third|fourth)\s*quarter\s*\d{4}/gi,  // first quarter 2024
-            /(?:1st|2nd|3rd|4th)\s*quarter\s*\d{4}/gi,  // 1st quarter 2024
-            /quarter\s*[1-4]\s*\d{4}/gi  // quarter 1 2024
-        ];
-        
-        for (const pattern of quarterPatterns) {
-            const match = text.match(pattern);
-            if (match) {
-                // Standardize quarter format
-                const matchText = match[0];
-                if (matchText.includes('first') || matchText.includes('1st')) {
-                    return `Q1 ${matchText.match(/\d{4}/)[0]}`;
-                } else if (matchText.includes('second') || matchText.includes('2nd')) {
-                    return `Q2 ${matchText.match(/\d{4}/)[0]}`;
-                } else if (matchText.includes('third') || matchText.includes('3rd')) {
-                    return `Q3 ${matchText.match(/\d{4}/)[0]}`;
-                } else if (matchText.includes('fourth') || matchText.includes('4th')) {
-                    return `Q4 ${matchText.match(/\d{4}/)[0]}`;
-                }
-                return matchText;
-            }
+        // Quarters, halves and fiscal years on the company's fiscal calendar: "Q1 FY25",
+        // "first quarter of fiscal 2025" and "three months ended September 30, 2024"
+        const fiscalPeriod = this.fiscalCalendar.findPeriod(text);
+        if (fiscalPeriod) {
+            console.log('🔍 Found fiscal period:', fiscalPeriod.label, `(${fiscalPeriod.startDate} to ${fiscalPeriod.endDate})`);
+            return fiscalPeriod.label;
         }
         
         // Year patterns - more comprehensive and prioritize recent years
@@ -437,16 +464,28 @@ export class DocumentProcessor {
     saveDocumentsToStorage() {
         try {
             // Convert documents to a storage-friendly format
-            const documentsForStorage = this.processedDocuments.map(doc => ({
+            const toStorage = (doc, keepText) => ({
                 name: doc.name,
-                text: doc.text,
+                text: keepText ? doc.text : '',
+                textOnServer: !keepText,
                 analysis: doc.analysis,
                 summary: doc.summary,
-                timestamp: doc.timestamp
-            }));
-            
-            const storageData = JSON.stringify(documentsForStorage);
-            localStorage.setItem('earningsGenAI_documents', storageData);
+                timestamp: doc.timestamp,
+                serverId: doc.serverId
+            });
+            let documentsForStorage = this.processedDocuments.map(doc => toStorage(doc, !doc.textOnServer));
+            let storageData = JSON.stringify(documentsForStorage);
+            
+            try {
+                localStorage.setItem('earningsGenAI_documents', storageData);
+            } catch (quotaError) {
+                // Long filings can outgrow localStorage; documents the server stores keep
+                // their text there and are fetched again on load
+                console.warn('⚠️ localStorage is full, keeping server-stored document text on the server only');
+                documentsForStorage = this.processedDocuments.map(doc => toStorage(doc, !doc.serverId));
+                storageData = JSON.stringify(documentsForStorage);
+                localStorage.setItem('earningsGenAI_documents', storageData);
+            }
             console.log(`💾 Saved ${this.processedDocuments.length} documents to localStorage`);
             console.log('💾 Storage data length:', storageData.length);
             console.log('💾 Document names saved:', documentsForStorage.map(d => d.name));
@@ -488,6 +527,15 @@ export class DocumentProcessor {
         console.log('🗑️ Cleared all documents from memory and storage');
     }
 
+    // Remember the server repository ID so requests can reference the document instead of resending it
+    setServerId(documentName, serverId) {
+        const doc = this.processedDocuments.find(d => d.name === documentName);
+        if (doc) {
+            doc.serverId = serverId;
+            this.saveDocumentsToStorage();
+        }
+    }
+
     removeDocument(documentName) {
         this.processedDocuments = this.processedDocuments.filter(doc => doc.name !== documentName);
         this.saveDocumentsToStorage();
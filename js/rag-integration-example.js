@@ -387,10 +387,10 @@ class RAGIntegrationExample {
     }
     
     clearDocuments() {
-        if (confirm('Are you sure you want to clear all documents? This cannot be undone.')) {
+        if (confirm('Are you sure you want to clear the documents in this workspace? This cannot be undone.')) {
             this.ragClient.clearDocuments();
             this.documents = [];
-            this.showNotification('🗑️ All documents cleared', 'info');
+            this.showNotification('🗑️ Workspace documents cleared', 'info');
         }
     }
 }
@@ -0,0 +1,148 @@
+// bm25-index.js - Inverted index with BM25 scoring and phrase boosting
+const FinancialTokenizer = require('./financial-tokenizer');
+
+const K1 = 1.2;   // Term frequency saturation
+const B = 0.75;   // Length normalization
+const PHRASE_BOOST = 1.5;       // Added per query bigram found in order in the chunk
+const EXACT_PHRASE_BOOST = 5;   // Added when the whole query appears verbatim
+
+class BM25Index {
+    constructor() {
+        this.postings = new Map();   // term -> Map(chunkId -> term frequency)
+        this.chunks = new Map();     // chunkId -> { chunk, length, uniqueTerms, bigrams }
+        this.totalLength = 0;
+    }
+
+    // chunk: { id, docId, text, ... } - any extra fields are returned with search results
+    addChunk(chunk) {
+        if (this.chunks.has(chunk.id)) {
+            this.removeChunk(chunk.id);
+        }
+
+        const terms = FinancialTokenizer.tokenize(chunk.text);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+        frequencies.forEach((tf, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(chunk.id, tf);
+        });
+
+        this.chunks.set(chunk.id, {
+            chunk,
+            length: terms.length,
+            uniqueTerms: Array.from(frequencies.keys()),
+            bigrams: BM25Index.buildBigrams(terms)
+        });
+        this.totalLength += terms.length;
+    }
+
+    removeChunk(chunkId) {
+        const entry = this.chunks.get(chunkId);
+        if (!entry) return;
+
+        entry.uniqueTerms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (posting && posting.delete(chunkId) && posting.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+
+        this.totalLength -= entry.length;
+        this.chunks.delete(chunkId);
+    }
+
+    removeDocument(docId) {
+        const chunkIds = [];
+        this.chunks.forEach((entry, chunkId) => {
+            if (String(entry.chunk.docId) === String(docId)) chunkIds.push(chunkId);
+        });
+        chunkIds.forEach(chunkId => this.removeChunk(chunkId));
+    }
+
+    clear() {
+        this.postings.clear();
+        this.chunks.clear();
+        this.totalLength = 0;
+    }
+
+    static buildBigrams(terms) {
+        const bigrams = new Set();
+        for (let i = 0; i < terms.length - 1; i++) {
+            bigrams.add(`${terms[i]} ${terms[i + 1]}`);
+        }
+        return bigrams;
+    }
+
+    // Inverse document frequency, always positive
+    idf(term) {
+        const n = this.chunks.size;
+        const df = this.postings.has(term) ? this.postings.get(term).size : 0;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    // Returns [{ ...chunk, score, matchedTerms }] best first.
+    // docIds restricts results to those documents.
+    search(query, { limit = 5, docIds = null } = {}) {
+        const queryTerms = [...new Set(FinancialTokenizer.tokenize(query))];
+        if (queryTerms.length === 0 || this.chunks.size === 0) return [];
+
+        const allowed = docIds ? new Set(docIds.map(String)) : null;
+        const avgLength = this.totalLength / this.chunks.size || 1;
+        const scores = new Map(); // chunkId -> { score, matchedTerms }
+
+        queryTerms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) return;
+
+            const idf = this.idf(term);
+            posting.forEach((tf, chunkId) => {
+                const entry = this.chunks.get(chunkId);
+                if (allowed && !allowed.has(String(entry.chunk.docId))) return;
+
+                const norm = tf + K1 * (1 - B + B * entry.length / avgLength);
+                const result = scores.get(chunkId) || { score: 0, matchedTerms: [] };
+                result.score += idf * (tf * (K1 + 1)) / norm;
+                result.matchedTerms.push(term);
+                scores.set(chunkId, result);
+            });
+        });
+
+        // Phrase boosting - reward chunks that contain the query words in order
+        const queryBigrams = BM25Index.buildBigrams(FinancialTokenizer.tokenize(query));
+        const exactPhrase = query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+        scores.forEach((result, chunkId) => {
+            const entry = this.chunks.get(chunkId);
+
+            queryBigrams.forEach(bigram => {
+                if (entry.bigrams.has(bigram)) result.score += PHRASE_BOOST;
+            });
+
+            if (exactPhrase.includes(' ') && entry.chunk.text.toLowerCase().replace(/\s+/g, ' ').includes(exactPhrase)) {
+                result.score += EXACT_PHRASE_BOOST;
+            }
+        });
+
+        return Array.from(scores.entries())
+            .map(([chunkId, result]) => ({
+                ...this.chunks.get(chunkId).chunk,
+                score: Math.round(result.score * 1000) / 1000,
+                matchedTerms: result.matchedTerms
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    getStats() {
+        return {
+            chunkCount: this.chunks.size,
+            termCount: this.postings.size,
+            averageChunkLength: this.chunks.size ? Math.round(this.totalLength / this.chunks.size) : 0
+        };
+    }
+}
+
+module.exports = BM25Index;
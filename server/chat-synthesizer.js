@@ -0,0 +1,205 @@
+// chat-synthesizer.js - Map-reduce answering for chat prompts too large for one Claude call
+// Map: each chunk yields structured findings for the question.
+// Reduce: one synthesis call merges the findings into a single answer with numbered,
+// de-duplicated citations. Chunks that are skipped or fail are reported, never dropped silently.
+
+const MAP_SYSTEM_PROMPT = `You extract findings from one excerpt of a larger set of financial documents.
+Reply with JSON only, no prose, in this shape:
+{"findings": [{"claim": "one fact or insight relevant to the question", "evidence": "short supporting quote or figure", "source": "document name if shown, else \\"excerpt\\""}]}
+Use an empty findings array when the excerpt has nothing relevant. Do not invent numbers.`;
+
+const MAP_MAX_TOKENS = 1500;
+const QUESTION_MAX_LENGTH = 2000; // A pasted document is the chunks' job, not every call's question
+
+class ChatSynthesizer {
+    constructor(aiService, { maxMapChunks = 8 } = {}) {
+        this.aiService = aiService;
+        this.maxMapChunks = maxMapChunks;
+    }
+
+    // chunks: SmartContentProcessor chunks, most relevant first.
+    // history: prior conversation messages, only sent with the synthesis call.
+    // onProgress({ stage, completed, total, ... }) and onText(delta) are optional.
+    // Resolves with { text, mode, chunksProcessed, totalChunks, droppedChunks, citations }
+    async answer({ question, chunks, history = [], onProgress = null, onText = null }) {
+        if (chunks.length <= 1) {
+            const prompt = chunks.length === 1 ? chunks[0].content : question;
+            const { text } = await this.aiService.complete(
+                { messages: [...history, { role: 'user', content: prompt }] },
+                onText
+            );
+            return { text, mode: 'direct', chunksProcessed: chunks.length, totalChunks: chunks.length, droppedChunks: [], citations: [] };
+        }
+
+        question = ChatSynthesizer.trimQuestion(question);
+        const { partials, droppedChunks } = await this.mapChunks(question, chunks, onProgress);
+        if (partials.length === 0) {
+            throw new Error('Failed to process any content chunks');
+        }
+
+        const citations = ChatSynthesizer.collectCitations(partials);
+        if (onProgress) {
+            onProgress({ stage: 'reduce', completed: partials.length, total: chunks.length, dropped: droppedChunks.length });
+        }
+
+        const { text } = await this.aiService.complete(
+            { messages: [...history, { role: 'user', content: this.buildSynthesisPrompt(question, partials, citations, droppedChunks) }] },
+            onText
+        );
+
+        return {
+            text,
+            mode: 'map-reduce',
+            chunksProcessed: partials.length,
+            totalChunks: chunks.length,
+            droppedChunks,
+            citations
+        };
+    }
+
+    static trimQuestion(question) {
+        return question.length > QUESTION_MAX_LENGTH
+            ? `${question.substring(0, QUESTION_MAX_LENGTH)}... [truncated - the full text is in the excerpts]`
+            : question;
+    }
+
+    // ============================================================================
+    // MAP
+    // ============================================================================
+
+    async mapChunks(question, chunks, onProgress) {
+        const partials = [];
+        const droppedChunks = chunks.slice(this.maxMapChunks).map((chunk, offset) =>
+            ChatSynthesizer.describeDrop(chunk, this.maxMapChunks + offset, `Over the ${this.maxMapChunks}-chunk limit`));
+        const mapped = chunks.slice(0, this.maxMapChunks);
+
+        for (const [index, chunk] of mapped.entries()) {
+            if (onProgress) {
+                onProgress({ stage: 'map', completed: index, total: mapped.length, chunk: index + 1 });
+            }
+
+            try {
+                const { text } = await this.aiService.complete({
+                    system: MAP_SYSTEM_PROMPT,
+                    maxTokens: MAP_MAX_TOKENS,
+                    temperature: 0,
+                    prompt: `Question: ${question}\n\nExcerpt ${index + 1} of ${chunks.length}:\n${chunk.content}`
+                });
+                partials.push({ chunkNumber: index + 1, findings: ChatSynthesizer.parseFindings(text) });
+            } catch (error) {
+                console.error(`❌ Error mapping chunk ${index + 1}:`, error.message);
+
+                // Once rate limited, the remaining chunks would fail the same way
+                if (error.message && error.message.includes('rate_limit')) {
+                    mapped.slice(index).forEach((skipped, offset) => {
+                        droppedChunks.push(ChatSynthesizer.describeDrop(skipped, index + offset, 'Rate limited'));
+                    });
+                    break;
+                }
+                droppedChunks.push(ChatSynthesizer.describeDrop(chunk, index, error.message));
+            }
+        }
+
+        if (droppedChunks.length > 0) {
+            console.log(`⚠️ ${droppedChunks.length} of ${chunks.length} chunks were not used in the answer`);
+        }
+        droppedChunks.sort((a, b) => a.chunkNumber - b.chunkNumber);
+        return { partials, droppedChunks };
+    }
+
+    static describeDrop(chunk, index, reason) {
+        return {
+            chunkNumber: index + 1,
+            reason,
+            length: chunk.content.length,
+            preview: chunk.content.substring(0, 100) + '...'
+        };
+    }
+
+    // Accepts bare JSON, fenced JSON or JSON with surrounding prose;
+    // anything else becomes a single finding so the text is not lost
+    static parseFindings(text) {
+        const cleaned = (text || '').replace(/```(?:json)?/g, '').trim();
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+
+        if (start !== -1 && end > start) {
+            try {
+                const parsed = JSON.parse(cleaned.substring(start, end + 1));
+                if (Array.isArray(parsed.findings)) {
+                    return parsed.findings
+                        .filter(finding => finding && finding.claim)
+                        .map(finding => ({
+                            claim: String(finding.claim).trim(),
+                            evidence: finding.evidence ? String(finding.evidence).trim() : '',
+                            source: finding.source ? String(finding.source).trim() : 'excerpt'
+                        }));
+                }
+            } catch (error) {
+                // Fall through to the plain-text finding
+            }
+        }
+
+        return cleaned ? [{ claim: cleaned, evidence: '', source: 'excerpt' }] : [];
+    }
+
+    // ============================================================================
+    // REDUCE
+    // ============================================================================
+
+    // One citation per distinct source name, numbered in order of first appearance
+    static collectCitations(partials) {
+        const citations = [];
+        const byKey = new Map();
+
+        partials.forEach(partial => partial.findings.forEach(finding => {
+            const key = finding.source.toLowerCase().replace(/\s+/g, ' ');
+            if (!byKey.has(key)) {
+                const citation = { number: citations.length + 1, source: finding.source, chunks: [] };
+                byKey.set(key, citation);
+                citations.push(citation);
+            }
+            const citation = byKey.get(key);
+            if (!citation.chunks.includes(partial.chunkNumber)) {
+                citation.chunks.push(partial.chunkNumber);
+            }
+            finding.citation = citation.number;
+        }));
+
+        return citations;
+    }
+
+    buildSynthesisPrompt(question, partials, citations, droppedChunks) {
+        // The same claim often comes back from overlapping chunks
+        const seen = new Set();
+        const findings = [];
+        partials.forEach(partial => partial.findings.forEach(finding => {
+            const key = finding.claim.toLowerCase().replace(/\s+/g, ' ');
+            if (seen.has(key)) return;
+            seen.add(key);
+            findings.push(`- ${finding.claim}${finding.evidence ? ` (evidence: ${finding.evidence})` : ''} [${finding.citation}]`);
+        }));
+
+        const sources = citations.map(citation => `[${citation.number}] ${citation.source}`).join('\n');
+        const coverageNote = droppedChunks.length > 0
+            ? `\nNote: ${droppedChunks.length} excerpt(s) could not be analyzed. Mention that the answer may be incomplete.\n`
+            : '';
+
+        return `Question: ${question}
+
+=== FINDINGS FROM ${partials.length} DOCUMENT EXCERPTS ===
+${findings.length > 0 ? findings.join('\n') : '- No relevant findings'}
+
+=== SOURCES ===
+${sources || 'None'}
+${coverageNote}
+=== INSTRUCTIONS ===
+Write one coherent answer to the question using only these findings.
+- Merge overlapping findings instead of repeating them
+- Cite sources inline with their numbers, e.g. [1]
+- End with a "Sources" list containing only the numbers you cited
+- Say so plainly if the findings do not answer the question`;
+    }
+}
+
+module.exports = ChatSynthesizer;
@@ -1,22 +1,47 @@
 // content-cache.js - Intelligent content caching and optimization
+// Memory and disk are both bounded by bytes and evict least recently used entries first.
+// Policy (directory, budgets, per-route TTLs, on/off) comes from ConfigService.getCacheConfig().
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const ConfigService = require('./services/config-service');
+
+const DEFAULT_ROUTE = 'content'; // Entries stored through cacheContent()
+const INDEX_WRITE_DELAY = 5000; // Hits only move lastAccessed, so their index writes are batched
 
 class ContentCache {
-    constructor() {
-        this.cacheDir = './cache';
-        this.memoryCache = new Map(); // In-memory cache for hot content
-        this.maxMemorySize = 100; // Max items in memory cache
+    constructor(config = new ConfigService().getCacheConfig()) {
+        this.enabled = config.enabled !== false;
+        this.cacheDir = config.dir || path.join(__dirname, 'cache');
+        this.defaultTtl = config.ttl;
+        this.ttlByRoute = config.ttlByRoute || {};
+        this.maxDiskSize = config.maxSize;
+        this.maxMemorySize = config.memoryMaxSize;
+        this.cleanupInterval = config.cleanupInterval;
+        
+        this.memoryCache = new Map(); // cacheKey -> { data, size }, oldest access first
+        this.memorySize = 0;
+        this.index = {};              // cacheKey -> index entry for every file on disk
+        this.diskSize = 0;
         this.cacheStats = {
             hits: 0,
             misses: 0,
             saves: 0,
-            totalSize: 0
+            memoryEvictions: 0,
+            diskEvictions: 0,
+            expired: 0
         };
+        this.routeStats = new Map(); // route -> { hits, misses, saves, evictions }
+        this.indexWriteTimer = null;
+        
+        if (!this.enabled) {
+            console.log('⚠️ Content cache disabled (CACHE_ENABLED=false)');
+            return;
+        }
         
         this.ensureCacheDirectory();
         this.loadCacheIndex();
+        process.once('exit', () => this.flushCacheIndex());
         
         // Set up automatic cache cleanup
         this.setupCacheCleanup();
@@ -29,33 +54,82 @@ class ContentCache {
         }
     }
 
+    getCacheFile(cacheKey) {
+        return path.join(this.cacheDir, `${cacheKey}.json`);
+    }
+
+    getTtl(route) {
+        return this.ttlByRoute[route] || this.defaultTtl;
+    }
+
+    getRouteStats(route) {
+        if (!this.routeStats.has(route)) {
+            this.routeStats.set(route, { hits: 0, misses: 0, saves: 0, evictions: 0 });
+        }
+        return this.routeStats.get(route);
+    }
+
     // Generate cache key from content and query
     generateCacheKey(content, query = '') {
         const combined = content + '|' + query;
         return crypto.createHash('sha256').update(combined).digest('hex');
     }
 
+    // Generate cache key for an AI request. The retrieved context is hashed so a
+    // changed document set, model or prompt template version never reuses an answer.
+    // request: { route, prompt, context, model, templateVersion }
+    generateRequestKey(request) {
+        const { route = '', prompt = '', context = null, model = '', templateVersion = null, format = null } = request;
+        const parts = [route, prompt, this.hashContext(context), model, templateVersion];
+        // Only non-default formats extend the key, so existing entries stay valid
+        if (format) parts.push(format);
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(parts))
+            .digest('hex');
+    }
+
+    hashContext(context) {
+        if (!context) return 'none';
+        return crypto.createHash('sha256').update(context).digest('hex').substring(0, 16);
+    }
+
     // Get cached content if available
     async getCachedContent(content, query = '') {
-        const cacheKey = this.generateCacheKey(content, query);
+        return this.getCachedEntry(this.generateCacheKey(content, query), DEFAULT_ROUTE);
+    }
+
+    // Get a cached AI response for a request built like generateRequestKey's
+    async getCachedResponse(request) {
+        return this.getCachedEntry(this.generateRequestKey(request), request.route);
+    }
+
+    async getCachedEntry(cacheKey, route = DEFAULT_ROUTE) {
+        if (!this.enabled) return null;
+        const routeStats = this.getRouteStats(route);
         
         // Check memory cache first
-        if (this.memoryCache.has(cacheKey)) {
-            this.cacheStats.hits++;
-            const cached = this.memoryCache.get(cacheKey);
-            console.log(`⚡ Memory cache hit for key: ${cacheKey.substring(0, 8)}...`);
-            return cached;
+        const memoryEntry = this.memoryCache.get(cacheKey);
+        if (memoryEntry) {
+            if (this.isCacheValid(memoryEntry.data)) {
+                this.recordHit(cacheKey, routeStats);
+                // Re-insert so the Map stays ordered by last access
+                this.memoryCache.delete(cacheKey);
+                this.memoryCache.set(cacheKey, memoryEntry);
+                console.log(`⚡ Memory cache hit for key: ${cacheKey.substring(0, 8)}...`);
+                return memoryEntry.data;
+            }
+            this.expireEntry(cacheKey);
         }
         
         // Check disk cache
-        const cacheFile = path.join(this.cacheDir, `${cacheKey}.json`);
+        const cacheFile = this.getCacheFile(cacheKey);
         if (fs.existsSync(cacheFile)) {
             try {
                 const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
                 
                 // Check if cache is still valid (not expired)
                 if (this.isCacheValid(cached)) {
-                    this.cacheStats.hits++;
+                    this.recordHit(cacheKey, routeStats);
                     
                     // Move to memory cache for faster access
                     this.addToMemoryCache(cacheKey, cached);
@@ -63,50 +137,117 @@ class ContentCache {
                     console.log(`💾 Disk cache hit for key: ${cacheKey.substring(0, 8)}...`);
                     return cached;
                 } else {
-                    // Remove expired cache
-                    fs.unlinkSync(cacheFile);
+                    this.expireEntry(cacheKey);
                     console.log(`🗑️ Removed expired cache: ${cacheKey.substring(0, 8)}...`);
                 }
             } catch (error) {
                 console.error('❌ Error reading cache file:', error.message);
                 // Remove corrupted cache
-                try { fs.unlinkSync(cacheFile); } catch (e) {}
+                this.removeEntry(cacheKey);
+                this.writeCacheIndex();
             }
         }
         
         this.cacheStats.misses++;
+        routeStats.misses++;
         return null;
     }
 
+    recordHit(cacheKey, routeStats) {
+        this.cacheStats.hits++;
+        routeStats.hits++;
+        
+        // Disk LRU order is kept in the index; the hit path never waits on a disk write
+        if (this.index[cacheKey]) {
+            this.index[cacheKey].lastAccessed = Date.now();
+            this.scheduleIndexWrite();
+        }
+    }
+
+    scheduleIndexWrite() {
+        if (this.indexWriteTimer) return;
+        this.indexWriteTimer = setTimeout(() => this.writeCacheIndex(), INDEX_WRITE_DELAY);
+        this.indexWriteTimer.unref();
+    }
+
+    // Write a pending index update now (on exit)
+    flushCacheIndex() {
+        if (this.indexWriteTimer) this.writeCacheIndex();
+    }
+
+    expireEntry(cacheKey) {
+        this.removeEntry(cacheKey);
+        this.writeCacheIndex();
+        this.cacheStats.expired++;
+    }
+
     // Cache processed content
     async cacheContent(content, query, processedChunks, metadata = {}) {
-        const cacheKey = this.generateCacheKey(content, query);
+        return this.saveEntry(this.generateCacheKey(content, query), processedChunks, {
+            ...metadata,
+            route: DEFAULT_ROUTE,
+            originalLength: content.length,
+            query: query
+        });
+    }
+
+    // Cache an AI response. metadata.documentIds / metadata.workspaceId record which
+    // stored documents the answer depends on so it can be invalidated when they change.
+    async cacheResponse(request, response, metadata = {}) {
+        return this.saveEntry(this.generateRequestKey(request), response, {
+            ...metadata,
+            route: request.route,
+            model: request.model,
+            templateVersion: request.templateVersion,
+            contextHash: this.hashContext(request.context),
+            documentIds: metadata.documentIds || [],
+            workspaceId: metadata.workspaceId || null,
+            originalLength: request.prompt.length,
+            query: request.prompt
+        });
+    }
+
+    async saveEntry(cacheKey, content, metadata) {
+        if (!this.enabled) return false;
+        
+        const route = metadata.route || DEFAULT_ROUTE;
         const cacheData = {
-            content: processedChunks,
+            content,
             metadata: {
                 ...metadata,
-                originalLength: content.length,
-                query: query,
+                route,
                 timestamp: Date.now(),
-                expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+                expiresAt: Date.now() + this.getTtl(route)
             }
         };
         
         try {
+            const serialized = JSON.stringify(cacheData, null, 2);
+            const size = Buffer.byteLength(serialized, 'utf8');
+            if (size > this.maxDiskSize) {
+                console.warn(`⚠️ Not caching ${Math.round(size / 1024)}KB entry - larger than the disk budget`);
+                return false;
+            }
+            
+            // Replacing an entry must not count its old size twice
+            this.removeEntry(cacheKey);
+            
             // Save to disk cache
-            const cacheFile = path.join(this.cacheDir, `${cacheKey}.json`);
-            fs.writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2));
+            fs.writeFileSync(this.getCacheFile(cacheKey), serialized);
+            this.diskSize += size;
             
             // Add to memory cache
-            this.addToMemoryCache(cacheKey, cacheData);
+            this.addToMemoryCache(cacheKey, cacheData, size);
             
             // Update cache index
-            this.updateCacheIndex(cacheKey, cacheData);
+            this.updateCacheIndex(cacheKey, cacheData, size);
+            this.evictFromDisk();
+            this.writeCacheIndex();
             
             this.cacheStats.saves++;
-            this.cacheStats.totalSize += JSON.stringify(cacheData).length;
+            this.getRouteStats(route).saves++;
             
-            console.log(`💾 Cached content with key: ${cacheKey.substring(0, 8)}...`);
+            console.log(`💾 Cached ${route} content with key: ${cacheKey.substring(0, 8)}...`);
             return true;
         } catch (error) {
             console.error('❌ Failed to cache content:', error.message);
@@ -114,15 +255,48 @@ class ContentCache {
         }
     }
 
-    // Add content to memory cache with LRU eviction
-    addToMemoryCache(cacheKey, cacheData) {
-        // Remove oldest item if at capacity
-        if (this.memoryCache.size >= this.maxMemorySize) {
+    // Add content to memory cache with LRU eviction by size
+    addToMemoryCache(cacheKey, cacheData, size = Buffer.byteLength(JSON.stringify(cacheData), 'utf8')) {
+        if (size > this.maxMemorySize) return;
+        
+        this.removeFromMemoryCache(cacheKey);
+        
+        // Least recently used entries are first in the Map
+        while (this.memorySize + size > this.maxMemorySize && this.memoryCache.size > 0) {
             const oldestKey = this.memoryCache.keys().next().value;
-            this.memoryCache.delete(oldestKey);
+            this.removeFromMemoryCache(oldestKey);
+            this.cacheStats.memoryEvictions++;
         }
         
-        this.memoryCache.set(cacheKey, cacheData);
+        this.memoryCache.set(cacheKey, { data: cacheData, size });
+        this.memorySize += size;
+    }
+
+    removeFromMemoryCache(cacheKey) {
+        const entry = this.memoryCache.get(cacheKey);
+        if (!entry) return;
+        this.memoryCache.delete(cacheKey);
+        this.memorySize -= entry.size;
+    }
+
+    // Evict least recently used disk entries until the cache fits its budget
+    evictFromDisk() {
+        if (this.diskSize <= this.maxDiskSize) return;
+        
+        const byAccess = Object.entries(this.index)
+            .sort(([, a], [, b]) => (a.lastAccessed || a.timestamp) - (b.lastAccessed || b.timestamp));
+        let evictedCount = 0;
+        
+        for (const [cacheKey, entry] of byAccess) {
+            if (this.diskSize <= this.maxDiskSize) break;
+            
+            this.removeEntry(cacheKey);
+            this.cacheStats.diskEvictions++;
+            this.getRouteStats(entry.route || DEFAULT_ROUTE).evictions++;
+            evictedCount++;
+        }
+        
+        console.log(`🗑️ Evicted ${evictedCount} least recently used cache entries (${Math.round(this.diskSize / 1024)}KB on disk)`);
     }
 
     // Check if cache entry is still valid
@@ -135,40 +309,129 @@ class ContentCache {
     }
 
     // Update cache index for management
-    updateCacheIndex(cacheKey, cacheData) {
-        const indexFile = path.join(this.cacheDir, 'index.json');
-        let index = {};
+    updateCacheIndex(cacheKey, cacheData, size) {
+        const { metadata } = cacheData;
+        
+        this.index[cacheKey] = {
+            timestamp: metadata.timestamp,
+            lastAccessed: metadata.timestamp,
+            expiresAt: metadata.expiresAt,
+            originalLength: metadata.originalLength,
+            query: metadata.query,
+            route: metadata.route,
+            size
+        };
         
+        // Dependency fields are only present on AI response entries
+        ['model', 'templateVersion', 'contextHash', 'documentIds', 'workspaceId'].forEach(field => {
+            if (metadata[field] !== undefined) this.index[cacheKey][field] = metadata[field];
+        });
+    }
+
+    writeCacheIndex() {
+        clearTimeout(this.indexWriteTimer);
+        this.indexWriteTimer = null;
         try {
-            if (fs.existsSync(indexFile)) {
-                index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
-            }
+            fs.writeFileSync(path.join(this.cacheDir, 'index.json'), JSON.stringify(this.index, null, 2));
         } catch (error) {
-            console.error('❌ Error reading cache index:', error.message);
+            console.error('❌ Failed to update cache index:', error.message);
         }
+    }
+
+    // Drop one entry from memory, disk and the index (the caller writes the index)
+    removeEntry(cacheKey) {
+        this.removeFromMemoryCache(cacheKey);
         
-        index[cacheKey] = {
-            timestamp: cacheData.metadata.timestamp,
-            expiresAt: cacheData.metadata.expiresAt,
-            originalLength: cacheData.metadata.originalLength,
-            query: cacheData.metadata.query,
-            size: JSON.stringify(cacheData).length
-        };
+        const entry = this.index[cacheKey];
+        if (entry) {
+            this.diskSize -= entry.size || 0;
+            delete this.index[cacheKey];
+        }
         
         try {
-            fs.writeFileSync(indexFile, JSON.stringify(index, null, 2));
+            const cacheFile = this.getCacheFile(cacheKey);
+            if (fs.existsSync(cacheFile)) fs.unlinkSync(cacheFile);
         } catch (error) {
-            console.error('❌ Failed to update cache index:', error.message);
+            console.error(`❌ Failed to remove cache entry: ${cacheKey}`);
         }
+        return entry || null;
+    }
+
+    // ============================================================================
+    // DOCUMENT DEPENDENCIES
+    // ============================================================================
+
+    // List index entries, optionally only those that depend on a document or workspace
+    listEntries({ documentId = null, workspaceId = null } = {}) {
+        return Object.entries(this.index)
+            .filter(([, entry]) => !documentId || (entry.documentIds || []).includes(documentId))
+            .filter(([, entry]) => !workspaceId || entry.workspaceId === workspaceId)
+            .map(([key, entry]) => ({
+                key,
+                route: entry.route || DEFAULT_ROUTE,
+                query: (entry.query || '').substring(0, 200),
+                model: entry.model || null,
+                templateVersion: entry.templateVersion || null,
+                documentIds: entry.documentIds || [],
+                workspaceId: entry.workspaceId || null,
+                timestamp: entry.timestamp,
+                lastAccessed: entry.lastAccessed,
+                expiresAt: entry.expiresAt,
+                size: entry.size
+            }))
+            .sort((a, b) => b.timestamp - a.timestamp);
     }
 
-    // Load cache index from disk
+    // Remove every entry matching predicate(entry); returns the number removed
+    removeEntries(predicate) {
+        const cacheKeys = Object.keys(this.index).filter(cacheKey => predicate(this.index[cacheKey]));
+        cacheKeys.forEach(cacheKey => this.removeEntry(cacheKey));
+        
+        if (cacheKeys.length > 0) {
+            this.writeCacheIndex();
+        }
+        return cacheKeys.length;
+    }
+
+    // Drop answers built from any of these documents
+    invalidateDocuments(documentIds) {
+        const ids = new Set(documentIds);
+        const removedCount = this.removeEntries(entry => (entry.documentIds || []).some(id => ids.has(id)));
+        if (removedCount > 0) {
+            console.log(`🗑️ Invalidated ${removedCount} cache entries for ${ids.size} document(s)`);
+        }
+        return removedCount;
+    }
+
+    // Drop answers that searched a whole workspace - a new document may change what they retrieve
+    invalidateWorkspace(workspaceId) {
+        const removedCount = this.removeEntries(entry => entry.workspaceId === workspaceId);
+        if (removedCount > 0) {
+            console.log(`🗑️ Invalidated ${removedCount} cache entries for workspace ${workspaceId}`);
+        }
+        return removedCount;
+    }
+
+    // Load cache index from disk, dropping entries whose file is gone
     loadCacheIndex() {
         const indexFile = path.join(this.cacheDir, 'index.json');
         try {
             if (fs.existsSync(indexFile)) {
-                const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
-                console.log(`📁 Loaded cache index with ${Object.keys(index).length} entries`);
+                const stored = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+                this.index = {};
+                this.diskSize = 0;
+                
+                for (const [cacheKey, entry] of Object.entries(stored)) {
+                    const cacheFile = this.getCacheFile(cacheKey);
+                    if (!fs.existsSync(cacheFile)) continue;
+                    
+                    const size = fs.statSync(cacheFile).size;
+                    this.index[cacheKey] = { ...entry, size };
+                    this.diskSize += size;
+                }
+                
+                console.log(`📁 Loaded cache index with ${Object.keys(this.index).length} entries (${Math.round(this.diskSize / 1024)}KB)`);
+                this.evictFromDisk();
             }
         } catch (error) {
             console.log('📁 No existing cache index found');
@@ -177,77 +440,67 @@ class ContentCache {
 
     // Get cache statistics
     getCacheStats() {
-        const indexFile = path.join(this.cacheDir, 'index.json');
-        let totalEntries = 0;
-        let totalSize = 0;
-        
-        try {
-            if (fs.existsSync(indexFile)) {
-                const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
-                totalEntries = Object.keys(index).length;
-                totalSize = Object.values(index).reduce((sum, entry) => sum + (entry.size || 0), 0);
-            }
-        } catch (error) {
-            console.error('❌ Error reading cache stats:', error.message);
-        }
+        const routes = {};
+        this.routeStats.forEach((stats, route) => {
+            routes[route] = { ...stats, entries: 0, bytes: 0 };
+        });
+        Object.values(this.index).forEach(entry => {
+            const route = entry.route || DEFAULT_ROUTE;
+            routes[route] = routes[route] || { hits: 0, misses: 0, saves: 0, evictions: 0, entries: 0, bytes: 0 };
+            routes[route].entries++;
+            routes[route].bytes += entry.size || 0;
+        });
+        Object.values(routes).forEach(stats => {
+            stats.hitRate = stats.hits / Math.max(1, stats.hits + stats.misses);
+        });
         
         return {
+            enabled: this.enabled,
             memoryCacheSize: this.memoryCache.size,
-            diskCacheEntries: totalEntries,
-            totalDiskSize: totalSize,
+            memoryBytes: this.memorySize,
+            maxMemoryBytes: this.maxMemorySize,
+            diskCacheEntries: Object.keys(this.index).length,
+            totalDiskSize: this.diskSize,
+            maxDiskBytes: this.maxDiskSize,
             hitRate: this.cacheStats.hits / Math.max(1, this.cacheStats.hits + this.cacheStats.misses),
-            ...this.cacheStats
+            ...this.cacheStats,
+            evictions: this.cacheStats.memoryEvictions + this.cacheStats.diskEvictions,
+            ttl: { default: this.defaultTtl, ...this.ttlByRoute },
+            routes
         };
     }
 
     // Clear expired cache entries
     async clearExpiredCache() {
-        const indexFile = path.join(this.cacheDir, 'index.json');
-        if (!fs.existsSync(indexFile)) return;
+        const now = Date.now();
+        const clearedCount = this.removeEntries(entry => entry.expiresAt && now > entry.expiresAt);
         
-        try {
-            const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
-            const now = Date.now();
-            let clearedCount = 0;
-            
-            for (const [cacheKey, entry] of Object.entries(index)) {
-                if (entry.expiresAt && now > entry.expiresAt) {
-                    const cacheFile = path.join(this.cacheDir, `${cacheKey}.json`);
-                    try {
-                        if (fs.existsSync(cacheFile)) {
-                            fs.unlinkSync(cacheFile);
-                            clearedCount++;
-                        }
-                    } catch (error) {
-                        console.error(`❌ Failed to remove expired cache: ${cacheKey}`);
-                    }
-                }
-            }
-            
-            if (clearedCount > 0) {
-                console.log(`🗑️ Cleared ${clearedCount} expired cache entries`);
-                this.loadCacheIndex(); // Reload index
-            }
-        } catch (error) {
-            console.error('❌ Error clearing expired cache:', error.message);
+        if (clearedCount > 0) {
+            this.cacheStats.expired += clearedCount;
+            console.log(`🗑️ Cleared ${clearedCount} expired cache entries`);
         }
     }
 
     // Clear all cache
     async clearAllCache() {
         try {
-            const files = fs.readdirSync(this.cacheDir);
             let clearedCount = 0;
             
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    fs.unlinkSync(path.join(this.cacheDir, file));
-                    clearedCount++;
+            if (fs.existsSync(this.cacheDir)) {
+                for (const file of fs.readdirSync(this.cacheDir)) {
+                    if (file.endsWith('.json')) {
+                        fs.unlinkSync(path.join(this.cacheDir, file));
+                        clearedCount++;
+                    }
                 }
             }
             
             this.memoryCache.clear();
-            this.cacheStats = { hits: 0, misses: 0, saves: 0, totalSize: 0 };
+            this.memorySize = 0;
+            this.index = {};
+            this.diskSize = 0;
+            Object.keys(this.cacheStats).forEach(stat => { this.cacheStats[stat] = 0; });
+            this.routeStats.clear();
             
             console.log(`🗑️ Cleared all cache (${clearedCount} files)`);
             return true;
@@ -262,16 +515,20 @@ class ContentCache {
         const stats = this.getCacheStats();
         const recommendations = [];
         
+        if (!stats.enabled) {
+            return ['Caching is disabled - set CACHE_ENABLED=true to reuse answers'];
+        }
+        
         if (stats.hitRate < 0.3) {
             recommendations.push('Low cache hit rate - consider adjusting cache expiration or content processing');
         }
         
-        if (stats.memoryCacheSize > this.maxMemorySize * 0.8) {
-            recommendations.push('Memory cache near capacity - consider increasing maxMemorySize');
+        if (stats.memoryEvictions > stats.saves) {
+            recommendations.push('Memory cache is evicting faster than it fills - consider increasing CACHE_MEMORY_MAX_SIZE');
         }
         
-        if (stats.totalDiskSize > 100 * 1024 * 1024) { // 100MB
-            recommendations.push('Large disk cache - consider implementing cache compression');
+        if (stats.totalDiskSize > stats.maxDiskBytes * 0.9) {
+            recommendations.push('Disk cache near its size budget - consider increasing CACHE_MAX_SIZE or shortening CACHE_TTL');
         }
         
         return recommendations;
@@ -279,10 +536,11 @@ class ContentCache {
 
     // Preload frequently accessed content
     async preloadContent(contentKeys) {
+        if (!this.enabled) return;
         console.log(`🔄 Preloading ${contentKeys.length} content items...`);
         
         for (const key of contentKeys) {
-            const cacheFile = path.join(this.cacheDir, `${key}.json`);
+            const cacheFile = this.getCacheFile(key);
             if (fs.existsSync(cacheFile)) {
                 try {
                     const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
@@ -297,16 +555,14 @@ class ContentCache {
         
         console.log(`✅ Preloaded ${this.memoryCache.size} items to memory cache`);
     }
-    
+
     // Set up automatic cache cleanup
     setupCacheCleanup() {
-        // Clean up expired cache every 6 hours
-        const CLEANUP_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
-        
+        // Clean up expired cache on the configured interval (6 hours by default)
         setInterval(() => {
             console.log('🧹 Running scheduled cache cleanup...');
             this.clearExpiredCache();
-        }, CLEANUP_INTERVAL);
+        }, this.cleanupInterval);
         
         // Clean up old cache files older than 7 days
         const DEEP_CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
@@ -318,8 +574,8 @@ class ContentCache {
         
         console.log('✅ Cache cleanup scheduled');
     }
-    
-    // Clear old cache files (older than 7 days)
+
+    // Clear old cache files (older than 7 days), including files the index does not know about
     async clearOldCacheFiles() {
         const MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
         const now = Date.now();
@@ -335,7 +591,7 @@ class ContentCache {
                     
                     if (now - stats.mtime.getTime() > MAX_AGE) {
                         try {
-                            fs.unlinkSync(filePath);
+                            this.removeEntry(path.basename(file, '.json'));
                             clearedCount++;
                         } catch (error) {
                             console.error(`❌ Failed to remove old cache file: ${file}`);
@@ -345,8 +601,8 @@ class ContentCache {
             }
             
             if (clearedCount > 0) {
+                this.writeCacheIndex();
                 console.log(`🗑️ Cleared ${clearedCount} old cache files`);
-                this.loadCacheIndex(); // Reload index
             }
         } catch (error) {
             console.error('❌ Error clearing old cache files:', error.message);
@@ -0,0 +1,157 @@
+// conversation-store.js - Persisted multi-turn chat history
+// Each conversation keeps its raw user and assistant turns. Document context is
+// re-retrieved for every turn, so stored turns never carry the retrieved passages.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_CONVERSATIONS = 200;      // Oldest (by last update) are dropped beyond this
+const CHARS_PER_TOKEN = 4;          // Rough estimate, same ratio the replay provider reports
+
+class ConversationStore {
+    constructor(storeFile = path.join(__dirname, 'conversations.json')) {
+        this.storeFile = storeFile;
+        this.conversations = new Map(); // id -> { id, workspaceId, title, createdAt, updatedAt, messages }
+        this.loadStore();
+    }
+
+    loadStore() {
+        try {
+            if (!fs.existsSync(this.storeFile)) return;
+
+            const stored = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+            (stored.conversations || []).forEach(conversation => {
+                this.conversations.set(conversation.id, conversation);
+            });
+            console.log(`📁 Loaded ${this.conversations.size} conversations from ${this.storeFile}`);
+        } catch (error) {
+            console.error('❌ Error reading conversation store:', error.message);
+        }
+    }
+
+    saveStore() {
+        try {
+            fs.writeFileSync(this.storeFile, JSON.stringify({
+                conversations: Array.from(this.conversations.values())
+            }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving conversation store:', error.message);
+        }
+    }
+
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+    }
+
+    // ============================================================================
+    // CONVERSATIONS
+    // ============================================================================
+
+    createConversation({ workspaceId = 'default', title = null } = {}) {
+        const now = new Date().toISOString();
+        const conversation = {
+            id: `conv_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+            workspaceId,
+            title,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+
+        this.conversations.set(conversation.id, conversation);
+        this.pruneConversations();
+        this.saveStore();
+
+        console.log(`💬 Started conversation ${conversation.id}`);
+        return conversation;
+    }
+
+    getConversation(id) {
+        return this.conversations.get(id) || null;
+    }
+
+    listConversations({ workspaceId = null } = {}) {
+        return Array.from(this.conversations.values())
+            .filter(conversation => !workspaceId || conversation.workspaceId === workspaceId)
+            .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    deleteConversation(id) {
+        const deleted = this.conversations.delete(id);
+        if (deleted) this.saveStore();
+        return deleted;
+    }
+
+    // Record one completed exchange; the first question becomes the title
+    appendExchange(id, userContent, assistantContent, metadata = {}) {
+        const conversation = this.conversations.get(id);
+        if (!conversation) {
+            throw new Error(`Conversation ${id} not found`);
+        }
+
+        const timestamp = new Date().toISOString();
+        conversation.messages.push(
+            { role: 'user', content: userContent, timestamp },
+            { role: 'assistant', content: assistantContent, timestamp, ...metadata }
+        );
+        conversation.title = conversation.title || userContent.substring(0, 80);
+        conversation.updatedAt = timestamp;
+        this.saveStore();
+
+        return conversation;
+    }
+
+    pruneConversations() {
+        if (this.conversations.size <= MAX_CONVERSATIONS) return;
+
+        Array.from(this.conversations.values())
+            .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+            .slice(0, this.conversations.size - MAX_CONVERSATIONS)
+            .forEach(conversation => this.conversations.delete(conversation.id));
+    }
+
+    // ============================================================================
+    // PROMPT HISTORY
+    // ============================================================================
+
+    // Prior turns as Claude messages, newest exchanges first into the budget.
+    // Exchanges are kept whole so the history always starts with a user turn.
+    // Returns { messages, includedTurns, totalTurns, truncated, tokens }
+    buildHistory(id, tokenBudget) {
+        const conversation = this.conversations.get(id);
+        const turns = conversation ? conversation.messages : [];
+        const messages = [];
+        let tokens = 0;
+
+        for (let i = turns.length - 2; i >= 0; i -= 2) {
+            const exchange = turns.slice(i, i + 2).map(({ role, content }) => ({ role, content }));
+            const exchangeTokens = exchange.reduce((total, message) => total + ConversationStore.estimateTokens(message.content), 0);
+            if (tokens + exchangeTokens > tokenBudget) break;
+
+            messages.unshift(...exchange);
+            tokens += exchangeTokens;
+        }
+
+        return {
+            messages,
+            includedTurns: messages.length,
+            totalTurns: turns.length,
+            truncated: messages.length < turns.length,
+            tokens
+        };
+    }
+
+    // Follow-ups like "and how did that compare to Q2?" name nothing to retrieve on their
+    // own, so the previous question is searched along with the new one
+    buildRetrievalQuery(id, content) {
+        const conversation = this.conversations.get(id);
+        const previousQuestion = conversation
+            ? [...conversation.messages].reverse().find(message => message.role === 'user')
+            : null;
+
+        return previousQuestion ? `${previousQuestion.content}\n${content}` : content;
+    }
+}
+
+module.exports = ConversationStore;
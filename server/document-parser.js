@@ -0,0 +1,493 @@
+// document-parser.js - Turns uploaded files into normalized text, tables and metadata
+// PDF text by page with its tables rebuilt from item positions, every sheet of a workbook as a table, DOCX headings/paragraphs/tables,
+// and CSV/JSON as records. Sheets, CSVs and PDF tables laid out by period also yield metric records.
+// The text is what gets indexed for retrieval; tables, records, metrics and metadata are
+// returned to the caller alongside it.
+const path = require('path');
+const ExcelJS = require('exceljs');
+const mammoth = require('mammoth');
+const SpreadsheetMetrics = require('./spreadsheet-metrics');
+const PdfLayout = require('./pdf-layout');
+const TranscriptParser = require('./transcript-parser');
+const FiscalCalendar = require('../js/modules/FiscalCalendar');
+
+const FORMATS = {
+    '.pdf': 'pdf',
+    '.xlsx': 'xlsx',
+    '.csv': 'csv',
+    '.docx': 'docx',
+    '.json': 'json',
+    '.txt': 'text',
+    '.md': 'text'
+};
+const MIME_FORMATS = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'text/csv': 'csv',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/json': 'json',
+    'text/plain': 'text',
+    'text/markdown': 'text'
+};
+const TRANSCRIPT_FORMATS = new Set(['pdf', 'docx', 'text']); // Formats a call transcript arrives in
+const TRANSCRIPT_PERIOD_SCAN = 3000; // The call's quarter is named in its title or opening
+
+class DocumentParser {
+    static detectFormat(filename = '', mimetype = '') {
+        return FORMATS[path.extname(filename).toLowerCase()] || MIME_FORMATS[mimetype] || null;
+    }
+
+    static get supportedExtensions() {
+        return Object.keys(FORMATS);
+    }
+
+    // Resolves with { format, text, tables, records, metrics, pages, sections, transcript, metadata }.
+    // calendar: the company's FiscalCalendar, used to date spreadsheet periods and transcripts.
+    // transcript: 'auto' reads PDF, DOCX and text files that look like call transcripts as
+    // speaker turns; true requires it (422 when no turns are found) and false skips it.
+    // Throws an Error with status 415 for formats it cannot read.
+    static async parse(buffer, { filename = 'upload', mimetype = '', calendar, transcript = 'auto' } = {}) {
+        const format = DocumentParser.detectFormat(filename, mimetype);
+        if (!format) {
+            const error = new Error(`Unsupported file type for ${filename}. Supported: ${DocumentParser.supportedExtensions.join(', ')}`);
+            error.status = 415;
+            throw error;
+        }
+
+        const parsers = {
+            pdf: DocumentParser.parsePDF,
+            xlsx: DocumentParser.parseWorkbook,
+            csv: DocumentParser.parseCSV,
+            docx: DocumentParser.parseDocx,
+            json: DocumentParser.parseJSON,
+            text: DocumentParser.parseText
+        };
+        const parsed = await parsers[format](buffer, filename, { calendar });
+        const text = DocumentParser.normalizeText(parsed.text);
+        const call = transcript !== false && TRANSCRIPT_FORMATS.has(format)
+            ? DocumentParser.readTranscript(text, calendar)
+            : null;
+        if (transcript === true && !call) {
+            const error = new Error(`No speaker turns found in ${filename}; it was not read as a call transcript`);
+            error.status = 422;
+            throw error;
+        }
+
+        return {
+            format,
+            tables: [],
+            records: null,
+            metrics: [],
+            pages: null,
+            sections: null,
+            ...parsed,
+            text: call ? call.text : text,
+            transcript: call ? call.summary : null,
+            metadata: { format, filename, size: buffer.length, ...parsed.metadata, ...(call && { transcript: true }) }
+        };
+    }
+
+    // { text, summary } for a call transcript: the text with speaker markers (see
+    // transcript-parser.js) and { period, participants, turnCount, exchangeCount }; null otherwise
+    static readTranscript(text, calendar) {
+        const parsed = TranscriptParser.parse(text);
+        if (!parsed) return null;
+
+        const period = (calendar || FiscalCalendar.CALENDAR_YEAR).findPeriod(text.slice(0, TRANSCRIPT_PERIOD_SCAN));
+        return {
+            text: TranscriptParser.annotate(text, parsed),
+            summary: {
+                period: period ? { label: period.label, startDate: period.startDate, endDate: period.endDate } : null,
+                participants: parsed.participants,
+                turnCount: parsed.turns.length,
+                exchangeCount: parsed.exchanges.length
+            }
+        };
+    }
+
+    static normalizeText(text) {
+        return (text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t\u00A0]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // Tables are indexed as pipe-separated rows under their name so retrieval can find them
+    static tableToText(table) {
+        const lines = [`Table: ${table.name}${table.title ? ` - ${table.title}` : ''}`];
+        if (table.headers.length > 0) lines.push(table.headers.join(' | '));
+        table.rows.forEach(row => lines.push(row.join(' | ')));
+        return lines.join('\n');
+    }
+
+    // ============================================================================
+    // PDF
+    // ============================================================================
+
+    static async parsePDF(buffer, filename, { calendar } = {}) {
+        // pdf.js only ships as an ES module
+        const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+        const pdf = await pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            isEvalSupported: false,
+            disableFontFace: true,
+            verbosity: 0
+        }).promise;
+
+        // Tables are numbered through the whole document so a citation can say "p.14, Table 3"
+        const pages = [];
+        const tables = [];
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const page = await pdf.getPage(number);
+            const content = await page.getTextContent();
+            const { blocks } = PdfLayout.readPage(content.items);
+            const pageTables = [];
+            const text = blocks.map(block => {
+                if (block.type === 'text') return block.text;
+                const table = { name: `Table ${tables.length + 1}`, page: number, ...block.table };
+                tables.push(table);
+                pageTables.push(table.name);
+                return DocumentParser.tableToText(table);
+            }).join('\n\n').trim();
+            pages.push({ number, text, tables: pageTables });
+            page.cleanup();
+        }
+
+        const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+        await pdf.destroy();
+
+        const metrics = tables.flatMap(table => DocumentParser.readTableMetrics(table, calendar));
+        return {
+            text: pages.map(page => `[Page ${page.number}]\n${page.text}`).join('\n\n'),
+            pages,
+            tables,
+            metrics,
+            metadata: {
+                pageCount: pages.length,
+                tableCount: tables.length,
+                metricCount: metrics.length,
+                title: info && info.Title ? info.Title : null,
+                emptyPages: pages.filter(page => !page.text).map(page => page.number)
+            }
+        };
+    }
+
+    // A statement table laid out by period ("Three Months Ended June 30, 2025" columns) yields
+    // metric records like a spreadsheet does, each keeping the page it is printed on. Cell
+    // references would point into the rebuilt table, not the page, so they are dropped.
+    static readTableMetrics(table, calendar) {
+        const rows = [...(table.title ? [[table.title]] : []), table.headers, ...table.rows];
+        const extracted = SpreadsheetMetrics.extract(rows, { sheet: table.name, calendar });
+        return extracted ? extracted.records.map(record => ({ ...record, cell: null, page: table.page })) : [];
+    }
+
+    // ============================================================================
+    // SPREADSHEETS
+    // ============================================================================
+
+    static async parseWorkbook(buffer, filename, { calendar } = {}) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+
+        const sheets = [];
+        workbook.worksheets.forEach(sheet => {
+            const rows = [];
+            const rowNumbers = [];
+            sheet.eachRow({ includeEmpty: false }, row => {
+                const cells = [];
+                for (let column = 1; column <= sheet.columnCount; column++) {
+                    const cell = row.getCell(column);
+                    cells.push(DocumentParser.cellText(cell.value, cell.numFmt));
+                }
+                rows.push(cells);
+                rowNumbers.push(row.number);
+            });
+
+            const sheetResult = DocumentParser.readGrid(sheet.name, DocumentParser.trimColumns(rows), rowNumbers, calendar);
+            if (sheetResult) sheets.push(sheetResult);
+        });
+
+        const metrics = sheets.flatMap(sheet => sheet.metrics);
+        return {
+            text: sheets.map(sheet => sheet.text).join('\n\n'),
+            tables: sheets.map(sheet => sheet.table),
+            metrics,
+            metadata: {
+                sheetCount: workbook.worksheets.length,
+                metricCount: metrics.length,
+                sheets: sheets.map(({ table, metrics: sheetMetrics, unit }) => ({
+                    name: table.name,
+                    rowCount: table.rows.length,
+                    columnCount: table.headers.length,
+                    metricCount: sheetMetrics.length,
+                    unit
+                }))
+            }
+        };
+    }
+
+    // A grid laid out by period is indexed as one line per metric, with the header row it
+    // found as the table headers; any other grid is indexed as a plain table
+    static readGrid(name, rows, rowNumbers = null, calendar = null) {
+        const extracted = SpreadsheetMetrics.extract(rows, { sheet: name, rowNumbers, calendar });
+        const table = DocumentParser.buildTable(name, extracted ? rows.slice(extracted.layout.headerIndex) : rows);
+        if (!table) return null;
+
+        return {
+            table,
+            text: extracted ? `Metrics: ${name}\n${SpreadsheetMetrics.toText(extracted)}` : DocumentParser.tableToText(table),
+            metrics: extracted ? extracted.records : [],
+            unit: extracted ? extracted.layout.unit : null
+        };
+    }
+
+    // ExcelJS cell values may be formulas, rich text, hyperlinks, dates or errors.
+    // Numbers formatted as percentages are stored as fractions, so 0.852 reads "85.2%".
+    static cellText(value, numFmt = null) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString().split('T')[0];
+        if (typeof value === 'number' && numFmt && numFmt.includes('%')) {
+            return `${Number((value * 100).toPrecision(12))}%`;
+        }
+        if (typeof value !== 'object') return String(value).trim();
+        if (value.result !== undefined) return DocumentParser.cellText(value.result, numFmt);
+        if (value.richText) return value.richText.map(part => part.text).join('').trim();
+        if (value.text !== undefined) return DocumentParser.cellText(value.text);
+        if (value.error) return value.error;
+        return '';
+    }
+
+    // Drop columns that are empty in every row (formatting often widens sheets)
+    static trimColumns(rows) {
+        const width = rows.reduce((max, row) => {
+            const last = row.reduce((lastFilled, cell, index) => (cell !== '' ? index : lastFilled), -1);
+            return Math.max(max, last + 1);
+        }, 0);
+        return rows.map(row => row.slice(0, width));
+    }
+
+    // The first row becomes the headers; a sheet or file with no rows yields no table
+    static buildTable(name, rows) {
+        if (rows.length === 0) return null;
+        const [headers, ...body] = rows;
+        return {
+            name,
+            headers: headers.map((header, index) => header || `Column ${index + 1}`),
+            rows: body
+        };
+    }
+
+    static tableToRecords(table) {
+        return table.rows.map(row => Object.fromEntries(table.headers.map((header, index) => [header, row[index] ?? ''])));
+    }
+
+    // ============================================================================
+    // CSV AND JSON
+    // ============================================================================
+
+    static parseCSV(buffer, filename, { calendar } = {}) {
+        const source = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        const rowNumbers = [];
+        const rows = DocumentParser.parseDelimited(source, DocumentParser.detectDelimiter(source))
+            .filter((row, index) => row.some(cell => cell !== '') && rowNumbers.push(index + 1));
+        const grid = DocumentParser.readGrid(path.basename(filename), DocumentParser.trimColumns(rows), rowNumbers, calendar);
+        const records = grid ? DocumentParser.tableToRecords(grid.table) : [];
+
+        return {
+            text: grid ? grid.text : '',
+            tables: grid ? [grid.table] : [],
+            records,
+            metrics: grid ? grid.metrics : [],
+            metadata: {
+                recordCount: records.length,
+                columns: grid ? grid.table.headers : [],
+                metricCount: grid ? grid.metrics.length : 0,
+                unit: grid ? grid.unit : null
+            }
+        };
+    }
+
+    // Whichever of comma, semicolon or tab splits the first line most
+    static detectDelimiter(source) {
+        const firstLine = source.split('\n')[0];
+        return [',', ';', '\t']
+            .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+            .sort((a, b) => b.count - a.count)[0].delimiter;
+    }
+
+    // RFC 4180: quoted fields may contain delimiters, newlines and doubled quotes
+    static parseDelimited(source, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    static parseJSON(buffer, filename) {
+        let data;
+        try {
+            data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            const parseError = new Error(`Invalid JSON in ${filename}: ${error.message}`);
+            parseError.status = 400;
+            throw parseError;
+        }
+
+        // An array of objects, or the first such array inside an object, is treated as records
+        const isRecordList = value => Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+        const recordKey = !Array.isArray(data) && data && typeof data === 'object'
+            ? Object.keys(data).find(key => isRecordList(data[key]))
+            : null;
+        const records = isRecordList(data) ? data : recordKey ? data[recordKey] : null;
+
+        if (records) {
+            const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+            const table = {
+                name: recordKey || path.basename(filename),
+                headers,
+                rows: records.map(record => headers.map(header => DocumentParser.jsonValueText(record[header])))
+            };
+            // Fields next to the record list (company name, currency...) are kept as text
+            const otherFields = recordKey
+                ? DocumentParser.flattenJSON(Object.fromEntries(Object.entries(data).filter(([key]) => key !== recordKey)))
+                : [];
+            return {
+                text: [...otherFields, DocumentParser.tableToText(table)].join('\n'),
+                tables: [table],
+                records,
+                metadata: { recordCount: records.length, columns: headers, recordPath: recordKey }
+            };
+        }
+
+        const lines = DocumentParser.flattenJSON(data);
+        return {
+            text: lines.join('\n'),
+            records: null,
+            metadata: { fieldCount: lines.length }
+        };
+    }
+
+    static jsonValueText(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    // { a: { b: 1 } } -> ['a.b: 1']
+    static flattenJSON(value, prefix = '') {
+        if (value === null || typeof value !== 'object') {
+            return [`${prefix || 'value'}: ${value}`];
+        }
+        const entries = Array.isArray(value)
+            ? value.map((item, index) => [`${prefix}[${index}]`, item])
+            : Object.entries(value).map(([key, item]) => [prefix ? `${prefix}.${key}` : key, item]);
+        return entries.flatMap(([key, item]) => DocumentParser.flattenJSON(item, key));
+    }
+
+    // ============================================================================
+    // WORD AND PLAIN TEXT
+    // ============================================================================
+
+    static async parseDocx(buffer) {
+        const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+
+        const blocks = [];
+        const sections = [];
+        const tables = [];
+        let paragraphCount = 0;
+
+        // Top-level blocks only: a table is consumed whole, with the paragraphs in its cells
+        for (const match of html.matchAll(/<(h[1-6]|p|li|table)\b[^>]*>([\s\S]*?)<\/\1>/g)) {
+            const [, tag, inner] = match;
+            if (tag === 'table') {
+                const rows = Array.from(inner.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/g)).map(row =>
+                    Array.from(row[1].matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/g)).map(cell => DocumentParser.htmlToText(cell[1])));
+                const table = DocumentParser.buildTable(`Table ${tables.length + 1}`, rows);
+                if (table) {
+                    tables.push(table);
+                    blocks.push(DocumentParser.tableToText(table));
+                }
+                continue;
+            }
+
+            const text = DocumentParser.htmlToText(inner);
+            if (!text) continue;
+
+            if (tag.startsWith('h')) {
+                const level = Number(tag[1]);
+                sections.push({ level, title: text });
+                blocks.push(`${'#'.repeat(level)} ${text}`);
+            } else if (tag === 'li') {
+                blocks.push(`- ${text}`);
+            } else {
+                paragraphCount++;
+                blocks.push(text);
+            }
+        }
+
+        return {
+            text: blocks.join('\n\n'),
+            tables,
+            sections,
+            metadata: {
+                headingCount: sections.length,
+                paragraphCount,
+                warnings: messages.filter(message => message.type === 'warning').map(message => message.message)
+            }
+        };
+    }
+
+    static htmlToText(html) {
+        return html
+            .replace(/<br\s*\/?>/g, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    static parseText(buffer) {
+        return { text: buffer.toString('utf8').replace(/^\uFEFF/, ''), metadata: {} };
+    }
+}
+
+module.exports = DocumentParser;
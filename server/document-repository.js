@@ -0,0 +1,277 @@
+// document-repository.js - Server-side document store referenced by ID or workspace
+// Text is uploaded once, persisted to disk and indexed for retrieval;
+// analysis requests only send document IDs or a workspace ID
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SimpleRAGService = require('./simple-rag-service');
+
+const DEFAULT_WORKSPACE = 'default';
+
+class DocumentRepository {
+    // Paths default to server/, whatever directory the server is started from
+    constructor(storeDir = path.join(__dirname, 'document-store'), index = new SimpleRAGService()) {
+        this.storeDir = storeDir;
+        this.indexFile = path.join(storeDir, 'index.json');
+        this.index = index;
+        this.documents = new Map(); // id -> metadata (text lives in <id>.txt, spreadsheet metrics in <id>.metrics.json)
+        this.changeCallbacks = new Set();
+
+        this.ensureStoreDirectory();
+        // Resolves once stored documents are back in the retrieval index; requests wait on it
+        this.ready = this.loadStore();
+    }
+
+    ensureStoreDirectory() {
+        if (!fs.existsSync(this.storeDir)) {
+            fs.mkdirSync(this.storeDir, { recursive: true });
+        }
+    }
+
+    // Reload metadata and rebuild the retrieval index from the stored text
+    async loadStore() {
+        try {
+            if (!fs.existsSync(this.indexFile)) return;
+
+            const stored = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+            const loaded = (stored.documents || []).filter(meta => {
+                if (fs.existsSync(this.getTextPath(meta.id))) return true;
+                console.warn(`⚠️ Missing text for stored document ${meta.id}, skipping`);
+                return false;
+            });
+
+            // Metadata is there at once for stores built on this one (metric history); only the
+            // retrieval index is filled in afterwards
+            loaded.forEach(meta => this.documents.set(meta.id, meta));
+            for (const meta of loaded) {
+                await this.index.addDocument(fs.readFileSync(this.getTextPath(meta.id), 'utf8'), meta.name, { id: meta.id });
+            }
+
+            console.log(`📁 Loaded ${this.documents.size} documents from ${this.storeDir}`);
+        } catch (error) {
+            console.error('❌ Error loading document store:', error.message);
+        }
+    }
+
+    saveIndex() {
+        try {
+            fs.writeFileSync(this.indexFile, JSON.stringify({
+                documents: Array.from(this.documents.values())
+            }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving document store index:', error.message);
+        }
+    }
+
+    getTextPath(id) {
+        return path.join(this.storeDir, `${id}.txt`);
+    }
+
+    getMetricsPath(id) {
+        return path.join(this.storeDir, `${id}.metrics.json`);
+    }
+
+    deleteFiles(id) {
+        try { fs.unlinkSync(this.getTextPath(id)); } catch (e) {}
+        try { fs.unlinkSync(this.getMetricsPath(id)); } catch (e) {}
+    }
+
+    generateId() {
+        return `doc_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    // ============================================================================
+    // DOCUMENT MANAGEMENT
+    // ============================================================================
+
+    // Re-uploading identical text to the same workspace returns the existing document.
+    // options.metrics holds the metric records parsed from a spreadsheet, if any,
+    // options.company the company they report on and options.transcript the summary of a
+    // call transcript (its period and participants).
+    async addDocument(text, name, options = {}) {
+        if (!text || typeof text !== 'string') {
+            throw new Error('Document text is required');
+        }
+
+        const workspaceId = options.workspaceId || DEFAULT_WORKSPACE;
+        const checksum = crypto.createHash('sha256').update(text).digest('hex');
+
+        const existing = Array.from(this.documents.values())
+            .find(meta => meta.workspaceId === workspaceId && meta.checksum === checksum);
+        if (existing) {
+            console.log(`📄 Document already stored as ${existing.id}: ${existing.name}`);
+            return { ...existing, duplicate: true };
+        }
+
+        const id = this.generateId();
+        await this.index.addDocument(text, name, { id });
+        const metrics = Array.isArray(options.metrics) ? options.metrics : [];
+
+        const meta = {
+            id,
+            name: name || 'Untitled document',
+            type: options.type || 'text',
+            workspaceId,
+            company: options.company || null,
+            transcript: options.transcript || null,
+            checksum,
+            size: Buffer.byteLength(text, 'utf8'),
+            chunkCount: this.index.chunks.filter(chunk => chunk.docId === id).length,
+            metricCount: metrics.length,
+            uploadedAt: new Date().toISOString()
+        };
+
+        fs.writeFileSync(this.getTextPath(id), text);
+        if (metrics.length > 0) {
+            fs.writeFileSync(this.getMetricsPath(id), JSON.stringify(metrics));
+        }
+        this.documents.set(id, meta);
+        this.saveIndex();
+
+        console.log(`📄 Stored document ${id}: ${meta.name} (${meta.chunkCount} chunks)`);
+        this.notifyChange({ type: 'added', ids: [id], workspaceId });
+        return meta;
+    }
+
+    getDocument(id, { includeText = false, includeMetrics = false } = {}) {
+        const meta = this.documents.get(id);
+        if (!meta) return null;
+        if (!includeText && !includeMetrics) return meta;
+
+        const doc = { ...meta };
+        if (includeText) doc.text = fs.readFileSync(this.getTextPath(id), 'utf8');
+        if (includeMetrics) doc.metrics = this.getMetrics(id);
+        return doc;
+    }
+
+    // Metric records parsed from a spreadsheet upload; documents without any return []
+    getMetrics(id) {
+        const metricsFile = this.getMetricsPath(id);
+        if (!this.documents.has(id) || !fs.existsSync(metricsFile)) return [];
+        try {
+            return JSON.parse(fs.readFileSync(metricsFile, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Error reading metrics for ${id}:`, error.message);
+            return [];
+        }
+    }
+
+    listDocuments({ workspaceId = null } = {}) {
+        return Array.from(this.documents.values())
+            .filter(meta => !workspaceId || meta.workspaceId === workspaceId);
+    }
+
+    listWorkspaces() {
+        const workspaces = new Map();
+        for (const meta of this.documents.values()) {
+            const workspace = workspaces.get(meta.workspaceId) || { id: meta.workspaceId, documentCount: 0, size: 0 };
+            workspace.documentCount++;
+            workspace.size += meta.size;
+            workspaces.set(meta.workspaceId, workspace);
+        }
+        return Array.from(workspaces.values());
+    }
+
+    removeDocument(id) {
+        const meta = this.documents.get(id);
+        if (!meta) return false;
+
+        this.documents.delete(id);
+        this.index.removeDocument(id);
+        this.deleteFiles(id);
+        this.saveIndex();
+
+        console.log(`🗑️ Removed document ${id}`);
+        this.notifyChange({ type: 'removed', ids: [id], workspaceId: meta.workspaceId });
+        return true;
+    }
+
+    // Clears one workspace, or everything when no workspace is given
+    clear({ workspaceId = null } = {}) {
+        const removed = this.listDocuments({ workspaceId });
+        const ids = removed.map(meta => meta.id);
+        ids.forEach(id => {
+            this.documents.delete(id);
+            this.index.removeDocument(id);
+            this.deleteFiles(id);
+        });
+        this.saveIndex();
+
+        console.log(`🗑️ Cleared ${ids.length} documents${workspaceId ? ` from workspace ${workspaceId}` : ''}`);
+        new Set(removed.map(meta => meta.workspaceId)).forEach(workspace => {
+            this.notifyChange({
+                type: 'removed',
+                ids: removed.filter(meta => meta.workspaceId === workspace).map(meta => meta.id),
+                workspaceId: workspace
+            });
+        });
+        return ids.length;
+    }
+
+    // ============================================================================
+    // CHANGE CALLBACKS
+    // ============================================================================
+
+    // callback({ type: 'added' | 'removed', ids, workspaceId }) runs after the store is updated
+    onDocumentChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.add(callback);
+        }
+    }
+
+    offDocumentChange(callback) {
+        this.changeCallbacks.delete(callback);
+    }
+
+    notifyChange(change) {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(change);
+            } catch (error) {
+                console.error('❌ Error in document change callback:', error);
+            }
+        });
+    }
+
+    // ============================================================================
+    // RETRIEVAL
+    // ============================================================================
+
+    // Resolve { documentIds, workspaceId } to the document IDs a request may search
+    resolveScope({ documentIds = null, workspaceId = null } = {}) {
+        let ids = documentIds && documentIds.length > 0
+            ? documentIds.filter(id => this.documents.has(id))
+            : Array.from(this.documents.keys());
+
+        if (workspaceId) {
+            ids = ids.filter(id => this.documents.get(id).workspaceId === workspaceId);
+        }
+
+        return ids;
+    }
+
+    searchRelevantChunks(query, limit = 5, scope = {}, options = {}) {
+        const ids = this.resolveScope(scope);
+        if (ids.length === 0) return [];
+        return this.index.searchRelevantChunks(query, limit, ids, options);
+    }
+
+    getDocumentStats() {
+        const documents = this.listDocuments();
+        return {
+            documentCount: documents.length,
+            chunkCount: documents.reduce((total, meta) => total + meta.chunkCount, 0),
+            documents: documents.map(meta => ({
+                id: meta.id,
+                name: meta.name,
+                workspaceId: meta.workspaceId,
+                chunkCount: meta.chunkCount,
+                timestamp: meta.uploadedAt
+            }))
+        };
+    }
+}
+
+DocumentRepository.DEFAULT_WORKSPACE = DEFAULT_WORKSPACE;
+
+module.exports = DocumentRepository;
@@ -0,0 +1,59 @@
+// financial-periods.js - Reads reporting periods such as "Q1 2024", "1Q24", "FY2025E" or "H1 2024"
+// Periods get one canonical label ("Q1 2024", "FY 2025", "H1 2024") and an order value
+// so quarters, halves and fiscal years sort together. A company's fiscal calendar (see
+// FiscalCalendar) gives each period its dates and places "Three Months Ended March 31, 2025".
+const FiscalCalendar = require('../js/modules/FiscalCalendar');
+
+const QUARTER_WORDS = { first: 1, second: 2, third: 3, fourth: 4 };
+
+// Each pattern is anchored: a cell or header must be only the period, plus an optional A/E suffix
+const PERIOD_PATTERNS = [
+    { regex: /^Q([1-4])\s*(?:FY\s*)?'?(\d{4}|\d{2})\s*([AE])?$/i, build: m => ({ quarter: m[1], year: m[2], suffix: m[3] }) },
+    { regex: /^([1-4])Q\s*(?:FY\s*)?'?(\d{4}|\d{2})\s*([AE])?$/i, build: m => ({ quarter: m[1], year: m[2], suffix: m[3] }) },
+    { regex: /^(\d{4})\s*[-\s]?Q([1-4])\s*([AE])?$/i, build: m => ({ quarter: m[2], year: m[1], suffix: m[3] }) },
+    { regex: /^(first|second|third|fourth)\s+quarter(?:\s+of)?(?:\s+fiscal)?\s+(\d{4})$/i, build: m => ({ quarter: QUARTER_WORDS[m[1].toLowerCase()], year: m[2] }) },
+    { regex: /^(?:H([12])|([12])H)\s*(?:FY\s*)?'?(\d{4}|\d{2})\s*([AE])?$/i, build: m => ({ half: m[1] || m[2], year: m[3], suffix: m[4] }) },
+    { regex: /^(?:FY|fiscal(?:\s+year)?)\s*'?(\d{4}|\d{2})\s*([AE])?$/i, build: m => ({ year: m[1], suffix: m[2] }) },
+    { regex: /^((?:19|20)\d{2})\s*([AE])?$/, build: m => ({ year: m[1], suffix: m[2] }) }
+];
+
+class FinancialPeriods {
+    // Returns { label, type, year, quarter, half, order, estimate, startDate, endDate } or null.
+    // Quarter and half numbers are fiscal; the calendar defaults to the calendar year.
+    static parse(text, { calendar = null } = {}) {
+        if (text === null || text === undefined) return null;
+        const cleaned = String(text).replace(/\s+/g, ' ').trim();
+        if (!cleaned || cleaned.length > 60) return null;
+
+        for (const pattern of PERIOD_PATTERNS) {
+            const match = cleaned.match(pattern.regex);
+            if (match) {
+                return FinancialPeriods.build(pattern.build(match), calendar);
+            }
+        }
+
+        // Longer headings the calendar reads, as long as they are the whole cell:
+        // "Three Months Ended March 31, 2025", "Fiscal 2025 First Quarter"
+        const found = (calendar || FiscalCalendar.CALENDAR_YEAR).findPeriod(cleaned);
+        return found && found.text === cleaned ? FinancialPeriods.build(found, calendar) : null;
+    }
+
+    static build({ year, quarter = null, half = null, suffix = null }, calendar = null) {
+        const fullYear = FiscalCalendar.fullYear(year);
+        const q = quarter ? Number(quarter) : null;
+        const h = half ? Number(half) : null;
+        const type = q ? 'quarter' : h ? 'half' : 'year';
+        const period = { type, year: fullYear, quarter: q, half: h };
+
+        return {
+            label: FiscalCalendar.label(period),
+            ...period,
+            // A period sorts by where it ends: Q2 and H1 together, FY after Q4
+            order: fullYear * 10 + (q || (h ? h * 2 + 0.5 : 5)),
+            estimate: !!suffix && suffix.toUpperCase() === 'E',
+            ...(calendar || FiscalCalendar.CALENDAR_YEAR).range(period)
+        };
+    }
+}
+
+module.exports = FinancialPeriods;
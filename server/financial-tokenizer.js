@@ -0,0 +1,120 @@
+// financial-tokenizer.js - Tokenizer that keeps financial values intact
+// "$1.2B", "12.5%", "Q3 2024" and "FY2025" survive as single tokens instead of
+// being split into meaningless digits
+const FinancialQuantity = require('../js/modules/FinancialQuantity');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'how', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'than', 'that',
+    'the', 'their', 'this', 'to', 'was', 'were', 'we', 'what', 'which', 'while', 'with'
+]);
+
+const SCALE_SUFFIXES = {
+    billion: 'b', bn: 'b', b: 'b',
+    million: 'm', mm: 'm', m: 'm',
+    thousand: 'k', k: 'k'
+};
+
+// Order matters: the first alternative that matches at a position wins
+const TOKEN_PATTERN = new RegExp([
+    // Quarter + year: Q3 2024, Q3'24, 3Q24, Q3 FY2024
+    "(q[1-4]|[1-4]q)\\s?(?:fy\\s?)?'?(\\d{4}|\\d{2})\\b",
+    // Fiscal year: FY2024, FY 24
+    "fy\\s?'?(\\d{4}|\\d{2})\\b",
+    // Money / scaled amounts: $1.2B, $1,234.5 million, 450mm
+    "(\\$)?(\\d[\\d,]*(?:\\.\\d+)?)\\s?(billion|million|thousand|bn|mm|b|m|k)\\b",
+    // Plain dollar amounts: $1,234
+    "\\$(\\d[\\d,]*(?:\\.\\d+)?)",
+    // Percentages and basis points: 12.5%, 50 bps
+    "(\\d+(?:\\.\\d+)?)\\s?(%|percent\\b|bps\\b|basis points\\b)",
+    // Words and acronyms: ebitda, non-gaap, r&d
+    "[a-z][a-z0-9]*(?:[&'-][a-z0-9]+)*",
+    // Other numbers: 2024, 1,234.5
+    "\\d[\\d,]*(?:\\.\\d+)?"
+].map(part => `(?:${part})`).join('|'), 'g');
+
+class FinancialTokenizer {
+    // Returns normalized tokens in document order
+    static tokenize(text, { keepStopwords = false } = {}) {
+        return FinancialTokenizer.tokenizeWithOffsets(text, { keepStopwords }).map(token => token.term);
+    }
+
+    // Returns [{ term, start, end }] with character offsets into the original text.
+    // Some matches emit more than one term (Q3 2024 -> q3_2024, q3, 2024) at the same offset.
+    static tokenizeWithOffsets(text, { keepStopwords = false } = {}) {
+        const tokens = [];
+        if (!text) return tokens;
+
+        const lower = text.toLowerCase();
+        TOKEN_PATTERN.lastIndex = 0;
+
+        let match;
+        while ((match = TOKEN_PATTERN.exec(lower)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            const terms = FinancialTokenizer.normalizeMatch(match);
+
+            terms.forEach(term => {
+                if (keepStopwords || !STOPWORDS.has(term)) {
+                    tokens.push({ term, start, end });
+                }
+            });
+        }
+
+        return tokens;
+    }
+
+    static normalizeMatch(match) {
+        const [raw, quarter, quarterYear, fiscalYear, dollarSign, scaledNumber, scale, dollarNumber, percentNumber, percentUnit] = match;
+
+        if (quarter) {
+            const q = quarter.startsWith('q') ? quarter : `q${quarter[0]}`;
+            const year = FinancialTokenizer.normalizeYear(quarterYear);
+            return [`${q}_${year}`, q, year];
+        }
+
+        if (fiscalYear) {
+            return [`fy${FinancialTokenizer.normalizeYear(fiscalYear)}`];
+        }
+
+        if (scaledNumber) {
+            // "$1,200 million" and "$1.2 billion" index to the same term; "450mm" without a
+            // currency is not a quantity to the parser, so it keeps its own scale
+            const quantity = FinancialQuantity.parse(raw);
+            const amount = quantity && quantity.scale !== 1
+                ? FinancialQuantity.compact(quantity.value)
+                : `${FinancialTokenizer.normalizeNumber(scaledNumber)}${SCALE_SUFFIXES[scale]}`;
+            // "$1.2B" should also match a query for "1.2 billion"
+            return dollarSign ? [`$${amount}`, amount] : [amount];
+        }
+
+        if (dollarNumber) {
+            const amount = FinancialTokenizer.normalizeNumber(dollarNumber);
+            return [`$${amount}`, amount];
+        }
+
+        if (percentNumber) {
+            const unit = percentUnit.startsWith('b') ? 'bps' : '%';
+            return [`${FinancialTokenizer.normalizeNumber(percentNumber)}${unit}`];
+        }
+
+        if (/^\d/.test(raw)) {
+            return [FinancialTokenizer.normalizeNumber(raw)];
+        }
+
+        return [raw];
+    }
+
+    static normalizeNumber(value) {
+        // 1,234.50 -> 1234.5 so both spellings index to the same term
+        return value.replace(/,/g, '').replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+    }
+
+    static normalizeYear(year) {
+        return year.length === 2 ? `20${year}` : year;
+    }
+}
+
+FinancialTokenizer.STOPWORDS = STOPWORDS;
+
+module.exports = FinancialTokenizer;
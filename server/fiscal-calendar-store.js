@@ -0,0 +1,98 @@
+// fiscal-calendar-store.js - Persisted fiscal calendar settings by company
+// Companies without a setting report on the calendar year. Uploads read a company's
+// calendar so "Q1 FY25" and "Three Months Ended September 30, 2024" land on the same period.
+const fs = require('fs');
+const path = require('path');
+const FiscalCalendar = require('../js/modules/FiscalCalendar');
+
+class FiscalCalendarStore {
+    constructor(storeFile = path.join(__dirname, 'fiscal-calendars.json')) {
+        this.storeFile = storeFile;
+        this.calendars = new Map(); // lowercased company -> { company, settings, updatedAt }
+
+        this.loadStore();
+    }
+
+    loadStore() {
+        try {
+            if (!fs.existsSync(this.storeFile)) return;
+
+            const stored = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+            (stored.calendars || []).forEach(entry => {
+                this.calendars.set(FiscalCalendarStore.companyKey(entry.company), entry);
+            });
+            console.log(`📁 Loaded ${this.calendars.size} fiscal calendars from ${this.storeFile}`);
+        } catch (error) {
+            console.error('❌ Error reading fiscal calendar store:', error.message);
+        }
+    }
+
+    saveStore() {
+        try {
+            fs.writeFileSync(this.storeFile, JSON.stringify({ calendars: Array.from(this.calendars.values()) }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving fiscal calendar store:', error.message);
+        }
+    }
+
+    static companyKey(company) {
+        return String(company || '').trim().toLowerCase();
+    }
+
+    // The company's calendar, or the calendar year when none is set
+    getCalendar(company) {
+        const entry = company ? this.calendars.get(FiscalCalendarStore.companyKey(company)) : null;
+        return entry ? new FiscalCalendar(entry.settings) : FiscalCalendar.CALENDAR_YEAR;
+    }
+
+    // { company, settings, description, configured, updatedAt }
+    describe(company) {
+        const entry = company ? this.calendars.get(FiscalCalendarStore.companyKey(company)) : null;
+        const calendar = this.getCalendar(company);
+        return {
+            company: entry ? entry.company : company || null,
+            settings: calendar.toJSON(),
+            description: calendar.describe(),
+            configured: !!entry,
+            updatedAt: entry ? entry.updatedAt : null
+        };
+    }
+
+    list() {
+        return Array.from(this.calendars.values())
+            .map(entry => this.describe(entry.company))
+            .sort((a, b) => a.company.localeCompare(b.company));
+    }
+
+    // Throws an Error with status 400 and issues when the company or settings are invalid
+    setCalendar(company, settings = {}) {
+        const issues = FiscalCalendar.validate(settings);
+        if (!FiscalCalendarStore.companyKey(company)) {
+            issues.unshift('company is required');
+        }
+        if (issues.length > 0) {
+            const error = new Error('Fiscal calendar validation failed');
+            error.status = 400;
+            error.issues = issues;
+            throw error;
+        }
+
+        const calendar = new FiscalCalendar(settings);
+        this.calendars.set(FiscalCalendarStore.companyKey(company), {
+            company: String(company).trim(),
+            settings: calendar.toJSON(),
+            updatedAt: new Date().toISOString()
+        });
+        this.saveStore();
+        console.log(`📅 Fiscal calendar for ${company}: ${calendar.describe()}`);
+        return this.describe(company);
+    }
+
+    removeCalendar(company) {
+        const removed = this.calendars.delete(FiscalCalendarStore.companyKey(company));
+        if (removed) this.saveStore();
+        return removed;
+    }
+}
+
+module.exports = FiscalCalendarStore;
@@ -0,0 +1,117 @@
+// hybrid-retriever.js - BM25 + local vector retrieval with maximal marginal relevance
+// The lexical score catches exact figures and names, the vector score catches paraphrases,
+// and MMR keeps the top-k from repeating the same fact or the same document
+const BM25Index = require('./bm25-index');
+const VectorIndex = require('./vector-index');
+
+const LEXICAL_WEIGHT = 0.5;       // Share of the blended relevance that comes from BM25
+const CANDIDATE_POOL = 50;        // Candidates taken from each index before reranking
+const MMR_LAMBDA = 0.7;           // 1 = pure relevance, 0 = pure diversity
+const SAME_DOCUMENT_PENALTY = 0.15; // Extra redundancy for a second chunk from an already chosen document
+const DUPLICATE_SIMILARITY = 0.9; // Chunks this similar to a chosen one are dropped as near-duplicates
+const MIN_RELEVANCE = 0.02;       // Ignore candidates that only share noise features with the query
+
+class HybridRetriever {
+    constructor() {
+        this.lexical = new BM25Index();
+        this.vector = new VectorIndex();
+    }
+
+    addChunk(chunk) {
+        this.lexical.addChunk(chunk);
+        this.vector.addChunk(chunk);
+    }
+
+    removeDocument(docId) {
+        this.lexical.removeDocument(docId);
+        this.vector.removeDocument(docId);
+    }
+
+    clear() {
+        this.lexical.clear();
+        this.vector.clear();
+    }
+
+    // Returns [{ ...chunk, score, lexicalScore, vectorScore, matchedTerms }] in MMR order.
+    // score is the blended relevance (0-1); boost(chunk) may scale it before reranking.
+    search(query, { limit = 5, docIds = null, boost = null } = {}) {
+        const lexicalResults = this.lexical.search(query, { limit: CANDIDATE_POOL, docIds });
+        const vectorResults = this.vector.search(query, { limit: CANDIDATE_POOL, docIds });
+
+        const candidates = new Map(); // chunkId -> candidate
+        const maxLexical = lexicalResults.length > 0 ? lexicalResults[0].score : 1;
+
+        lexicalResults.forEach(result => {
+            const { score, matchedTerms, ...chunk } = result;
+            candidates.set(chunk.id, { chunk, matchedTerms, lexicalScore: score / maxLexical, vectorScore: 0 });
+        });
+
+        vectorResults.forEach(({ chunkId, similarity }) => {
+            const candidate = candidates.get(chunkId) || {
+                chunk: this.vector.vectors.get(chunkId).chunk,
+                matchedTerms: [],
+                lexicalScore: 0
+            };
+            candidate.vectorScore = similarity;
+            candidates.set(chunkId, candidate);
+        });
+
+        const pool = Array.from(candidates.values()).map(candidate => {
+            const blended = LEXICAL_WEIGHT * candidate.lexicalScore + (1 - LEXICAL_WEIGHT) * candidate.vectorScore;
+            return { ...candidate, relevance: boost ? blended * boost(candidate.chunk) : blended };
+        });
+
+        return this.rerankWithMMR(pool, limit).map(candidate => ({
+            ...candidate.chunk,
+            score: Math.round(candidate.relevance * 1000) / 1000,
+            lexicalScore: Math.round(candidate.lexicalScore * 1000) / 1000,
+            vectorScore: Math.round(candidate.vectorScore * 1000) / 1000,
+            matchedTerms: candidate.matchedTerms
+        }));
+    }
+
+    // Greedy MMR: each pick maximizes relevance minus similarity to what is already picked
+    rerankWithMMR(pool, limit) {
+        const selected = [];
+        let remaining = pool.filter(candidate => candidate.relevance >= MIN_RELEVANCE);
+
+        while (selected.length < limit && remaining.length > 0) {
+            let best = null;
+            let bestScore = -Infinity;
+            const duplicates = new Set();
+
+            remaining.forEach(candidate => {
+                let redundancy = 0;
+                for (const chosen of selected) {
+                    const similarity = this.vector.similarity(chosen.chunk.id, candidate.chunk.id);
+                    if (similarity >= DUPLICATE_SIMILARITY) {
+                        duplicates.add(candidate);
+                        return;
+                    }
+                    const sameDocument = String(chosen.chunk.docId) === String(candidate.chunk.docId);
+                    redundancy = Math.max(redundancy, similarity + (sameDocument ? SAME_DOCUMENT_PENALTY : 0));
+                }
+
+                const mmrScore = MMR_LAMBDA * candidate.relevance - (1 - MMR_LAMBDA) * redundancy;
+                if (mmrScore > bestScore) {
+                    bestScore = mmrScore;
+                    best = candidate;
+                }
+            });
+
+            remaining = remaining.filter(candidate => candidate !== best && !duplicates.has(candidate));
+            if (best) selected.push(best);
+        }
+
+        return selected;
+    }
+
+    getStats() {
+        return {
+            ...this.lexical.getStats(),
+            vectorDimensions: this.vector.documentFrequency.size
+        };
+    }
+}
+
+module.exports = HybridRetriever;
@@ -0,0 +1,341 @@
+// metric-store.js - Persisted time series of reported metrics by company, metric and fiscal period
+// Spreadsheet metric records (see spreadsheet-metrics.js) are recorded when a document is
+// uploaded. Each point keeps the document it came from, with its sheet and cell or the PDF
+// page of its table, so removing the document removes its points. Series come back in
+// period order with QoQ and YoY changes and the direction of the latest sequential run,
+// so callers read real history instead of the last value seen.
+const fs = require('fs');
+const path = require('path');
+const SpreadsheetMetrics = require('./spreadsheet-metrics');
+
+const DEFAULT_COMPANY = 'default';
+const FLAT_TOLERANCE = 0.001;   // Relative change below which two periods count as flat
+const MAX_MENTIONED_SERIES = 3;
+
+class MetricStore {
+    constructor(documentRepository, storeFile = path.join(__dirname, 'metric-store.json')) {
+        this.documentRepository = documentRepository;
+        this.storeFile = storeFile;
+        this.series = new Map(); // "company|metric" -> { company, metric, label, unit, points: Map(period -> point) }
+
+        this.loadStore();
+
+        documentRepository.onDocumentChange(change => {
+            if (change.type === 'removed') {
+                this.removeDocuments(change.ids);
+            }
+        });
+    }
+
+    loadStore() {
+        try {
+            if (!fs.existsSync(this.storeFile)) {
+                this.backfillFromRepository();
+                return;
+            }
+
+            const stored = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+            (stored.series || []).forEach(entry => {
+                this.series.set(MetricStore.seriesKey(entry.company, entry.metric), {
+                    ...entry,
+                    points: new Map(entry.points.map(point => [point.period, point]))
+                });
+            });
+            console.log(`📁 Loaded ${this.series.size} metric series from ${this.storeFile}`);
+        } catch (error) {
+            console.error('❌ Error reading metric store:', error.message);
+        }
+    }
+
+    saveStore() {
+        try {
+            fs.writeFileSync(this.storeFile, JSON.stringify({
+                series: Array.from(this.series.values()).map(entry => ({
+                    ...entry,
+                    points: Array.from(entry.points.values())
+                }))
+            }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving metric store:', error.message);
+        }
+    }
+
+    // Documents stored before the metric store existed still have their records on disk
+    backfillFromRepository() {
+        const documents = this.documentRepository.listDocuments().filter(meta => meta.metricCount > 0);
+        documents.forEach(meta => {
+            this.recordMetrics(this.documentRepository.getMetrics(meta.id), {
+                company: meta.company,
+                documentId: meta.id,
+                documentName: meta.name
+            }, { save: false });
+        });
+        if (documents.length > 0) {
+            this.saveStore();
+        }
+    }
+
+    static seriesKey(company, metric) {
+        return `${MetricStore.normalizeCompany(company).toLowerCase()}|${metric}`;
+    }
+
+    static normalizeCompany(company) {
+        return (company && String(company).trim()) || DEFAULT_COMPANY;
+    }
+
+    // ============================================================================
+    // RECORDING
+    // ============================================================================
+
+    // records: spreadsheet metric records. A later document replaces an earlier one's figure
+    // for the same period (a restatement), except that an estimate never replaces an actual.
+    // Returns the number of points written.
+    recordMetrics(records, { company = null, documentId = null, documentName = null } = {}, { save = true } = {}) {
+        const companyName = MetricStore.normalizeCompany(company);
+        const recordedAt = new Date().toISOString();
+        let written = 0;
+
+        (records || []).forEach(record => {
+            const key = MetricStore.seriesKey(companyName, record.metric);
+            const entry = this.series.get(key) ||
+                { company: companyName, metric: record.metric, label: record.label, unit: record.unit, points: new Map() };
+
+            const existing = entry.points.get(record.period);
+            if (existing && record.estimate && !existing.estimate) return;
+
+            entry.label = record.label;
+            entry.unit = record.unit;
+            entry.points.set(record.period, {
+                period: record.period,
+                periodType: record.periodType,
+                periodOrder: record.periodOrder,
+                periodStart: record.periodStart || null,
+                periodEnd: record.periodEnd || null,
+                estimate: !!record.estimate,
+                number: record.number,
+                scale: record.scale,
+                unit: record.unit,
+                value: record.value,
+                source: {
+                    documentId,
+                    documentName,
+                    sheet: record.sheet || null,
+                    cell: record.cell || null,
+                    page: record.page || null
+                },
+                recordedAt
+            });
+            this.series.set(key, entry);
+            written++;
+        });
+
+        if (written > 0) {
+            if (save) this.saveStore();
+            console.log(`📈 Recorded ${written} metric points for ${companyName}${documentName ? ` from ${documentName}` : ''}`);
+        }
+        return written;
+    }
+
+    removeDocuments(documentIds) {
+        const ids = new Set(documentIds);
+        let removed = 0;
+
+        this.series.forEach((entry, key) => {
+            entry.points.forEach((point, period) => {
+                if (ids.has(point.source.documentId)) {
+                    entry.points.delete(period);
+                    removed++;
+                }
+            });
+            if (entry.points.size === 0) {
+                this.series.delete(key);
+            }
+        });
+
+        if (removed > 0) {
+            this.saveStore();
+            console.log(`🗑️ Removed ${removed} metric points from deleted documents`);
+        }
+        return removed;
+    }
+
+    // ============================================================================
+    // READING
+    // ============================================================================
+
+    listCompanies() {
+        // The first spelling recorded names the company; "ACME" and "acme" are one company
+        const companies = new Map();
+        this.series.forEach(entry => {
+            if (!companies.has(entry.company.toLowerCase())) {
+                companies.set(entry.company.toLowerCase(), entry.company);
+            }
+        });
+        return Array.from(companies.values()).sort();
+    }
+
+    // Every series for a company, with its latest point (and its changes) and trend.
+    // includePoints adds the full history.
+    listSeries({ company = null, includePoints = false } = {}) {
+        const companyKey = MetricStore.normalizeCompany(company).toLowerCase();
+        return Array.from(this.series.values())
+            .filter(entry => entry.company.toLowerCase() === companyKey)
+            .map(entry => MetricStore.describeSeries(entry, { includePoints }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    getSeries({ company = null, metric }) {
+        const entry = this.series.get(MetricStore.seriesKey(company, metric));
+        return entry ? MetricStore.describeSeries(entry, { includePoints: true }) : null;
+    }
+
+    // Series whose label or metric name appears in the text ("medical costs rose..."),
+    // longest names first so "operating income" wins over "income"
+    findMentioned(text, { company = null, limit = MAX_MENTIONED_SERIES } = {}) {
+        if (!text) return [];
+        const lower = ` ${text.toLowerCase().replace(/[^a-z0-9%&]+/g, ' ')} `;
+
+        const mentioned = [];
+        this.listSeries({ company, includePoints: true })
+            .map(series => ({ series, names: [series.label.toLowerCase(), series.metric.replace(/_/g, ' ')] }))
+            .sort((a, b) => b.series.label.length - a.series.label.length)
+            .forEach(({ series, names }) => {
+                const name = names
+                    .map(candidate => candidate.replace(/[^a-z0-9%&]+/g, ' ').trim())
+                    .find(candidate => candidate && lower.includes(` ${candidate} `));
+                if (name && !mentioned.some(found => found.name.includes(name))) {
+                    mentioned.push({ name, series });
+                }
+            });
+
+        return mentioned.slice(0, limit).map(found => found.series);
+    }
+
+    // ============================================================================
+    // CHANGES AND TRENDS
+    // ============================================================================
+
+    static describeSeries(entry, { includePoints = false } = {}) {
+        const points = MetricStore.withChanges(Array.from(entry.points.values()));
+        const actuals = points.filter(point => !point.estimate);
+        return {
+            company: entry.company,
+            metric: entry.metric,
+            label: entry.label,
+            unit: entry.unit,
+            pointCount: points.length,
+            latest: actuals[actuals.length - 1] || points[points.length - 1] || null,
+            trend: MetricStore.sequentialTrend(points),
+            ...(includePoints && { points })
+        };
+    }
+
+    // Points in period order, each with qoq (quarters and halves: the period before) and
+    // yoy (the same period a year earlier) when that period is in the series
+    static withChanges(points) {
+        const sorted = [...points].sort((a, b) => a.periodOrder - b.periodOrder);
+        const byPeriod = new Map(sorted.map(point => [point.period, point]));
+
+        return sorted.map(point => {
+            const previous = MetricStore.previousPeriod(point.period);
+            const yearAgo = MetricStore.yearAgoPeriod(point.period);
+            return {
+                ...point,
+                qoq: previous ? MetricStore.change(point, byPeriod.get(previous)) : null,
+                yoy: yearAgo ? MetricStore.change(point, byPeriod.get(yearAgo)) : null
+            };
+        });
+    }
+
+    // "Q1 2025" -> "Q4 2024", "H1 2025" -> "H2 2024"; fiscal years have no sequential period
+    static previousPeriod(period) {
+        const match = String(period).match(/^([QH])([1-4]) (\d{4})$/);
+        if (!match) return null;
+        const [, kind, number, year] = match;
+        const last = kind === 'Q' ? 4 : 2;
+        return Number(number) === 1 ? `${kind}${last} ${Number(year) - 1}` : `${kind}${Number(number) - 1} ${year}`;
+    }
+
+    static yearAgoPeriod(period) {
+        const match = String(period).match(/^(Q[1-4]|H[12]|FY) (\d{4})$/);
+        return match ? `${match[1]} ${Number(match[2]) - 1}` : null;
+    }
+
+    // Percentages change in percentage points; everything else also gets a relative change
+    static change(point, prior) {
+        if (!prior) return null;
+        // 12 significant digits drop float noise: 82 - 81.8 is 0.2, not 0.200000000000003
+        const change = Number((point.value - prior.value).toPrecision(12));
+        return {
+            from: prior.period,
+            value: prior.value,
+            change,
+            changePercent: point.unit === 'percent' || prior.value === 0
+                ? null
+                : Number((change / Math.abs(prior.value) * 100).toFixed(2))
+        };
+    }
+
+    // Direction of the latest run of sequential changes among reported (non-estimate)
+    // points: { direction: 'up' | 'down' | 'flat', periods, from, to } or null.
+    // A missing period ends the run.
+    static sequentialTrend(points) {
+        const reported = points.filter(point => !point.estimate && point.periodType !== 'year');
+        const last = reported[reported.length - 1];
+        if (!last || !last.qoq) return null;
+
+        const direction = MetricStore.direction(last);
+        let first = last;
+        let periods = 0;
+        for (let index = reported.length - 1; index >= 0; index--) {
+            const point = reported[index];
+            if (point.period !== first.period || !point.qoq || MetricStore.direction(point) !== direction) break;
+            periods++;
+            first = reported.find(candidate => candidate.period === point.qoq.from) || point;
+        }
+
+        return { direction, periods, from: first.period, to: last.period };
+    }
+
+    static direction(point) {
+        const { change, value } = point.qoq;
+        if (Math.abs(change) <= Math.abs(value) * FLAT_TOLERANCE) return 'flat';
+        return change > 0 ? 'up' : 'down';
+    }
+
+    // ============================================================================
+    // TEXT
+    // ============================================================================
+
+    // One line per series for prompts and logs; the latest reported period carries its changes:
+    // "Medical costs: Q1 2025 $980 million; Q2 2025 $1,012 million (QoQ +3.3%, YoY +5.1%)"
+    static toText(seriesList, { maxPoints = 5 } = {}) {
+        return seriesList.map(series => {
+            const points = (series.points || [series.latest]).filter(Boolean).slice(-maxPoints);
+            const history = points.map(point => {
+                const value = `${point.period}${point.estimate ? ' estimate' : ''} ${SpreadsheetMetrics.formatValue(point, { withValue: false })}`;
+                const changes = series.latest && point.period === series.latest.period ? MetricStore.describeChanges(point) : '';
+                return changes ? `${value} (${changes})` : value;
+            });
+            return `${series.label}: ${history.join('; ')}`;
+        }).join('\n');
+    }
+
+    static describeChanges(point) {
+        return [['QoQ', point.qoq], ['YoY', point.yoy]]
+            .filter(([, change]) => change)
+            .map(([name, change]) => `${name} ${MetricStore.formatChange(change, point.unit)}`)
+            .join(', ');
+    }
+
+    static formatChange(change, unit) {
+        const sign = change.change > 0 ? '+' : '';
+        if (unit === 'percent') return `${sign}${Number(change.change.toFixed(2))} pts`;
+        if (change.changePercent === null) return `${sign}${change.change.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+        return `${change.changePercent > 0 ? '+' : ''}${change.changePercent}%`;
+    }
+}
+
+MetricStore.DEFAULT_COMPANY = DEFAULT_COMPANY;
+
+module.exports = MetricStore;
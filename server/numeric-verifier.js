@@ -0,0 +1,285 @@
+// numeric-verifier.js - Checks every figure in an AI answer against the source documents
+// Amounts, per-share values, percentages, basis points and period references are extracted
+// from the answer, normalized and matched against the retrieved context and the full
+// document corpus. Each figure comes back as:
+//   verified   - the same value, allowing for the answer's rounding, appears in a source
+//   derived    - it can be computed from two source figures in the retrieved context or prompt
+//                that measure the same metric in the same unit
+//   unverified - neither; the UI flags these
+// A figure the user typed is not evidence, so the prompt only feeds derivations, and only
+// with figures that are themselves found in the documents.
+const FinancialQuantity = require('../js/modules/FinancialQuantity');
+
+const QUARTERS = { first: 1, second: 2, third: 3, fourth: 4 };
+const FIGURE_TYPES = ['amount', 'per_share', 'percent', 'basis_points'];
+
+const PATTERNS = {
+    quarter: /\b(?:Q([1-4])|([1-4])Q)\s?(?:FY\s?)?'?(\d{4}|\d{2})\b/gi,
+    quarterWords: /\b(first|second|third|fourth)[- ]quarter(?:\s+of)?(?:\s+fiscal(?:\s+year)?)?\s+(\d{4})\b/gi,
+    half: /\b(?:H([12])|([12])H)\s?'?(\d{4}|\d{2})\b/gi,
+    fiscalYear: /\b(?:FY|fiscal(?:\s+year)?)\s?'?(\d{4}|\d{2})\b/gi
+};
+
+const MAX_DERIVATION_FIGURES = 60; // Pairwise checks are quadratic, so only the nearest sources take part
+const EXCERPT_RADIUS = 60;
+const PAIR_DISTANCE = 300; // Characters between two figures of one passage that may be combined
+const METRIC_WORDS = 3;
+
+// Words around a figure that do not name what it measures
+const NON_METRIC_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'from', 'by', 'in', 'on', 'at', 'for', 'with', 'as', 'than', 'while',
+    'was', 'were', 'is', 'are', 'be', 'been', 'being', 'has', 'had', 'have', 'it', 'its', 'our', 'their', 'we', 'this', 'that', 'which',
+    'grew', 'grow', 'growth', 'rose', 'fell', 'increased', 'increase', 'decreased', 'decrease', 'declined', 'decline',
+    'expanded', 'contracted', 'improved', 'reached', 'reaching', 'totaled', 'came', 'reported', 'added', 'adding',
+    'compared', 'versus', 'vs', 'up', 'down', 'higher', 'lower', 'about', 'approximately', 'nearly', 'roughly', 'over', 'under', 'around',
+    'total', 'quarter', 'year', 'period', 'prior', 'same', 'last', 'first', 'second', 'third', 'fourth', 'full', 'fiscal',
+    'million', 'billion', 'thousand', 'percent', 'per', 'share', 'basis', 'points', 'bps', 'yoy', 'qoq'
+]);
+
+class NumericVerifier {
+    constructor(documentRepository) {
+        this.documentRepository = documentRepository;
+        this.corpusFigures = new Map(); // document ID -> figures with excerpts
+
+        // Stored text never changes under an ID, so removal is the only invalidation needed
+        documentRepository.onDocumentChange(change => {
+            if (change.type === 'removed') {
+                change.ids.forEach(id => this.corpusFigures.delete(id));
+            }
+        });
+    }
+
+    // ============================================================================
+    // EXTRACTION
+    // ============================================================================
+
+    // Figures in text order; overlapping matches keep the earliest, longest one
+    static extractFigures(text, { withExcerpts = false } = {}) {
+        if (!text) return [];
+        const found = [];
+        const add = (match, figure) => found.push({
+            ...figure,
+            text: match[0].trim(),
+            index: match.index,
+            end: match.index + match[0].length
+        });
+
+        // Each end of a range ("$6.10 to $6.30") is checked on its own
+        FinancialQuantity.extract(text)
+            .flatMap(quantity => quantity.isRange ? quantity.parts : [quantity])
+            .filter(quantity => FIGURE_TYPES.includes(quantity.type))
+            .forEach(quantity => found.push(NumericVerifier.numericFigure(quantity)));
+        for (const match of text.matchAll(PATTERNS.quarter)) {
+            add(match, NumericVerifier.periodFigure(`Q${match[1] || match[2]}`, match[3]));
+        }
+        for (const match of text.matchAll(PATTERNS.quarterWords)) {
+            add(match, NumericVerifier.periodFigure(`Q${QUARTERS[match[1].toLowerCase()]}`, match[2]));
+        }
+        for (const match of text.matchAll(PATTERNS.half)) {
+            add(match, NumericVerifier.periodFigure(`H${match[1] || match[2]}`, match[3]));
+        }
+        for (const match of text.matchAll(PATTERNS.fiscalYear)) {
+            add(match, NumericVerifier.periodFigure('FY', match[1]));
+        }
+
+        found.sort((a, b) => a.index - b.index || b.end - a.end);
+        const figures = [];
+        let lastEnd = -1;
+        for (const figure of found) {
+            if (figure.index < lastEnd) continue;
+            lastEnd = figure.end;
+            if (withExcerpts) {
+                figure.excerpt = NumericVerifier.excerptAround(text, figure.index, figure.end);
+            }
+            figures.push(figure);
+        }
+        NumericVerifier.labelFigures(text, figures);
+        return figures;
+    }
+
+    // Each figure gets the metric named just before it in its clause ("revenue" in "Revenue grew
+    // 23%"), else the metric of the figure before it in the same sentence ("Revenue was $12.4
+    // billion, up from $10.1 billion"), and the number of its blank-line-separated passage
+    static labelFigures(text, figures) {
+        let previous = null;
+        let passage = 0;
+        figures.forEach(figure => {
+            const between = text.substring(previous ? previous.end : 0, figure.index);
+            passage += (between.match(/\n\s*\n/g) || []).length;
+            const clause = between.split(/[,;:\n]|[.!?](?:\s|$)/).pop();
+            const words = (clause.toLowerCase().match(/[a-z][a-z&'’-]*/g) || [])
+                .filter(word => !NON_METRIC_WORDS.has(word))
+                .slice(-METRIC_WORDS);
+            const sameSentence = !!previous && !/[.!?](?:\s|$)|\n/.test(between);
+            figure.metric = words.length === 0 && sameSentence ? previous.metric : words;
+            figure.passage = passage;
+            previous = figure;
+        });
+    }
+
+    // The tolerance is half a unit in the last digit written, so "$1.2 billion" matches $1,234 million
+    static numericFigure(quantity) {
+        return {
+            type: quantity.type,
+            value: quantity.value,
+            currency: quantity.currency,
+            tolerance: quantity.tolerance,
+            text: quantity.text,
+            index: quantity.index,
+            end: quantity.end
+        };
+    }
+
+    static periodFigure(prefix, year) {
+        const fullYear = year.length === 2 ? `20${year}` : year;
+        return { type: 'period', value: `${prefix} ${fullYear}` };
+    }
+
+    static excerptAround(text, start, end) {
+        const from = Math.max(0, start - EXCERPT_RADIUS);
+        const to = Math.min(text.length, end + EXCERPT_RADIUS);
+        return `${from > 0 ? '...' : ''}${text.substring(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '...' : ''}`;
+    }
+
+    // ============================================================================
+    // VERIFICATION
+    // ============================================================================
+
+    // answer: the AI text. context: retrieved passages. prompt: what the user sent, which may
+    // itself quote passages retrieved in the browser. Scope and inline documents define the corpus.
+    // Returns { figures, summary: { total, verified, derived, unverified } }
+    verify(answer, { context = null, prompt = null, documentIds = null, workspaceId = null, documents = [] } = {}) {
+        const sources = [
+            { kind: 'retrieved', name: 'Retrieved context', figures: NumericVerifier.extractFigures(context, { withExcerpts: true }) },
+            ...this.getCorpusSources({ documentIds, workspaceId }),
+            ...(documents || []).map(doc => ({
+                kind: 'corpus',
+                name: doc.name || doc.filename || 'Inline document',
+                figures: NumericVerifier.extractFigures(doc.text || doc.content || '', { withExcerpts: true })
+            }))
+        ];
+        // Passages the browser retrieved itself arrive inside the prompt; the document's
+        // own figure stands in for a quote that may be rounded
+        const quotedFigures = NumericVerifier.extractFigures(prompt)
+            .map(figure => NumericVerifier.findMatch(figure, sources))
+            .filter(Boolean)
+            .map(match => ({ ...match.figure, source: match.name }));
+        const derivationFigures = [...sources[0].figures.map(figure => ({ ...figure, source: sources[0].name })), ...quotedFigures]
+            .filter(figure => figure.type !== 'period')
+            .slice(0, MAX_DERIVATION_FIGURES);
+
+        const figures = NumericVerifier.extractFigures(answer).map(figure => {
+            const checked = { text: figure.text, type: figure.type, value: figure.value, index: figure.index };
+
+            const match = NumericVerifier.findMatch(figure, sources);
+            if (match) {
+                return { ...checked, status: 'verified', matchedIn: match.kind, source: match.name, excerpt: match.excerpt };
+            }
+
+            const derivation = NumericVerifier.findDerivation(figure, derivationFigures);
+            if (derivation) {
+                return { ...checked, status: 'derived', derivation };
+            }
+
+            return { ...checked, status: 'unverified' };
+        });
+
+        const summary = { total: figures.length, verified: 0, derived: 0, unverified: 0 };
+        figures.forEach(figure => summary[figure.status]++);
+        return { figures, summary };
+    }
+
+    // Only the documents the request names. With no scope, resolveScope would return every
+    // workspace's documents, and a figure could verify against another company's filings.
+    getCorpusSources({ documentIds = null, workspaceId = null } = {}) {
+        const hasScope = (documentIds && documentIds.length > 0) || workspaceId;
+        if (!hasScope) return [];
+
+        return this.documentRepository.resolveScope({ documentIds, workspaceId }).map(id => {
+            if (!this.corpusFigures.has(id)) {
+                const doc = this.documentRepository.getDocument(id, { includeText: true });
+                this.corpusFigures.set(id, NumericVerifier.extractFigures(doc.text, { withExcerpts: true }));
+            }
+            return { kind: 'corpus', name: this.documentRepository.getDocument(id).name, figures: this.corpusFigures.get(id) };
+        });
+    }
+
+    static isComparable(figure, candidate) {
+        const money = ['amount', 'per_share'];
+        return figure.type === candidate.type || (money.includes(figure.type) && money.includes(candidate.type));
+    }
+
+    static matchesValue(figure, value) {
+        return Math.abs(Math.abs(figure.value) - Math.abs(value)) <= figure.tolerance + 1e-9;
+    }
+
+    static findMatch(figure, sources) {
+        for (const source of sources) {
+            const candidate = source.figures.find(other => NumericVerifier.isComparable(figure, other) && (
+                figure.type === 'period' ? other.value === figure.value : NumericVerifier.matchesValue(figure, other.value)
+            ));
+            if (candidate) {
+                return { kind: source.kind, name: source.name, excerpt: candidate.excerpt, figure: candidate };
+            }
+        }
+        return null;
+    }
+
+    // "total revenue" and "revenue" are one metric; "net income" and "operating income" are two
+    static sameMetric(words, otherWords) {
+        return words.length > 0 && otherWords.length > 0 &&
+            (words.every(word => otherWords.includes(word)) || otherWords.every(word => words.includes(word)));
+    }
+
+    // Two source figures can explain an answer figure only when they measure the same metric in
+    // the same currency, and that is the metric named beside the answer figure or, when it names
+    // none, the two sit close together in one passage
+    static canCombine(figure, a, b) {
+        if (a === b || (a.currency || null) !== (b.currency || null) || !NumericVerifier.sameMetric(a.metric, b.metric)) return false;
+        if (figure.metric.length > 0) return NumericVerifier.sameMetric(figure.metric, a.metric);
+        return a.source === b.source && a.passage === b.passage && Math.abs(a.index - b.index) <= PAIR_DISTANCE;
+    }
+
+    // Growth, share, sum, difference and percentage-point change of two related source figures
+    static findDerivation(figure, sourceFigures) {
+        if (figure.type === 'period' || figure.type === 'per_share') return null;
+
+        const amounts = sourceFigures.filter(other => other.type === 'amount');
+        const percents = sourceFigures.filter(other => other.type === 'percent');
+
+        for (const a of figure.type === 'basis_points' ? [] : amounts) {
+            for (const b of amounts) {
+                if (b.value === 0 || !NumericVerifier.canCombine(figure, a, b)) continue;
+
+                const candidates = figure.type === 'percent'
+                    ? [
+                        { value: (a.value - b.value) / Math.abs(b.value) * 100, formula: `change from ${b.text} to ${a.text}` },
+                        { value: a.value / b.value * 100, formula: `${a.text} as a share of ${b.text}` }
+                    ]
+                    : [
+                        { value: a.value + b.value, formula: `${a.text} + ${b.text}` },
+                        { value: a.value - b.value, formula: `${a.text} - ${b.text}` }
+                    ];
+
+                const derived = candidates.find(candidate => NumericVerifier.matchesValue(figure, candidate.value));
+                if (derived) return derived.formula;
+            }
+        }
+
+        if (figure.type === 'percent' || figure.type === 'basis_points') {
+            const scale = figure.type === 'basis_points' ? 100 : 1;
+            for (const a of percents) {
+                for (const b of percents) {
+                    if (!NumericVerifier.canCombine(figure, a, b)) continue;
+                    if (NumericVerifier.matchesValue(figure, (a.value - b.value) * scale)) {
+                        return `${a.text} - ${b.text}${scale === 100 ? ' in basis points' : ' in percentage points'}`;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = NumericVerifier;
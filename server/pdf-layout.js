@@ -0,0 +1,241 @@
+// pdf-layout.js - Rebuilds lines, columns and tables from pdf.js text items
+// pdf.js returns positioned fragments in content-stream order, not reading order. Fragments
+// are grouped into lines by baseline, split into cells where the horizontal gap is wider
+// than a word space, and runs of lines with aligned numeric columns become tables.
+const FinancialQuantity = require('../js/modules/FinancialQuantity');
+
+const CELL_GAP_EM = 1.2;     // A gap wider than this many font sizes starts a new cell
+const WORD_GAP_EM = 0.15;    // A smaller gap that still needs a space between fragments
+const LINE_TOLERANCE_EM = 0.5;
+const COLUMN_TOLERANCE_EM = 1.5;
+const MIN_TABLE_ROWS = 3;
+const MAX_HEADER_ROWS = 2;
+const MAX_TITLE_LENGTH = 120;
+
+const YEAR_CELL = /^(?:19|20)\d{2}$/;
+const DOT_LEADER = /(?:\s*\.){3,}\s*$/;
+const DASH_CELL = /^[—–-]+$/; // A nil figure in a column of numbers
+
+class PdfLayout {
+    // items: getTextContent().items for one page.
+    // Returns { blocks: [{ type: 'text', text } | { type: 'table', table }], lineCount }.
+    // Tables are { title, headers, rows } and are named by the caller.
+    static readPage(items) {
+        const lines = PdfLayout.buildLines(items);
+        return { blocks: PdfLayout.buildBlocks(lines), lineCount: lines.length };
+    }
+
+    // ============================================================================
+    // LINES AND CELLS
+    // ============================================================================
+
+    static buildLines(items) {
+        const fragments = items
+            .filter(item => item.str && item.str.trim())
+            .map(item => {
+                const [, , skewX, scaleY, x, y] = item.transform;
+                const fontSize = Math.hypot(skewX, scaleY) || item.height || 10;
+                return { text: item.str, x, y, right: x + (item.width || 0), fontSize };
+            })
+            // Top of the page first (PDF y grows upwards), then left to right
+            .sort((a, b) => b.y - a.y || a.x - b.x);
+
+        const lines = [];
+        fragments.forEach(fragment => {
+            // Fragments arrive top-down, so only the last few lines can share a baseline
+            const line = lines.slice(-3).find(candidate =>
+                Math.abs(candidate.y - fragment.y) <= Math.max(candidate.fontSize, fragment.fontSize) * LINE_TOLERANCE_EM);
+            if (line) {
+                line.fragments.push(fragment);
+                line.fontSize = Math.max(line.fontSize, fragment.fontSize);
+            } else {
+                lines.push({ y: fragment.y, fontSize: fragment.fontSize, fragments: [fragment] });
+            }
+        });
+
+        return lines
+            .sort((a, b) => b.y - a.y)
+            .map(line => ({ y: line.y, fontSize: line.fontSize, cells: PdfLayout.buildCells(line) }));
+    }
+
+    static buildCells(line) {
+        const cells = [];
+        let current = null;
+
+        line.fragments.sort((a, b) => a.x - b.x).forEach(fragment => {
+            const gap = current ? fragment.x - current.right : Infinity;
+            if (!current || gap > line.fontSize * CELL_GAP_EM) {
+                current = { text: fragment.text, x: fragment.x, right: fragment.right };
+                cells.push(current);
+                return;
+            }
+
+            const needsSpace = gap > line.fontSize * WORD_GAP_EM && !/\s$/.test(current.text) && !/^\s/.test(fragment.text);
+            current.text += (needsSpace ? ' ' : '') + fragment.text;
+            current.right = Math.max(current.right, fragment.right);
+        });
+
+        return cells
+            .map(cell => ({ ...cell, text: cell.text.replace(DOT_LEADER, '').replace(/\s+/g, ' ').trim() }))
+            .filter(cell => cell.text);
+    }
+
+    static lineText(line) {
+        return line.cells.map(cell => cell.text).join('  ');
+    }
+
+    // ============================================================================
+    // TABLES
+    // ============================================================================
+
+    static isNumericCell(text) {
+        return DASH_CELL.test(text) || FinancialQuantity.parse(text) !== null;
+    }
+
+    // A line with at least one figure that is not a year heading
+    static isTabular(line) {
+        return line.cells.length >= 2 && line.cells.some(cell => PdfLayout.isNumericCell(cell.text) && !YEAR_CELL.test(cell.text));
+    }
+
+    // Column headings: "Three Months Ended", "2025  2024"
+    static isHeaderLine(line) {
+        const years = line.cells.filter(cell => YEAR_CELL.test(cell.text)).length;
+        return (line.cells.length >= 2 || years > 0) &&
+            line.cells.every(cell => !PdfLayout.isNumericCell(cell.text) || YEAR_CELL.test(cell.text));
+    }
+
+    static buildBlocks(lines) {
+        const blocks = [];
+        const textLines = [];
+        const flushText = () => {
+            if (textLines.length > 0) {
+                blocks.push({ type: 'text', text: textLines.splice(0).map(PdfLayout.lineText).join('\n') });
+            }
+        };
+
+        let index = 0;
+        while (index < lines.length) {
+            const run = PdfLayout.findTableRun(lines, index);
+            if (!run) {
+                textLines.push(lines[index]);
+                index++;
+                continue;
+            }
+
+            // A heading over the figure columns ("Three Months Ended June 30") belongs to the table
+            const tableLines = lines.slice(run.start, run.end);
+            const figureLeft = PdfLayout.figureLeft(tableLines);
+            const labelLeft = Math.min(...tableLines.map(line => line.cells[0].x));
+            const isColumnHeading = line => line.cells.every(cell =>
+                cell.right > figureLeft && cell.x > labelLeft + line.fontSize);
+            while (textLines.length > 0 && tableLines.length - run.length < MAX_HEADER_ROWS &&
+                isColumnHeading(textLines[textLines.length - 1])) {
+                tableLines.unshift(textLines.pop());
+            }
+
+            // A short line just above it ("Consolidated Statements of Operations") is its title
+            const previous = textLines[textLines.length - 1];
+            const title = previous && previous.cells.length === 1 && previous.cells[0].text.length <= MAX_TITLE_LENGTH
+                ? textLines.pop().cells[0].text
+                : null;
+            flushText();
+            blocks.push({ type: 'table', table: PdfLayout.buildTable(tableLines, title) });
+            index = run.end;
+        }
+
+        flushText();
+        return blocks;
+    }
+
+    // [start, end) of a table starting at index, including header lines and single-cell
+    // section labels between tabular lines; null when fewer than MIN_TABLE_ROWS figure rows
+    static findTableRun(lines, index) {
+        let start = index;
+        let headerCount = 0;
+        while (start < lines.length && headerCount < MAX_HEADER_ROWS && PdfLayout.isHeaderLine(lines[start]) && !PdfLayout.isTabular(lines[start])) {
+            start++;
+            headerCount++;
+        }
+
+        let end = start;
+        let tabularRows = 0;
+        while (end < lines.length) {
+            if (PdfLayout.isTabular(lines[end])) {
+                tabularRows++;
+                end++;
+            } else if (tabularRows > 0 && lines[end].cells.length === 1 && end + 1 < lines.length && PdfLayout.isTabular(lines[end + 1])) {
+                end++;
+            } else {
+                break;
+            }
+        }
+
+        return tabularRows >= MIN_TABLE_ROWS ? { start: index, end, length: end - index } : null;
+    }
+
+    // Left edge of the leftmost figure in the table's rows
+    static figureLeft(lines) {
+        return Math.min(...lines.filter(PdfLayout.isTabular).flatMap(line =>
+            line.cells.filter(cell => PdfLayout.isNumericCell(cell.text)).map(cell => cell.x)));
+    }
+
+    // Figures are usually right-aligned, so columns are clustered by their right edge.
+    // Everything left of the leftmost figure is the row's label; lines above the first
+    // row of figures are column headings.
+    static buildTable(lines, title) {
+        const fontSize = Math.max(...lines.map(line => line.fontSize));
+        const firstBody = lines.findIndex(PdfLayout.isTabular);
+        const figureLeft = PdfLayout.figureLeft(lines);
+        const split = (line, index) => ({
+            body: index >= firstBody,
+            label: line.cells.filter(cell => cell.right <= figureLeft).map(cell => cell.text).join(' '),
+            cells: line.cells.filter(cell => cell.right > figureLeft)
+        });
+        const rows = lines.map(split);
+
+        const anchors = [];
+        rows.filter(row => row.body).forEach(row => row.cells.forEach(cell => {
+            const anchor = anchors.find(edge => Math.abs(edge.right - cell.right) <= fontSize * COLUMN_TOLERANCE_EM);
+            if (anchor) {
+                anchor.right = (anchor.right * anchor.count + cell.right) / (anchor.count + 1);
+                anchor.count++;
+            } else {
+                anchors.push({ right: cell.right, count: 1 });
+            }
+        }));
+        anchors.sort((a, b) => a.right - b.right);
+
+        // A figure goes to the column whose right edge is nearest. A heading goes to every
+        // column it spans, so "Three Months Ended June 30" heads both year columns.
+        const nearest = cell => anchors.reduce((best, anchor, position) =>
+            Math.abs(anchor.right - cell.right) < Math.abs(anchors[best].right - cell.right) ? position : best, 0);
+        const spanned = cell => {
+            const columns = anchors
+                .map((anchor, position) => ({ position, start: position === 0 ? figureLeft : anchors[position - 1].right, end: anchor.right }))
+                .filter(column => cell.x < column.end - fontSize / 2 && cell.right > column.start + fontSize / 2)
+                .map(column => column.position);
+            return columns.length > 0 ? columns : [nearest(cell)];
+        };
+        const place = (cells, isHeading = false) => {
+            const values = anchors.map(() => []);
+            cells.forEach(cell => {
+                (isHeading ? spanned(cell) : [nearest(cell)]).forEach(column => values[column].push(cell.text));
+            });
+            return values.map(parts => parts.join(' '));
+        };
+
+        const headerRows = rows.filter(row => !row.body).map(row => ({ label: row.label, values: place(row.cells, true) }));
+        const headers = headerRows.length > 0
+            ? [headerRows.map(row => row.label).filter(Boolean).join(' '), ...anchors.map((anchor, column) =>
+                headerRows.map(row => row.values[column]).filter(Boolean).join(' '))]
+            : [];
+
+        return {
+            title,
+            headers,
+            rows: rows.filter(row => row.body).map(row => [row.label, ...place(row.cells)])
+        };
+    }
+}
+
+module.exports = PdfLayout;
@@ -0,0 +1,252 @@
+// prompt-template-store.js - Persisted, versioned prompt templates for context analysis and chat
+const fs = require('fs');
+const path = require('path');
+const SystemPromptManager = require('./system-prompt-manager');
+
+// Placeholders accepted in each template kind. The settings UI uses the single-brace
+// names ({selectedText}, {query}, {documents}); SystemPromptManager uses the double-brace ones.
+const TEMPLATE_KINDS = {
+    context: {
+        userText: ['{{USER_TEXT}}', '{selectedText}'],
+        context: ['{{RETRIEVED_CONTEXT}}', '{documents}']
+    },
+    chat: {
+        userText: ['{{USER_TEXT}}', '{query}'],
+        context: ['{{RETRIEVED_CONTEXT}}', '{documents}']
+    }
+};
+
+// Same instructions the routes used to hardcode - version 1 of both kinds
+const DEFAULT_TEMPLATE = `{{USER_TEXT}}
+
+=== DOCUMENT CONTEXT AVAILABLE ===
+The following information has been extracted from your uploaded memory documents and is available for analysis:
+
+{{RETRIEVED_CONTEXT}}
+
+=== INSTRUCTIONS ===
+You MUST use this document context to provide specific, data-driven insights. Include:
+- Specific numbers, metrics, and facts from the documents
+- Source attribution (which document the data comes from)
+- Comparative analysis when possible
+- Historical trends if mentioned in the documents
+
+IMPORTANT FORMATTING REQUIREMENTS:
+- Do NOT start with "From the provided document context" or similar phrases
+- Format your response with clear sections and bullet points
+- Use proper line breaks between sections
+- Make bullet points easy to read with proper spacing
+- Include source attribution at the end, not in the opening
+
+Do NOT say you don't have access to documents - you DO have access to the context above.`;
+
+class PromptTemplateStore {
+    constructor(storeFile = path.join(__dirname, 'prompt-templates.json')) {
+        this.storeFile = storeFile;
+        this.validator = new SystemPromptManager();
+        this.data = this.loadStore();
+    }
+
+    // Load templates from disk, seeding version 1 of each kind on first run
+    loadStore() {
+        let data = { active: {}, versions: {} };
+
+        try {
+            if (fs.existsSync(this.storeFile)) {
+                data = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+                console.log(`📁 Loaded prompt templates from ${this.storeFile}`);
+            }
+        } catch (error) {
+            console.error('❌ Error reading prompt template store:', error.message);
+        }
+
+        let seeded = false;
+        for (const kind of Object.keys(TEMPLATE_KINDS)) {
+            if (!data.versions[kind] || data.versions[kind].length === 0) {
+                data.versions[kind] = [{
+                    version: 1,
+                    template: DEFAULT_TEMPLATE,
+                    createdAt: new Date().toISOString(),
+                    note: 'Default template'
+                }];
+                data.active[kind] = 1;
+                seeded = true;
+            }
+        }
+
+        this.data = data;
+        if (seeded) {
+            this.saveStore();
+        }
+        return data;
+    }
+
+    saveStore() {
+        try {
+            fs.writeFileSync(this.storeFile, JSON.stringify(this.data, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save prompt template store:', error.message);
+        }
+    }
+
+    assertKind(kind) {
+        if (!TEMPLATE_KINDS[kind]) {
+            throw new Error(`Unknown template kind "${kind}". Expected one of: ${Object.keys(TEMPLATE_KINDS).join(', ')}`);
+        }
+    }
+
+    // ============================================================================
+    // VALIDATION
+    // ============================================================================
+
+    // Rewrite UI placeholder aliases to the SystemPromptManager placeholders
+    toCanonical(kind, template) {
+        const placeholders = TEMPLATE_KINDS[kind];
+        let canonical = template;
+
+        placeholders.userText.slice(1).forEach(alias => {
+            canonical = canonical.split(alias).join('{{USER_TEXT}}');
+        });
+        placeholders.context.slice(1).forEach(alias => {
+            canonical = canonical.split(alias).join('{{RETRIEVED_CONTEXT}}');
+        });
+
+        return canonical;
+    }
+
+    validateTemplate(kind, template) {
+        this.assertKind(kind);
+        const issues = [];
+
+        if (!template || typeof template !== 'string' || !template.trim()) {
+            return { isValid: false, issues: ['Template must be a non-empty string'] };
+        }
+
+        const placeholders = TEMPLATE_KINDS[kind];
+        const canonical = this.toCanonical(kind, template);
+
+        // setBaseTemplate enforces the user text placeholder
+        try {
+            this.validator.setBaseTemplate(canonical);
+        } catch (error) {
+            issues.push(`${error.message} (or ${placeholders.userText.slice(1).join(', ')})`);
+        }
+
+        if (!canonical.includes('{{RETRIEVED_CONTEXT}}')) {
+            issues.push(`Template must include a document placeholder: ${placeholders.context.join(' or ')}`);
+        }
+
+        const unknown = (canonical.match(/{{\s*[A-Z_]+\s*}}/g) || [])
+            .filter(placeholder => !['{{USER_TEXT}}', '{{RETRIEVED_CONTEXT}}'].includes(placeholder));
+        if (unknown.length > 0) {
+            issues.push(`Unknown placeholder(s): ${[...new Set(unknown)].join(', ')}`);
+        }
+
+        // Check the rendered size with sample values filled in
+        if (issues.length === 0) {
+            this.validator.updateRetrievedContext('Sample document context');
+            this.validator.updateUserText('Sample text');
+            const check = this.validator.validatePrompt(this.validator.getCurrentPrompt());
+            issues.push(...check.issues);
+            this.validator.reset();
+        }
+
+        return { isValid: issues.length === 0, issues };
+    }
+
+    // ============================================================================
+    // VERSIONS
+    // ============================================================================
+
+    // Save a new version and make it active. Identical text re-activates nothing new.
+    saveTemplate(kind, template, note = '') {
+        const validation = this.validateTemplate(kind, template);
+        if (!validation.isValid) {
+            const error = new Error(`Invalid ${kind} template: ${validation.issues.join('; ')}`);
+            error.issues = validation.issues;
+            throw error;
+        }
+
+        const active = this.getActiveTemplate(kind);
+        if (active.template === template) {
+            return { ...active, changed: false };
+        }
+
+        const versions = this.data.versions[kind];
+        const entry = {
+            version: versions[versions.length - 1].version + 1,
+            template,
+            createdAt: new Date().toISOString(),
+            note
+        };
+
+        versions.push(entry);
+        this.data.active[kind] = entry.version;
+        this.saveStore();
+
+        console.log(`✅ ${kind} template saved as version ${entry.version}`);
+        return { ...entry, changed: true };
+    }
+
+    rollback(kind, version) {
+        this.assertKind(kind);
+        const target = this.data.versions[kind].find(entry => entry.version === Number(version));
+
+        if (!target) {
+            throw new Error(`Version ${version} of the ${kind} template does not exist`);
+        }
+
+        this.data.active[kind] = target.version;
+        this.saveStore();
+
+        console.log(`⏪ ${kind} template rolled back to version ${target.version}`);
+        return target;
+    }
+
+    getActiveTemplate(kind) {
+        this.assertKind(kind);
+        const activeVersion = this.data.active[kind];
+        return this.data.versions[kind].find(entry => entry.version === activeVersion);
+    }
+
+    getVersions(kind) {
+        this.assertKind(kind);
+        return this.data.versions[kind].map(entry => ({
+            ...entry,
+            active: entry.version === this.data.active[kind]
+        }));
+    }
+
+    getSummary() {
+        const summary = {};
+        for (const kind of Object.keys(TEMPLATE_KINDS)) {
+            const active = this.getActiveTemplate(kind);
+            summary[kind] = {
+                activeVersion: active.version,
+                versionCount: this.data.versions[kind].length,
+                template: active.template,
+                updatedAt: active.createdAt
+            };
+        }
+        return summary;
+    }
+
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+
+    // Fill the active template for a kind with the user's text and the retrieved context
+    render(kind, { userText = '', context = '' } = {}) {
+        const active = this.getActiveTemplate(kind);
+        const canonical = this.toCanonical(kind, active.template);
+
+        // Function replacers keep "$" in financial text from being read as a pattern
+        return canonical
+            .replace(/{{USER_TEXT}}/g, () => userText)
+            .replace(/{{RETRIEVED_CONTEXT}}/g, () => context || 'No relevant context found in uploaded documents.');
+    }
+}
+
+PromptTemplateStore.TEMPLATE_KINDS = Object.keys(TEMPLATE_KINDS);
+
+module.exports = PromptTemplateStore;
@@ -0,0 +1,272 @@
+// ============================================================================
+// REALTIME ROUTER - WEBSOCKET PROTOCOL FOR EnhancedRealtimeClient
+// ============================================================================
+
+const WebSocket = require('ws');
+const SystemPromptManager = require('./system-prompt-manager');
+const SimpleRAGService = require('./simple-rag-service');
+
+const DEBOUNCE_DELAY = 300; // 300ms debounce for user text updates
+
+class RealtimeRouter {
+    // generate(prompt, onText) must resolve with the full response text,
+    // calling onText for every streamed delta
+    constructor({ wss, documentRepository, generate }) {
+        this.wss = wss;
+        this.documentRepository = documentRepository;
+        this.generate = generate;
+        this.clients = new Map(); // ws -> per-connection state
+
+        this.handlers = {
+            update_user_text: (ws, state, message) => this.handleUpdateUserText(ws, state, message),
+            upload_document: (ws, state, message) => this.handleUploadDocument(ws, state, message),
+            get_document_stats: (ws) => this.sendDocumentStats(ws),
+            clear_documents: (ws, state, message) => this.handleClearDocuments(ws, state, message),
+            request_analysis: (ws, state, message) => this.handleRequestAnalysis(ws, state, message),
+            update_system_template: (ws, state, message) => this.handleUpdateSystemTemplate(ws, state, message),
+
+            // Legacy message types from the original simple client
+            chat: (ws, state, message) => this.handleRequestAnalysis(ws, state, {
+                selectedText: message.content,
+                useCurrentPrompt: false
+            }),
+            add_document: (ws, state, message) => this.handleUploadDocument(ws, state, {
+                document: { name: message.filename, text: message.content }
+            })
+        };
+
+        this.wss.on('connection', (ws) => this.handleConnection(ws));
+        console.log('✅ Realtime router initialized');
+    }
+
+    // ============================================================================
+    // CONNECTION MANAGEMENT
+    // ============================================================================
+
+    handleConnection(ws) {
+        console.log('📱 WebSocket client connected');
+
+        const state = {
+            promptManager: new SystemPromptManager(),
+            debounceTimer: null,
+            isProcessing: false
+        };
+        this.clients.set(ws, state);
+
+        ws.on('message', (data) => this.routeMessage(ws, state, data));
+
+        ws.on('close', () => {
+            clearTimeout(state.debounceTimer);
+            this.clients.delete(ws);
+            console.log('📱 WebSocket client disconnected');
+        });
+
+        // Bring the new client up to date
+        this.send(ws, 'system_prompt_update', { prompt: state.promptManager.getCurrentPrompt() });
+        this.sendDocumentStats(ws);
+    }
+
+    async routeMessage(ws, state, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return this.sendError(ws, 'Invalid JSON message', error.message);
+        }
+
+        const handler = this.handlers[message.type];
+        if (!handler) {
+            console.warn('⚠️ Unknown WebSocket message type:', message.type);
+            return this.sendError(ws, `Unknown message type: ${message.type}`);
+        }
+
+        try {
+            await this.documentRepository.ready;
+            await handler(ws, state, message);
+        } catch (error) {
+            console.error(`❌ Error handling ${message.type}:`, error);
+            this.sendError(ws, error.message, { type: message.type });
+        }
+    }
+
+    // ============================================================================
+    // MESSAGE HANDLERS
+    // ============================================================================
+
+    handleUpdateUserText(ws, state, message) {
+        if (typeof message.text !== 'string') {
+            throw new Error('update_user_text requires a text string');
+        }
+
+        clearTimeout(state.debounceTimer);
+        state.debounceTimer = setTimeout(() => {
+            try {
+                this.refreshPrompt(state, message.text);
+                this.send(ws, 'system_prompt_update', { prompt: state.promptManager.getCurrentPrompt() });
+            } catch (error) {
+                console.error('❌ Error rebuilding prompt:', error);
+                this.sendError(ws, error.message, { type: 'update_user_text' });
+            }
+        }, DEBOUNCE_DELAY);
+    }
+
+    async handleUploadDocument(ws, state, message) {
+        const document = message.document || {};
+        const text = document.text || document.content;
+        const name = document.name || document.filename || 'Untitled document';
+
+        if (!text || typeof text !== 'string') {
+            return this.send(ws, 'document_upload_error', {
+                documentName: name,
+                message: 'Document text is required'
+            });
+        }
+
+        try {
+            const doc = await this.documentRepository.addDocument(text, name, {
+                type: document.type,
+                workspaceId: document.workspaceId
+            });
+
+            console.log(`📄 Document added via WebSocket: ${name}`);
+            this.send(ws, 'document_upload_success', {
+                documentId: doc.id,
+                documentName: name,
+                chunkCount: doc.chunkCount
+            });
+
+            this.broadcastDocumentStats();
+        } catch (error) {
+            console.error('❌ Document upload failed:', error);
+            this.send(ws, 'document_upload_error', {
+                documentName: name,
+                message: error.message
+            });
+        }
+    }
+
+    // Only one workspace at a time: without one, clear() would remove every workspace's
+    // documents and metric history
+    handleClearDocuments(ws, state, message) {
+        const { workspaceId } = message;
+        if (!workspaceId || typeof workspaceId !== 'string') {
+            throw new Error('clear_documents requires a workspaceId');
+        }
+
+        const removed = this.documentRepository.clear({ workspaceId });
+        console.log(`🗑️ ${removed} documents cleared from workspace ${workspaceId} via WebSocket`);
+
+        this.broadcast('documents_cleared', { message: `Documents cleared from workspace ${workspaceId}`, workspaceId, removed });
+        this.broadcastDocumentStats();
+    }
+
+    handleUpdateSystemTemplate(ws, state, message) {
+        try {
+            state.promptManager.setBaseTemplate(message.template);
+            this.send(ws, 'template_update_success', {
+                message: 'System template updated',
+                template: state.promptManager.getBaseTemplate()
+            });
+            this.send(ws, 'system_prompt_update', { prompt: state.promptManager.getCurrentPrompt() });
+        } catch (error) {
+            this.send(ws, 'template_update_error', { message: error.message });
+        }
+    }
+
+    async handleRequestAnalysis(ws, state, message) {
+        const selectedText = (message.selectedText || '').trim();
+        if (!selectedText) {
+            throw new Error('request_analysis requires selectedText');
+        }
+
+        if (state.isProcessing) {
+            throw new Error('An analysis is already running for this connection');
+        }
+
+        const prompt = this.buildAnalysisPrompt(state, selectedText, message.useCurrentPrompt !== false);
+
+        state.isProcessing = true;
+        this.send(ws, 'analysis_started', {
+            message: 'Analysis started',
+            promptLength: prompt.length
+        });
+
+        try {
+            const fullResponse = await this.generate(prompt, (text) => {
+                this.send(ws, 'claude_chunk', { text, isComplete: false });
+            });
+
+            this.send(ws, 'claude_chunk', { text: '', isComplete: true, fullResponse });
+        } finally {
+            state.isProcessing = false;
+        }
+    }
+
+    // ============================================================================
+    // PROMPT BUILDING
+    // ============================================================================
+
+    // Retrieve chunks for the text and rebuild the connection's prompt
+    refreshPrompt(state, text) {
+        const chunks = text.trim()
+            ? this.documentRepository.searchRelevantChunks(text).map(chunk => ({
+                documentName: chunk.filename,
+                location: SimpleRAGService.describeLocation(chunk),
+                text: chunk.text
+            }))
+            : [];
+
+        state.promptManager.updateRetrievedContext(state.promptManager.formatRetrievedContext(chunks));
+        state.promptManager.updateUserText(text);
+    }
+
+    buildAnalysisPrompt(state, selectedText, useCurrentPrompt) {
+        const promptManager = state.promptManager;
+
+        // Keep the prompt the user has been watching and point Claude at the selection
+        if (useCurrentPrompt && promptManager.currentUserText) {
+            const prompt = promptManager.getCurrentPrompt();
+            if (promptManager.currentUserText.includes(selectedText)) {
+                return `${prompt}\n\nFocus your analysis on this selected passage:\n${selectedText}`;
+            }
+        }
+
+        this.refreshPrompt(state, selectedText);
+        return promptManager.getCurrentPrompt();
+    }
+
+    // ============================================================================
+    // OUTGOING MESSAGES
+    // ============================================================================
+
+    send(ws, type, data = {}) {
+        if (ws.readyState !== WebSocket.OPEN) return false;
+
+        try {
+            ws.send(JSON.stringify({ type, ...data }));
+            return true;
+        } catch (error) {
+            console.error(`❌ Error sending ${type}:`, error);
+            return false;
+        }
+    }
+
+    sendError(ws, message, details = null) {
+        return this.send(ws, 'error', { message, details });
+    }
+
+    sendDocumentStats(ws) {
+        return this.send(ws, 'document_stats_update', { stats: this.documentRepository.getDocumentStats() });
+    }
+
+    broadcast(type, data = {}) {
+        this.clients.forEach((state, ws) => this.send(ws, type, data));
+    }
+
+    // Also called from REST routes so every browser sees uploads
+    broadcastDocumentStats() {
+        this.broadcast('document_stats_update', { stats: this.documentRepository.getDocumentStats() });
+    }
+}
+
+module.exports = RealtimeRouter;
@@ -0,0 +1,462 @@
+// roll-forward.js - Rolls a saved draft forward to a later quarter
+// Every period reference moves by the same number of quarters ("second quarter of 2025" ->
+// "third quarter of 2025", "Q2 2024" -> "Q3 2024"), and every figure tied to a metric in the
+// company's reported history is re-read for its new period. A figure is only replaced when its
+// old value matches the history for the old period (or the old period is not recorded); the
+// rest come back for manual review with the reason and, where there is one, a suggestion.
+const FinancialQuantity = require('../js/modules/FinancialQuantity');
+const FiscalCalendar = require('../js/modules/FiscalCalendar');
+
+const ORDINAL_WORDS = ['first', 'second', 'third', 'fourth'];
+const ORDINAL_NUMBERS = ['1st', '2nd', '3rd', '4th'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+const ROLL_PATTERNS = {
+    // Quarters written without a year: "the second quarter", "Q2 results"
+    bareQuarter: /\b(first|second|third|fourth|1st|2nd|3rd|4th)(\s+|-)quarter\b|\bQ([1-4])\b/gi,
+    ordinal: /\b(first|second|third|fourth|1st|2nd|3rd|4th)\b/i,
+    periodCode: /([QH])([1-4])|([1-4])([QH])/i,
+    fullYear: /\b(?:19|20)\d{2}\b/,
+    shortYear: /(FY\s*'?|')(\d{2})\b/i,
+    endDate: /\b([A-Za-z]{3,9})(\.?)\s+(\d{1,2})(,?)\s+(\d{4})\b/,
+    sentenceEnd: /[.!?]["”')\]]*\s+/g,
+    // What a figure is compared with, read from the words after it
+    priorYear: /\bprior[- ]year\b|\byear[- ]ago\b|\blast year\b|\ba year earlier\b|\bsame (?:quarter|period) last year\b/i,
+    priorQuarter: /\bprior quarter\b|\bprevious quarter\b|\blast quarter\b|\bpreceding quarter\b|\bsequential(?:ly)?\b/i,
+    comparison: /\b(?:from|versus|vs\.?|compared (?:to|with))\s*$/i,
+    // What a percentage change is measured against
+    yearOverYear: /\byear[- ]over[- ]year\b|\byoy\b|\byear[- ]ago\b|\bprior[- ]year\b|\blast year\b/i,
+    quarterOverQuarter: /\bsequential(?:ly)?\b|\bquarter[- ]over[- ]quarter\b|\bqoq\b|\bprior quarter\b|\bprevious quarter\b|\blast quarter\b/i
+};
+
+class RollForward {
+    constructor(metricStore) {
+        this.metricStore = metricStore;
+    }
+
+    // text: the draft as plain text. fromPeriod and toPeriod name quarters in any form the
+    // calendar reads ("Q2 2025", "2Q25"); fromPeriod defaults to the quarter the draft mentions
+    // most and toPeriod to the quarter after it.
+    // Returns { fromPeriod, toPeriod, changes, review, summary }. Changes are
+    // { index, end, text, replacement, kind: 'period' | 'figure', ... } and review entries
+    // { index, end, text, kind, reason, suggestion }, with offsets into text.
+    // Throws an Error with status 400 and issues for unusable periods, 422 when the draft names none.
+    roll(text, { company = null, calendar = null, fromPeriod = null, toPeriod = null } = {}) {
+        const fiscalCalendar = calendar || FiscalCalendar.CALENDAR_YEAR;
+        const source = String(text || '');
+        const references = fiscalCalendar.findPeriods(source);
+        const { from, to } = RollForward.resolvePeriods(references, { calendar: fiscalCalendar, fromPeriod, toPeriod });
+        const delta = RollForward.quarterIndex(to) - RollForward.quarterIndex(from);
+
+        const periods = RollForward.rollPeriods(source, references, { from, to, delta, calendar: fiscalCalendar });
+        const figures = this.rollFigures(source, references, { from, delta, company, calendar: fiscalCalendar });
+
+        const changes = [...periods.changes, ...figures.changes].sort((a, b) => a.index - b.index);
+        const review = [...periods.review, ...figures.review].sort((a, b) => a.index - b.index);
+        console.log(`⏩ Rolled ${from.label} to ${to.label}: ${periods.changes.length} periods and ${figures.changes.length} figures updated, ${review.length} for review`);
+
+        return {
+            fromPeriod: from.label,
+            toPeriod: to.label,
+            changes,
+            review,
+            summary: { periods: periods.changes.length, figures: figures.changes.length, review: review.length }
+        };
+    }
+
+    // Short text such as a draft's title with only its periods rolled; figures stay as written
+    static rollPeriodText(text, { calendar = null, fromPeriod, toPeriod }) {
+        const fiscalCalendar = calendar || FiscalCalendar.CALENDAR_YEAR;
+        const source = String(text || '');
+        const references = fiscalCalendar.findPeriods(source);
+        const { from, to } = RollForward.resolvePeriods(references, { calendar: fiscalCalendar, fromPeriod, toPeriod });
+        const delta = RollForward.quarterIndex(to) - RollForward.quarterIndex(from);
+        return RollForward.apply(source, RollForward.rollPeriods(source, references, { from, to, delta, calendar: fiscalCalendar }).changes);
+    }
+
+    static apply(text, changes) {
+        return [...changes]
+            .sort((a, b) => b.index - a.index)
+            .reduce((result, change) => result.slice(0, change.index) + change.replacement + result.slice(change.end), String(text));
+    }
+
+    // ============================================================================
+    // PERIODS
+    // ============================================================================
+
+    static resolvePeriods(references, { calendar, fromPeriod, toPeriod }) {
+        const issues = [];
+        const readQuarter = (label, name) => {
+            if (!label) return null;
+            const period = calendar.findPeriod(String(label));
+            if (!period || period.type !== 'quarter') {
+                issues.push(`${name} must name a quarter, e.g. "Q3 2025"`);
+                return null;
+            }
+            return period;
+        };
+
+        let from = readQuarter(fromPeriod, 'fromPeriod');
+        let to = readQuarter(toPeriod, 'toPeriod');
+        if (!from && !fromPeriod) {
+            from = RollForward.mainQuarter(references);
+            if (!from) {
+                const error = new Error('The draft does not name a quarter to roll forward from; pass fromPeriod');
+                error.status = 422;
+                throw error;
+            }
+        }
+        if (from && !to && !toPeriod) {
+            to = RollForward.shiftQuarter(from, 1, calendar);
+        }
+        if (from && to && RollForward.quarterIndex(from) === RollForward.quarterIndex(to)) {
+            issues.push('toPeriod must differ from fromPeriod');
+        }
+
+        if (issues.length > 0) {
+            const error = new Error('Roll-forward periods are invalid');
+            error.status = 400;
+            error.issues = issues;
+            throw error;
+        }
+        return { from, to };
+    }
+
+    // The quarter the draft mentions most; the latest of any tie
+    static mainQuarter(references) {
+        const counts = new Map();
+        references.filter(reference => reference.type === 'quarter').forEach(reference => {
+            const entry = counts.get(reference.label) || { period: reference, count: 0 };
+            entry.count++;
+            counts.set(reference.label, entry);
+        });
+        const ranked = Array.from(counts.values()).sort((a, b) =>
+            b.count - a.count || RollForward.quarterIndex(b.period) - RollForward.quarterIndex(a.period));
+        return ranked.length > 0 ? ranked[0].period : null;
+    }
+
+    static quarterIndex(period) {
+        return period.year * 4 + period.quarter - 1;
+    }
+
+    static shiftQuarter(period, quarters, calendar) {
+        const index = RollForward.quarterIndex(period) + quarters;
+        return calendar.resolve({ type: 'quarter', year: Math.floor(index / 4), quarter: index % 4 + 1 });
+    }
+
+    // Quarters move by delta, halves and years only by whole halves and years. A half or year
+    // that the roll should move but cannot is left as written and flagged.
+    static rollPeriods(source, references, { from, to, delta, calendar }) {
+        const changes = [];
+        const review = [];
+
+        references.forEach(reference => {
+            let rolled = null;
+            if (reference.type === 'quarter') {
+                rolled = RollForward.shiftQuarter(reference, delta, calendar);
+            } else if (reference.type === 'half' && delta % 2 === 0) {
+                const index = reference.year * 2 + reference.half - 1 + delta / 2;
+                rolled = calendar.resolve({ type: 'half', year: Math.floor(index / 2), half: index % 2 + 1 });
+            } else if (reference.type === 'year' && delta % 4 === 0) {
+                rolled = calendar.resolve({ type: 'year', year: reference.year + delta / 4 });
+            }
+
+            if (rolled) {
+                const replacement = RollForward.rewritePeriod(reference.text, rolled);
+                changes.push({
+                    index: reference.index,
+                    end: reference.end,
+                    text: reference.text,
+                    replacement,
+                    kind: 'period',
+                    period: { from: reference.label, to: rolled.label }
+                });
+            } else if (reference.type === 'year' ? from.year !== to.year : true) {
+                review.push({
+                    index: reference.index,
+                    end: reference.end,
+                    text: reference.text,
+                    kind: 'period',
+                    reason: `${reference.label} does not move with a roll from ${from.label} to ${to.label}; check whether it should change`,
+                    suggestion: null
+                });
+            }
+        });
+
+        // "the second quarter" and "Q2" without a year move the same number of quarters
+        for (const match of source.matchAll(ROLL_PATTERNS.bareQuarter)) {
+            const end = match.index + match[0].length;
+            if (references.some(reference => match.index < reference.end && end > reference.index)) continue;
+
+            const ordinal = match[1] ? match[1].toLowerCase() : null;
+            const quarter = ordinal ? Math.max(ORDINAL_WORDS.indexOf(ordinal), ORDINAL_NUMBERS.indexOf(ordinal)) + 1 : Number(match[3]);
+            const rolledQuarter = (((quarter - 1 + delta) % 4) + 4) % 4 + 1;
+            changes.push({
+                index: match.index,
+                end,
+                text: match[0],
+                replacement: RollForward.rewriteNumber(match[0], rolledQuarter),
+                kind: 'period',
+                period: { from: `Q${quarter}`, to: `Q${rolledQuarter}` }
+            });
+        }
+
+        return { changes, review };
+    }
+
+    // The reference as the new period, written the way the draft wrote the old one
+    static rewritePeriod(text, period) {
+        const date = text.match(ROLL_PATTERNS.endDate);
+        if (/\bended\b/i.test(text) && date) {
+            const [year, month, day] = period.endDate.split('-').map(Number);
+            const [, monthWord, dot, , comma] = date;
+            const isFullName = MONTH_NAMES.some(full => full.toLowerCase() === monthWord.toLowerCase());
+            const name = isFullName ? MONTH_NAMES[month - 1] : MONTH_NAMES[month - 1].slice(0, 3);
+            const cased = monthWord === monthWord.toUpperCase() ? name.toUpperCase() : name;
+            return text.replace(ROLL_PATTERNS.endDate, `${cased}${dot} ${day}${comma} ${year}`);
+        }
+
+        const number = period.type === 'quarter' ? period.quarter : period.type === 'half' ? period.half : null;
+        let rewritten = number ? RollForward.rewriteNumber(text, number) : text;
+        if (ROLL_PATTERNS.fullYear.test(rewritten)) {
+            rewritten = rewritten.replace(ROLL_PATTERNS.fullYear, String(period.year));
+        } else {
+            rewritten = rewritten.replace(ROLL_PATTERNS.shortYear, (match, prefix) => `${prefix}${String(period.year % 100).padStart(2, '0')}`);
+        }
+        return rewritten;
+    }
+
+    // "second" -> "third", "2nd" -> "3rd", "Q2" -> "Q3", "2Q" -> "3Q", keeping the case
+    static rewriteNumber(text, number) {
+        if (ROLL_PATTERNS.ordinal.test(text)) {
+            return text.replace(ROLL_PATTERNS.ordinal, word => {
+                const replacement = /^\d/.test(word) ? ORDINAL_NUMBERS[number - 1] : ORDINAL_WORDS[number - 1];
+                if (word === word.toUpperCase() && /[a-z]/i.test(word)) return replacement.toUpperCase();
+                return /^[A-Z]/.test(word) ? FiscalCalendar.capitalize(replacement) : replacement;
+            });
+        }
+        return text.replace(ROLL_PATTERNS.periodCode, (match, letter, digit, leadingDigit, trailingLetter) =>
+            letter ? `${letter}${number}` : `${number}${trailingLetter}`);
+    }
+
+    // ============================================================================
+    // FIGURES
+    // ============================================================================
+
+    rollFigures(source, references, { from, delta, company, calendar }) {
+        const changes = [];
+        const review = [];
+        const series = this.metricStore.listSeries({ company, includePoints: true });
+        const flag = (quantity, reason, suggestion = null) => review.push({
+            index: quantity.index, end: quantity.end, text: quantity.text, kind: 'figure', reason, suggestion
+        });
+
+        const sentences = RollForward.sentenceBounds(source);
+        const quantities = FinancialQuantity.extract(source)
+            .filter(quantity => !references.some(reference => quantity.index < reference.end && quantity.end > reference.index));
+
+        quantities.forEach((quantity, position) => {
+            if (quantity.isRange) {
+                flag(quantity, 'Ranges such as guidance are not in the reported history; update by hand');
+                return;
+            }
+
+            const sentence = sentences.find(bounds => quantity.index >= bounds.start && quantity.index < bounds.end) || { start: 0, end: source.length };
+            const previous = quantities[position - 1];
+            const next = quantities[position + 1];
+            const before = source.slice(Math.max(sentence.start, previous ? previous.end : 0), quantity.index);
+            const after = source.slice(quantity.end, Math.min(sentence.end, next ? next.index : source.length));
+
+            const found = RollForward.nearestSeries(before, series) || RollForward.nearestSeries(source.slice(sentence.start, quantity.index), series);
+            if (!found) {
+                flag(quantity, 'No metric in the reported history is named before this figure');
+                return;
+            }
+
+            const measure = RollForward.measureFor(quantity, found, { before, after });
+            if (!measure) {
+                flag(quantity, `${quantity.text} does not read as ${found.label} (${found.unit || 'a count'}) or a change in it`);
+                return;
+            }
+
+            const oldPeriod = RollForward.figurePeriod({ before, after, references, quantity, from, measure, calendar });
+            if (!oldPeriod) {
+                flag(quantity, `The period this ${found.label} figure compares with is not stated`);
+                return;
+            }
+            const newPeriod = RollForward.shiftQuarter(oldPeriod, delta, calendar);
+            const points = new Map(found.points.map(point => [point.period, point]));
+            const oldValue = RollForward.measureValue(points.get(oldPeriod.label), measure);
+            const newValue = RollForward.measureValue(points.get(newPeriod.label), measure);
+            const described = `${found.label}${measure.basis ? ` ${measure.basis.toUpperCase()} change` : ''}`;
+
+            if (newValue === null) {
+                flag(quantity, `No ${newPeriod.label} value for ${described} in the reported history`);
+                return;
+            }
+
+            const written = measure.basis ? Math.abs(quantity.number) : quantity.value;
+            const suggestion = RollForward.formatLike(quantity, measure.basis ? Math.abs(newValue) : newValue / quantity.scale);
+            if (oldValue !== null && Math.abs(written - (measure.basis ? Math.abs(oldValue) : oldValue)) > RollForward.tolerance(quantity, measure)) {
+                flag(quantity, `${quantity.text} does not match the reported ${oldPeriod.label} ${described} (${RollForward.formatLike(quantity, measure.basis ? Math.abs(oldValue) : oldValue / quantity.scale)})`, suggestion);
+                return;
+            }
+            if (measure.basis && oldValue !== null && Math.sign(oldValue) !== Math.sign(newValue) && newValue !== 0) {
+                flag(quantity, `${described} changed direction in ${newPeriod.label}; reword the sentence around it`, suggestion);
+                return;
+            }
+            if (!measure.basis && Math.sign(newValue) !== Math.sign(quantity.value) && newValue !== 0) {
+                flag(quantity, `${found.label} changed sign in ${newPeriod.label}`, suggestion);
+                return;
+            }
+
+            const point = points.get(newPeriod.label);
+            changes.push({
+                index: quantity.index,
+                end: quantity.end,
+                text: quantity.text,
+                replacement: suggestion,
+                kind: 'figure',
+                metric: { metric: found.metric, label: found.label },
+                measure: measure.basis || 'value',
+                period: { from: oldPeriod.label, to: newPeriod.label },
+                checked: oldValue !== null,
+                source: point.source
+            });
+        });
+
+        return { changes, review };
+    }
+
+    // [{ start, end }] for each sentence; decimals never end one
+    static sentenceBounds(source) {
+        const bounds = [];
+        let start = 0;
+        for (const match of source.matchAll(ROLL_PATTERNS.sentenceEnd)) {
+            bounds.push({ start, end: match.index + match[0].length });
+            start = match.index + match[0].length;
+        }
+        bounds.push({ start, end: source.length });
+        return bounds;
+    }
+
+    // The series named closest before the figure; the longer name wins at the same spot
+    static nearestSeries(text, series) {
+        let best = null;
+        series.forEach(entry => {
+            [entry.label, entry.metric.replace(/_/g, ' ')].forEach(name => {
+                // "Gross margin %" and "gross_margin_pct" are written "gross margin" in prose
+                const words = name.toLowerCase().replace(/[^a-z0-9&]+/g, ' ').replace(/\s(pct|percent)$/, '').trim();
+                if (!words) return;
+                const pattern = new RegExp(`(?<![a-z0-9])${words.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s-]+')}(?![a-z0-9])`, 'gi');
+                for (const match of text.matchAll(pattern)) {
+                    const end = match.index + match[0].length;
+                    if (!best || end > best.end || (end === best.end && match[0].length > best.length)) {
+                        best = { entry, end, length: match[0].length };
+                    }
+                }
+            });
+        });
+        return best ? best.entry : null;
+    }
+
+    // { basis: null } when the figure is the metric's value, { basis: 'yoy' | 'qoq', points } when
+    // it is a change in it (percent for amounts, basis points for percentages); null when it is neither
+    static measureFor(quantity, series, { before, after }) {
+        const unit = series.unit;
+        const basis = RollForward.changeBasis(after) || RollForward.changeBasis(before) || 'yoy';
+
+        if (quantity.type === 'percent') {
+            return unit === 'percent' ? { basis: null } : { basis, points: false };
+        }
+        if (quantity.type === 'basis_points') {
+            if (unit === 'basis_points') return { basis: null };
+            return unit === 'percent' ? { basis, points: true } : null;
+        }
+        if (quantity.type === 'per_share' || (quantity.type === 'amount' && unit && /share$/.test(unit))) {
+            const currency = unit && unit.includes('/') ? unit.split('/')[0] : null;
+            const sameCurrency = !quantity.currency || !currency || currency === quantity.currency;
+            return unit && /share$/.test(unit) && sameCurrency ? { basis: null } : null;
+        }
+        if (quantity.type === 'multiple') {
+            return unit === 'multiple' ? { basis: null } : null;
+        }
+        if (quantity.type === 'amount') {
+            // A series with no unit may be money read from a statement whose headers carry no
+            // currency ("in millions"), so only two different currencies rule a figure out
+            const isCount = !unit;
+            const isCurrency = !!unit && !['percent', 'multiple', 'basis_points'].includes(unit) && !/share$/.test(unit);
+            if (quantity.currency) return isCount || (isCurrency && unit === quantity.currency) ? { basis: null } : null;
+            return isCount || isCurrency ? { basis: null } : null;
+        }
+        return null;
+    }
+
+    // 'yoy' or 'qoq' from the comparison words in text, the one written first winning
+    static changeBasis(text) {
+        const yearOverYear = text.search(ROLL_PATTERNS.yearOverYear);
+        const quarterOverQuarter = text.search(ROLL_PATTERNS.quarterOverQuarter);
+        if (yearOverYear < 0 && quarterOverQuarter < 0) return null;
+        if (yearOverYear < 0) return 'qoq';
+        if (quarterOverQuarter < 0) return 'yoy';
+        return yearOverYear <= quarterOverQuarter ? 'yoy' : 'qoq';
+    }
+
+    // The period a figure reports: a period named right after it, then "prior year" or "prior
+    // quarter" after it, then a period named before it, else the draft's quarter. A bare
+    // "from 83.2%" with no period is ambiguous and returns null. Changes always report the
+    // period they are measured in; their comparison words name the basis, not the period.
+    static figurePeriod({ before, after, references, quantity, from, measure, calendar }) {
+        const afterStart = quantity.end;
+        const beforeStart = quantity.index - before.length;
+        const named = references.filter(reference => reference.type === 'quarter');
+        const namedAfter = named.find(reference => reference.index >= afterStart && reference.index < afterStart + after.length);
+        const namedBefore = named.filter(reference => reference.index >= beforeStart && reference.end <= quantity.index).pop();
+
+        if (namedAfter) return namedAfter;
+        if (!measure.basis) {
+            if (ROLL_PATTERNS.priorYear.test(after)) return RollForward.shiftQuarter(from, -4, calendar);
+            if (ROLL_PATTERNS.priorQuarter.test(after)) return RollForward.shiftQuarter(from, -1, calendar);
+        }
+        if (namedBefore) return namedBefore;
+        if (!measure.basis && ROLL_PATTERNS.comparison.test(before)) return null;
+        return from;
+    }
+
+    static measureValue(point, measure) {
+        if (!point) return null;
+        if (!measure.basis) return point.value;
+
+        const change = point[measure.basis];
+        if (!change) return null;
+        if (measure.points) return Number((change.change * 100).toFixed(4));
+        return change.changePercent;
+    }
+
+    // Half a unit in the last digit written, and at least the rounding of stored changes
+    static tolerance(quantity, measure) {
+        const written = 0.5 * Math.pow(10, -quantity.decimals);
+        if (measure.basis) return Math.max(written, 0.05);
+        return Math.max(quantity.tolerance, Math.abs(quantity.value) * 1e-9);
+    }
+
+    // number (in the figure's own scale) written like the figure: same currency, scale word,
+    // decimals, thousands separators and negative style
+    static formatLike(quantity, number) {
+        const originalDigits = quantity.text.match(/\d[\d,]*(?:\.\d+)?|\.\d+/)[0];
+        const digits = Math.abs(number).toLocaleString('en-US', {
+            minimumFractionDigits: quantity.decimals,
+            maximumFractionDigits: quantity.decimals,
+            useGrouping: originalDigits.includes(',') || Math.abs(number) >= 10000
+        });
+        let text = quantity.text.replace(originalDigits, digits);
+
+        const wasNegative = quantity.sign < 0;
+        if (number < 0 && !wasNegative) text = `-${text}`;
+        if (number >= 0 && wasNegative) text = text.replace(/^\(\s*|\s*\)$/g, '').replace(/^[-−]\s*|(?<=[$€£]\s*)[-−]/, '');
+        return text;
+    }
+}
+
+module.exports = RollForward;
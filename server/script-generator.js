@@ -0,0 +1,325 @@
+// script-generator.js - Sectioned earnings call scripts for /api/scripts/generate
+// A script is written one section at a time (operator introduction, safe harbor, CEO
+// highlights, segment review, CFO financials, guidance, closing). Each section has its own
+// retrieval query, instructions and speaker, and cites the passages it was written from by
+// number. Sections that fail are reported with the script, never dropped silently.
+const TranscriptParser = require('./transcript-parser');
+const SimpleRAGService = require('./simple-rag-service');
+
+const SYSTEM_PROMPT = `You are an investor relations writer drafting an earnings call script.
+Write only the words the named speaker says aloud: first person, no headings, no stage directions, no markdown.
+Use only figures that appear in the numbered sources and cite each one inline with its number, e.g. [2].
+Leave out anything the sources do not support rather than inventing it.`;
+
+const SECTION_MAX_TOKENS = 1200;
+const PASSAGES_PER_SECTION = 5;
+const MAX_SECTIONS = 12;
+const EXCERPT_LENGTH = 240;
+
+// Who can be given a section. query finds them among a stored transcript's participants.
+const SPEAKER_ROLES = {
+    operator: { title: null, query: null },
+    ir: { title: 'Head of Investor Relations', query: 'investor relations' },
+    ceo: { title: 'Chief Executive Officer', query: 'CEO' },
+    cfo: { title: 'Chief Financial Officer', query: 'CFO' },
+    coo: { title: 'Chief Operating Officer', query: 'COO' }
+};
+
+// The default running order. {company}, {period}, {periodScope} and {speaker:<role>} are
+// filled in per request; industry: true adds the industry's terms to the retrieval query.
+const SECTION_TEMPLATES = [
+    {
+        id: 'operator_intro',
+        title: 'Operator Introduction',
+        speaker: 'operator',
+        query: null,
+        instructions: 'Welcome participants to the {company} {period} earnings conference call. Say that all lines are in listen-only mode, that a question-and-answer session will follow the prepared remarks, and that the call is being recorded. Hand the call to {speaker:ir}. Do not cite any figures.'
+    },
+    {
+        id: 'safe_harbor',
+        title: 'Safe Harbor',
+        speaker: 'ir',
+        query: 'forward-looking statements risk factors non-GAAP measures reconciliation',
+        instructions: 'Introduce {speaker:ceo} and {speaker:cfo}. Give the safe harbor statement: the remarks include forward-looking statements that are subject to risks and uncertainties, actual results may differ materially, the risk factors are described in the company\'s SEC filings, and non-GAAP measures are reconciled in the earnings release. Hand the call to {speaker:ceo}.'
+    },
+    {
+        id: 'ceo_highlights',
+        title: 'CEO Highlights',
+        speaker: 'ceo',
+        query: '{period} results highlights revenue earnings growth strategy',
+        instructions: 'Open with the headline {periodScope} results and the two or three themes that drove them. Keep the detailed financials for {speaker:cfo}.'
+    },
+    {
+        id: 'segment_review',
+        title: 'Segment Review',
+        speaker: 'ceo',
+        query: '{period} segment performance results by business',
+        industry: true,
+        instructions: 'Review each business segment\'s {periodScope} performance: what grew, what lagged and why. Mention the operating metrics that matter most for the industry.'
+    },
+    {
+        id: 'cfo_financials',
+        title: 'CFO Financial Review',
+        speaker: 'cfo',
+        query: '{period} revenue operating income earnings per share margin cash flow balance sheet',
+        industry: true,
+        instructions: 'Walk through the {periodScope} financial results: revenue, margins, earnings per share, cash flow and the balance sheet, with the year-over-year comparisons given in the sources.'
+    },
+    {
+        id: 'guidance',
+        title: 'Guidance',
+        speaker: 'cfo',
+        query: 'outlook guidance full year expectations reaffirm raise',
+        instructions: 'Give the outlook: any guidance ranges in the sources and the assumptions behind them. Say plainly whether guidance was raised, lowered or reaffirmed only when the sources say so. Hand back to {speaker:ceo}.'
+    },
+    {
+        id: 'closing',
+        title: 'Closing Remarks',
+        speaker: 'ceo',
+        query: 'priorities strategy long-term outlook',
+        instructions: 'Close the prepared remarks with the company\'s priorities for the coming period, thank employees, and ask the operator to open the line for questions.'
+    }
+];
+
+// Retrieval terms for the industry in Settings, added to industry sections' queries
+const INDUSTRY_TERMS = {
+    health_insurance: 'medical cost trend medical loss ratio membership premiums Medicare Medicaid',
+    banking: 'net interest income net interest margin deposits loans credit quality provision',
+    technology: 'recurring revenue subscriptions cloud bookings gross margin',
+    retail: 'comparable sales traffic inventory gross margin stores',
+    manufacturing: 'orders backlog volume pricing production capacity',
+    energy: 'production volumes realized prices capital expenditures reserves'
+};
+
+const PERIOD_SCOPES = { quarterly: 'quarter', annual: 'full-year', both: 'quarter and full-year' };
+
+class ScriptGenerator {
+    // retrieve(query, limit) resolves with retrieval passages (SimpleRAGService chunks)
+    constructor(aiService, { retrieve }) {
+        this.aiService = aiService;
+        this.retrieve = retrieve;
+    }
+
+    // settings: { company, companyName, industryFocus, reportingPeriod, period }
+    // sections: resolveSections() output; speakers: resolveSpeakers() output.
+    // onProgress({ stage: 'section', completed, total, section }) is optional.
+    // Resolves with { sections, failedSections, text }
+    async generate({ settings, sections, speakers, onProgress = null }) {
+        const written = [];
+        const failedSections = [];
+
+        for (const [index, section] of sections.entries()) {
+            if (onProgress) {
+                onProgress({ stage: 'section', completed: index, total: sections.length, section: section.title });
+            }
+
+            try {
+                written.push(await this.writeSection(section, { settings, speakers, previous: written }));
+            } catch (error) {
+                console.error(`❌ Error writing script section ${section.id}:`, error.message);
+                failedSections.push({ id: section.id, title: section.title, reason: error.message });
+
+                // Once rate limited, the remaining sections would fail the same way
+                if (error.message && error.message.includes('rate_limit')) {
+                    sections.slice(index + 1).forEach(skipped => {
+                        failedSections.push({ id: skipped.id, title: skipped.title, reason: 'Rate limited' });
+                    });
+                    break;
+                }
+            }
+        }
+
+        if (failedSections.length > 0) {
+            console.log(`⚠️ ${failedSections.length} of ${sections.length} script sections were not written`);
+        }
+        return { sections: written, failedSections, text: ScriptGenerator.toText(written) };
+    }
+
+    async writeSection(section, { settings, speakers, previous }) {
+        const fill = text => ScriptGenerator.fill(text, settings, speakers);
+        const query = section.query
+            ? [fill(section.query), settings.companyName || settings.company, section.industry ? INDUSTRY_TERMS[settings.industryFocus] : '']
+                .filter(Boolean).join(' ')
+            : null;
+        const passages = query ? await this.retrieve(query, PASSAGES_PER_SECTION) : [];
+        const speaker = speakers[section.speaker];
+
+        const { text } = await this.aiService.complete({
+            system: SYSTEM_PROMPT,
+            maxTokens: SECTION_MAX_TOKENS,
+            prompt: ScriptGenerator.buildSectionPrompt(section, { settings, speaker, passages, previous, instructions: fill(section.instructions) })
+        });
+
+        const cleaned = text.trim();
+        return {
+            id: section.id,
+            title: section.title,
+            speaker,
+            text: cleaned,
+            citations: ScriptGenerator.collectCitations(cleaned, passages)
+        };
+    }
+
+    // ============================================================================
+    // TEMPLATES AND SPEAKERS
+    // ============================================================================
+
+    // requested: undefined for the default running order, or an array of template ids and
+    // custom sections { id, title, speaker, instructions, query }. Throws an Error with
+    // status 400 and issues when an entry cannot be used.
+    static resolveSections(requested) {
+        if (requested === undefined || requested === null) return SECTION_TEMPLATES;
+
+        const issues = [];
+        if (!Array.isArray(requested) || requested.length === 0) {
+            issues.push('sections must be a non-empty array');
+        } else if (requested.length > MAX_SECTIONS) {
+            issues.push(`sections may have at most ${MAX_SECTIONS} entries`);
+        }
+
+        const sections = issues.length > 0 ? [] : requested.map((entry, index) => {
+            if (typeof entry === 'string') {
+                const template = SECTION_TEMPLATES.find(candidate => candidate.id === entry);
+                if (!template) issues.push(`sections[${index}]: unknown section "${entry}"`);
+                return template;
+            }
+            if (!entry || typeof entry !== 'object') {
+                issues.push(`sections[${index}] must be a section id or an object`);
+                return null;
+            }
+
+            const template = SECTION_TEMPLATES.find(candidate => candidate.id === entry.id) || {};
+            const section = { ...template, ...entry, id: entry.id || `custom_${index + 1}` };
+            if (typeof section.title !== 'string' || !section.title.trim()) {
+                issues.push(`sections[${index}]: title is required`);
+            }
+            if (typeof section.instructions !== 'string' || !section.instructions.trim()) {
+                issues.push(`sections[${index}]: instructions are required`);
+            }
+            if (!SPEAKER_ROLES[section.speaker]) {
+                issues.push(`sections[${index}]: speaker must be one of ${Object.keys(SPEAKER_ROLES).join(', ')}`);
+            }
+            return section;
+        });
+
+        if (issues.length > 0) {
+            const error = new Error('Script sections are invalid');
+            error.status = 400;
+            error.issues = issues;
+            throw error;
+        }
+        return sections;
+    }
+
+    // { role: { role, name, title } } for every speaker role. A name given in the request wins;
+    // otherwise the executive holding the title in a stored call transcript is used, and
+    // failing that the speaker is named by title alone.
+    static resolveSpeakers(given = {}, participants = []) {
+        const speakers = {};
+        Object.entries(SPEAKER_ROLES).forEach(([role, { title, query }]) => {
+            if (role === 'operator') {
+                speakers[role] = { role, name: 'Operator', title: null };
+                return;
+            }
+
+            const requested = given && given[role];
+            const matches = TranscriptParser.speakerMatcher(query);
+            const found = participants.find(participant => participant.role === 'executive' && matches(participant));
+            speakers[role] = {
+                role,
+                name: (requested && requested.name) || (found && found.name) || null,
+                title: (requested && requested.title) || (!(requested && requested.name) && found && found.title) || title
+            };
+        });
+        return speakers;
+    }
+
+    // "Jane Doe, Chief Financial Officer", or the title alone when no name is known
+    static speakerLabel(speaker) {
+        if (!speaker) return '';
+        return [speaker.name, speaker.title].filter(Boolean).join(', ');
+    }
+
+    static fill(text, settings, speakers) {
+        const values = {
+            company: settings.companyName || settings.company || 'the company',
+            period: settings.period || (settings.reportingPeriod === 'annual' ? 'full-year' : 'quarterly'),
+            periodScope: PERIOD_SCOPES[settings.reportingPeriod] || PERIOD_SCOPES.quarterly
+        };
+        return String(text || '')
+            .replace(/\{speaker:(\w+)\}/g, (match, role) => speakers[role] ? ScriptGenerator.speakerLabel(speakers[role]) : match)
+            .replace(/\{(company|period|periodScope)\}/g, (match, name) => values[name])
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    }
+
+    // ============================================================================
+    // PROMPTS AND CITATIONS
+    // ============================================================================
+
+    static buildSectionPrompt(section, { settings, speaker, passages, previous, instructions }) {
+        const sources = passages.map((passage, index) => {
+            const location = SimpleRAGService.describeLocation(passage);
+            const text = TranscriptParser.stripMarkers(passage.text).replace(/\s+/g, ' ').trim();
+            return `[${index + 1}] ${passage.filename}${location ? ` (${location})` : ''}: ${text}`;
+        });
+        const covered = previous.map(written => `- ${written.title} (${ScriptGenerator.speakerLabel(written.speaker)})`);
+
+        return `Section: ${section.title}
+Speaker: ${ScriptGenerator.speakerLabel(speaker)}
+Company: ${[settings.companyName, settings.company && `(${settings.company})`].filter(Boolean).join(' ') || 'Not specified'}
+Industry: ${settings.industryFocus && settings.industryFocus !== 'auto' ? settings.industryFocus.replace(/_/g, ' ') : 'Not specified'}
+Period: ${settings.period || 'Not specified'} (${PERIOD_SCOPES[settings.reportingPeriod] || PERIOD_SCOPES.quarterly} results)
+
+=== SOURCES ===
+${sources.length > 0 ? sources.join('\n') : 'None'}
+
+=== ALREADY COVERED ===
+${covered.length > 0 ? covered.join('\n') : 'Nothing yet - this section opens the call'}
+
+=== INSTRUCTIONS ===
+${instructions}
+- Do not repeat what earlier sections already covered
+- Keep it to what ${ScriptGenerator.speakerLabel(speaker)} would say in two minutes or less`;
+    }
+
+    // The passages the text cites by number, as { number, documentId, document, location, excerpt }
+    static collectCitations(text, passages) {
+        const cited = new Set(Array.from(text.matchAll(/\[(\d+)\]/g), match => Number(match[1])));
+        return passages
+            .map((passage, index) => ({ passage, number: index + 1 }))
+            .filter(({ number }) => cited.has(number))
+            .map(({ passage, number }) => {
+                const excerpt = TranscriptParser.stripMarkers(passage.text).replace(/\s+/g, ' ').trim();
+                return {
+                    number,
+                    documentId: passage.docId,
+                    document: passage.filename,
+                    location: SimpleRAGService.describeLocation(passage),
+                    excerpt: excerpt.length > EXCERPT_LENGTH ? `${excerpt.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}...` : excerpt
+                };
+            });
+    }
+
+    // The whole script as plain text, one speaker block per section
+    static toText(sections) {
+        return sections
+            .map(section => `${ScriptGenerator.speakerLabel(section.speaker)}:\n${section.text}`)
+            .join('\n\n');
+    }
+
+    // [{ title, index }]: where each section starts in toText's output
+    static sectionBounds(sections) {
+        let index = 0;
+        return sections.map(section => {
+            const bounds = { title: section.title, index };
+            index += `${ScriptGenerator.speakerLabel(section.speaker)}:\n${section.text}\n\n`.length;
+            return bounds;
+        });
+    }
+}
+
+ScriptGenerator.SECTION_TEMPLATES = SECTION_TEMPLATES;
+ScriptGenerator.SPEAKER_ROLES = SPEAKER_ROLES;
+
+module.exports = ScriptGenerator;
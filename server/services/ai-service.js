@@ -1,14 +1,37 @@
 // AI Service - Handles all AI-related operations
-const Anthropic = require('@anthropic-ai/sdk');
+// Every request goes through the provider named in ConfigService ai.provider
+const ConfigService = require('./config-service');
+const { createProvider } = require('./providers');
 
 class AIService {
-    constructor() {
-        this.anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY,
-        });
+    constructor(config = new ConfigService().getAIConfig(), provider = createProvider(config)) {
+        this.config = config;
+        this.provider = provider;
         
-        this.defaultModel = 'claude-3-5-sonnet-20241022';
-        this.maxTokens = 4000;
+        this.defaultModel = config.model;
+        this.maxTokens = config.maxTokens;
+        this.temperature = config.temperature;
+    }
+    
+    // Single entry point for completions. params: { prompt | messages, system, model, maxTokens, temperature }
+    // Resolves with { text, model, usage, provider }; streams deltas to onText when given
+    async complete(params, onText = null) {
+        const request = {
+            model: params.model || this.defaultModel,
+            maxTokens: params.maxTokens || this.maxTokens,
+            temperature: params.temperature ?? this.temperature,
+            system: params.system,
+            messages: params.messages || [{ role: 'user', content: params.prompt }]
+        };
+        
+        const result = await this.provider.complete(request, onText);
+        return { ...result, provider: this.provider.name };
+    }
+    
+    // Convenience wrapper for routes that only need the response text
+    async generateText(prompt, onText = null, options = {}) {
+        const result = await this.complete({ ...options, prompt }, onText);
+        return result.text;
     }
     
     async analyzeContext(selectedText, documents, promptTemplate) {
@@ -17,17 +40,13 @@ class AIService {
             
             const enhancedPrompt = this.buildContextPrompt(selectedText, documents, promptTemplate);
             
-            const response = await this.anthropic.messages.create({
-                model: this.defaultModel,
-                max_tokens: this.maxTokens,
-                messages: [{ role: 'user', content: enhancedPrompt }]
-            });
+            const response = await this.complete({ prompt: enhancedPrompt });
             
             return {
                 success: true,
-                analysis: response.content[0].text,
-                model: this.defaultModel,
-                tokens: response.usage?.total_tokens || 0
+                analysis: response.text,
+                model: response.model,
+                tokens: this.countTokens(response.usage)
             };
             
         } catch (error) {
@@ -46,17 +65,13 @@ class AIService {
                 ? `Context:\n${context}\n\nUser: ${message}`
                 : message;
                 
-            const response = await this.anthropic.messages.create({
-                model: this.defaultModel,
-                max_tokens: this.maxTokens,
-                messages: [{ role: 'user', content: prompt }]
-            });
+            const response = await this.complete({ prompt });
             
             return {
                 success: true,
-                response: response.content[0].text,
-                model: this.defaultModel,
-                tokens: response.usage?.total_tokens || 0
+                response: response.text,
+                model: response.model,
+                tokens: this.countTokens(response.usage)
             };
             
         } catch (error) {
@@ -80,6 +95,12 @@ class AIService {
             .replace('{documents}', documentsText);
     }
     
+    // Anthropic reports input and output tokens separately
+    countTokens(usage) {
+        if (!usage) return 0;
+        return (usage.input_tokens || 0) + (usage.output_tokens || 0);
+    }
+    
     handleAIError(error) {
         if (error.message?.includes('rate_limit')) {
             return {
@@ -112,8 +133,10 @@ class AIService {
     getServiceStatus() {
         return {
             status: 'healthy',
+            ...this.provider.getStatus(),
             model: this.defaultModel,
             maxTokens: this.maxTokens,
+            temperature: this.temperature,
             timestamp: new Date().toISOString()
         };
     }
@@ -22,21 +22,37 @@ class ConfigService {
             
             // AI Configuration
             ai: {
-                provider: 'anthropic',
-                model: process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
+                provider: process.env.AI_PROVIDER || 'anthropic', // anthropic | replay | record
+                fixturesDir: process.env.AI_FIXTURES_DIR || path.join(__dirname, '../fixtures/llm'),
+                model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514',
                 maxTokens: parseInt(process.env.MAX_TOKENS) || 4000,
                 temperature: parseFloat(process.env.TEMPERATURE) || 0.7,
+                historyTokenBudget: parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 6000, // Prior chat turns sent per request
+                maxMapChunks: parseInt(process.env.CHAT_MAX_MAP_CHUNKS) || 8, // Chunks analyzed per oversized chat prompt
                 apiKey: process.env.ANTHROPIC_API_KEY
             },
             
             // Cache Configuration
             cache: {
                 enabled: process.env.CACHE_ENABLED !== 'false',
+                dir: process.env.CACHE_DIR || path.join(__dirname, '../cache'),
                 ttl: parseInt(process.env.CACHE_TTL) || 24 * 60 * 60 * 1000, // 24 hours
-                maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 100 * 1024 * 1024, // 100MB
+                // Per-route TTLs - chat answers go stale faster than selection analysis
+                ttlByRoute: {
+                    chat: parseInt(process.env.CACHE_TTL_CHAT) || 60 * 60 * 1000, // 1 hour
+                    'analyze-context': parseInt(process.env.CACHE_TTL_ANALYSIS) || 24 * 60 * 60 * 1000 // 24 hours
+                },
+                maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 100 * 1024 * 1024, // 100MB on disk
+                memoryMaxSize: parseInt(process.env.CACHE_MEMORY_MAX_SIZE) || 10 * 1024 * 1024, // 10MB in memory
                 cleanupInterval: parseInt(process.env.CACHE_CLEANUP_INTERVAL) || 6 * 60 * 60 * 1000 // 6 hours
             },
             
+            // Document uploads (multipart /api/documents/upload)
+            uploads: {
+                maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 25 * 1024 * 1024, // 25MB per file
+                maxFiles: parseInt(process.env.UPLOAD_MAX_FILES) || 10
+            },
+            
             // Rate Limiting
             rateLimit: {
                 enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
@@ -80,8 +96,13 @@ class ConfigService {
     validateConfiguration() {
         const errors = [];
         
-        if (!this.config.ai.apiKey) {
-            errors.push('ANTHROPIC_API_KEY is required');
+        // The offline replay provider never calls the API
+        if (!this.config.ai.apiKey && this.config.ai.provider !== 'replay') {
+            errors.push('ANTHROPIC_API_KEY is required (or set AI_PROVIDER=replay)');
+        }
+        
+        if (!['anthropic', 'replay', 'record'].includes(this.config.ai.provider)) {
+            errors.push(`Unknown AI_PROVIDER "${this.config.ai.provider}"`);
         }
         
         if (this.config.server.port < 1 || this.config.server.port > 65535) {
@@ -92,6 +113,14 @@ class ConfigService {
             errors.push('Invalid max tokens value');
         }
         
+        // The memory tier holds a subset of the entries on disk, so it never needs more room.
+        // A small CACHE_MAX_SIZE on its own shrinks it rather than failing startup.
+        const { memoryMaxSize, maxSize } = this.config.cache;
+        if (memoryMaxSize > maxSize) {
+            console.warn(`⚠️ CACHE_MEMORY_MAX_SIZE (${memoryMaxSize} bytes) exceeds CACHE_MAX_SIZE; using ${maxSize} bytes`);
+            this.config.cache.memoryMaxSize = maxSize;
+        }
+        
         if (errors.length > 0) {
             throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
         }
@@ -132,6 +161,10 @@ class ConfigService {
         return this.config.cache;
     }
     
+    getUploadConfig() {
+        return this.config.uploads;
+    }
+    
     getRateLimitConfig() {
         return this.config.rateLimit;
     }
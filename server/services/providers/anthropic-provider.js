@@ -0,0 +1,55 @@
+// Anthropic Provider - Sends completion requests to the Claude API
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+    constructor(config) {
+        this.name = 'anthropic';
+        this.config = config;
+        this.client = new Anthropic({
+            apiKey: config.apiKey,
+        });
+    }
+
+    // request: { model, maxTokens, temperature, system, messages }
+    // Resolves with { text, model, usage }; streams deltas to onText when given
+    async complete(request, onText = null) {
+        const params = {
+            model: request.model,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            messages: request.messages
+        };
+
+        if (request.system) {
+            params.system = request.system;
+        }
+
+        if (!onText) {
+            const response = await this.client.messages.create(params);
+            return {
+                text: response.content && response.content[0] ? response.content[0].text : '',
+                model: response.model || params.model,
+                usage: response.usage || null
+            };
+        }
+
+        const stream = this.client.messages.stream(params);
+        stream.on('text', (delta) => onText(delta));
+        const finalMessage = await stream.finalMessage();
+
+        return {
+            text: finalMessage.content && finalMessage.content[0] ? finalMessage.content[0].text : '',
+            model: finalMessage.model || params.model,
+            usage: finalMessage.usage || null
+        };
+    }
+
+    getStatus() {
+        return {
+            provider: this.name,
+            configured: !!this.config.apiKey
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,23 @@
+// LLM provider factory - picks the provider named by ConfigService ai.provider
+const AnthropicProvider = require('./anthropic-provider');
+const ReplayProvider = require('./replay-provider');
+const RecordingProvider = require('./recording-provider');
+
+const PROVIDERS = {
+    anthropic: (config) => new AnthropicProvider(config),
+    replay: (config) => new ReplayProvider(config),
+    record: (config) => new RecordingProvider(config, new AnthropicProvider(config))
+};
+
+function createProvider(config) {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown AI provider "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(config);
+}
+
+module.exports = {
+    createProvider,
+    PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,51 @@
+// Recording Provider - Passes requests to a live provider and saves each response
+// as a fixture that ReplayProvider can play back later
+const fs = require('fs');
+const path = require('path');
+const ReplayProvider = require('./replay-provider');
+
+class RecordingProvider {
+    constructor(config, liveProvider) {
+        this.name = 'record';
+        this.config = config;
+        this.liveProvider = liveProvider;
+        this.recordedDir = path.join(config.fixturesDir, 'recorded');
+    }
+
+    async complete(request, onText = null) {
+        const result = await this.liveProvider.complete(request, onText);
+        this.saveFixture(request, result);
+        return result;
+    }
+
+    saveFixture(request, result) {
+        const key = ReplayProvider.fixtureKey(request);
+
+        try {
+            fs.mkdirSync(this.recordedDir, { recursive: true });
+            fs.writeFileSync(path.join(this.recordedDir, `${key}.json`), JSON.stringify({
+                key,
+                recordedAt: new Date().toISOString(),
+                model: result.model,
+                request: {
+                    system: request.system || '',
+                    messages: request.messages
+                },
+                response: result.text
+            }, null, 2));
+            console.log(`💾 Recorded LLM fixture ${key}`);
+        } catch (error) {
+            console.error(`❌ Failed to record LLM fixture ${key}:`, error.message);
+        }
+    }
+
+    getStatus() {
+        return {
+            ...this.liveProvider.getStatus(),
+            provider: this.name,
+            recordingTo: this.recordedDir
+        };
+    }
+}
+
+module.exports = RecordingProvider;
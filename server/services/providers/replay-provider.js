@@ -0,0 +1,133 @@
+// Replay Provider - Deterministic offline responses from recorded or canned fixtures
+// Lets the app and its route tests run without an API key or network access
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ReplayProvider {
+    constructor(config) {
+        this.name = 'replay';
+        this.config = config;
+        this.fixturesDir = config.fixturesDir;
+        this.recordedDir = path.join(this.fixturesDir, 'recorded');
+        this.cannedFixtures = this.loadCannedFixtures();
+    }
+
+    // Recorded fixtures are keyed by the request content, not the model,
+    // so recordings keep replaying after a model change
+    static fixtureKey(request) {
+        const payload = JSON.stringify({
+            system: request.system || '',
+            messages: request.messages
+        });
+        return crypto.createHash('sha256').update(payload).digest('hex').substring(0, 16);
+    }
+
+    // canned.json: [{ "match": "substring of the last user message", "response": "..." }].
+    // "system" instead of (or with) "match" is a substring of the system prompt, for routes
+    // whose user message varies by client but whose system prompt is fixed.
+    loadCannedFixtures() {
+        const cannedFile = path.join(this.fixturesDir, 'canned.json');
+
+        try {
+            if (fs.existsSync(cannedFile)) {
+                const fixtures = JSON.parse(fs.readFileSync(cannedFile, 'utf8'));
+                console.log(`📼 Loaded ${fixtures.length} canned LLM fixtures`);
+                return fixtures;
+            }
+        } catch (error) {
+            console.error('❌ Error loading canned LLM fixtures:', error.message);
+        }
+
+        return [];
+    }
+
+    async complete(request, onText = null) {
+        const key = ReplayProvider.fixtureKey(request);
+        const text = this.findRecordedResponse(key)
+            ?? this.findCannedResponse(request)
+            ?? this.buildFallbackResponse(request, key);
+
+        if (onText) {
+            // Replay word by word so streaming routes behave as they do against the API
+            (text.match(/\S+\s*|\s+/g) || []).forEach(piece => onText(piece));
+        }
+
+        return {
+            text,
+            model: `replay:${request.model}`,
+            usage: {
+                input_tokens: Math.ceil(this.getPromptText(request).length / 4),
+                output_tokens: Math.ceil(text.length / 4)
+            }
+        };
+    }
+
+    findRecordedResponse(key) {
+        const fixtureFile = path.join(this.recordedDir, `${key}.json`);
+
+        try {
+            if (fs.existsSync(fixtureFile)) {
+                const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+                console.log(`📼 Replaying recorded response ${key}`);
+                return fixture.response;
+            }
+        } catch (error) {
+            console.error(`❌ Error reading recorded fixture ${key}:`, error.message);
+        }
+
+        return null;
+    }
+
+    findCannedResponse(request) {
+        const promptText = this.getPromptText(request).toLowerCase();
+        const systemText = this.getSystemText(request).toLowerCase();
+        const fixture = this.cannedFixtures.find(entry => (entry.match || entry.system) &&
+            (!entry.match || promptText.includes(entry.match.toLowerCase())) &&
+            (!entry.system || systemText.includes(entry.system.toLowerCase())));
+
+        if (fixture) {
+            console.log(`📼 Replaying canned response for "${fixture.match || fixture.system}"`);
+            return fixture.response;
+        }
+
+        return null;
+    }
+
+    buildFallbackResponse(request, key) {
+        const promptText = this.getPromptText(request);
+        const firstLine = promptText.split('\n').find(line => line.trim()) || '';
+
+        console.log(`📼 No fixture for request ${key}, using fallback response`);
+        return `[Offline replay] No recorded response matched this request (fixture ${key}).\n\n` +
+            `Prompt received (${promptText.length} characters): ${firstLine.substring(0, 200)}`;
+    }
+
+    // The system prompt, whether a string or content blocks
+    getSystemText(request) {
+        if (!request.system) return '';
+        if (typeof request.system === 'string') return request.system;
+        return request.system.map(block => block.text || '').join('\n');
+    }
+
+    // Text of the last user message, whether content is a string or content blocks
+    getPromptText(request) {
+        const userMessages = (request.messages || []).filter(message => message.role === 'user');
+        const last = userMessages[userMessages.length - 1];
+        if (!last) return '';
+
+        if (typeof last.content === 'string') return last.content;
+        return (last.content || []).map(block => block.text || '').join('\n');
+    }
+
+    getStatus() {
+        return {
+            provider: this.name,
+            configured: true,
+            fixturesDir: this.fixturesDir,
+            cannedFixtures: this.cannedFixtures.length
+        };
+    }
+}
+
+module.exports = ReplayProvider;
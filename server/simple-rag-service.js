@@ -1,69 +1,141 @@
 // simple-rag-service.js - NO LANGCHAIN DEPENDENCIES
-const fs = require('fs');
-const path = require('path');
+const HybridRetriever = require('./hybrid-retriever');
+const TranscriptParser = require('./transcript-parser');
 
 class SimpleRAGService {
     constructor() {
         this.documents = [];
         this.chunks = [];
+        this.index = new HybridRetriever();
     }
 
-    // Simple text chunking without LangChain
+    // Sentence-aware chunking that keeps character offsets into the original text.
+    // Returns [{ text, start, end }]; consecutive chunks overlap by about `overlap` characters.
     chunkText(text, chunkSize = 1000, overlap = 200) {
+        const sentences = SimpleRAGService.splitSentences(text, chunkSize);
         const chunks = [];
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        
-        let currentChunk = '';
-        for (const sentence of sentences) {
-            if (currentChunk.length + sentence.length > chunkSize && currentChunk.length > 0) {
-                chunks.push(currentChunk.trim());
-                // Add overlap by keeping last few sentences
-                const words = currentChunk.split(' ');
-                currentChunk = words.slice(-overlap/10).join(' ') + ' ' + sentence;
-            } else {
-                currentChunk += sentence + '. ';
+
+        let first = 0;
+        while (first < sentences.length) {
+            let last = first;
+            while (last + 1 < sentences.length && sentences[last + 1].end - sentences[first].start <= chunkSize) {
+                last++;
             }
+
+            const start = sentences[first].start;
+            const end = sentences[last].end;
+            chunks.push({ text: text.slice(start, end).trim(), start, end });
+
+            if (last + 1 >= sentences.length) break;
+
+            // Step back over trailing sentences that fit in the overlap window
+            let next = last + 1;
+            while (next - 1 > first && end - sentences[next - 1].start <= overlap) {
+                next--;
+            }
+            first = next;
         }
-        
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
-        }
-        
-        return chunks;
+
+        return chunks.filter(chunk => chunk.text.length > 0);
     }
 
-    // Simple keyword-based search (no embeddings needed)
-    searchRelevantChunks(query, limit = 5) {
-        const queryWords = query.toLowerCase().split(/\s+/);
-        
-        const scored = this.chunks.map(chunk => {
-            const chunkLower = chunk.text.toLowerCase();
-            let score = 0;
-            
-            // Count keyword matches
-            queryWords.forEach(word => {
-                const matches = (chunkLower.match(new RegExp(word, 'g')) || []).length;
-                score += matches;
-            });
-            
-            // Boost score for exact phrases
-            if (chunkLower.includes(query.toLowerCase())) {
-                score += 10;
+    // Split on sentence punctuation followed by whitespace, so "$5.2" and "U.S." stay whole.
+    // Sentences longer than maxLength (tables, run-on text) are cut at whitespace.
+    static splitSentences(text, maxLength) {
+        const sentences = [];
+        const pattern = /[\s\S]+?(?:[.!?]+(?=\s)|\n\s*\n|$)/g;
+
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            let start = match.index;
+            const end = match.index + match[0].length;
+            while (end - start > maxLength) {
+                const cut = text.lastIndexOf(' ', start + maxLength);
+                const sliceEnd = cut > start ? cut : start + maxLength;
+                sentences.push({ start, end: sliceEnd });
+                start = sliceEnd;
             }
-            
-            return { ...chunk, score };
+            sentences.push({ start, end });
+        }
+
+        return sentences;
+    }
+
+    // "[Page 3]" markers and "Table: ..." headings written by DocumentParser, and the
+    // "[Speaker: ...]" lines of an annotated transcript, so each chunk can be cited by page,
+    // table and speaker. A table runs until the next blank line.
+    static findMarkers(text) {
+        const pages = Array.from(text.matchAll(/^\[Page (\d+)\]$/gm), match => ({ index: match.index, page: Number(match[1]) }));
+        const tables = Array.from(text.matchAll(/^Table: (.+)$/gm), match => {
+            const blankLine = text.indexOf('\n\n', match.index);
+            return {
+                index: match.index,
+                end: blankLine === -1 ? text.length : blankLine,
+                name: (match[1].match(/^Table \d+/) || [match[1]])[0]
+            };
         });
-        
-        return scored
-            .filter(chunk => chunk.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, limit);
+        return { pages, tables, turns: TranscriptParser.readTurns(text) };
+    }
+
+    // { page, pageEnd, tables } for the chunk at [start, end); page is null for text without page markers.
+    // Transcript chunks add the turn's speaker, section ('prepared_remarks' or 'qa'), Q&A
+    // exchange number and, for answers, the question being answered.
+    static locateChunk(start, end, markers) {
+        const pageAt = offset => markers.pages.reduce((page, marker) => (marker.index <= offset ? marker.page : page), null);
+        const turn = markers.turns.find(candidate => candidate.index <= start && candidate.end > start);
+        return {
+            page: pageAt(start),
+            pageEnd: pageAt(end - 1),
+            tables: markers.tables.filter(table => table.index < end && table.end > start).map(table => table.name),
+            ...(turn && {
+                speaker: turn.speaker,
+                section: turn.section,
+                exchange: turn.exchange,
+                question: TranscriptParser.questionFor(markers.turns, turn)
+            })
+        };
+    }
+
+    // Citation label such as "p.14, Table 3", "pp.3-4" or "Jane Doe, Chief Financial Officer,
+    // Q&A 3, answering Justin Lake (Wolfe Research)"; empty when the chunk has no location
+    static describeLocation(chunk) {
+        const parts = [];
+        if (chunk.speaker) {
+            const { name, title, firm } = chunk.speaker;
+            parts.push([name, title || firm].filter(Boolean).join(', '));
+            parts.push(chunk.section === 'qa'
+                ? `${TranscriptParser.SECTION_NAMES.qa}${chunk.exchange ? ` ${chunk.exchange}` : ''}`
+                : TranscriptParser.SECTION_NAMES.prepared_remarks);
+            if (chunk.question) {
+                parts.push(`answering ${chunk.question.speaker}${chunk.question.firm ? ` (${chunk.question.firm})` : ''}`);
+            }
+        }
+        if (chunk.page) {
+            parts.push(chunk.pageEnd && chunk.pageEnd !== chunk.page ? `pp.${chunk.page}-${chunk.pageEnd}` : `p.${chunk.page}`);
+        }
+        if (chunk.tables && chunk.tables.length > 0) {
+            parts.push(chunk.tables.join(', '));
+        }
+        return parts.join(', ');
+    }
+
+    // Hybrid BM25 + vector search, reranked with MMR for diverse results
+    // docIds limits the search to those documents; options.boost(chunk) scales relevance
+    searchRelevantChunks(query, limit = 5, docIds = null, options = {}) {
+        return this.index.search(query, { limit, docIds, boost: options.boost });
     }
 
     // Add document without LangChain processing
-    async addDocument(content, filename) {
+    // options.id keeps the caller's ID (used when re-indexing stored documents);
+    // options.chunkSize / options.overlap override the chunking defaults
+    async addDocument(content, filename, options = {}) {
         const doc = {
-            id: Date.now(),
+            id: options.id || Date.now(),
             filename,
             content,
             addedAt: new Date()
@@ -71,16 +143,33 @@ class SimpleRAGService {
         
         this.documents.push(doc);
         
-        // Chunk the document
-        const chunks = this.chunkText(content);
-        chunks.forEach((chunkText, index) => {
-            this.chunks.push({
+        // Chunk the document; a transcript is chunked turn by turn so each chunk has one speaker,
+        // and text outside any turn (the preamble, a Q&A heading) is chunked on its own
+        const markers = SimpleRAGService.findMarkers(content);
+        const segments = [];
+        let position = 0;
+        markers.turns.forEach(turn => {
+            if (turn.index > position) segments.push({ start: position, end: turn.index });
+            segments.push({ start: turn.index, end: turn.end });
+            position = turn.end;
+        });
+        if (position < content.length || segments.length === 0) segments.push({ start: position, end: content.length });
+        const chunks = segments.flatMap(segment =>
+            this.chunkText(content.slice(segment.start, segment.end), options.chunkSize, options.overlap)
+                .map(chunk => ({ ...chunk, start: chunk.start + segment.start, end: chunk.end + segment.start })));
+        chunks.forEach((chunk, index) => {
+            const indexedChunk = {
                 id: `${doc.id}_${index}`,
-                text: chunkText,
+                text: chunk.text,
                 docId: doc.id,
                 filename,
-                chunkIndex: index
-            });
+                chunkIndex: index,
+                start: chunk.start,
+                end: chunk.end,
+                ...SimpleRAGService.locateChunk(chunk.start, chunk.end, markers)
+            };
+            this.chunks.push(indexedChunk);
+            this.index.addChunk(indexedChunk);
         });
         
         return doc;
@@ -99,10 +188,34 @@ class SimpleRAGService {
         return this.documents;
     }
 
+    // Remove a single document and its chunks
+    removeDocument(docId) {
+        const before = this.documents.length;
+        this.documents = this.documents.filter(doc => String(doc.id) !== String(docId));
+        this.chunks = this.chunks.filter(chunk => String(chunk.docId) !== String(docId));
+        this.index.removeDocument(docId);
+        return this.documents.length < before;
+    }
+
+    // Summary of the collection for realtime clients
+    getDocumentStats() {
+        return {
+            documentCount: this.documents.length,
+            chunkCount: this.chunks.length,
+            documents: this.documents.map(doc => ({
+                id: doc.id,
+                name: doc.filename,
+                chunkCount: this.chunks.filter(chunk => chunk.docId === doc.id).length,
+                timestamp: doc.addedAt
+            }))
+        };
+    }
+
     // Clear all data
     clear() {
         this.documents = [];
         this.chunks = [];
+        this.index.clear();
     }
 }
 
@@ -1,12 +1,31 @@
 // simple-server.js - ZERO LANGCHAIN DEPENDENCIES
 const express = require('express');
+const multer = require('multer');
 const WebSocket = require('ws');
 const path = require('path');
-const Anthropic = require('@anthropic-ai/sdk');
+const DocumentRepository = require('./document-repository');
 const SimpleRAGService = require('./simple-rag-service');
 const SmartContentProcessor = require('./smart-content-processor');
 const AdaptiveRateLimiter = require('./adaptive-rate-limiter');
 const ContentCache = require('./content-cache');
+const SSEWriter = require('./sse-writer');
+const RealtimeRouter = require('./realtime-router');
+const PromptTemplateStore = require('./prompt-template-store');
+const ConversationStore = require('./conversation-store');
+const ChatSynthesizer = require('./chat-synthesizer');
+const StructuredAnalysis = require('./structured-analysis');
+const NumericVerifier = require('./numeric-verifier');
+const FinancialQuantity = require('../js/modules/FinancialQuantity');
+const ComplianceChecker = require('../js/modules/ComplianceChecker');
+const NonGaapChecker = require('../js/modules/NonGaapChecker');
+const DocumentParser = require('./document-parser');
+const TranscriptParser = require('./transcript-parser');
+const MetricStore = require('./metric-store');
+const ScriptGenerator = require('./script-generator');
+const RollForward = require('./roll-forward');
+const FiscalCalendarStore = require('./fiscal-calendar-store');
+const ConfigService = require('./services/config-service');
+const AIService = require('./services/ai-service');
 require('dotenv').config();
 
 const app = express();
@@ -30,11 +49,18 @@ function findAvailablePort(ports) {
 const port = process.env.PORT || findAvailablePort([8000, 8001, 8002, 8003]);
 
 // Initialize services
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// All LLM calls go through AIService; AI_PROVIDER=replay runs offline from fixtures
+const configService = new ConfigService();
+const aiService = new AIService(configService.getAIConfig());
 
-const ragService = new SimpleRAGService();
+const documentRepository = new DocumentRepository();
+const promptStore = new PromptTemplateStore();
+const conversationStore = new ConversationStore();
+const chatSynthesizer = new ChatSynthesizer(aiService, { maxMapChunks: configService.getAIConfig().maxMapChunks });
+const numericVerifier = new NumericVerifier(documentRepository);
+const metricStore = new MetricStore(documentRepository);
+const fiscalCalendars = new FiscalCalendarStore();
+const rollForward = new RollForward(metricStore);
 
 // Middleware
 app.use(express.json({ limit: '50mb' }));
@@ -66,6 +92,11 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Requests wait until the stored documents are re-indexed after a restart
+app.use((req, res, next) => {
+    documentRepository.ready.then(() => next(), next);
+});
+
 // Request logging middleware
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path} - ${req.ip}`);
@@ -184,35 +215,389 @@ app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
         timestamp: new Date().toISOString(),
-        documents: ragService.getDocuments().length
+        documents: documentRepository.listDocuments().length,
+        aiProvider: aiService.provider.name
     });
 });
 
 app.get('/api/test', async (req, res) => {
     try {
-        const message = await anthropic.messages.create({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 100,
-            messages: [{ role: 'user', content: 'Say "API working!"' }]
+        const result = await aiService.complete({
+            maxTokens: 100,
+            prompt: 'Say "API working!"'
         });
-        res.json({ success: true, response: message.content[0].text });
+        res.json({ success: true, response: result.text, provider: result.provider, model: result.model });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Documents are uploaded once and then referenced by ID (or workspace) in analysis requests
 app.post('/api/documents', async (req, res) => {
     try {
-        const { content, filename } = req.body;
-        const doc = await ragService.addDocument(content, filename);
+        // Accepts { content, filename } and the { text, name } shape used by the realtime client
+        const text = req.body.content || req.body.text;
+        const name = req.body.filename || req.body.name;
+        const { type, workspaceId } = req.body;
+
+        if (!text) {
+            return res.status(400).json({ error: 'Document content is required' });
+        }
+
+        const doc = await documentRepository.addDocument(text, name, { type, workspaceId });
+        realtimeRouter.broadcastDocumentStats();
         res.json({ success: true, document: doc });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Multipart upload of PDF, XLSX, CSV, DOCX, JSON or text files (field name "files").
+// Each file is parsed in Node and its normalized text stored for retrieval, unless
+// store=false asks for extraction only. Files fail individually; see the errors list.
+const uploadConfig = configService.getUploadConfig();
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: uploadConfig.maxFileSize, files: uploadConfig.maxFiles }
+});
+
+app.post('/api/documents/upload', (req, res, next) => {
+    upload.any()(req, res, (error) => {
+        if (error) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: error.message, code: error.code });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'At least one file is required (multipart field "files")' });
+    }
+
+    const { workspaceId, company } = req.body;
+    const store = req.body.store !== 'false';
+    // transcript=true insists on reading files as call transcripts, false never does
+    const transcript = { true: true, false: false }[req.body.transcript] ?? 'auto';
+    const documents = [];
+    const errors = [];
+
+    for (const file of files) {
+        // Multer reads the filename as latin1; browsers send UTF-8
+        const filename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+        try {
+            console.log(`📤 Parsing upload: ${filename} (${file.mimetype}, ${file.size} bytes)`);
+            const parsed = await DocumentParser.parse(file.buffer, {
+                filename,
+                mimetype: file.mimetype,
+                calendar: fiscalCalendars.getCalendar(company),
+                transcript
+            });
+            if (!parsed.text) {
+                const error = new Error(`No text could be extracted from ${filename}${parsed.format === 'pdf' ? ' (it may be a scanned PDF)' : ''}`);
+                error.status = 422;
+                throw error;
+            }
+
+            const document = store
+                ? await documentRepository.addDocument(parsed.text, filename, {
+                    type: parsed.format,
+                    workspaceId,
+                    company,
+                    metrics: parsed.metrics,
+                    transcript: parsed.transcript
+                })
+                : null;
+            if (document) {
+                metricStore.recordMetrics(parsed.metrics, { company, documentId: document.id, documentName: document.name });
+            }
+            console.log(`✅ Parsed ${filename}: ${parsed.text.length} chars, ${parsed.tables.length} tables, ${parsed.metrics.length} metrics`);
+            documents.push({ document, ...parsed });
+        } catch (error) {
+            console.error(`❌ Error parsing ${filename}:`, error.message);
+            errors.push({ filename, error: error.message, status: error.status || 422 }); // Unreadable files are the usual cause
+        }
+    }
+
+    if (store && documents.length > 0) {
+        realtimeRouter.broadcastDocumentStats();
+    }
+
+    if (documents.length === 0) {
+        return res.status(errors[0].status).json({ success: false, documents, errors });
+    }
+    res.json({ success: true, documents, errors });
+});
+
 app.get('/api/documents', (req, res) => {
-    res.json({ documents: ragService.getDocuments() });
+    const documents = documentRepository.listDocuments({ workspaceId: req.query.workspaceId });
+    res.json({ documents, documentCount: documents.length });
+});
+
+app.get('/api/documents/:id', (req, res) => {
+    const doc = documentRepository.getDocument(req.params.id, {
+        includeText: req.query.includeText === 'true',
+        includeMetrics: req.query.includeMetrics === 'true'
+    });
+    if (!doc) {
+        return res.status(404).json({ error: `Document ${req.params.id} not found` });
+    }
+    res.json({ success: true, document: doc });
+});
+
+// Speakers, prepared remarks and Q&A exchanges of a stored call transcript
+app.get('/api/documents/:id/transcript', (req, res) => {
+    const doc = documentRepository.getDocument(req.params.id, { includeText: true });
+    if (!doc || !doc.transcript) {
+        return res.status(404).json({ error: `Document ${req.params.id} is not a stored call transcript` });
+    }
+    res.json({
+        success: true,
+        documentId: doc.id,
+        name: doc.name,
+        period: doc.transcript.period,
+        ...TranscriptParser.describe(doc.text)
+    });
+});
+
+app.delete('/api/documents/:id', (req, res) => {
+    if (!documentRepository.removeDocument(req.params.id)) {
+        return res.status(404).json({ error: `Document ${req.params.id} not found` });
+    }
+    realtimeRouter.broadcastDocumentStats();
+    res.json({ success: true, id: req.params.id });
+});
+
+// Clears ?workspaceId=..., or every document when no workspace is given
+// One workspace at a time, like the WebSocket clear_documents
+app.delete('/api/documents', (req, res) => {
+    const { workspaceId } = req.query;
+    if (!workspaceId || typeof workspaceId !== 'string') {
+        return res.status(400).json({ error: 'workspaceId is required to clear documents' });
+    }
+    const removed = documentRepository.clear({ workspaceId });
+    realtimeRouter.broadcastDocumentStats();
+    res.json({ success: true, removed });
+});
+
+// Reported metrics by company and fiscal period, with QoQ and YoY changes
+app.get('/api/metrics', (req, res) => {
+    const company = MetricStore.normalizeCompany(req.query.company);
+    res.json({
+        company,
+        companies: metricStore.listCompanies(),
+        series: metricStore.listSeries({ company, includePoints: req.query.includePoints === 'true' })
+    });
+});
+
+app.get('/api/metrics/:metric', (req, res) => {
+    const series = metricStore.getSeries({ company: req.query.company, metric: req.params.metric });
+    if (!series) {
+        return res.status(404).json({ error: `No history for ${req.params.metric}` });
+    }
+    res.json({ success: true, series });
+});
+
+// Fiscal calendars by company - periods in later uploads are read on the company's calendar
+app.get('/api/fiscal-calendars', (req, res) => {
+    res.json({ calendars: fiscalCalendars.list() });
+});
+
+// ?year=2025 adds that fiscal year's quarter and year date ranges
+app.get('/api/fiscal-calendars/:company', (req, res) => {
+    const calendar = fiscalCalendars.describe(req.params.company);
+    const year = Number(req.query.year);
+    res.json({
+        success: true,
+        calendar,
+        ...(year && { periods: fiscalCalendars.getCalendar(req.params.company).yearPeriods(year) })
+    });
+});
+
+app.put('/api/fiscal-calendars/:company', (req, res) => {
+    try {
+        res.json({ success: true, calendar: fiscalCalendars.setCalendar(req.params.company, req.body) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, issues: error.issues || [] });
+    }
+});
+
+app.delete('/api/fiscal-calendars/:company', (req, res) => {
+    if (!fiscalCalendars.removeCalendar(req.params.company)) {
+        return res.status(404).json({ error: `No fiscal calendar set for ${req.params.company}` });
+    }
+    res.json({ success: true, company: req.params.company });
+});
+
+// Rolls a saved draft to a later quarter: periods move, figures are re-read from the
+// company's metric history, and anything that cannot be re-bound comes back for review
+app.post('/api/drafts/roll-forward', (req, res) => {
+    const { text, title = null, company = null, fromPeriod = null, toPeriod = null } = req.body;
+    if (!text || typeof text !== 'string') {
+        return res.status(400).json({ error: 'text is required' });
+    }
+
+    try {
+        const calendar = fiscalCalendars.getCalendar(company);
+        const result = rollForward.roll(text, { company, calendar, fromPeriod, toPeriod });
+        res.json({
+            success: true,
+            company: MetricStore.normalizeCompany(company),
+            ...result,
+            ...(title && { title: RollForward.rollPeriodText(title, { calendar, fromPeriod: result.fromPeriod, toPeriod: result.toPeriod }) })
+        });
+    } catch (error) {
+        if (!error.status) console.error('❌ Roll-forward error:', error);
+        res.status(error.status || 500).json({ error: error.message, issues: error.issues || [] });
+    }
+});
+
+// Safe-harbor and forward-looking-statement rules over a whole draft. Deterministic, so it
+// needs no model call. sections: optional [{ title, index }]; headings in the text otherwise.
+app.post('/api/compliance/check', (req, res) => {
+    const { text, sections = null } = req.body;
+    if (!text || typeof text !== 'string') {
+        return res.status(400).json({ error: 'text is required' });
+    }
+    if (sections !== null && !Array.isArray(sections)) {
+        return res.status(400).json({ error: 'sections must be an array of { title, index }' });
+    }
+
+    const report = ComplianceChecker.check(text, { sections });
+    const { high, medium, low, forwardLooking } = report.summary;
+    console.log(`🛡️ Compliance check: ${report.status} - ${forwardLooking} forward-looking statements, ${high} high, ${medium} medium, ${low} low`);
+    res.json({ success: true, ...report });
+});
+
+// Regulation G: each non-GAAP measure needs its GAAP counterpart in the same section and a
+// reconciliation table in the documents in scope (the press release). report is the markdown
+// the legal reviewer signs off.
+app.post('/api/compliance/non-gaap', (req, res) => {
+    const { text, sections = null, title = null, documentIds, workspaceId, documents } = req.body;
+    if (!text || typeof text !== 'string') {
+        return res.status(400).json({ error: 'text is required' });
+    }
+    if (sections !== null && !Array.isArray(sections)) {
+        return res.status(400).json({ error: 'sections must be an array of { title, index }' });
+    }
+
+    const result = NonGaapChecker.check(text, { sections, documents: documentsInScope({ documentIds, workspaceId, documents }) });
+    const { high, medium, low, measures } = result.summary;
+    console.log(`🛡️ Non-GAAP check: ${result.status} - ${measures} measures in ${result.documentsChecked} documents, ${high} high, ${medium} medium, ${low} low`);
+    res.json({
+        success: true,
+        ...result,
+        report: NonGaapChecker.formatReport(result, { title, generatedAt: new Date().toISOString() })
+    });
+});
+
+app.get('/api/workspaces', (req, res) => {
+    res.json({ workspaces: documentRepository.listWorkspaces() });
+});
+
+// Conversations - /api/chat takes a conversationId to continue one
+app.post('/api/conversations', (req, res) => {
+    const { workspaceId, title } = req.body || {};
+    const conversation = conversationStore.createConversation({ workspaceId, title });
+    res.json({ success: true, conversation });
+});
+
+app.get('/api/conversations', (req, res) => {
+    res.json({ conversations: conversationStore.listConversations({ workspaceId: req.query.workspaceId }) });
+});
+
+app.get('/api/conversations/:id', (req, res) => {
+    const conversation = conversationStore.getConversation(req.params.id);
+    if (!conversation) {
+        return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+    }
+    res.json({ success: true, conversation });
+});
+
+app.delete('/api/conversations/:id', (req, res) => {
+    if (!conversationStore.deleteConversation(req.params.id)) {
+        return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+    }
+    res.json({ success: true, id: req.params.id });
+});
+
+// Prompt template management - context and chat templates are versioned and persisted
+app.get('/api/prompts', (req, res) => {
+    res.json({ success: true, templates: promptStore.getSummary() });
+});
+
+// Settings modal saves both templates at once: { contextPrompt, chatPrompt }
+app.post('/api/prompts/update', (req, res) => {
+    const { contextPrompt, chatPrompt, note } = req.body;
+    const updates = { context: contextPrompt, chat: chatPrompt };
+
+    if (contextPrompt === undefined && chatPrompt === undefined) {
+        return res.status(400).json({ error: 'contextPrompt or chatPrompt is required' });
+    }
+
+    // Validate everything first so a bad chat template doesn't leave a half-applied update
+    const issues = {};
+    for (const [kind, template] of Object.entries(updates)) {
+        if (template === undefined) continue;
+        const validation = promptStore.validateTemplate(kind, template);
+        if (!validation.isValid) issues[kind] = validation.issues;
+    }
+
+    if (Object.keys(issues).length > 0) {
+        return res.status(400).json({ error: 'Prompt template validation failed', issues });
+    }
+
+    try {
+        const saved = {};
+        for (const [kind, template] of Object.entries(updates)) {
+            if (template === undefined) continue;
+            const entry = promptStore.saveTemplate(kind, template, note || 'Updated from settings');
+            saved[kind] = { version: entry.version, changed: entry.changed };
+        }
+        res.json({ success: true, saved, templates: promptStore.getSummary() });
+    } catch (error) {
+        console.error('❌ Error updating prompt templates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/prompts/:kind/versions', (req, res) => {
+    try {
+        res.json({ success: true, kind: req.params.kind, versions: promptStore.getVersions(req.params.kind) });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.post('/api/prompts/:kind/rollback', (req, res) => {
+    try {
+        const entry = promptStore.rollback(req.params.kind, req.body.version);
+        res.json({ success: true, kind: req.params.kind, activeVersion: entry.version, template: entry.template });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Active template for a kind (?kind=chat, defaults to context)
+app.get('/api/system-prompt', (req, res) => {
+    try {
+        const kind = req.query.kind || 'context';
+        const active = promptStore.getActiveTemplate(kind);
+        res.json({ success: true, kind, version: active.version, prompt: active.template });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/system-template', (req, res) => {
+    const { template, kind = 'context', note } = req.body;
+    try {
+        const entry = promptStore.saveTemplate(kind, template, note || 'Updated via API');
+        res.json({ success: true, kind, version: entry.version, changed: entry.changed });
+    } catch (error) {
+        res.status(400).json({ error: error.message, issues: error.issues || [] });
+    }
 });
 
 // New endpoints for improved features
@@ -243,6 +628,21 @@ app.get('/api/cache/stats', (req, res) => {
     res.json(contentCache.getCacheStats());
 });
 
+// Cached answers by dependency - ?documentId= or ?workspaceId= to filter
+app.get('/api/cache/entries', (req, res) => {
+    const entries = contentCache.listEntries({
+        documentId: req.query.documentId,
+        workspaceId: req.query.workspaceId
+    });
+    res.json({ entries, entryCount: entries.length });
+});
+
+// Purge every cached answer that used a document
+app.delete('/api/cache/documents/:id', (req, res) => {
+    const removed = contentCache.invalidateDocuments([req.params.id]);
+    res.json({ success: true, documentId: req.params.id, removed });
+});
+
 app.get('/api/rate-limits', (req, res) => {
     const userId = req.headers['x-user-id'] || 'default';
     res.json({
@@ -300,7 +700,17 @@ app.get('/api/rate-limits/status', (req, res) => {
 // Initialize smart services
 const smartProcessor = new SmartContentProcessor();
 const rateLimiter = new AdaptiveRateLimiter();
-const contentCache = new ContentCache();
+const contentCache = new ContentCache(configService.getCacheConfig());
+
+// Keep cached answers in step with the document store: removing a document drops
+// the answers built from it, and adding one drops workspace-wide answers it could change
+documentRepository.onDocumentChange(({ type, ids, workspaceId }) => {
+    if (type === 'removed') {
+        contentCache.invalidateDocuments(ids);
+    } else {
+        contentCache.invalidateWorkspace(workspaceId);
+    }
+});
 
 // Helper function to check if a snippet is a disclaimer/intro section
 const isDisclaimerSection = (snippet) => {
@@ -322,15 +732,13 @@ const isDisclaimerSection = (snippet) => {
 // Helper function to score financial data content
 const calculateFinancialDataScore = (snippet) => {
     const financialPatterns = [
-        /\$\d+\.?\d*\s*(billion|million|thousand)?/gi,  // Dollar amounts
-        /\d+\.?\d*%/gi,                                   // Percentages
-        /\d+\.?\d*\s*(billion|million|thousand)/gi,      // Number + unit
         /q[1-4]\s*\d{4}/gi,                              // Quarter references
         /year-over-year|yoy|quarter-over-quarter/gi,      // Comparison terms
         /revenue|earnings|profit|loss|margin|ratio/gi     // Financial terms
     ];
     
-    let score = 0;
+    // Amounts, percentages, basis points and per-share figures count once each
+    let score = FinancialQuantity.extract(snippet).length * 10;
     financialPatterns.forEach(pattern => {
         const matches = (snippet.match(pattern) || []).length;
         score += matches * 10; // Boost score for financial data
@@ -339,135 +747,148 @@ const calculateFinancialDataScore = (snippet) => {
     return score;
 };
 
-// Helper function to extract relevant information from documents
+// Helper function to weight a retrieved passage before diversity reranking.
+// Passages with financial data get up to 2x; disclaimer boilerplate is pushed down
+// (not dropped, since a short document may be a single passage). Transcript passages
+// know their speaker, so operator turns are boilerplate without any keyword guessing.
+const passageBoost = (chunk) => {
+    const financialScore = calculateFinancialDataScore(chunk.text);
+    const boilerplate = chunk.speaker
+        ? chunk.speaker.role === 'operator' || isDisclaimerSection(TranscriptParser.stripMarkers(chunk.text))
+        : isDisclaimerSection(chunk.text);
+    const disclaimerPenalty = boilerplate ? 0.25 : 1;
+    return (1 + Math.min(financialScore, 100) / 100) * disclaimerPenalty;
+};
+
+// Helper function to weight passages for one query. A question about a speaker ("what did
+// the CFO say", "what did analysts ask", a speaker's name) favours their transcript turns
+// and pushes down other speakers'; passages outside transcripts are unaffected.
+const SPEAKER_MATCH_BOOST = 3;
+const SPEAKER_MISMATCH_PENALTY = 0.5;
+const buildPassageBoost = (query, speakers = []) => {
+    const matchesSpeaker = TranscriptParser.speakerMatcher(query, speakers);
+    if (!matchesSpeaker) return passageBoost;
+    return (chunk) => {
+        if (!chunk.speaker) return passageBoost(chunk);
+        return passageBoost(chunk) * (matchesSpeaker(chunk.speaker) ? SPEAKER_MATCH_BOOST : SPEAKER_MISMATCH_PENALTY);
+    };
+};
+
+// Helper function to list the transcript speakers among indexed chunks, once each
+const speakersIn = (chunks) => {
+    const speakers = new Map();
+    chunks.forEach(chunk => {
+        if (chunk.speaker) speakers.set(chunk.speaker.name.toLowerCase(), chunk.speaker);
+    });
+    return Array.from(speakers.values());
+};
+
+// Helper function to narrow a repository search to the calls a question is about. A named
+// quarter ("Q2 2025", "first quarter of fiscal 2025") keeps that quarter's transcripts;
+// "last quarter", "this quarter" or "the latest call" keeps each company's most recent one and
+// "the prior quarter" the one before. Other documents always stay in scope.
+const RECENT_CALL = /\b(?:last|latest|most recent|this|current)\s+(?:quarter|call|earnings call)\b/i;
+const PRIOR_CALL = /\b(?:previous|prior)\s+(?:quarter|call|earnings call)\b|\bquarter before\b/i;
+const scopeToCallPeriod = (query, scope) => {
+    const ids = documentRepository.resolveScope(scope);
+    const transcripts = ids
+        .map(id => documentRepository.getDocument(id))
+        .filter(meta => meta.transcript && meta.transcript.period);
+    if (transcripts.length < 2) return scope;
+
+    let wanted = transcripts.filter(meta => {
+        const named = fiscalCalendars.getCalendar(meta.company).findPeriod(query);
+        return named && named.label === meta.transcript.period.label;
+    });
+    const recency = RECENT_CALL.test(query) ? 0 : PRIOR_CALL.test(query) ? 1 : null;
+    if (wanted.length === 0 && recency !== null) {
+        const byCompany = new Map();
+        transcripts.forEach(meta => {
+            const key = (meta.company || '').toLowerCase();
+            byCompany.set(key, [...(byCompany.get(key) || []), meta]);
+        });
+        byCompany.forEach(calls => {
+            const periods = Array.from(new Set(calls.map(meta => meta.transcript.period.endDate))).sort().reverse();
+            const period = periods[recency];
+            wanted.push(...calls.filter(meta => meta.transcript.period.endDate === period));
+        });
+    }
+    if (wanted.length === 0) return scope;
+
+    const excluded = new Set(transcripts.filter(meta => !wanted.includes(meta)).map(meta => meta.id));
+    console.log(`🎙️ Narrowed to ${wanted.length} call transcript(s): ${wanted.map(meta => meta.transcript.period.label).join(', ')}`);
+    return { documentIds: ids.filter(id => !excluded.has(id)) };
+};
+
+// Helper function to search the repository for a query, scoped to the calls it names and
+// weighted toward the speakers it names
+const searchRepository = (query, limit, scope) => {
+    const callScope = scopeToCallPeriod(query, scope);
+    const speakers = documentRepository.resolveScope(callScope)
+        .flatMap(id => (documentRepository.getDocument(id).transcript || { participants: [] }).participants);
+    return documentRepository.searchRelevantChunks(query, limit, callScope, { boost: buildPassageBoost(query, speakers) });
+};
+
+// Helper function to index inline documents as passage-sized chunks
+const buildInlineIndex = async (documents) => {
+    const passageIndex = new SimpleRAGService();
+    for (const [position, doc] of documents.entries()) {
+        if (doc.text) {
+            // A pasted call transcript gets the same speaker markers as an uploaded one
+            const call = DocumentParser.readTranscript(doc.text);
+            await passageIndex.addDocument(call ? call.text : doc.text, doc.name || 'Document', {
+                id: `inline_${position}`,
+                chunkSize: 400,
+                overlap: 100
+            });
+        }
+    }
+    return passageIndex;
+};
+
+// Helper function to format retrieved passages as prompt context, grouped by source.
+// Passages arrive in MMR order, so they already cover distinct facts and documents.
+const formatRetrievedPassages = (passages) => {
+    const bySource = new Map();
+    for (const passage of passages) {
+        const entry = bySource.get(passage.docId) || { source: passage.filename, relevance: 0, passages: [] };
+        entry.relevance = Math.max(entry.relevance, passage.score);
+        entry.passages.push(passage);
+        bySource.set(passage.docId, entry);
+    }
+    
+    return Array.from(bySource.values()).map(entry => {
+        // Keep document order inside a source so the excerpt reads naturally; PDF passages
+        // carry their page and table, e.g. "(p.14, Table 3)", for citations
+        const texts = entry.passages
+            .sort((a, b) => a.start - b.start)
+            .map(passage => {
+                const location = SimpleRAGService.describeLocation(passage);
+                return location ? `(${location}) ${passage.text}` : passage.text;
+            });
+        return `Source: ${entry.source}\nRelevance: ${entry.relevance.toFixed(2)} (hybrid)\nContext: ${texts.join(' ... ')}`;
+    }).join('\n\n');
+};
+
+// Helper function to extract relevant information from inline documents.
+// Uses the same hybrid lexical + vector retrieval as stored documents, so each
+// snippet is a best-matching passage rather than the first occurrence of a word.
 const extractRelevantDocumentInfo = async (query, documents) => {
     try {
         console.log('🔍 Extracting relevant info for query:', query.substring(0, 100) + '...');
         
-        // Enhanced keyword-based relevance scoring with financial data focus
-        const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 3);
-        const relevantSnippets = [];
+        const passageIndex = await buildInlineIndex(documents);
+        const passages = passageIndex.searchRelevantChunks(query, 6, null, { boost: buildPassageBoost(query, speakersIn(passageIndex.chunks)) });
         
-        for (const doc of documents) {
-            if (doc.text) {
-                const docText = doc.text.toLowerCase();
-                let relevanceScore = 0;
-                let relevantSections = [];
-                
-                // Score relevance based on keyword matches
-                for (const word of queryWords) {
-                    try {
-                        // Escape special regex characters to prevent errors
-                        const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                        const matches = (docText.match(new RegExp(escapedWord, 'gi')) || []).length;
-                        
-                        if (matches > 0) {
-                            relevanceScore += matches;
-                            
-                            // Find context around matches
-                            const index = docText.indexOf(word);
-                            if (index !== -1) {
-                                const start = Math.max(0, index - 150);
-                                const end = Math.min(docText.length, index + 150);
-                                const snippet = doc.text.substring(start, end).trim();
-                                
-                                // Filter out disclaimer/intro sections and prioritize financial data
-                                if (snippet.length > 50 && !isDisclaimerSection(snippet)) {
-                                    // Boost score for snippets with financial data
-                                    const financialDataScore = calculateFinancialDataScore(snippet);
-                                    relevanceScore += financialDataScore;
-                                    
-                                    relevantSections.push({
-                                        snippet: snippet,
-                                        financialScore: financialDataScore
-                                    });
-                                }
-                            }
-                        }
-                    } catch (error) {
-                        console.log('⚠️ Skipping word due to regex error:', word, error.message);
-                        continue;
-                    }
-                }
-                
-                // ADDITIONAL: Search for financial data even if query doesn't match exactly
-                // This ensures we find relevant financial metrics for financial queries
-                if (query.toLowerCase().includes('revenue') || 
-                    query.toLowerCase().includes('trend') || 
-                    query.toLowerCase().includes('financial') ||
-                    query.toLowerCase().includes('earnings') ||
-                    query.toLowerCase().includes('cost') ||
-                    query.toLowerCase().includes('billion') ||
-                    query.toLowerCase().includes('million')) {
-                    
-                    console.log('🔍 Financial query detected, searching for financial data sections...');
-                    
-                    // Find sections with financial data patterns
-                    const financialPatterns = [
-                        /\$\d+\.?\d*\s*(billion|million|thousand)/gi,
-                        /\d+\.?\d*%/gi,
-                        /q[1-4]\s*\d{4}/gi,
-                        /year-over-year|yoy/gi
-                    ];
-                    
-                    for (const pattern of financialPatterns) {
-                        const matches = docText.match(pattern);
-                        if (matches) {
-                            for (const match of matches) {
-                                const index = docText.indexOf(match);
-                                if (index !== -1) {
-                                    const start = Math.max(0, index - 200);
-                                    const end = Math.min(docText.length, index + 200);
-                                    const snippet = doc.text.substring(start, end).trim();
-                                    
-                                    if (snippet.length > 100 && !isDisclaimerSection(snippet)) {
-                                        const financialScore = calculateFinancialDataScore(snippet);
-                                        if (financialScore > 20) { // Only high-scoring financial snippets
-                                            relevantSections.push({
-                                                snippet: snippet,
-                                                financialScore: financialScore,
-                                                source: 'financial-pattern-match'
-                                            });
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-                
-                // If document is relevant, include it
-                if (relevanceScore > 0 && relevantSections.length > 0) {
-                    // Sort sections by financial data score
-                    relevantSections.sort((a, b) => b.financialScore - a.financialScore);
-                    
-                    relevantSnippets.push({
-                        source: doc.name || 'Document',
-                        relevance: relevanceScore,
-                        snippets: relevantSections.slice(0, 2).map(s => s.snippet) // Get top 2 snippets
-                    });
-                }
-            }
-        }
-        
-        // Sort by relevance and format
-        relevantSnippets.sort((a, b) => b.relevance - a.relevance);
-        
-        if (relevantSnippets.length === 0) {
+        if (passages.length === 0) {
             return null;
         }
         
-        // Format relevant information
-        let formattedInfo = '';
-        for (const snippet of relevantSnippets.slice(0, 3)) { // Top 3 most relevant
-            formattedInfo += `Source: ${snippet.source}\n`;
-            formattedInfo += `Relevance: ${snippet.relevance} matches\n`;
-            formattedInfo += `Context: ${snippet.snippets.join(' ... ')}\n\n`;
-        }
+        const formattedInfo = formatRetrievedPassages(passages);
         
-        console.log('✅ Extracted relevant info from', relevantSnippets.length, 'documents');
+        console.log('✅ Extracted', passages.length, 'passages from', new Set(passages.map(p => p.docId)).size, 'documents');
         console.log('📝 Extracted context preview:', formattedInfo.substring(0, 200) + '...');
-        return formattedInfo.trim();
+        return formattedInfo;
         
     } catch (error) {
         console.error('❌ Error extracting document info:', error);
@@ -475,8 +896,143 @@ const extractRelevantDocumentInfo = async (query, documents) => {
     }
 };
 
+// Helper function to build prompt context from the server-side document index
+const retrieveRepositoryContext = (query, scope) => {
+    const passages = searchRepository(query, 6, scope);
+    
+    if (passages.length === 0) {
+        return null;
+    }
+    
+    console.log('✅ Retrieved', passages.length, 'chunks from the document repository');
+    return formatRetrievedPassages(passages);
+};
+
+// Helper function to resolve a request's document context.
+// documentIds / workspaceId search the repository; inline documents are still
+// accepted for clients that have not uploaded them yet.
+// Returns { context, dependencies } - dependencies tell the response cache which
+// stored documents (and, for workspace-wide searches, which workspace) the answer used.
+const resolveDocumentContext = async (query, { documentIds, workspaceId, documents }) => {
+    const sections = [];
+    const hasDocumentIds = documentIds && documentIds.length > 0;
+    const dependencies = { documentIds: [], workspaceId: null };
+    
+    if (hasDocumentIds || workspaceId) {
+        console.log('🔍 Searching document repository:', hasDocumentIds ? `${documentIds.length} documents` : `workspace ${workspaceId}`);
+        dependencies.documentIds = documentRepository.resolveScope({ documentIds, workspaceId });
+        dependencies.workspaceId = hasDocumentIds ? null : workspaceId;
+        
+        const repositoryInfo = retrieveRepositoryContext(query, { documentIds, workspaceId });
+        if (repositoryInfo) sections.push(repositoryInfo);
+    }
+    
+    if (documents && documents.length > 0) {
+        console.log('🔍 Searching', documents.length, 'inline documents for relevant context...');
+        const inlineInfo = await extractRelevantDocumentInfo(query, documents);
+        if (inlineInfo) sections.push(inlineInfo);
+    }
+    
+    return {
+        context: sections.length > 0 ? sections.join('\n\n') : null,
+        dependencies
+    };
+};
+
+// Helper function to describe an AI request for the response cache
+const buildCacheRequest = (route, prompt, context, templateKind, format = null) => ({
+    route,
+    prompt,
+    context,
+    model: aiService.defaultModel,
+    templateVersion: context ? promptStore.getActiveTemplate(templateKind).version : null,
+    format
+});
+
+// Helper function to check every figure in an answer against the documents.
+// A failed check never fails the answer; the response just has no numericCheck.
+const checkFigures = (answer, sources) => {
+    try {
+        const check = numericVerifier.verify(answer, sources);
+        const { verified, derived, unverified } = check.summary;
+        console.log(`🔢 Figures: ${verified} verified, ${derived} derived, ${unverified} unverified`);
+        return check;
+    } catch (error) {
+        console.error('❌ Error verifying figures:', error.message);
+        return null;
+    }
+};
+
+// Helper function to gather the full text of the documents in a request's scope, for checks
+// that read whole documents rather than retrieved passages (reconciliation tables)
+const documentsInScope = ({ documentIds, workspaceId, documents }) => {
+    const hasScope = (documentIds && documentIds.length > 0) || workspaceId;
+    return [
+        ...(hasScope ? documentRepository.resolveScope({ documentIds, workspaceId }) : [])
+            .map(id => documentRepository.getDocument(id, { includeText: true }))
+            .map(doc => ({ id: doc.id, name: doc.name, text: doc.text })),
+        ...(documents || []).filter(doc => doc && doc.text)
+            .map(doc => ({ id: doc.id || null, name: doc.name || 'Document', text: doc.text }))
+    ];
+};
+
+// Helper function to retrieve the best passages from the repository scope and an inline
+// index (see buildInlineIndex), merged by score
+const retrievePassages = (query, limit, { documentIds, workspaceId, passageIndex = null }) => {
+    let passages = [];
+    if ((documentIds && documentIds.length > 0) || workspaceId) {
+        passages = searchRepository(query, limit, { documentIds, workspaceId });
+    }
+    if (passageIndex) {
+        passages = passages.concat(passageIndex.searchRelevantChunks(query, limit, null, { boost: buildPassageBoost(query, speakersIn(passageIndex.chunks)) }));
+    }
+    return passages
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+// Retrieval only - returns the passages that would be sent to Claude.
+// Used by the browser's RAGAnalysisService, which builds its own prompts.
+app.post('/api/retrieve', async (req, res) => {
+    try {
+        const { query, documentIds, workspaceId, documents, limit = 5 } = req.body;
+        if (!query) {
+            return res.status(400).json({ error: 'Query is required' });
+        }
+        
+        const passageIndex = documents && documents.length > 0 ? await buildInlineIndex(documents) : null;
+        const passages = retrievePassages(query, limit, { documentIds, workspaceId, passageIndex })
+            .map(passage => ({
+                documentId: passage.docId,
+                document: passage.filename,
+                text: passage.text,
+                start: passage.start,
+                end: passage.end,
+                page: passage.page,
+                pageEnd: passage.pageEnd,
+                tables: passage.tables,
+                speaker: passage.speaker || null,
+                section: passage.section || null,
+                exchange: passage.exchange || null,
+                question: passage.question || null,
+                location: SimpleRAGService.describeLocation(passage),
+                score: passage.score,
+                lexicalScore: passage.lexicalScore,
+                vectorScore: passage.vectorScore
+            }));
+        
+        res.json({ success: true, passages });
+    } catch (error) {
+        console.error('❌ Retrieval error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Add the missing analyze-context endpoint that the frontend expects
 app.post('/api/analyze-context', async (req, res) => {
+    // Streaming mode sends partial text as SSE, then a final 'done' event
+    const sse = SSEWriter.wantsStream(req) ? new SSEWriter(res) : null;
+    
     try {
         const userId = req.headers['x-user-id'] || 'default';
         
@@ -492,102 +1048,148 @@ app.post('/api/analyze-context', async (req, res) => {
 
         console.log('📝 Analyze-context request body:', req.body);
         
-        const { prompt, documents } = req.body;
+        const { prompt, documents, documentIds, workspaceId, responseFormat, sourceIds, company, metricQuery } = req.body;
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt is required' });
         }
+        if (responseFormat && !['text', 'structured'].includes(responseFormat)) {
+            return res.status(400).json({ error: 'responseFormat must be "text" or "structured"' });
+        }
+        const structured = responseFormat === 'structured';
         
-        console.log('📚 Documents provided:', documents ? documents.length : 0);
+        console.log('📚 Documents provided:', documents ? documents.length : 0, 'inline,', documentIds ? documentIds.length : 0, 'by ID');
 
+        // Retrieval runs before the cache lookup so the key reflects the current documents
+        const { context: retrievedInfo, dependencies } = await resolveDocumentContext(prompt, { documents, documentIds, workspaceId });
+        // Reported history of the metrics the selection names goes to Claude and the panel.
+        // metricQuery is the bare selection when the prompt also carries instructions.
+        const metricHistory = metricStore.findMentioned(metricQuery || prompt, { company });
+        const relevantInfo = [
+            retrievedInfo,
+            metricHistory.length > 0 ? `Reported metric history:\n${MetricStore.toText(metricHistory)}` : ''
+        ].filter(Boolean).join('\n\n');
+        const cacheRequest = buildCacheRequest('analyze-context', prompt, relevantInfo, 'context', structured ? 'structured' : null);
+        const figureSources = { context: relevantInfo, prompt, documents, documentIds, workspaceId };
+        
         // Check cache first
-        const cachedResult = await contentCache.getCachedContent(prompt, prompt);
+        const cachedResult = await contentCache.getCachedResponse(cacheRequest);
         if (cachedResult) {
             console.log('⚡ Serving from cache');
             rateLimiter.recordRequest(userId, true);
             
-            return res.json({ 
+            const cachedText = structured ? cachedResult.content.summary : cachedResult.content;
+            const cachedPayload = { 
                 success: true, 
-                content: [{ text: cachedResult.content }],
+                content: [{ text: cachedText }],
+                ...(structured && { structured: cachedResult.content }),
                 cached: true,
+                metricHistory,
+                numericCheck: checkFigures(structured ? StructuredAnalysis.toText(cachedResult.content) : cachedText, figureSources),
                 userStats: rateLimiter.getUserStats(userId)
-            });
+            };
+            
+            if (sse) {
+                sse.sendText(cachedText);
+                return sse.done(cachedPayload);
+            }
+            return res.json(cachedPayload);
         }
 
-                // Enhanced context analysis with document search
+        // Enhanced context analysis with document search
         console.log('🧠 Sending enhanced context analysis request to Claude...');
         
         // Build enhanced prompt with document context
         let enhancedPrompt = prompt;
         
-        if (documents && documents.length > 0) {
-            console.log('🔍 Searching documents for relevant context...');
-            
-            // Extract relevant information from documents
-            const relevantInfo = await extractRelevantDocumentInfo(prompt, documents);
+        if (relevantInfo) {
+            enhancedPrompt = promptStore.render('context', { userText: prompt, context: relevantInfo });
             
-            if (relevantInfo) {
-                enhancedPrompt = `${prompt}
-
-=== DOCUMENT CONTEXT AVAILABLE ===
-The following information has been extracted from your uploaded memory documents and is available for analysis:
-
-${relevantInfo}
-
-=== INSTRUCTIONS ===
-You MUST use this document context to provide specific, data-driven insights. Include:
-- Specific numbers, metrics, and facts from the documents
-- Source attribution (which document the data comes from)
-- Comparative analysis when possible
-- Historical trends if mentioned in the documents
-
-IMPORTANT FORMATTING REQUIREMENTS:
-- Do NOT start with "From the provided document context" or similar phrases
-- Format your response with clear sections and bullet points
-- Use proper line breaks between sections
-- Make bullet points easy to read with proper spacing
-- Include source attribution at the end, not in the opening
-
-Do NOT say you don't have access to documents - you DO have access to the context above.`;
-                
-                console.log('📝 Enhanced prompt with document context');
-            }
+            console.log(`📝 Enhanced prompt with document context (context template v${promptStore.getActiveTemplate('context').version})`);
         }
         
         console.log('📝 Final prompt length:', enhancedPrompt.length);
         console.log('📝 Final prompt preview:', enhancedPrompt.substring(0, 300) + '...');
         console.log('📝 Document context included:', enhancedPrompt.includes('RELEVANT DOCUMENT CONTEXT:'));
         
-        try {
-            const response = await anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 2000,
-                messages: [{ 
-                    role: 'user', 
-                    content: enhancedPrompt 
-                }]
+        if (structured) {
+            let result;
+            try {
+                result = await StructuredAnalysis.generate(aiService, enhancedPrompt, {
+                    sourceIds: Array.isArray(sourceIds) ? sourceIds : []
+                });
+            } catch (error) {
+                if (!error.issues) throw error;
+                
+                console.error('❌ Structured analysis failed validation:', error.issues);
+                rateLimiter.recordRequest(userId, false);
+                const failure = { error: error.message, issues: error.issues };
+                if (sse) {
+                    return sse.error(failure.error, { issues: failure.issues });
+                }
+                return res.status(502).json(failure);
+            }
+            
+            console.log(`✅ Structured analysis completed (attempts: ${result.attempts})`);
+            await contentCache.cacheResponse(cacheRequest, result.analysis, {
+                ...dependencies,
+                processingMethod: 'structured-analysis'
             });
+            rateLimiter.recordRequest(userId, true);
             
-            if (response.content && response.content[0] && response.content[0].text) {
-                const finalResponse = response.content[0].text;
+            const payload = {
+                success: true,
+                content: [{ text: result.analysis.summary }],
+                structured: result.analysis,
+                cached: false,
+                attempts: result.attempts,
+                repaired: result.repaired,
+                processingMethod: 'structured-analysis',
+                metricHistory,
+                numericCheck: checkFigures(StructuredAnalysis.toText(result.analysis), figureSources),
+                userStats: rateLimiter.getUserStats(userId)
+            };
+            
+            if (sse) {
+                sse.sendText(result.analysis.summary);
+                return sse.done(payload);
+            }
+            return res.json(payload);
+        }
+        
+        try {
+            const finalResponse = await aiService.generateText(
+                enhancedPrompt,
+                sse ? (text) => sse.sendText(text) : null
+            );
+            
+            if (finalResponse) {
                 console.log('✅ Context analysis completed');
                 console.log('📝 AI Response:', finalResponse);
                 console.log('📝 Response length:', finalResponse.length);
                 
                 // Cache the result
-                await contentCache.cacheContent(prompt, prompt, finalResponse, {
+                await contentCache.cacheResponse(cacheRequest, finalResponse, {
+                    ...dependencies,
                     processingMethod: 'direct-context-analysis'
                 });
                 
                 rateLimiter.recordRequest(userId, true);
                 
                 console.log('📤 Sending to frontend:', { text: finalResponse });
-                res.json({
+                const payload = {
                     success: true,
                     content: [{ text: finalResponse }],
                     cached: false,
                     processingMethod: 'direct-context-analysis',
+                    metricHistory,
+                    numericCheck: checkFigures(finalResponse, figureSources),
                     userStats: rateLimiter.getUserStats(userId)
-                });
+                };
+                
+                if (sse) {
+                    return sse.done(payload);
+                }
+                res.json(payload);
             } else {
                 throw new Error('Invalid response from Claude');
             }
@@ -603,6 +1205,10 @@ Do NOT say you don't have access to documents - you DO have access to the contex
         const userId = req.headers['x-user-id'] || 'default';
         rateLimiter.recordRequest(userId, false);
         
+        if (sse && sse.started) {
+            return sse.error(error.message, { details: 'Check server logs for more information' });
+        }
+        
         if (error.message && error.message.includes('rate_limit')) {
             return res.status(429).json({ 
                 error: 'Claude API rate limit exceeded. Please wait before trying again.',
@@ -619,6 +1225,9 @@ Do NOT say you don't have access to documents - you DO have access to the contex
 });
 
 app.post('/api/chat', async (req, res) => {
+    // Streaming mode sends partial text as SSE, then a final 'done' event
+    const sse = SSEWriter.wantsStream(req) ? new SSEWriter(res) : null;
+    
     try {
         const userId = req.headers['x-user-id'] || 'default';
         
@@ -635,7 +1244,7 @@ app.post('/api/chat', async (req, res) => {
         console.log('📝 Chat request body:', req.body);
         
         // Handle both 'prompt' and 'message' fields for compatibility
-        const { prompt, message, documents } = req.body;
+        const { prompt, message, documents, documentIds, workspaceId, conversationId } = req.body;
         const content = prompt || message;
 
         if (!content) {
@@ -646,22 +1255,59 @@ app.post('/api/chat', async (req, res) => {
             });
         }
         
-        console.log('📚 Chat request includes', documents ? documents.length : 0, 'documents');
-
+        console.log('📚 Chat request includes', documents ? documents.length : 0, 'inline documents,', documentIds ? documentIds.length : 0, 'by ID');
+        
+        // Multi-turn chat - prior turns go to Claude as messages, within the history token budget
+        if (conversationId && !conversationStore.getConversation(conversationId)) {
+            return res.status(404).json({ error: `Conversation ${conversationId} not found` });
+        }
+        const history = conversationId
+            ? conversationStore.buildHistory(conversationId, configService.getAIConfig().historyTokenBudget)
+            : { messages: [], includedTurns: 0, totalTurns: 0, truncated: false };
+        if (history.truncated) {
+            console.log(`✂️ Conversation ${conversationId}: sending ${history.includedTurns}/${history.totalTurns} prior turns (token budget)`);
+        }
+        
+        // Retrieval is rerun every turn; follow-ups also search with the previous question
+        const retrievalQuery = conversationId ? conversationStore.buildRetrievalQuery(conversationId, content) : content;
+        
+        // Retrieval runs before the cache lookup so the key reflects the current documents
+        const { context: relevantInfo, dependencies } = await resolveDocumentContext(retrievalQuery, { documents, documentIds, workspaceId });
+        const cacheRequest = buildCacheRequest('chat', content, relevantInfo, 'chat');
+        const figureSources = { context: relevantInfo, prompt: content, documents, documentIds, workspaceId };
+        
+        // Answers that depend on earlier turns are not reusable, so only the first turn is cached
+        const canUseCache = history.totalTurns === 0;
+        const conversationInfo = conversationId
+            ? { conversationId, historyTurns: history.includedTurns, historyTruncated: history.truncated }
+            : {};
+        
         // Check cache first
-        const cachedResult = await contentCache.getCachedContent(content, message || prompt);
+        const cachedResult = canUseCache ? await contentCache.getCachedResponse(cacheRequest) : null;
         if (cachedResult) {
+            if (conversationId) {
+                conversationStore.appendExchange(conversationId, content, cachedResult.content, { cached: true });
+            }
+            
             console.log('⚡ Serving from cache');
             rateLimiter.recordRequest(userId, true);
             
-            return res.json({ 
+            const cachedPayload = { 
                 success: true, 
                 response: cachedResult.content,
                 content: [{ text: cachedResult.content }], // Backward compatibility with frontend
-                contextUsed: false,
+                contextUsed: !!relevantInfo,
                 cached: true,
+                numericCheck: checkFigures(cachedResult.content, figureSources),
+                ...conversationInfo,
                 userStats: rateLimiter.getUserStats(userId)
-            });
+            };
+            
+            if (sse) {
+                sse.sendText(cachedResult.content);
+                return sse.done(cachedPayload);
+            }
+            return res.json(cachedPayload);
         }
 
         // Enhanced chat with document context
@@ -670,38 +1316,10 @@ app.post('/api/chat', async (req, res) => {
         // Build enhanced prompt with document context
         let enhancedPrompt = content;
         
-        if (documents && documents.length > 0) {
-            console.log('🔍 Searching documents for relevant context...');
-            
-            // Extract relevant information from documents
-            const relevantInfo = await extractRelevantDocumentInfo(content, documents);
+        if (relevantInfo) {
+            enhancedPrompt = promptStore.render('chat', { userText: content, context: relevantInfo });
             
-            if (relevantInfo) {
-                enhancedPrompt = `${content}
-
-=== DOCUMENT CONTEXT AVAILABLE ===
-The following information has been extracted from your uploaded memory documents and is available for analysis:
-
-${relevantInfo}
-
-=== INSTRUCTIONS ===
-You MUST use this document context to provide specific, data-driven insights. Include:
-- Specific numbers, metrics, and facts from the documents
-- Source attribution (which document the data comes from)
-- Comparative analysis when possible
-- Historical trends if mentioned in the documents
-
-IMPORTANT FORMATTING REQUIREMENTS:
-- Do NOT start with "From the provided document context" or similar phrases
-- Format your response with clear sections and bullet points
-- Use proper line breaks between sections
-- Make bullet points easy to read with proper spacing
-- Include source attribution at the end, not in the opening
-
-Do NOT say you don't have access to documents - you DO have access to the context above.`;
-                
-                console.log('📝 Enhanced chat prompt with document context');
-            }
+            console.log(`📝 Enhanced chat prompt with document context (chat template v${promptStore.getActiveTemplate('chat').version})`);
         }
         
         // Smart content processing with enhanced prompt
@@ -709,69 +1327,64 @@ Do NOT say you don't have access to documents - you DO have access to the contex
         const chunkSummary = smartProcessor.getChunkSummary(processedChunks);
         
         console.log(`📊 Smart chunking: ${chunkSummary.totalChunks} chunks, ${chunkSummary.totalContentLength} chars`);
-
-        // Process chunks intelligently
-        let finalResponse = '';
-        let processedChunksCount = 0;
         
-        for (const chunk of processedChunks) {
-            if (processedChunksCount >= 3) { // Limit to 3 chunks to avoid rate limits
-                console.log('⚠️ Limiting to 3 chunks to prevent rate limiting');
-                break;
-            }
-            
-            console.log(`🔄 Processing chunk ${processedChunksCount + 1}/${processedChunksCount.length}: ${chunk.content.length} chars`);
-            
-            try {
-                const response = await anthropic.messages.create({
-                    model: 'claude-sonnet-4-20250514',
-                    max_tokens: 2000,
-                    messages: [{ role: 'user', content: chunk.content }]
-                });
-                
-                if (response.content && response.content[0] && response.content[0].text) {
-                    finalResponse += (finalResponse ? '\n\n' : '') + response.content[0].text;
-                    processedChunksCount++;
-                }
-                
-                // Small delay between chunks to be respectful to API
-                if (processedChunksCount < processedChunks.length) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-                
-            } catch (error) {
-                console.error(`❌ Error processing chunk ${processedChunksCount + 1}:`, error.message);
-                if (error.message.includes('rate_limit')) {
-                    break; // Stop processing if we hit rate limits
-                }
-            }
-        }
+        // One chunk is answered directly; more are mapped to findings and synthesized into one answer
+        const synthesis = await chatSynthesizer.answer({
+            question: content,
+            chunks: processedChunks,
+            history: history.messages,
+            onProgress: sse ? (progress) => sse.sendProgress(progress) : null,
+            onText: sse ? (text) => sse.sendText(text) : null
+        });
+        const finalResponse = synthesis.text;
         
         if (!finalResponse) {
             throw new Error('Failed to process any content chunks');
         }
         
-        console.log('✅ Content processing completed');
+        console.log(`✅ Content processing completed (${synthesis.mode}, ${synthesis.chunksProcessed}/${synthesis.totalChunks} chunks)`);
         
-        // Cache the result for future use
-        await contentCache.cacheContent(content, message || prompt, finalResponse, {
-            chunksProcessed: processedChunksCount,
-            totalChunks: processedChunks.length,
-            processingMethod: 'smart-chunking'
-        });
+        // Cache the result for future use - partial answers are not worth reusing
+        if (canUseCache && synthesis.droppedChunks.length === 0) {
+            await contentCache.cacheResponse(cacheRequest, finalResponse, {
+                ...dependencies,
+                chunksProcessed: synthesis.chunksProcessed,
+                totalChunks: synthesis.totalChunks,
+                processingMethod: synthesis.mode
+            });
+        }
+        
+        // History keeps the user's own words, not the prompt with retrieved context
+        if (conversationId) {
+            conversationStore.appendExchange(conversationId, content, finalResponse, { contextUsed: !!relevantInfo });
+        }
         
         // Record successful request
         rateLimiter.recordRequest(userId, true);
         
-        res.json({ 
+        const payload = { 
             success: true, 
             response: finalResponse,
             content: [{ text: finalResponse }], // Backward compatibility with frontend
-            contextUsed: documents && documents.length > 0,
+            contextUsed: !!relevantInfo,
             cached: false,
             chunkSummary,
+            synthesis: {
+                mode: synthesis.mode,
+                chunksProcessed: synthesis.chunksProcessed,
+                totalChunks: synthesis.totalChunks,
+                droppedChunks: synthesis.droppedChunks,
+                citations: synthesis.citations
+            },
+            numericCheck: checkFigures(finalResponse, figureSources),
+            ...conversationInfo,
             userStats: rateLimiter.getUserStats(userId)
-        });
+        };
+        
+        if (sse) {
+            return sse.done(payload);
+        }
+        res.json(payload);
         
     } catch (error) {
         console.error('❌ Chat API Error:', error);
@@ -780,6 +1393,10 @@ Do NOT say you don't have access to documents - you DO have access to the contex
         const userId = req.headers['x-user-id'] || 'default';
         rateLimiter.recordRequest(userId, false);
         
+        if (sse && sse.started) {
+            return sse.error(error.message, { details: 'Check server logs for more information' });
+        }
+        
         // Handle specific Claude rate limit errors
         if (error.message && error.message.includes('rate_limit')) {
             return res.status(429).json({ 
@@ -796,11 +1413,105 @@ Do NOT say you don't have access to documents - you DO have access to the contex
     }
 });
 
+// Earnings call script, written section by section from the documents in scope.
+// Streaming mode sends a progress event per section, then a final 'done' event.
+app.post('/api/scripts/generate', async (req, res) => {
+    const sse = SSEWriter.wantsStream(req) ? new SSEWriter(res) : null;
+    
+    try {
+        const userId = req.headers['x-user-id'] || 'default';
+        
+        const rateLimitCheck = rateLimiter.isRequestAllowed(userId);
+        if (!rateLimitCheck.allowed) {
+            return res.status(429).json({ 
+                error: 'Rate limit exceeded. Please wait before making another request.',
+                retryAfter: rateLimitCheck.retryAfter,
+                tier: rateLimiter.getUserLimit(userId).tier
+            });
+        }
+        
+        const { documentIds, workspaceId, documents, company, companyName, industryFocus, reportingPeriod, period, speakers } = req.body;
+        const hasScope = (documentIds && documentIds.length > 0) || workspaceId;
+        if (!hasScope && !(documents && documents.length > 0)) {
+            return res.status(400).json({ error: 'documentIds, workspaceId or documents are required' });
+        }
+        
+        let sections;
+        try {
+            sections = ScriptGenerator.resolveSections(req.body.sections);
+        } catch (error) {
+            if (!error.issues) throw error;
+            return res.status(error.status).json({ error: error.message, issues: error.issues });
+        }
+        
+        // Speakers not named in the request come from the executives on stored call transcripts
+        const passageIndex = documents && documents.length > 0 ? await buildInlineIndex(documents) : null;
+        const participants = [
+            ...(hasScope ? documentRepository.resolveScope({ documentIds, workspaceId }) : [])
+                .flatMap(id => (documentRepository.getDocument(id).transcript || { participants: [] }).participants),
+            ...(passageIndex ? speakersIn(passageIndex.chunks) : [])
+        ];
+        
+        const settings = { company, companyName, industryFocus, reportingPeriod, period };
+        console.log(`📜 Generating a ${sections.length}-section script for ${companyName || company || 'an unnamed company'}${period ? ` (${period})` : ''}`);
+        
+        const generator = new ScriptGenerator(aiService, {
+            retrieve: async (query, limit) => retrievePassages(query, limit, { documentIds, workspaceId, passageIndex })
+        });
+        const script = await generator.generate({
+            settings,
+            sections,
+            speakers: ScriptGenerator.resolveSpeakers(speakers, participants),
+            onProgress: sse ? (progress) => sse.sendProgress(progress) : null
+        });
+        
+        if (script.sections.length === 0) {
+            throw new Error(`No script sections could be written: ${script.failedSections.map(failed => failed.reason).join('; ')}`);
+        }
+        
+        rateLimiter.recordRequest(userId, true);
+        console.log(`✅ Script generated: ${script.sections.length} sections, ${script.sections.reduce((total, section) => total + section.citations.length, 0)} citations`);
+        
+        const payload = {
+            success: true,
+            script: { ...settings, ...script },
+            numericCheck: checkFigures(script.text, { documentIds, workspaceId, documents }),
+            compliance: ComplianceChecker.check(script.text, { sections: ScriptGenerator.sectionBounds(script.sections) }),
+            nonGaap: NonGaapChecker.check(script.text, {
+                sections: ScriptGenerator.sectionBounds(script.sections),
+                documents: documentsInScope({ documentIds, workspaceId, documents })
+            }),
+            userStats: rateLimiter.getUserStats(userId)
+        };
+        
+        if (sse) {
+            return sse.done(payload);
+        }
+        res.json(payload);
+        
+    } catch (error) {
+        console.error('❌ Script generation error:', error);
+        
+        const userId = req.headers['x-user-id'] || 'default';
+        rateLimiter.recordRequest(userId, false);
+        
+        if (sse && sse.started) {
+            return sse.error(error.message, { details: 'Check server logs for more information' });
+        }
+        
+        res.status(500).json({ 
+            error: error.message,
+            details: 'Check server logs for more information'
+        });
+    }
+});
+
 // WebSocket server for real-time features
 const server = app.listen(port, () => {
     console.log(`✅ Simple server running at http://localhost:${port}`);
     console.log(`✅ No LangChain dependencies!`);
-    console.log(`✅ Claude model: claude-sonnet-4-20250514`);
+    const aiStatus = aiService.getServiceStatus();
+    console.log(`✅ AI provider: ${aiStatus.provider} (model: ${aiStatus.model})`);
 }).on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
         console.error(`❌ Port ${port} is busy. Trying ${port + 1}...`);
@@ -812,56 +1523,18 @@ const server = app.listen(port, () => {
     }
 });
 
+// Exit normally on a signal so pending writes (the cache index) are flushed on 'exit'
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+    console.log(`👋 ${signal} received, shutting down`);
+    process.exit(0);
+}));
+
 const wss = new WebSocket.Server({ server });
 
-wss.on('connection', (ws) => {
-    console.log('📱 WebSocket client connected');
-    
-    ws.on('message', async (data) => {
-        try {
-            const message = JSON.parse(data);
-            
-            if (message.type === 'chat') {
-                const context = ragService.getContext(message.content);
-                const prompt = context 
-                    ? `Context:\n${context}\n\nUser: ${message.content}`
-                    : message.content;
-                    
-                const response = await anthropic.messages.create({
-                    model: 'claude-sonnet-4-20250514',
-                    max_tokens: 2000,
-                    messages: [{ role: 'user', content: prompt }]
-                });
-                
-                ws.send(JSON.stringify({
-                    type: 'response',
-                    content: response.content[0].text,
-                    contextUsed: !!context
-                }));
-            }
-            
-            if (message.type === 'add_document') {
-                const doc = await ragService.addDocument(
-                    message.content, 
-                    message.filename
-                );
-                ws.send(JSON.stringify({
-                    type: 'document_added',
-                    document: doc
-                }));
-            }
-            
-        } catch (error) {
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: error.message
-            }));
-        }
-    });
-    
-    ws.on('close', () => {
-        console.log('📱 WebSocket client disconnected');
-    });
+const realtimeRouter = new RealtimeRouter({
+    wss,
+    documentRepository,
+    generate: (prompt, onText) => aiService.generateText(prompt, onText)
 });
 
 module.exports = app;
@@ -1,5 +1,6 @@
 // smart-content-processor.js - Intelligent content processing
 const fs = require('fs');
+const TranscriptParser = require('./transcript-parser');
 
 console.log('🚀 SmartContentProcessor module loaded!');
 
@@ -68,6 +69,12 @@ class SmartContentProcessor {
     // Split by major document sections
     splitBySections(content) {
         console.log(`🔍 Splitting content: ${content.length} characters`);
+
+        const transcriptSections = this.splitByTranscript(content);
+        if (transcriptSections) {
+            console.log(`🎙️ Transcript sections: ${transcriptSections.length}`);
+            return transcriptSections;
+        }
         
         const sectionPatterns = [
             /\n\s*#{1,6}\s+.+/g,           // Markdown headers
@@ -140,6 +147,27 @@ class SmartContentProcessor {
         return finalSections;
     }
 
+    // Call transcripts carry speaker markers (see transcript-parser.js): the prepared remarks
+    // without the operator's logistics make one section and each Q&A exchange another, so an
+    // answer stays with its question. Null when the content has no markers.
+    splitByTranscript(content) {
+        const turns = TranscriptParser.readTurns(content);
+        if (turns.length === 0) return null;
+
+        const slice = turn => content.slice(turn.index, turn.end).trim();
+        const remarks = turns
+            .filter(turn => turn.section === 'prepared_remarks' && turn.speaker.role !== 'operator')
+            .map(slice);
+        const exchanges = new Map();
+        turns.filter(turn => turn.exchange).forEach(turn => {
+            exchanges.set(turn.exchange, [...(exchanges.get(turn.exchange) || []), slice(turn)]);
+        });
+
+        return [remarks, ...exchanges.values()]
+            .map(parts => parts.join('\n\n'))
+            .filter(section => section.trim().length > 0);
+    }
+
     // Split by paragraphs with smart boundaries
     splitByParagraphs(content) {
         const paragraphs = content.split(/\n\s*\n/);
@@ -0,0 +1,310 @@
+// spreadsheet-metrics.js - Reads financial models and KPI packs as metric records
+// A sheet is scanned for a unit hint ("($ in millions)", "in thousands", "$000"), the header
+// row holding period columns (Q1 2024, FY2025) and the column of line-item labels. Every
+// numeric cell under a period becomes one record carrying its raw text, its scale and the
+// scaled value. Long tables with metric / period / value columns are read row by row.
+const FinancialPeriods = require('./financial-periods');
+const FinancialQuantity = require('../js/modules/FinancialQuantity');
+
+const SCALE_WORDS = { thousands: 1e3, millions: 1e6, billions: 1e9 };
+const SCALE_ABBREVIATIONS = { '000': 1e3, '000s': 1e3, '000\'s': 1e3, k: 1e3, m: 1e6, mm: 1e6, mn: 1e6, b: 1e9, bn: 1e9 };
+const SCALE_NAMES = { 1e3: 'thousand', 1e6: 'million', 1e9: 'billion' };
+
+const UNIT_PATTERNS = {
+    scaleWord: /\b(thousands|millions|billions)\b/i,
+    // "(000s)", "($mm)" - single letters need a dollar sign, since "(b)" is usually a footnote
+    parenthesized: /\(\s*(?:US)?\$?\s?(000s?|000's|mm|mn|bn)\s*\)/i,
+    dollar: /(?:US)?\$\s?(?:in\s+)?(000s?|000's|mm|mn|bn|m|b|k)(?![a-z])/i,
+    currency: /\$|\bUSD\b|\bdollars\b/i,
+    percent: /%|\bpercent(?:age)?\b/i
+};
+const PER_SHARE_LABEL = /\bper\s+(?:diluted\s+|basic\s+)?share\b|\bEPS\b/i;
+const LONG_HEADERS = {
+    metric: /^(?:metric|line item|item|kpi|measure|account|name)$/i,
+    period: /^(?:period|quarter|fiscal period|fiscal year)$/i,
+    value: /^(?:value|amount|actual|reported)$/i,
+    unit: /^(?:units?|scale|uom)$/i
+};
+const UNIT_HEADER = LONG_HEADERS.unit;
+const VALUE_SUFFIXES = { percent: '%', multiple: 'x', basis_points: 'bps' };
+
+const HEADER_SCAN_ROWS = 15; // Title and unit rows sit above the header in most models
+const MAX_RECORDS = 5000;
+
+class SpreadsheetMetrics {
+    // rows: trimmed cell text of one sheet. rowNumbers: sheet row number of each entry.
+    // calendar: the company's FiscalCalendar, which dates each period.
+    // Returns { records, layout, titleRows } or null when the grid has no period columns
+    // and is not a metric / period / value table.
+    static extract(rows, { sheet = 'Sheet1', rowNumbers = null, calendar } = {}) {
+        const layout = SpreadsheetMetrics.detectLayout(rows, calendar);
+        if (!layout) return null;
+
+        const titleRows = rows.slice(0, layout.headerIndex)
+            .map(row => row.filter(Boolean).join(' ').trim())
+            .filter(Boolean);
+        layout.unit = SpreadsheetMetrics.detectUnit([sheet, ...titleRows, ...rows[layout.headerIndex]].join(' ')) ||
+            { scale: 1, currency: null };
+
+        const position = (index, column) => {
+            const rowNumber = rowNumbers ? rowNumbers[index] : index + 1;
+            return { sheet, row: rowNumber, cell: `${SpreadsheetMetrics.columnLetter(column)}${rowNumber}` };
+        };
+        const records = layout.type === 'long'
+            ? SpreadsheetMetrics.readLongTable(rows, layout, position, calendar)
+            : SpreadsheetMetrics.readPeriodColumns(rows, layout, position);
+
+        return records.length > 0 ? { records, layout, titleRows } : null;
+    }
+
+    // ============================================================================
+    // LAYOUT DETECTION
+    // ============================================================================
+
+    // The first row that is either a metric / period / value header or holds period columns
+    static detectLayout(rows, calendar) {
+        const scanLimit = Math.min(rows.length, HEADER_SCAN_ROWS);
+
+        for (let index = 0; index < scanLimit; index++) {
+            const columns = {};
+            Object.entries(LONG_HEADERS).forEach(([role, pattern]) => {
+                columns[role] = rows[index].findIndex(cell => pattern.test(cell));
+            });
+            if (columns.metric !== -1 && columns.period !== -1 && columns.value !== -1) {
+                return { type: 'long', headerIndex: index, columns };
+            }
+
+            const periodColumns = rows[index]
+                .map((cell, column) => ({ column, period: FinancialPeriods.parse(cell, { calendar }), bareYear: /^\d{4}\s*[AE]?$/i.test(cell) }))
+                .filter(entry => entry.period);
+            // One bare year is too weak to call a header row; one "Q3 2025" is not
+            const isHeader = periodColumns.length >= 2 || periodColumns.some(entry => !entry.bareYear);
+            if (!isHeader) continue;
+
+            const periodIndexes = new Set(periodColumns.map(entry => entry.column));
+            const labelColumn = SpreadsheetMetrics.findLabelColumn(rows.slice(index + 1), periodIndexes);
+            if (labelColumn === -1) continue;
+
+            return {
+                type: 'periods',
+                headerIndex: index,
+                labelColumn,
+                unitColumn: rows[index].findIndex(cell => UNIT_HEADER.test(cell)),
+                periodColumns: periodColumns.map(({ column, period }) => ({ column, period }))
+            };
+        }
+
+        return null;
+    }
+
+    // The non-period column holding the most text labels under the header
+    static findLabelColumn(bodyRows, periodIndexes) {
+        const counts = new Map();
+        bodyRows.forEach(row => row.forEach((cell, column) => {
+            if (periodIndexes.has(column) || !cell || SpreadsheetMetrics.parseValue(cell)) return;
+            counts.set(column, (counts.get(column) || 0) + 1);
+        }));
+
+        let best = -1;
+        counts.forEach((count, column) => {
+            if (best === -1 || count > counts.get(best) || (count === counts.get(best) && column < best)) {
+                best = column;
+            }
+        });
+        return best;
+    }
+
+    // { scale, currency } from text such as "($ in millions, except per share data)"
+    static detectUnit(text) {
+        if (!text) return null;
+        const currency = UNIT_PATTERNS.currency.test(text) ? 'USD' : null;
+
+        const word = text.match(UNIT_PATTERNS.scaleWord);
+        if (word) return { scale: SCALE_WORDS[word[1].toLowerCase()], currency };
+
+        const abbreviation = text.match(UNIT_PATTERNS.parenthesized) || text.match(UNIT_PATTERNS.dollar);
+        if (abbreviation) return { scale: SCALE_ABBREVIATIONS[abbreviation[1].toLowerCase()], currency };
+
+        return currency ? { scale: 1, currency } : null;
+    }
+
+    // ============================================================================
+    // RECORDS
+    // ============================================================================
+
+    static readPeriodColumns(rows, layout, position) {
+        const records = [];
+        let section = null;
+
+        for (let index = layout.headerIndex + 1; index < rows.length && records.length < MAX_RECORDS; index++) {
+            const row = rows[index];
+            const label = SpreadsheetMetrics.cleanLabel(row[layout.labelColumn]);
+            if (!label) continue;
+
+            const values = layout.periodColumns
+                .map(({ column, period }) => ({ column, period, parsed: SpreadsheetMetrics.parseValue(row[column]) }))
+                .filter(entry => entry.parsed);
+
+            // A label with nothing beside it ("Operating expenses:") heads the rows below it
+            if (values.length === 0) {
+                if (row.every((cell, column) => column === layout.labelColumn || !cell)) {
+                    section = label;
+                }
+                continue;
+            }
+
+            const rowHint = [row[layout.labelColumn], layout.unitColumn !== -1 ? row[layout.unitColumn] : ''].join(' ');
+            const rowSection = section;
+            // A "Total ..." row closes its section
+            if (/^total\b/i.test(label)) section = null;
+            values.forEach(({ column, period, parsed }) => {
+                records.push(SpreadsheetMetrics.buildRecord({
+                    label, section: rowSection, period, parsed,
+                    raw: row[column],
+                    unit: SpreadsheetMetrics.resolveUnit(parsed, label, rowHint, layout.unit),
+                    ...position(index, column)
+                }));
+            });
+        }
+
+        return records.slice(0, MAX_RECORDS);
+    }
+
+    static readLongTable(rows, layout, position, calendar) {
+        const { metric, period: periodColumn, value, unit } = layout.columns;
+        const records = [];
+
+        for (let index = layout.headerIndex + 1; index < rows.length && records.length < MAX_RECORDS; index++) {
+            const row = rows[index];
+            const label = SpreadsheetMetrics.cleanLabel(row[metric]);
+            const period = FinancialPeriods.parse(row[periodColumn], { calendar });
+            const parsed = SpreadsheetMetrics.parseValue(row[value]);
+            if (!label || !period || !parsed) continue;
+
+            const rowHint = [row[metric], unit !== -1 ? row[unit] : ''].join(' ');
+            records.push(SpreadsheetMetrics.buildRecord({
+                label, section: null, period, parsed,
+                raw: row[value],
+                unit: SpreadsheetMetrics.resolveUnit(parsed, label, rowHint, layout.unit),
+                ...position(index, value)
+            }));
+        }
+
+        return records;
+    }
+
+    // Per-share figures and percentages are never scaled, whatever the sheet says
+    static resolveUnit(parsed, label, rowHint, sheetUnit) {
+        if (parsed.suffix === '%' || (!parsed.currency && UNIT_PATTERNS.percent.test(rowHint))) {
+            return { unit: 'percent', scale: 1 };
+        }
+        if (parsed.suffix === 'x') return { unit: 'multiple', scale: 1 };
+        if (parsed.suffix === 'bps') return { unit: 'basis_points', scale: 1 };
+
+        // A row's own hint ("Members (in thousands)", a "$bn" units cell) overrides the sheet's
+        const base = SpreadsheetMetrics.detectUnit(rowHint) || sheetUnit;
+        const currency = parsed.currency || base.currency;
+        if (PER_SHARE_LABEL.test(label)) {
+            return { unit: currency ? `${currency}/share` : 'per_share', scale: 1 };
+        }
+        // A cell that carries its own scale ("$1.2bn") ignores the sheet's
+        return { unit: currency, scale: parsed.scale !== 1 ? parsed.scale : base.scale };
+    }
+
+    static buildRecord({ label, section, period, parsed, raw, unit, sheet, row, cell }) {
+        return {
+            metric: SpreadsheetMetrics.metricKey(label),
+            label,
+            section,
+            period: period.label,
+            periodType: period.type,
+            periodOrder: period.order,
+            periodStart: period.startDate,
+            periodEnd: period.endDate,
+            estimate: period.estimate,
+            rawValue: raw,
+            number: parsed.number,
+            unit: unit.unit,
+            scale: unit.scale,
+            value: Number((parsed.number * unit.scale).toPrecision(15)),
+            sheet,
+            row,
+            cell
+        };
+    }
+
+    // "1,234.5", "(45)", "$2.10", "$1.2bn", "12.5%", "1.8x", "-35 bps" -> { number, currency, suffix, scale };
+    // blanks and dashes -> null
+    static parseValue(text) {
+        const quantity = FinancialQuantity.parse(text);
+        if (!quantity) return null;
+
+        return {
+            number: quantity.number,
+            currency: quantity.currency,
+            suffix: VALUE_SUFFIXES[quantity.type] || null,
+            scale: quantity.scale
+        };
+    }
+
+    // Footnote markers and trailing colons are dropped: "Medical costs (1):" -> "Medical costs"
+    static cleanLabel(text) {
+        return (text || '')
+            .replace(/\s*\((?:\d|[a-z])\)\s*$/i, '')
+            .replace(/\s*[:*]+\s*$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // "Medical costs" -> "medical_costs"
+    static metricKey(label) {
+        return label.toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/%/g, ' pct ')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    static columnLetter(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return letters;
+    }
+
+    // ============================================================================
+    // INDEXED TEXT
+    // ============================================================================
+
+    // One self-contained line per record, so a search for "Q2 medical costs" finds the
+    // cell itself instead of a grid row far from its header
+    static toText(extracted) {
+        const lines = [...extracted.titleRows];
+        extracted.records.forEach(record => {
+            const name = record.section ? `${record.label} (${record.section})` : record.label;
+            lines.push(`${name}, ${record.period}${record.estimate ? ' estimate' : ''}: ${SpreadsheetMetrics.formatValue(record)} [${record.sheet}!${record.cell}]`);
+        });
+        return lines.join('\n');
+    }
+
+    // "$1,234 million (1,234,000,000)", "85.2%", "$2.10 per share"; withValue: false drops
+    // the scaled value in parentheses
+    static formatValue(record, { withValue = true } = {}) {
+        const sign = record.number < 0 ? '-' : '';
+        const digits = Math.abs(record.number).toLocaleString('en-US', { maximumFractionDigits: 10 });
+        const dollar = record.unit && record.unit.startsWith('USD') ? '$' : '';
+
+        if (record.unit === 'percent') return `${sign}${digits}%`;
+        if (record.unit === 'multiple') return `${sign}${digits}x`;
+        if (record.unit === 'basis_points') return `${sign}${digits} bps`;
+        if (record.unit === 'USD/share' || record.unit === 'per_share') return `${sign}${dollar}${digits} per share`;
+        if (SCALE_NAMES[record.scale]) {
+            const scaled = withValue ? ` (${record.value.toLocaleString('en-US', { maximumFractionDigits: 2 })})` : '';
+            return `${sign}${dollar}${digits} ${SCALE_NAMES[record.scale]}${scaled}`;
+        }
+        return `${sign}${dollar}${digits}`;
+    }
+}
+
+module.exports = SpreadsheetMetrics;
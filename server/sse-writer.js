@@ -0,0 +1,75 @@
+// sse-writer.js - Server-Sent Events helper for streaming Claude output
+class SSEWriter {
+    constructor(res) {
+        this.res = res;
+        this.started = false;
+        this.closed = false;
+
+        // Stop writing if the browser goes away mid-stream
+        res.on('close', () => {
+            this.closed = true;
+        });
+    }
+
+    // Streaming is opt-in: body flag or an explicit Accept header
+    static wantsStream(req) {
+        if (req.body && req.body.stream === true) return true;
+        const accept = req.headers.accept || '';
+        return accept.includes('text/event-stream');
+    }
+
+    // Send SSE headers once, before the first event
+    start() {
+        if (this.started) return;
+
+        this.res.status(200);
+        this.res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        this.res.setHeader('Cache-Control', 'no-cache, no-transform');
+        this.res.setHeader('Connection', 'keep-alive');
+        this.res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+        this.res.flushHeaders();
+
+        this.started = true;
+    }
+
+    // Write a single named event with a JSON payload
+    send(event, data) {
+        if (this.closed) return false;
+        this.start();
+
+        this.res.write(`event: ${event}\n`);
+        this.res.write(`data: ${JSON.stringify(data)}\n\n`);
+        return true;
+    }
+
+    // Partial text from Claude
+    sendText(text) {
+        if (!text) return false;
+        return this.send('chunk', { text });
+    }
+
+    // Pipeline progress, e.g. { stage: 'map', completed, total } while chunks are analyzed
+    sendProgress(progress) {
+        return this.send('progress', progress);
+    }
+
+    // Final event carries the same payload as the non-streaming JSON response
+    done(payload) {
+        this.send('done', payload);
+        this.end();
+    }
+
+    // Errors after headers are sent cannot change the status code
+    error(message, details = {}) {
+        this.send('error', { error: message, ...details });
+        this.end();
+    }
+
+    end() {
+        if (this.closed) return;
+        this.closed = true;
+        this.res.end();
+    }
+}
+
+module.exports = SSEWriter;
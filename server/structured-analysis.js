@@ -0,0 +1,181 @@
+// structured-analysis.js - Schema-validated JSON output for /api/analyze-context
+// Claude is asked for a JSON object; the reply is parsed, lightly repaired (types, casing,
+// "8/10" scores) and validated. When it still fails, Claude gets one repair attempt with the
+// validation errors before the request fails.
+
+const TONES = ['conservative', 'optimistic', 'neutral', 'cautious'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const MAX_LIST_ITEMS = 6;
+const MAX_ATTEMPTS = 2; // First answer + one repair
+
+const SCHEMA_DESCRIPTION = `{
+  "score": integer 1-10 - consistency of the draft with the historical context,
+  "scoreRationale": string - one sentence explaining the score,
+  "tone": one of ${TONES.map(tone => `"${tone}"`).join(', ')},
+  "summary": string - two or three sentences,
+  "insights": array of 1-${MAX_LIST_ITEMS} strings,
+  "recommendations": array of 0-${MAX_LIST_ITEMS} strings, each a specific action,
+  "concerns": array of 0-${MAX_LIST_ITEMS} strings - questions investors or stakeholders might raise,
+  "confidence": one of ${CONFIDENCE_LEVELS.map(level => `"${level}"`).join(', ')},
+  "citedSourceIds": array of source IDs the analysis relies on
+}`;
+
+class StructuredAnalysis {
+    // System prompt that replaces the free-text OUTPUT FORMAT section
+    static buildSystemPrompt(sourceIds = []) {
+        const sourceRule = sourceIds.length > 0
+            ? `Only cite these source IDs: ${sourceIds.join(', ')}. Use an empty array if none apply.`
+            : 'Cite the document names shown in the context, or use an empty array if there is no context.';
+
+        return `You are an expert financial communications analyst. Respond with a single JSON object and nothing else - no markdown, no code fences.
+The object must match this schema:
+${SCHEMA_DESCRIPTION}
+${sourceRule}`;
+    }
+
+    // Extract the outermost JSON object from a reply that may include fences or prose
+    static parseJSON(text) {
+        const cleaned = (text || '').replace(/```(?:json)?/g, '').trim();
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('Response does not contain a JSON object');
+        }
+        return JSON.parse(cleaned.substring(start, end + 1));
+    }
+
+    // Fix the mistakes models commonly make without changing meaning
+    static repair(value) {
+        const repaired = { ...value };
+
+        if (typeof repaired.score === 'string') {
+            const match = repaired.score.match(/\d+(?:\.\d+)?/);
+            repaired.score = match ? Number(match[0]) : repaired.score;
+        }
+        if (typeof repaired.score === 'number') {
+            repaired.score = Math.round(repaired.score);
+        }
+
+        ['tone', 'confidence'].forEach(field => {
+            if (typeof repaired[field] === 'string') {
+                repaired[field] = repaired[field].trim().toLowerCase().split(/[\s,.-]/)[0];
+            }
+        });
+
+        ['insights', 'recommendations', 'concerns', 'citedSourceIds'].forEach(field => {
+            if (typeof repaired[field] === 'string') {
+                repaired[field] = repaired[field].trim() ? [repaired[field].trim()] : [];
+            }
+            // Optional lists may be left out; a missing insights list stays an error
+            if ((repaired[field] === undefined || repaired[field] === null) && field !== 'insights') {
+                repaired[field] = [];
+            }
+            if (Array.isArray(repaired[field])) {
+                repaired[field] = repaired[field]
+                    .map(item => (typeof item === 'number' ? String(item) : item))
+                    .filter(item => typeof item === 'string' && item.trim())
+                    .map(item => item.trim());
+            }
+        });
+
+        return repaired;
+    }
+
+    // Returns { isValid, errors, value } - value is the repaired object
+    static validate(raw, { sourceIds = [] } = {}) {
+        const errors = [];
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { isValid: false, errors: ['Response must be a JSON object'], value: null };
+        }
+
+        const value = StructuredAnalysis.repair(raw);
+
+        if (!Number.isInteger(value.score) || value.score < 1 || value.score > 10) {
+            errors.push('score must be an integer from 1 to 10');
+        }
+        if (!TONES.includes(value.tone)) {
+            errors.push(`tone must be one of: ${TONES.join(', ')}`);
+        }
+        if (!CONFIDENCE_LEVELS.includes(value.confidence)) {
+            errors.push(`confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+        }
+        ['scoreRationale', 'summary'].forEach(field => {
+            if (typeof value[field] !== 'string' || !value[field].trim()) {
+                errors.push(`${field} must be a non-empty string`);
+            }
+        });
+
+        if (!Array.isArray(value.insights) || value.insights.length === 0) {
+            errors.push('insights must be a non-empty array of strings');
+        }
+        ['insights', 'recommendations', 'concerns'].forEach(field => {
+            if (Array.isArray(value[field]) && value[field].length > MAX_LIST_ITEMS) {
+                value[field] = value[field].slice(0, MAX_LIST_ITEMS);
+            }
+        });
+
+        if (sourceIds.length > 0 && Array.isArray(value.citedSourceIds)) {
+            const unknown = value.citedSourceIds.filter(id => !sourceIds.includes(id));
+            if (unknown.length > 0) {
+                errors.push(`citedSourceIds contains unknown IDs: ${unknown.join(', ')}`);
+            }
+        }
+
+        return { isValid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+    }
+
+    // Every sentence of the analysis as plain text, e.g. for checking its figures
+    static toText(analysis) {
+        return [
+            analysis.scoreRationale,
+            analysis.summary,
+            ...analysis.insights,
+            ...analysis.recommendations,
+            ...analysis.concerns
+        ].join('\n');
+    }
+
+    // Ask Claude for the analysis and validate it, with one repair round trip.
+    // Resolves with { analysis, attempts, repaired }; throws an Error carrying .issues.
+    static async generate(aiService, prompt, { sourceIds = [] } = {}) {
+        const system = StructuredAnalysis.buildSystemPrompt(sourceIds);
+        const messages = [{ role: 'user', content: prompt }];
+        let issues = [];
+
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const { text } = await aiService.complete({ system, messages, temperature: 0 });
+
+            let parsed = null;
+            try {
+                parsed = StructuredAnalysis.parseJSON(text);
+            } catch (error) {
+                issues = [`Invalid JSON: ${error.message}`];
+            }
+
+            if (parsed) {
+                const result = StructuredAnalysis.validate(parsed, { sourceIds });
+                if (result.isValid) {
+                    return { analysis: result.value, attempts: attempt, repaired: attempt > 1 };
+                }
+                issues = result.errors;
+            }
+
+            console.warn(`⚠️ Structured analysis attempt ${attempt} failed validation: ${issues.join('; ')}`);
+
+            // Show Claude its own answer and what was wrong with it
+            messages.push(
+                { role: 'assistant', content: text || '(empty response)' },
+                { role: 'user', content: `That response did not match the schema:\n- ${issues.join('\n- ')}\n\nReply with the corrected JSON object only.` }
+            );
+        }
+
+        const error = new Error('Model output failed structured analysis validation');
+        error.issues = issues;
+        throw error;
+    }
+}
+
+StructuredAnalysis.TONES = TONES;
+StructuredAnalysis.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
+
+module.exports = StructuredAnalysis;
@@ -134,7 +134,7 @@ Text to Analyze:
         
         try {
             const formattedChunks = chunks.map((chunk, index) => {
-                const source = chunk.documentName || 'Unknown Document';
+                const source = `${chunk.documentName || 'Unknown Document'}${chunk.location ? `, ${chunk.location}` : ''}`;
                 const similarity = chunk.similarity ? ` (relevance: ${(chunk.similarity * 100).toFixed(1)}%)` : '';
                 const text = chunk.text.trim();
                 
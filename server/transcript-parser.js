@@ -0,0 +1,417 @@
+// transcript-parser.js - Reads earnings call transcripts as speaker turns
+// Participants come from the "Corporate Participants" / "Conference Call Participants" lists,
+// speaker header lines ("Jane Doe -- Chief Financial Officer") and the operator's
+// introductions ("Our next question comes from Justin Lake with Wolfe Research"). The call is
+// split into prepared remarks and Q&A, and each analyst question is paired with the answers
+// that follow it. The annotated text starts every turn with a marker line:
+//   [Speaker: Jane Doe | Executive | Chief Financial Officer | Q&A 3]
+// which the retrieval index reads back, so passages carry their speaker and section.
+
+const NAME = "[A-Z][A-Za-z.'’-]*(?:\\s+(?:[A-Z][A-Za-z.'’-]*|de|van|von|da|del|la|le)){1,3}";
+const SEPARATOR = '\\s*(?:--|—|–|-|,|\\|)\\s*';
+const SECTION_NAMES = { prepared_remarks: 'Prepared Remarks', qa: 'Q&A' };
+
+const TRANSCRIPT_PATTERNS = {
+    executiveList: /^(?:corporate participants|company participants|company representatives|executives|management)\s*:?$/i,
+    analystList: /^(?:conference call participants|other participants|analysts)\s*:?$/i,
+    participant: new RegExp(`^(?:[*•·]\\s*)?(${NAME})${SEPARATOR}(.+)$`),
+    operator: /^operator\s*(?::\s*(.*))?$/i,
+    qaHeading: /^(?:questions?[-\s]+(?:and|&)[-\s]+answers?(?:\s+session)?|q\s*&\s*a(?:\s+session)?)\s*:?$/i,
+    qaOpening: /question[-\s]and[-\s]answer|q\s*&\s*a session|(?:first|our first) question/i,
+    introduction: new RegExp(`(?:question|questions)[^.?!]*?\\bfrom\\s+(?:the\\s+line\\s+of\\s+)?(${NAME})\\s+(?:with|of|from|at)\\s+([A-Z][A-Za-z&.'’ -]*?[A-Za-z&.])(?=\\s*(?:[.,;]|please|your line|$))`, 'g'),
+    inlineSpeaker: new RegExp(`^(${NAME}):\\s+(\\S.*)$`),
+    headerLine: new RegExp(`^(${NAME})(?:${SEPARATOR}(.{2,100}))?$`),
+    analystTag: /(?:^|\s*(?:--|—|–|-|,)\s*)analyst$/i,
+    pageMarker: /^\[Page \d+\]$/,
+    marker: /^\[Speaker: ([^|\]]+) \| (Operator|Executive|Analyst) \| ([^|\]]*) \| (Prepared Remarks|Q&A)(?: (\d+))?\]$/gm
+};
+
+// Query words that name a speaker by role: "what did the CFO say", "analysts asked"
+const SPEAKER_TITLES = [
+    { words: /\bCFO\b|\bchief financial officer\b|\bfinance chief\b/i, title: /chief financial officer|\bCFO\b/i },
+    { words: /\bCEO\b|\bchief executive(?: officer)?\b/i, title: /chief executive officer|\bCEO\b/i },
+    { words: /\bCOO\b|\bchief operating officer\b/i, title: /chief operating officer|\bCOO\b/i },
+    { words: /\bCMO\b|\bchief medical officer\b/i, title: /chief medical officer|\bCMO\b/i },
+    { words: /\bpresident\b/i, title: /president/i },
+    { words: /\binvestor relations\b|\bIR\b/, title: /investor relations/i }
+];
+const SPEAKER_ROLES = [
+    { words: /\banalysts?\b|\bthe street\b/i, role: 'analyst' },
+    { words: /\bmanagement\b|\bexecutives?\b/i, role: 'executive' }
+];
+const EXECUTIVE_TITLE = /chief|officer|president|chair|vice|director|treasurer|controller|investor relations|head of|\b(?:CEO|CFO|COO|CMO|EVP|SVP|VP|IR)\b/i;
+
+const MIN_TURNS = 4;
+const QUESTION_EXCERPT_LENGTH = 300;
+
+class TranscriptParser {
+    // Returns { participants, turns, exchanges, qaStart } or null when the text does not read
+    // as a call transcript (an operator or Q&A section and at least MIN_TURNS speaker turns)
+    static parse(text) {
+        if (!text) return null;
+        const source = String(text);
+        const lines = TranscriptParser.splitLines(source);
+        const { participants, listLines } = TranscriptParser.readParticipantLists(lines);
+        TranscriptParser.readIntroductions(source, participants);
+
+        const turns = TranscriptParser.findTurns(lines.filter((line, index) => !listLines.has(index)), participants);
+        const qaLine = lines.find(line => TRANSCRIPT_PATTERNS.qaHeading.test(line.text));
+        turns.forEach((turn, index) => {
+            turn.end = index + 1 < turns.length ? turns[index + 1].headerStart : source.length;
+            // A standalone "Questions and Answers" heading is not the previous speaker's words
+            if (qaLine && qaLine.start >= turn.textStart && qaLine.start < turn.end) turn.end = qaLine.start;
+            turn.openingText = source.slice(turn.textStart, Math.min(turn.end, turn.textStart + 400));
+        });
+        const hasOperator = turns.some(turn => turn.speaker.role === 'operator');
+        if (turns.length < MIN_TURNS || (!hasOperator && !qaLine)) return null;
+
+        const qaStart = TranscriptParser.findQaStart(turns, qaLine);
+        const exchanges = TranscriptParser.pairExchanges(turns, qaStart);
+
+        return {
+            participants: Array.from(participants.values()),
+            turns,
+            exchanges,
+            qaStart
+        };
+    }
+
+    // The text with each turn's header replaced by a marker line; page markers and every
+    // word of the call are kept
+    static annotate(text, parsed) {
+        let annotated = '';
+        let position = 0;
+        parsed.turns.forEach(turn => {
+            annotated += text.slice(position, turn.headerStart) + TranscriptParser.formatMarker(turn) + '\n';
+            position = turn.textStart;
+        });
+        return annotated + text.slice(position);
+    }
+
+    static formatMarker(turn) {
+        const { name, role, title, firm } = turn.speaker;
+        const section = turn.section === 'qa'
+            ? `${SECTION_NAMES.qa}${turn.exchange ? ` ${turn.exchange}` : ''}`
+            : SECTION_NAMES.prepared_remarks;
+        return `[Speaker: ${name} | ${TranscriptParser.capitalize(role)} | ${(role === 'analyst' ? firm : title) || ''} | ${section}]`;
+    }
+
+    // ============================================================================
+    // PARTICIPANTS
+    // ============================================================================
+
+    static splitLines(text) {
+        const lines = [];
+        let offset = 0;
+        text.split('\n').forEach(raw => {
+            lines.push({ raw, text: raw.trim(), start: offset, end: offset + raw.length });
+            offset += raw.length + 1;
+        });
+        return lines;
+    }
+
+    // participants: name (lowercased) -> { name, role, title, firm }; listLines: indexes of
+    // the list lines, which are not speaker turns
+    static readParticipantLists(lines) {
+        const participants = new Map();
+        const listLines = new Set();
+        let listRole = null;
+
+        lines.forEach((line, index) => {
+            if (TRANSCRIPT_PATTERNS.executiveList.test(line.text)) { listRole = 'executive'; return; }
+            if (TRANSCRIPT_PATTERNS.analystList.test(line.text)) { listRole = 'analyst'; return; }
+            if (!listRole || !line.text || TRANSCRIPT_PATTERNS.pageMarker.test(line.text)) return;
+
+            const match = line.text.match(TRANSCRIPT_PATTERNS.participant);
+            if (!match || match[2].length > 100) {
+                listRole = null; // The list has ended
+                return;
+            }
+            const detail = match[2].replace(TRANSCRIPT_PATTERNS.analystTag, '').trim();
+            listLines.add(index);
+            TranscriptParser.addParticipant(participants, {
+                name: match[1],
+                role: listRole,
+                ...(listRole === 'analyst' ? { firm: detail } : { title: detail })
+            });
+        });
+
+        return { participants, listLines };
+    }
+
+    // "Our next question comes from the line of Justin Lake with Wolfe Research."
+    static readIntroductions(text, participants) {
+        for (const match of String(text).matchAll(TRANSCRIPT_PATTERNS.introduction)) {
+            TranscriptParser.addParticipant(participants, { name: match[1], role: 'analyst', firm: match[2].trim() });
+        }
+    }
+
+    // Later sources fill in what earlier ones left out; a listed role is never overridden
+    static addParticipant(participants, { name, role, title = null, firm = null }) {
+        const key = name.toLowerCase();
+        const existing = participants.get(key);
+        if (existing) {
+            existing.title = existing.title || title;
+            existing.firm = existing.firm || firm;
+            return existing;
+        }
+        const participant = { name, role, title, firm };
+        participants.set(key, participant);
+        return participant;
+    }
+
+    // ============================================================================
+    // TURNS
+    // ============================================================================
+
+    // A turn starts at "Operator", a known participant's name on its own line (optionally
+    // with their title or firm), or "Name: text". Unknown names count once they start
+    // at least two turns, so a heading like "Medical Costs:" is not taken for a speaker.
+    static findTurns(lines, participants) {
+        const candidates = [];
+        lines.forEach((line, index) => {
+            const next = lines.slice(index + 1).find(candidate => candidate.text);
+            const header = TranscriptParser.readHeader(line, next);
+            if (header) candidates.push({ ...header, line });
+        });
+
+        const counts = new Map();
+        candidates.forEach(candidate => {
+            const key = candidate.name.toLowerCase();
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        const turns = [];
+        candidates.forEach(candidate => {
+            const key = candidate.name.toLowerCase();
+            const known = candidate.operator || participants.has(key) || candidate.detail;
+            if (!known && counts.get(key) < 2) return;
+
+            const speaker = candidate.operator
+                ? { name: 'Operator', role: 'operator', title: null, firm: null }
+                : TranscriptParser.identify(participants, candidate);
+            const { raw, start, end } = candidate.line;
+            turns.push({
+                speaker,
+                section: 'prepared_remarks',
+                exchange: null,
+                headerStart: start + raw.length - raw.trimStart().length,
+                // Inline turns keep their words on the header line
+                textStart: candidate.inlineText ? start + raw.lastIndexOf(candidate.inlineText) : end + 1
+            });
+        });
+        return turns;
+    }
+
+    // { name, detail, inlineText, operator } for a line that can start a turn, or null.
+    // nextLine is the next non-blank line.
+    static readHeader(line, nextLine) {
+        const text = line.text;
+        if (!text || text.length > 140) return null;
+
+        const operator = text.match(TRANSCRIPT_PATTERNS.operator);
+        if (operator) {
+            return { name: 'Operator', operator: true, inlineText: operator[1] || null };
+        }
+
+        const inline = text.match(TRANSCRIPT_PATTERNS.inlineSpeaker);
+        if (inline) {
+            return { name: inline[1], detail: null, inlineText: inline[2] };
+        }
+
+        // A header line stands alone: no sentence punctuation and text on a following line
+        const header = text.match(TRANSCRIPT_PATTERNS.headerLine);
+        if (header && !/[.?!:;]$/.test(text) && nextLine) {
+            const detail = header[2] ? header[2].trim() : null;
+            // "Revenue - Medical" is not a speaker; a title, firm or "Analyst" tag must look like one
+            if (detail && !(EXECUTIVE_TITLE.test(detail) || TRANSCRIPT_PATTERNS.analystTag.test(detail) || /\b(?:Research|Securities|Capital|Partners|Bank|Group|& Co|LLC|Inc)\b/.test(detail))) {
+                return null;
+            }
+            return { name: header[1], detail, inlineText: null };
+        }
+        return null;
+    }
+
+    static identify(participants, { name, detail }) {
+        const known = participants.get(name.toLowerCase());
+        if (!detail) {
+            return known ? { ...known } : { name, role: 'executive', title: null, firm: null };
+        }
+
+        const isAnalyst = TRANSCRIPT_PATTERNS.analystTag.test(detail) || (known && known.role === 'analyst');
+        const cleaned = detail.replace(TRANSCRIPT_PATTERNS.analystTag, '').trim() || null;
+        const participant = TranscriptParser.addParticipant(participants, {
+            name,
+            role: isAnalyst ? 'analyst' : 'executive',
+            ...(isAnalyst ? { firm: cleaned } : { title: cleaned })
+        });
+        return { ...participant };
+    }
+
+    // ============================================================================
+    // SECTIONS AND EXCHANGES
+    // ============================================================================
+
+    // Index of the first Q&A turn: the turn after a "Questions and Answers" heading, else the
+    // operator turn that opens the queue, else the first analyst turn
+    static findQaStart(turns, qaLine) {
+        if (qaLine) {
+            const index = turns.findIndex(turn => turn.headerStart > qaLine.start);
+            if (index !== -1) return index;
+        }
+        const opening = turns.findIndex(turn => turn.speaker.role === 'operator' && turn.openingText && TRANSCRIPT_PATTERNS.qaOpening.test(turn.openingText));
+        if (opening !== -1) return opening;
+        const firstAnalyst = turns.findIndex(turn => turn.speaker.role === 'analyst');
+        return firstAnalyst === -1 ? turns.length : firstAnalyst;
+    }
+
+    // Each analyst who takes the floor opens an exchange. Their follow-ups stay in it until
+    // the operator moves on; executive turns in between are its answers.
+    static pairExchanges(turns, qaStart) {
+        const exchanges = [];
+        let current = null;
+
+        turns.forEach((turn, index) => {
+            if (index < qaStart) return;
+            turn.section = 'qa';
+            const { role, name, firm } = turn.speaker;
+
+            if (role === 'operator') {
+                current = null;
+                return;
+            }
+            if (role === 'analyst') {
+                if (!current || current.analyst.name !== name) {
+                    current = { number: exchanges.length + 1, analyst: { name, firm }, questions: [], answers: [] };
+                    exchanges.push(current);
+                }
+                current.questions.push(index);
+            } else if (current) {
+                current.answers.push(index);
+            }
+            if (current) turn.exchange = current.number;
+        });
+
+        return exchanges;
+    }
+
+    // ============================================================================
+    // ANNOTATED TEXT
+    // ============================================================================
+
+    // Turns from a marker-annotated text: [{ index, start, end, speaker, section, exchange, text }],
+    // where index is the marker's offset and start the offset of the turn's words. A turn ends
+    // at the next marker or at a "Questions and Answers" heading line, whichever comes first.
+    static readTurns(text) {
+        const source = String(text || '');
+        const turns = Array.from(source.matchAll(TRANSCRIPT_PATTERNS.marker), match => {
+            const [, name, role, detail, section, exchange] = match;
+            const speakerRole = role.toLowerCase();
+            return {
+                index: match.index,
+                start: match.index + match[0].length + 1,
+                speaker: {
+                    name,
+                    role: speakerRole,
+                    title: speakerRole === 'analyst' ? null : detail || null,
+                    firm: speakerRole === 'analyst' ? detail || null : null
+                },
+                section: section === SECTION_NAMES.qa ? 'qa' : 'prepared_remarks',
+                exchange: exchange ? Number(exchange) : null
+            };
+        });
+
+        turns.forEach((turn, index) => {
+            const next = index + 1 < turns.length ? turns[index + 1].index : source.length;
+            const heading = TranscriptParser.splitLines(source.slice(turn.start, next))
+                .find(line => TRANSCRIPT_PATTERNS.qaHeading.test(line.text));
+            turn.end = heading ? turn.start + heading.start : next;
+            turn.text = TranscriptParser.stripMarkers(source.slice(turn.start, turn.end)).trim();
+        });
+        return turns;
+    }
+
+    // { participants, preparedRemarks, exchanges } from annotated text, with each
+    // exchange's questions and answers as { speaker, text }
+    static describe(text) {
+        const turns = TranscriptParser.readTurns(text);
+        const participants = new Map();
+        turns.forEach(turn => {
+            if (turn.speaker.role !== 'operator') participants.set(turn.speaker.name.toLowerCase(), turn.speaker);
+        });
+
+        const exchanges = new Map();
+        turns.filter(turn => turn.exchange).forEach(turn => {
+            const exchange = exchanges.get(turn.exchange) || { number: turn.exchange, analyst: null, questions: [], answers: [] };
+            const entry = { speaker: turn.speaker, text: turn.text };
+            if (turn.speaker.role === 'analyst') {
+                exchange.analyst = exchange.analyst || { name: turn.speaker.name, firm: turn.speaker.firm };
+                exchange.questions.push(entry);
+            } else {
+                exchange.answers.push(entry);
+            }
+            exchanges.set(turn.exchange, exchange);
+        });
+
+        return {
+            participants: Array.from(participants.values()),
+            preparedRemarks: turns
+                .filter(turn => turn.section === 'prepared_remarks' && turn.speaker.role !== 'operator')
+                .map(turn => ({ speaker: turn.speaker, text: turn.text })),
+            exchanges: Array.from(exchanges.values())
+        };
+    }
+
+    // The question an answer responds to: { speaker, firm, text } cut to a short excerpt
+    static questionFor(turns, turn) {
+        if (!turn.exchange || turn.speaker.role === 'analyst') return null;
+        const question = turns.find(candidate => candidate.exchange === turn.exchange && candidate.speaker.role === 'analyst');
+        if (!question) return null;
+        return {
+            speaker: question.speaker.name,
+            firm: question.speaker.firm,
+            text: question.text.length > QUESTION_EXCERPT_LENGTH
+                ? `${question.text.slice(0, QUESTION_EXCERPT_LENGTH).replace(/\s+\S*$/, '')}...`
+                : question.text
+        };
+    }
+
+    static stripMarkers(text) {
+        return String(text).replace(TRANSCRIPT_PATTERNS.marker, '').replace(/^\[Page \d+\]$/gm, '');
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    // Who a question asks about: "what did the CFO say" names a title, "what did analysts ask"
+    // a role, "what did Smith say" a speaker in speakers. Returns a predicate over a passage's
+    // speaker, or null when the query names nobody.
+    static speakerMatcher(query, speakers = []) {
+        if (!query) return null;
+        const titles = SPEAKER_TITLES.filter(entry => entry.words.test(query)).map(entry => entry.title);
+        const roles = SPEAKER_ROLES.filter(entry => entry.words.test(query)).map(entry => entry.role);
+        const lower = ` ${query.toLowerCase().replace(/[^a-z'’-]+/g, ' ')} `;
+        const names = speakers
+            .map(speaker => speaker.name.toLowerCase())
+            .filter(name => {
+                const last = name.split(/\s+/).pop();
+                return lower.includes(` ${name} `) || (last.length > 2 && lower.includes(` ${last} `));
+            });
+        if (titles.length === 0 && roles.length === 0 && names.length === 0) return null;
+
+        return speaker => !!speaker && (
+            names.includes(speaker.name.toLowerCase()) ||
+            titles.some(title => speaker.title && title.test(speaker.title)) ||
+            roles.includes(speaker.role)
+        );
+    }
+
+    static capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+}
+
+TranscriptParser.SECTION_NAMES = SECTION_NAMES;
+
+module.exports = TranscriptParser;
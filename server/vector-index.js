@@ -0,0 +1,206 @@
+// vector-index.js - Local, CPU-only vector representation for semantic-ish retrieval
+// Hashed TF-IDF over words, character trigrams and financial concepts, so
+// "top-line" finds "revenue" and "medical cost trend" finds "MLR" without an embedding service
+const FinancialTokenizer = require('./financial-tokenizer');
+
+const DIMENSIONS = 2048;
+const WORD_WEIGHT = 1;
+const TRIGRAM_WEIGHT = 0.3;
+const CONCEPT_WEIGHT = 2;
+
+// Phrases that mean the same thing in earnings material. Each phrase adds a concept
+// feature, so paraphrases share a dimension even when they share no words.
+const FINANCIAL_CONCEPTS = {
+    revenue: ['revenue', 'revenues', 'top-line', 'top line', 'topline', 'net sales', 'sales', 'turnover'],
+    mlr: ['mlr', 'medical loss ratio', 'medical cost trend', 'medical care ratio', 'medical cost ratio', 'benefit expense ratio', 'medical costs'],
+    eps: ['eps', 'earnings per share', 'per diluted share', 'per share'],
+    ebitda: ['ebitda', 'adjusted ebitda'],
+    margin: ['margin', 'margins', 'gross margin', 'operating margin', 'profitability'],
+    net_income: ['net income', 'net profit', 'bottom line', 'bottom-line', 'net earnings'],
+    cash_flow: ['cash flow', 'free cash flow', 'fcf', 'operating cash'],
+    expenses: ['opex', 'operating expenses', 'expenses', 'sg&a', 'cost base', 'costs'],
+    capex: ['capex', 'capital expenditures', 'capital spending', 'capital investment'],
+    guidance: ['guidance', 'outlook', 'forecast', 'we expect', 'expected to', 'full-year target'],
+    membership: ['membership', 'members', 'enrollment', 'covered lives'],
+    headcount: ['headcount', 'employees', 'workforce'],
+    growth: ['growth', 'grew', 'increase', 'increased', 'rose', 'higher', 'expanded'],
+    decline: ['decline', 'declined', 'decrease', 'decreased', 'fell', 'lower', 'contracted']
+};
+
+class VectorIndex {
+    constructor() {
+        this.vectors = new Map();        // chunkId -> { chunk, features: Map(dimension -> weight) }
+        this.documentFrequency = new Map(); // dimension -> number of chunks using it
+        this.version = 0;                // bumped on every change so cached norms can be refreshed
+        this.normCache = new Map();      // chunkId -> { version, norm }
+    }
+
+    // FNV-1a hash into a fixed number of dimensions
+    static hashFeature(feature) {
+        let hash = 2166136261;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) % DIMENSIONS;
+    }
+
+    static extractConcepts(text) {
+        const normalized = ` ${text.toLowerCase().replace(/[^a-z0-9&\s-]/g, ' ').replace(/\s+/g, ' ')} `;
+        const concepts = [];
+
+        for (const [concept, phrases] of Object.entries(FINANCIAL_CONCEPTS)) {
+            const count = phrases.reduce((total, phrase) => total + normalized.split(` ${phrase} `).length - 1, 0);
+            if (count > 0) concepts.push({ concept, count });
+        }
+
+        return concepts;
+    }
+
+    // Sparse term-frequency features: Map(dimension -> weight)
+    static extractFeatures(text) {
+        const features = new Map();
+        const add = (feature, weight) => {
+            const dimension = VectorIndex.hashFeature(feature);
+            features.set(dimension, (features.get(dimension) || 0) + weight);
+        };
+
+        FinancialTokenizer.tokenize(text).forEach(term => {
+            add(`w:${term}`, WORD_WEIGHT);
+
+            // Trigrams let "margins" / "marginal" and typos share some signal
+            if (/^[a-z]{4,}$/.test(term)) {
+                const padded = `^${term}$`;
+                for (let i = 0; i < padded.length - 2; i++) {
+                    add(`c:${padded.substring(i, i + 3)}`, TRIGRAM_WEIGHT);
+                }
+            }
+        });
+
+        VectorIndex.extractConcepts(text).forEach(({ concept, count }) => {
+            add(`k:${concept}`, CONCEPT_WEIGHT * count);
+        });
+
+        // Sublinear term frequency so one repeated word cannot dominate
+        features.forEach((weight, dimension) => features.set(dimension, 1 + Math.log(weight)));
+        return features;
+    }
+
+    addChunk(chunk) {
+        if (this.vectors.has(chunk.id)) {
+            this.removeChunk(chunk.id);
+        }
+
+        const features = VectorIndex.extractFeatures(chunk.text);
+        features.forEach((weight, dimension) => {
+            this.documentFrequency.set(dimension, (this.documentFrequency.get(dimension) || 0) + 1);
+        });
+
+        this.vectors.set(chunk.id, { chunk, features });
+        this.version++;
+    }
+
+    removeChunk(chunkId) {
+        const entry = this.vectors.get(chunkId);
+        if (!entry) return;
+
+        entry.features.forEach((weight, dimension) => {
+            const df = this.documentFrequency.get(dimension) - 1;
+            if (df > 0) {
+                this.documentFrequency.set(dimension, df);
+            } else {
+                this.documentFrequency.delete(dimension);
+            }
+        });
+
+        this.vectors.delete(chunkId);
+        this.normCache.delete(chunkId);
+        this.version++;
+    }
+
+    removeDocument(docId) {
+        const chunkIds = [];
+        this.vectors.forEach((entry, chunkId) => {
+            if (String(entry.chunk.docId) === String(docId)) chunkIds.push(chunkId);
+        });
+        chunkIds.forEach(chunkId => this.removeChunk(chunkId));
+    }
+
+    clear() {
+        this.vectors.clear();
+        this.documentFrequency.clear();
+        this.normCache.clear();
+        this.version++;
+    }
+
+    idf(dimension) {
+        const df = this.documentFrequency.get(dimension) || 0;
+        return Math.log((this.vectors.size + 1) / (df + 1)) + 1;
+    }
+
+    norm(features) {
+        let sum = 0;
+        features.forEach((weight, dimension) => {
+            const value = weight * this.idf(dimension);
+            sum += value * value;
+        });
+        return Math.sqrt(sum);
+    }
+
+    chunkNorm(chunkId) {
+        const cached = this.normCache.get(chunkId);
+        if (cached && cached.version === this.version) return cached.norm;
+
+        const norm = this.norm(this.vectors.get(chunkId).features);
+        this.normCache.set(chunkId, { version: this.version, norm });
+        return norm;
+    }
+
+    // Cosine similarity of two sparse feature maps under the current IDF weights
+    cosine(a, b, normA = this.norm(a), normB = this.norm(b)) {
+        if (normA === 0 || normB === 0) return 0;
+
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let dot = 0;
+        small.forEach((weight, dimension) => {
+            if (large.has(dimension)) {
+                const idf = this.idf(dimension);
+                dot += weight * idf * large.get(dimension) * idf;
+            }
+        });
+
+        return dot / (normA * normB);
+    }
+
+    similarity(chunkIdA, chunkIdB) {
+        const a = this.vectors.get(chunkIdA);
+        const b = this.vectors.get(chunkIdB);
+        if (!a || !b) return 0;
+        return this.cosine(a.features, b.features, this.chunkNorm(chunkIdA), this.chunkNorm(chunkIdB));
+    }
+
+    // Returns [{ chunkId, similarity }] best first
+    search(query, { limit = 50, docIds = null } = {}) {
+        const queryFeatures = VectorIndex.extractFeatures(query);
+        const queryNorm = this.norm(queryFeatures);
+        if (queryNorm === 0) return [];
+
+        const allowed = docIds ? new Set(docIds.map(String)) : null;
+        const results = [];
+
+        this.vectors.forEach((entry, chunkId) => {
+            if (allowed && !allowed.has(String(entry.chunk.docId))) return;
+
+            const similarity = this.cosine(queryFeatures, entry.features, queryNorm, this.chunkNorm(chunkId));
+            if (similarity > 0) results.push({ chunkId, similarity });
+        });
+
+        return results
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+}
+
+VectorIndex.FINANCIAL_CONCEPTS = FINANCIAL_CONCEPTS;
+
+module.exports = VectorIndex;